@@ -1,9 +1,16 @@
 /*
  Enhanced IT Workflow Chatbot with Authentication and Database
  - Auth routes: /api/auth/signup, /api/auth/login, /api/auth/logout, /api/auth/me
- - Ticket routes: /api/tickets (create, list)
- - Access request routes: /api/access-requests (create, list)
- - Onboarding routes: /api/onboarding (create, list)
+ - User admin routes: /api/users (list), /api/users/:id/role (change role), /api/users/:id/manager (set manager)
+ - Ticket routes: /api/tickets (create, list), /api/tickets/:id (get, update, assign, start, wait, resume, resolve, reopen, close, sla)
+ - SLA policy routes: /api/sla/policies (list, create), /api/sla/policies/:id (update, delete), /api/sla/calendars (list, create), /api/sla/calendars/:id (update, holidays)
+ - Ticket comment routes: /api/tickets/:id/comments (list, create)
+ - Ticket history route: /api/tickets/:id/history
+ - Ticket attachment routes: /api/tickets/:id/attachments (upload, list, download)
+ - Resource catalog routes: /api/resources (list, create), /api/resources/:id (get, update, delete)
+ - Access request routes: /api/access-requests (create, list), /api/access-requests/:id (approve, deny, approvals, extend), /api/access-requests/my-approvals
+ - Access certification routes: /api/access-certifications (create, list), /api/access-certifications/:id (get, close, export), /api/access-certifications/my-reviews, /api/access-certifications/items/:id (keep, revoke)
+ - Onboarding routes: /api/onboarding (create, list, tasks), /api/onboarding-templates, /api/offboarding (create, list, tasks, report)
  - AI chat routes: /api/chat/ticket, /api/chat/access, /api/chat/onboarding
  - Static files served from /static
 */
@@ -20,9 +27,32 @@ const crypto = require('crypto');
 
 const authService = require('./src/authService');
 const ticketService = require('./src/ticketService');
+const ticketTemplateService = require('./src/ticketTemplateService');
 const accessRequestService = require('./src/accessRequestService');
+const accessApprovalService = require('./src/accessApprovalService');
+const resourceCatalogService = require('./src/resourceCatalogService');
+const accessCertificationService = require('./src/accessCertificationService');
 const onboardingService = require('./src/onboardingService');
+const onboardingTemplateService = require('./src/onboardingTemplateService');
+const offboardingService = require('./src/offboardingService');
+const provisioningService = require('./src/provisioningService');
+const portalService = require('./src/portalService');
 const conversationService = require('./src/conversationService');
+const ticketCommentService = require('./src/ticketCommentService');
+const ticketHistoryService = require('./src/ticketHistoryService');
+const ticketLinkService = require('./src/ticketLinkService');
+const ticketWatcherService = require('./src/ticketWatcherService');
+const incidentService = require('./src/incidentService');
+const changeService = require('./src/changeService');
+const csatService = require('./src/csatService');
+const attachmentService = require('./src/attachmentService');
+const slaPolicyService = require('./src/slaPolicyService');
+const slaTimerService = require('./src/slaTimerService');
+const escalationService = require('./src/escalationService');
+const oncallService = require('./src/oncallService');
+const assignmentService = require('./src/assignmentService');
+const teamService = require('./src/teamService');
+const { ROLES, isValidRole, getPermissionsForRole, hasPermission } = require('./src/permissions');
 const intentDetector = require('./src/intentDetector');
 const { PromptManager } = require('./src/promptManager');
 const { SimpleCache } = require('./src/simpleCache');
@@ -87,6 +117,21 @@ try {
   console.error('[EMAIL] Failed to initialize:', error.message);
 }
 
+// SLA timers for tickets raised before SLA tracking existed
+try {
+  const backfilled = slaTimerService.backfill();
+  if (backfilled) console.log(`[SLA] Created timers for ${backfilled} existing tickets`);
+} catch (error) {
+  console.error('[SLA] Failed to backfill timers:', error.message);
+}
+
+// The first admin: the ADMIN_EMAIL account, while there is no admin yet
+try {
+  if (authService.bootstrapAdmin()) console.log(`[AUTH] ${process.env.ADMIN_EMAIL} is now an admin (ADMIN_EMAIL)`);
+} catch (error) {
+  console.error('[AUTH] Failed to bootstrap the admin:', error.message);
+}
+
 // Initialize other services after database is ready
 setTimeout(async () => {
   try {
@@ -137,9 +182,33 @@ function requireAuth(req, res, next) {
   if (!req.session.userId) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
+  const user = authService.getUserById(req.session.userId);
+  if (!user || user.disabled_at) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
   next();
 }
 
+// Permission middleware: loads the signed-in user (so role changes apply
+// immediately) and requires their role to grant every listed permission.
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.session.userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const user = authService.getUserById(req.session.userId);
+    if (!user || user.disabled_at) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const missing = permissions.filter(p => !hasPermission(user, p));
+    if (missing.length) {
+      return res.status(403).json({ error: `Missing permission: ${missing.join(', ')}` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
 function makeCacheKey(prompt, metadata) {
   const h = crypto.createHash('sha256');
   h.update(prompt + JSON.stringify(metadata || {}));
@@ -191,154 +260,2802 @@ async function callModel(prompt, opts = {}) {
 
 // ============ AUTH ROUTES ============
 app.post('/api/auth/signup', async (req, res) => {
-  const { email, password, fullName, role } = req.body;
+  const { email, password, fullName } = req.body;
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password required' });
+  }
+  try {
+    // Self-service signups are always employees; roles are granted via /api/users/:id/role
+    const userId = authService.createUser(email, password, fullName || '', 'employee');
+    req.session.userId = userId;
+    const user = authService.getUserById(userId);
+    res.json({ success: true, user });
+  } catch (err) {
+    console.error('signup error', err);
+    res.status(400).json({ error: 'User already exists or invalid input' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const { email, password } = req.body;
   if (!email || !password) {
     return res.status(400).json({ error: 'Email and password required' });
   }
   try {
-    const userId = authService.createUser(email, password, fullName || '', role || 'employee');
-    req.session.userId = userId;
-    const user = authService.getUserById(userId);
-    res.json({ success: true, user });
+    const user = await authService.authenticate(email, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (user.disabled_at) {
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+    req.session.userId = user.id;
+    res.json({ success: true, user });
+  } catch (err) {
+    console.error('login error', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  req.session.destroy();
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  const user = authService.getUserById(req.session.userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  res.json({ user, permissions: getPermissionsForRole(user.role) });
+});
+
+// ============ USER ADMIN ROUTES ============
+app.get('/api/users', requirePermission('users.manage_roles'), (req, res) => {
+  try {
+    const users = authService.getAllUsers();
+    res.json({ users, roles: ROLES });
+  } catch (err) {
+    console.error('list users error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/users/:id/role', requirePermission('users.manage_roles'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  const { role } = req.body || {};
+  if (!isValidRole(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (userId === req.user.id && role !== req.user.role) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+  try {
+    if (!authService.updateUserRole(userId, role)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.log(`[RBAC] User #${userId} role set to ${role} by user #${req.user.id}`);
+    res.json({ success: true, user: authService.getUserById(userId) });
+  } catch (err) {
+    console.error('update role error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Line manager used as the first approver in access request chains
+app.patch('/api/users/:id/manager', requirePermission('users.manage_roles'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  const { managerId } = req.body || {};
+  const manager = managerId == null ? null : authService.getUserById(parseInt(managerId));
+  if (managerId != null && !manager) {
+    return res.status(400).json({ error: 'Manager not found' });
+  }
+  if (manager && manager.id === userId) {
+    return res.status(400).json({ error: 'A user cannot be their own manager' });
+  }
+  try {
+    if (!authService.setManager(userId, manager ? manager.id : null)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ success: true, user: authService.getUserById(userId) });
+  } catch (err) {
+    console.error('set manager error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ TICKET ROUTES ============
+app.post('/api/tickets', requirePermission('tickets.create'), (req, res) => {
+  const { title, description, priority, category, assignee, team_id: teamId, tags, fields } = req.body;
+  if (!title) return res.status(400).json({ error: 'Title required' });
+  if (teamId != null && !teamService.getTeam(teamId)) return res.status(400).json({ error: 'Team not found' });
+  try {
+    // Agent classification augmentation; the ticket is routed to the team covering its category
+    const classification = agentService.classifyTicket(`${title} ${description || ''}`);
+    const ticketCategory = category || classification.category;
+    // The category's template supplies the intake fields the requester must fill in, and ticket defaults
+    const template = ticketTemplateService.getTemplateForCategory(ticketCategory);
+    let customFields = null;
+    if (template) {
+      const { values, errors } = ticketTemplateService.checkValues(template, fields || {});
+      if (errors.length) {
+        return res.status(400).json({
+          error: `Missing or invalid fields: ${errors.map(e => e.label).join(', ')}`,
+          field_errors: errors,
+          template
+        });
+      }
+      customFields = values;
+    }
+    const ticketId = ticketService.createTicket(req.session.userId, {
+      title,
+      description,
+      priority: priority || (template && template.default_priority) || classification.priority,
+      category: ticketCategory,
+      assignee,
+      team_id: teamId,
+      tags,
+      template_id: template ? template.id : null,
+      custom_fields: customFields
+    });
+    const requestedAssignee = assignee || (template && template.default_assignee) || null;
+    const { ticket } = assignmentService.assignNewTicket(ticketId, requestedAssignee, req.session.userId);
+    const sla = slaTimerService.getTicketSla(ticket);
+    // Offered to the requester; linking goes through POST /api/tickets/:id/links
+    const possibleDuplicates = ticketLinkService.findDuplicates(ticket);
+    res.json({ success: true, ticketId, assignee: ticket.assignee, team_id: ticket.team_id, classification, sla, possible_duplicates: possibleDuplicates });
+  } catch (err) {
+    console.error('create ticket error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/tickets', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    let tickets;
+    if (hasPermission(req.user, 'tickets.read_all')) {
+      const startDate = req.query.startDate;
+      tickets = ticketService.getAllTickets({ status: req.query.status, startDate });
+    } else {
+      tickets = ticketService.getTicketsByUser(req.session.userId);
+    }
+    res.json({ tickets });
+  } catch (err) {
+    console.error('get tickets error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Load the ticket named in :id and check the caller may see it (owner or tickets.read_all)
+function loadTicketForUser(req, res) {
+  const ticketId = parseInt(req.params.id);
+  if (Number.isNaN(ticketId)) {
+    res.status(400).json({ error: 'Invalid ticket id' });
+    return null;
+  }
+  const ticket = ticketService.getTicketById(ticketId);
+  if (!ticket) {
+    res.status(404).json({ error: 'Ticket not found' });
+    return null;
+  }
+  const user = req.user;
+  if (!hasPermission(user, 'tickets.read_all') && ticket.user_id !== req.session.userId
+    && !ticketWatcherService.isWatching(ticket.id, req.session.userId)) {
+    res.status(403).json({ error: 'Not allowed to access this ticket' });
+    return null;
+  }
+  return { ticket, user };
+}
+
+function sendTicketResult(req, res, result) {
+  if (result.success) {
+    if (websocketService) {
+      websocketService.notifyTicketUpdated(result.ticket, req.session.userId);
+    }
+    dispatchSurveys();
+    // The update already succeeded; the periodic job catches up on anything missed here
+    try {
+      completeReturnedAssets({ ticketId: result.ticket.id });
+    } catch (e) {
+      console.warn('[OFFBOARDING] asset return completion error', e.message);
+    }
+    return res.json({ success: true, ticket: result.ticket });
+  }
+  const status = result.reason === 'not_found' ? 404 : 409;
+  res.status(status).json({ error: result.error });
+}
+
+app.get('/api/tickets/:id', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    res.json({ ticket: loaded.ticket, intake: ticketTemplateService.describeValues(loaded.ticket) });
+  } catch (err) {
+    console.error('get ticket error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/tickets/:id', requirePermission('tickets.update'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+
+    const { status, ...fields } = req.body || {};
+    const editable = ['title', 'description', 'priority', 'category', 'assignee', 'team_id', 'tags'];
+    const updates = {};
+    for (const key of editable) {
+      if (Object.prototype.hasOwnProperty.call(fields, key)) updates[key] = fields[key];
+    }
+    if (updates.team_id != null && !teamService.getTeam(updates.team_id)) {
+      return res.status(400).json({ error: 'Team not found' });
+    }
+    // Intake answers are merged into the ticket's existing ones and checked against its template
+    if (fields.fields !== undefined) {
+      const template = loaded.ticket.template_id ? ticketTemplateService.getTemplate(loaded.ticket.template_id) : null;
+      if (!template) return res.status(400).json({ error: 'Ticket was not raised with a template' });
+      const current = JSON.parse(loaded.ticket.custom_fields || '{}');
+      const { values, errors } = ticketTemplateService.checkValues(template, { ...current, ...fields.fields });
+      if (errors.length) {
+        return res.status(400).json({ error: `Missing or invalid fields: ${errors.map(e => e.label).join(', ')}`, field_errors: errors });
+      }
+      updates.custom_fields = JSON.stringify(values);
+    }
+
+    let result;
+    if (status && status !== loaded.ticket.status) {
+      result = ticketService.setTicketStatus(loaded.ticket.id, status, updates, req.session.userId);
+    } else {
+      ticketService.updateTicket(loaded.ticket.id, updates, req.session.userId);
+      result = { success: true, ticket: ticketService.getTicketById(loaded.ticket.id) };
+    }
+    if (result.success && updates.assignee !== undefined && updates.assignee !== loaded.ticket.assignee) {
+      assignmentService.recordDecision(loaded.ticket.id, {
+        assignee: updates.assignee,
+        previous: loaded.ticket.assignee,
+        source: 'manual',
+        reason: 'Assignee changed in a ticket edit',
+        actor: req.session.userId
+      });
+    }
+    sendTicketResult(req, res, result);
+  } catch (err) {
+    console.error('update ticket error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/tickets/:id/assign', requirePermission('tickets.assign'), (req, res) => {
+  const { assignee, reason } = req.body || {};
+  if (!assignee) return res.status(400).json({ error: 'Assignee required' });
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    sendTicketResult(req, res, assignmentService.assign(loaded.ticket.id, assignee, {
+      actor: req.session.userId,
+      reason: reason ? `Assigned manually: ${reason}` : undefined
+    }));
+  } catch (err) {
+    console.error('assign ticket error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Re-run skills/load-based assignment, e.g. after registering technicians
+app.post('/api/tickets/:id/auto-assign', requirePermission('tickets.assign'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    sendTicketResult(req, res, assignmentService.autoAssign(loaded.ticket.id, { source: 'auto', actor: req.session.userId }));
+  } catch (err) {
+    console.error('auto-assign ticket error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/tickets/:id/assignments', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    res.json({ assignments: assignmentService.getDecisions(loaded.ticket.id) });
+  } catch (err) {
+    console.error('ticket assignments error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Lifecycle transitions. Requesters may reopen or close their own tickets and
+// resume one that is waiting on them; other actions require tickets.work.
+const REQUESTER_TICKET_ACTIONS = ['resume', 'reopen', 'close'];
+
+['start', 'wait', 'resume', 'resolve', 'reopen', 'close'].forEach(action => {
+  const permission = REQUESTER_TICKET_ACTIONS.includes(action) ? 'tickets.read_own' : 'tickets.work';
+  app.post(`/api/tickets/:id/${action}`, requirePermission(permission), (req, res) => {
+    try {
+      const loaded = loadTicketForUser(req, res);
+      if (!loaded) return;
+      if (action === 'resume' && loaded.ticket.status !== 'waiting_on_customer') {
+        return res.status(409).json({ error: 'Ticket is not waiting on the customer' });
+      }
+
+      const extra = {};
+      if (action === 'start' && !loaded.ticket.assignee) {
+        extra.assignee = loaded.user.email;
+      }
+      if (action === 'resolve' && req.body && req.body.resolution) {
+        extra.resolution = req.body.resolution;
+      }
+      const result = ticketService.transitionTicket(loaded.ticket.id, action, extra, req.session.userId);
+      if (result.success && extra.assignee) {
+        assignmentService.recordDecision(loaded.ticket.id, {
+          assignee: extra.assignee,
+          source: 'self',
+          reason: 'Picked up by the technician who started work on it',
+          actor: req.session.userId
+        });
+      }
+      sendTicketResult(req, res, result);
+    } catch (err) {
+      console.error(`${action} ticket error`, err);
+      res.status(500).json({ error: String(err) });
+    }
+  });
+});
+
+app.get('/api/tickets/:id/sla', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    res.json({ sla: slaTimerService.getTicketSla(loaded.ticket), timer: slaTimerService.getTimer(loaded.ticket.id) || null });
+  } catch (err) {
+    console.error('get ticket sla error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/tickets/:id/history', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const history = ticketHistoryService.getHistory(loaded.ticket.id);
+    res.json({ history });
+  } catch (err) {
+    console.error('get ticket history error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ TICKET TEMPLATE ROUTES ============
+const TEMPLATE_ERROR_STATUS = { invalid: 400, not_found: 404, duplicate: 409, in_use: 409 };
+
+function sendTemplateResult(res, result) {
+  if (result.success) return res.json(result);
+  res.status(TEMPLATE_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+}
+
+// Intake forms for new tickets; ?category= picks one, ?include_inactive=true needs templates.manage
+app.get('/api/ticket-templates', requirePermission('tickets.create'), (req, res) => {
+  try {
+    if (req.query.category) {
+      const template = ticketTemplateService.getTemplateForCategory(req.query.category);
+      return res.json({ templates: template ? [template] : [] });
+    }
+    const includeInactive = req.query.include_inactive === 'true' && hasPermission(req.user, 'templates.manage');
+    res.json({ templates: ticketTemplateService.listTemplates({ includeInactive }) });
+  } catch (err) {
+    console.error('list ticket templates error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/ticket-templates/:id', requirePermission('tickets.create'), (req, res) => {
+  try {
+    const template = ticketTemplateService.getTemplate(parseInt(req.params.id));
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json({ template });
+  } catch (err) {
+    console.error('get ticket template error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/ticket-templates', requirePermission('templates.manage'), (req, res) => {
+  try {
+    sendTemplateResult(res, ticketTemplateService.createTemplate(req.body || {}));
+  } catch (err) {
+    console.error('create ticket template error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/ticket-templates/:id', requirePermission('templates.manage'), (req, res) => {
+  try {
+    sendTemplateResult(res, ticketTemplateService.updateTemplate(parseInt(req.params.id), req.body || {}));
+  } catch (err) {
+    console.error('update ticket template error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/ticket-templates/:id', requirePermission('templates.manage'), (req, res) => {
+  try {
+    sendTemplateResult(res, ticketTemplateService.deleteTemplate(parseInt(req.params.id)));
+  } catch (err) {
+    console.error('delete ticket template error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ DUPLICATE & LINKED TICKET ROUTES ============
+const LINK_ERROR_STATUS = { invalid: 400, not_found: 404, duplicate: 409, invalid_transition: 409 };
+
+function sendLinkResult(res, result) {
+  if (result.success) return res.json(result);
+  res.status(LINK_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+}
+
+// Open tickets that look like the same problem (text, category and creation window)
+app.get('/api/tickets/:id/duplicates', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    res.json({ possible_duplicates: ticketLinkService.findDuplicates(loaded.ticket) });
+  } catch (err) {
+    console.error('find duplicates error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/tickets/:id/links', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    res.json({ links: ticketLinkService.getLinks(loaded.ticket.id) });
+  } catch (err) {
+    console.error('get ticket links error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Requesters may only link their ticket to one of its suggested duplicates
+app.post('/api/tickets/:id/links', requirePermission('tickets.read_own'), (req, res) => {
+  const { ticket_id: relatedId, link_type: linkType } = req.body || {};
+  if (!relatedId) return res.status(400).json({ error: 'ticket_id required' });
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const staff = hasPermission(req.user, 'tickets.update');
+    if (!staff && loaded.ticket.user_id !== req.session.userId) {
+      return res.status(403).json({ error: 'Only the requester or IT staff can link this ticket' });
+    }
+    if (!staff && !ticketLinkService.findDuplicates(loaded.ticket).some(d => d.ticket_id === parseInt(relatedId))) {
+      return res.status(403).json({ error: 'You can only link your ticket to one of its suggested duplicates' });
+    }
+    sendLinkResult(res, ticketLinkService.linkTickets(loaded.ticket.id, parseInt(relatedId), staff ? (linkType || 'duplicate_of') : 'duplicate_of', req.session.userId));
+  } catch (err) {
+    console.error('link tickets error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/tickets/:id/links/:linkId', requirePermission('tickets.update'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    if (!ticketLinkService.unlinkTickets(loaded.ticket.id, parseInt(req.params.linkId))) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('unlink tickets error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Merge duplicates into this ticket: { ticket_ids: [..] }
+app.post('/api/tickets/:id/merge', requirePermission('tickets.merge'), (req, res) => {
+  const { ticket_ids: ticketIds } = req.body || {};
+  if (!Array.isArray(ticketIds) || !ticketIds.length) return res.status(400).json({ error: 'ticket_ids required' });
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const result = ticketLinkService.mergeTickets(loaded.ticket.id, ticketIds.map(id => parseInt(id)), req.session.userId);
+    if (result.success && websocketService) {
+      websocketService.notifyTicketUpdated(result.ticket, req.session.userId);
+      result.merged.forEach(id => websocketService.notifyTicketUpdated(ticketService.getTicketById(id), req.session.userId));
+    }
+    sendLinkResult(res, result);
+  } catch (err) {
+    console.error('merge tickets error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/tickets/:id/watchers', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    res.json({ watchers: ticketWatcherService.getWatchers(loaded.ticket.id) });
+  } catch (err) {
+    console.error('get watchers error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Watch a ticket yourself, or (IT staff) add someone else with { user_id }
+app.post('/api/tickets/:id/watchers', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const userId = req.body && req.body.user_id ? parseInt(req.body.user_id) : req.session.userId;
+    if (userId !== req.session.userId && !hasPermission(req.user, 'tickets.update')) {
+      return res.status(403).json({ error: 'Only IT staff can add other watchers' });
+    }
+    if (!authService.getUserById(userId)) return res.status(404).json({ error: 'User not found' });
+    ticketWatcherService.addWatcher(loaded.ticket.id, userId);
+    res.json({ success: true, watchers: ticketWatcherService.getWatchers(loaded.ticket.id) });
+  } catch (err) {
+    console.error('add watcher error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/tickets/:id/watchers/:userId', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const userId = parseInt(req.params.userId);
+    if (userId !== req.session.userId && !hasPermission(req.user, 'tickets.update')) {
+      return res.status(403).json({ error: 'Only IT staff can remove other watchers' });
+    }
+    if (!ticketWatcherService.removeWatcher(loaded.ticket.id, userId)) {
+      return res.status(404).json({ error: 'Watcher not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('remove watcher error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ INCIDENT & PROBLEM ROUTES ============
+const INCIDENT_ERROR_STATUS = { invalid: 400, not_found: 404, invalid_transition: 409 };
+
+function sendIncidentResult(res, result) {
+  if (result.success) return res.json(result);
+  res.status(INCIDENT_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+}
+
+// Show everyone the major-incident status banner, or clear it once the incident is over
+function broadcastIncidentBanner(incident) {
+  if (websocketService) {
+    websocketService.notifySystemAlert(incidentService.getBanner(incident), ROLES);
+  }
+}
+
+// Tell each requester under a resolved incident or problem that their tickets were resolved with it
+function notifyIncidentResolved({ incident, children }) {
+  const byRequester = new Map();
+  for (const { ticket } of children) {
+    if (websocketService) websocketService.notifyTicketUpdated(ticket);
+    if (!byRequester.has(ticket.user_id)) byRequester.set(ticket.user_id, []);
+    byRequester.get(ticket.user_id).push(ticket);
+  }
+  byRequester.forEach((tickets, userId) => {
+    const requester = authService.getUserById(userId);
+    if (!requester) return;
+    notificationService.sendNotification({
+      type: 'incident_resolved',
+      recipients: [requester.email],
+      subject: `Resolved: ${incident.title}`,
+      message: `${incident.type === 'problem' ? 'Problem' : 'Incident'} #${incident.id} "${incident.title}" has been resolved: ${incident.resolution}\n\nYour ticket(s) ${tickets.map(t => `#${t.id}`).join(', ')} were resolved with it. Reopen a ticket if the problem continues.`,
+      incident_id: incident.id,
+      ticket_ids: tickets.map(t => t.id)
+    }).catch(err => console.warn('[INCIDENT] notification error', err.message));
+  });
+  dispatchSurveys();
+}
+
+// ?type=incident|problem, ?status=active|<status>, ?major=true
+app.get('/api/incidents', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const { type, status, major } = req.query;
+    res.json({
+      incidents: incidentService.listIncidents({
+        type: type || null,
+        status: status || null,
+        major: major === undefined ? null : major === 'true'
+      })
+    });
+  } catch (err) {
+    console.error('list incidents error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Status banners for the major incidents in progress (also pushed as system_alert over WebSocket)
+app.get('/api/incidents/banner', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    res.json({ banners: incidentService.getActiveMajorIncidents().map(incident => incidentService.getBanner(incident)) });
+  } catch (err) {
+    console.error('incident banner error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Requesters only see their own tickets among the children
+app.get('/api/incidents/:id', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const incident = incidentService.getIncident(parseInt(req.params.id));
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+    const tickets = incidentService.getChildTickets(incident.id);
+    res.json({
+      incident,
+      tickets: hasPermission(req.user, 'tickets.read_all') ? tickets : tickets.filter(t => t.user_id === req.session.userId),
+      caused_by_changes: hasPermission(req.user, 'changes.read') ? changeService.getChangesForIncident(incident.id) : []
+    });
+  } catch (err) {
+    console.error('get incident error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/incidents', requirePermission('incidents.manage'), (req, res) => {
+  try {
+    const result = incidentService.createIncident(req.body || {}, req.session.userId);
+    if (result.success && result.incident.major) broadcastIncidentBanner(result.incident);
+    sendIncidentResult(res, result);
+  } catch (err) {
+    console.error('create incident error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/incidents/:id', requirePermission('incidents.manage'), (req, res) => {
+  try {
+    const result = incidentService.updateIncident(parseInt(req.params.id), req.body || {});
+    if (result.success && (result.incident.major || result.previous.major)) broadcastIncidentBanner(result.incident);
+    if (result.success) delete result.previous;
+    sendIncidentResult(res, result);
+  } catch (err) {
+    console.error('update incident error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Group user-reported tickets under the incident: { ticket_ids: [...] }
+app.post('/api/incidents/:id/tickets', requirePermission('incidents.manage'), (req, res) => {
+  const ticketIds = (req.body && req.body.ticket_ids) || [];
+  if (!Array.isArray(ticketIds)) return res.status(400).json({ error: 'ticket_ids must be a list' });
+  try {
+    const result = incidentService.addTickets(parseInt(req.params.id), ticketIds.map(id => parseInt(id)), req.session.userId);
+    if (result.success && websocketService) {
+      result.added.forEach(ticket => websocketService.notifyTicketUpdated(ticket, req.session.userId));
+    }
+    sendIncidentResult(res, result);
+  } catch (err) {
+    console.error('add incident tickets error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/incidents/:id/tickets/:ticketId', requirePermission('incidents.manage'), (req, res) => {
+  try {
+    const incidentId = parseInt(req.params.id);
+    if (!incidentService.removeTicket(incidentId, parseInt(req.params.ticketId))) {
+      return res.status(404).json({ error: 'Ticket is not part of this incident' });
+    }
+    res.json({ success: true, incident: incidentService.getIncident(incidentId) });
+  } catch (err) {
+    console.error('remove incident ticket error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Resolve the incident and cascade its resolution note to every child ticket: { resolution }
+app.post('/api/incidents/:id/resolve', requirePermission('incidents.manage'), (req, res) => {
+  try {
+    const result = incidentService.resolveIncident(parseInt(req.params.id), req.body && req.body.resolution, req.session.userId);
+    if (!result.success) return sendIncidentResult(res, result);
+    notifyIncidentResolved(result);
+    if (result.incident.major) broadcastIncidentBanner(result.incident);
+    res.json({
+      success: true,
+      incident: result.incident,
+      tickets: result.children.map(({ ticket, resolved }) => ({ ticket_id: ticket.id, status: ticket.status, resolved }))
+    });
+  } catch (err) {
+    console.error('resolve incident error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/tickets/:id/incidents', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    res.json({ incidents: incidentService.getIncidentsForTicket(loaded.ticket.id) });
+  } catch (err) {
+    console.error('get ticket incidents error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ CHANGE MANAGEMENT ROUTES ============
+const CHANGE_ERROR_STATUS = { invalid: 400, forbidden: 403, not_found: 404, duplicate: 409, conflict: 409, invalid_transition: 409 };
+
+function sendChangeResult(res, result) {
+  if (result.success) return res.json(result);
+  const body = { error: result.error };
+  if (result.conflicts) body.conflicts = result.conflicts;
+  res.status(CHANGE_ERROR_STATUS[result.reason] || 400).json(body);
+}
+
+// Requesters edit, submit and cancel their own changes; anyone else needs changes.manage
+function canManageChange(req, change) {
+  return change.requested_by === req.session.userId || hasPermission(req.user, 'changes.manage');
+}
+
+// Ask each CAB approver for their vote
+function notifyChangeApprovers(change, approvers) {
+  const message = `Change #${change.id} "${change.title}" (${change.type}, ${change.risk} risk) is planned for ${change.planned_start} - ${change.planned_end} and needs your CAB vote.`;
+  for (const email of approvers) {
+    notificationService.sendNotification({
+      type: 'change_approval_required',
+      recipients: [email],
+      subject: `CAB vote needed: change #${change.id}`,
+      message,
+      change_id: change.id
+    }).catch(err => console.warn('[CHANGE] notification error', err.message));
+    const approver = websocketService && authService.getUserByEmail(email);
+    if (approver) {
+      websocketService.sendToUser(approver.id, 'notification', {
+        type: 'change_approval_required',
+        change,
+        timestamp: new Date().toISOString(),
+        message
+      });
+    }
+  }
+}
+
+// Tell the requester how the CAB decided
+function notifyChangeDecision(change) {
+  const requester = authService.getUserById(change.requested_by);
+  if (!requester) return;
+  const message = `Change #${change.id} "${change.title}" was ${change.status} by the CAB.`;
+  notificationService.sendNotification({
+    type: 'change_decided',
+    recipients: [requester.email],
+    subject: `Change #${change.id} ${change.status}`,
+    message,
+    change_id: change.id
+  }).catch(err => console.warn('[CHANGE] notification error', err.message));
+  if (websocketService) {
+    websocketService.sendToUser(requester.id, 'notification', {
+      type: 'change_decided',
+      change,
+      timestamp: new Date().toISOString(),
+      message
+    });
+  }
+}
+
+// ?status, ?service, and ?from / ?to for changes planned in that range
+app.get('/api/changes', requirePermission('changes.read'), (req, res) => {
+  try {
+    const { status, service, from, to } = req.query;
+    res.json({ changes: changeService.listChanges({ status, service, from, to }) });
+  } catch (err) {
+    console.error('list changes error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Change calendar with freeze periods and per-day view (?from, ?to; default the next 30 days)
+app.get('/api/changes/calendar', requirePermission('changes.read'), (req, res) => {
+  try {
+    sendChangeResult(res, changeService.getCalendar({ from: req.query.from, to: req.query.to }));
+  } catch (err) {
+    console.error('change calendar error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Changes implemented recently (?hours, ?service), the first suspects in an outage
+app.get('/api/changes/recent', requirePermission('changes.read'), (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || undefined;
+    res.json({ changes: changeService.getRecentChanges({ hours, service: req.query.service }) });
+  } catch (err) {
+    console.error('recent changes error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Changes waiting on the current user's CAB vote
+app.get('/api/changes/approvals', requirePermission('changes.vote'), (req, res) => {
+  try {
+    res.json({ changes: changeService.getPendingVotes(req.user.email) });
+  } catch (err) {
+    console.error('change approvals error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/changes/freezes', requirePermission('changes.read'), (req, res) => {
+  try {
+    res.json({ freezes: changeService.getFreezes({ from: req.query.from, to: req.query.to }) });
+  } catch (err) {
+    console.error('list change freezes error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Lists the changes already planned into the new freeze so they can be moved
+app.post('/api/changes/freezes', requirePermission('changes.manage'), (req, res) => {
+  try {
+    sendChangeResult(res, changeService.createFreeze(req.body || {}, req.session.userId));
+  } catch (err) {
+    console.error('create change freeze error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/changes/freezes/:id', requirePermission('changes.manage'), (req, res) => {
+  try {
+    if (!changeService.deleteFreeze(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'Freeze not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('delete change freeze error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// CAB approvers without changes.read may still see the changes they vote on
+app.get('/api/changes/:id', requirePermission('changes.vote'), (req, res) => {
+  try {
+    const change = changeService.getChange(parseInt(req.params.id));
+    if (!change) return res.status(404).json({ error: 'Change not found' });
+    const approver = change.votes.some(v => v.approver_email.toLowerCase() === req.user.email.toLowerCase());
+    if (!hasPermission(req.user, 'changes.read') && !approver) {
+      return res.status(403).json({ error: 'Not allowed to view this change' });
+    }
+    const conflicts = changeService.findConflicts(change);
+    res.json({
+      change,
+      assessment: changeService.assessRisk(change, conflicts),
+      conflicts,
+      incidents: changeService.getIncidentsForChange(change.id)
+    });
+  } catch (err) {
+    console.error('get change error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/changes', requirePermission('changes.request'), (req, res) => {
+  try {
+    sendChangeResult(res, changeService.createChange(req.body || {}, req.session.userId));
+  } catch (err) {
+    console.error('create change error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/changes/:id', requirePermission('changes.request'), (req, res) => {
+  try {
+    const change = changeService.getChange(parseInt(req.params.id));
+    if (!change) return res.status(404).json({ error: 'Change not found' });
+    if (!canManageChange(req, change)) return res.status(403).json({ error: 'Only the requester can edit this change' });
+    sendChangeResult(res, changeService.updateChange(change.id, req.body || {}));
+  } catch (err) {
+    console.error('update change error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Send a draft to the CAB: { approvers: [emails] } overrides the default board
+app.post('/api/changes/:id/submit', requirePermission('changes.request'), (req, res) => {
+  try {
+    const change = changeService.getChange(parseInt(req.params.id));
+    if (!change) return res.status(404).json({ error: 'Change not found' });
+    if (!canManageChange(req, change)) return res.status(403).json({ error: 'Only the requester can submit this change' });
+    const approvers = req.body && req.body.approvers;
+    if (approvers != null && !hasPermission(req.user, 'changes.manage')) {
+      return res.status(403).json({ error: 'Only change managers can name the CAB approvers' });
+    }
+    const requester = authService.getUserById(change.requested_by);
+    const result = changeService.submitChange(change.id, requester, { approvers });
+    if (result.success && result.approvers.length) notifyChangeApprovers(result.change, result.approvers);
+    sendChangeResult(res, result);
+  } catch (err) {
+    console.error('submit change error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// CAB vote: { vote: 'approve' | 'reject', comment }
+app.post('/api/changes/:id/vote', requirePermission('changes.vote'), (req, res) => {
+  const { vote, comment } = req.body || {};
+  try {
+    const result = changeService.vote(parseInt(req.params.id), req.user, vote, comment || null);
+    if (result.success && result.decided) notifyChangeDecision(result.change);
+    sendChangeResult(res, result);
+  } catch (err) {
+    console.error('change vote error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Implementation: start an approved change, then complete or roll it back ({ note }); cancel before it starts
+['start', 'complete', 'rollback', 'cancel'].forEach(action => {
+  app.post(`/api/changes/:id/${action}`, requirePermission('changes.request'), (req, res) => {
+    try {
+      const change = changeService.getChange(parseInt(req.params.id));
+      if (!change) return res.status(404).json({ error: 'Change not found' });
+      if (action === 'cancel' && !canManageChange(req, change)) {
+        return res.status(403).json({ error: 'Only the requester can cancel this change' });
+      }
+      sendChangeResult(res, changeService.transitionChange(change.id, action, { note: req.body && req.body.note }));
+    } catch (err) {
+      console.error(`${action} change error`, err);
+      res.status(500).json({ error: String(err) });
+    }
+  });
+});
+
+// Record that a change caused an incident: { incident_id }
+app.post('/api/changes/:id/incidents', requirePermission('changes.request'), (req, res) => {
+  const incidentId = req.body && parseInt(req.body.incident_id);
+  if (!incidentId) return res.status(400).json({ error: 'incident_id required' });
+  try {
+    sendChangeResult(res, changeService.linkIncident(parseInt(req.params.id), incidentId, req.session.userId));
+  } catch (err) {
+    console.error('link change incident error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/changes/:id/incidents/:incidentId', requirePermission('changes.request'), (req, res) => {
+  try {
+    const changeId = parseInt(req.params.id);
+    if (!changeService.unlinkIncident(changeId, parseInt(req.params.incidentId))) {
+      return res.status(404).json({ error: 'Incident is not linked to this change' });
+    }
+    res.json({ success: true, incidents: changeService.getIncidentsForChange(changeId) });
+  } catch (err) {
+    console.error('unlink change incident error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ SATISFACTION SURVEY ROUTES ============
+const CSAT_ERROR_STATUS = { not_found: 404, invalid: 400, expired: 410, invalid_transition: 409 };
+
+// Surveys as shown through the API: the token is only ever sent to the requester
+function surveyView({ token, ...survey }) {
+  return survey;
+}
+
+function sendCsatResult(res, result) {
+  if (result.success) {
+    return res.json({ success: true, survey: surveyView(result.survey) });
+  }
+  res.status(CSAT_ERROR_STATUS[result.reason] || 409).json({ error: result.error });
+}
+
+// Send each new survey to its requester by email and as a chat prompt they can answer in place
+function dispatchSurveys() {
+  for (const survey of csatService.getUnsentSurveys()) {
+    const prompt = `Your ticket #${survey.ticket_id} "${survey.ticket_title}" has been resolved. How did we do? Reply with a rating from 1 (very unhappy) to 5 (very happy), and add a comment if you like.`;
+    conversationService.saveMessage(survey.user_id, prompt, 'assistant', { type: 'csat_survey', survey_id: survey.id, ticket_id: survey.ticket_id });
+    if (websocketService) {
+      websocketService.sendToUser(survey.user_id, 'notification', {
+        type: 'csat_survey',
+        survey_id: survey.id,
+        ticket_id: survey.ticket_id,
+        message: prompt
+      });
+    }
+    if (emailService) {
+      emailService.sendSatisfactionSurveyEmail(survey, survey.email);
+    }
+    csatService.markSent(survey.id);
+  }
+}
+
+// A low rating goes to the leads of the team that handled the ticket (ESCALATION_EMAILS without a team)
+function notifyLowScore(survey) {
+  const ticket = ticketService.getTicketById(survey.ticket_id);
+  const leads = survey.team_id ? teamService.getLeadEmails(survey.team_id) : [];
+  const message = `Ticket #${ticket.id} "${ticket.title}" was rated ${survey.rating}/5 by its requester${survey.comment ? `: "${survey.comment}"` : ''}. Handled by ${survey.assignee || 'nobody'}. Please follow up.`;
+  notificationService.sendNotification({
+    type: 'csat_low_score',
+    recipients: leads.length ? leads : undefined,
+    subject: `Low satisfaction score on ticket #${ticket.id}`,
+    message,
+    ticket_id: ticket.id,
+    survey_id: survey.id,
+    rating: survey.rating
+  }).catch(err => console.warn('[CSAT] notification error', err.message));
+  if (websocketService) {
+    const notification = { type: 'csat_low_score', survey_id: survey.id, ticket_id: ticket.id, rating: survey.rating, message };
+    if (survey.team_id) websocketService.broadcastToTeam(survey.team_id, 'notification', notification);
+    websocketService.broadcastToRole('admin', 'notification', notification);
+  }
+}
+
+function recordSurveyResponse(surveyId, answer) {
+  const result = csatService.respond(surveyId, answer);
+  if (result.flagged) notifyLowScore(result.survey);
+  return result;
+}
+
+// Low scores awaiting follow-up; ?status=open|done (default open), ?team_id
+app.get('/api/csat/follow-ups', requirePermission('csat.follow_up'), (req, res) => {
+  try {
+    const followUps = csatService.listFollowUps({
+      status: req.query.status || 'open',
+      teamId: req.query.team_id ? parseInt(req.query.team_id) : null
+    }).map(surveyView);
+    res.json({ follow_ups: followUps, low_score: csatService.config.lowScore });
+  } catch (err) {
+    console.error('list csat follow-ups error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/csat/follow-ups/:id', requirePermission('csat.follow_up'), (req, res) => {
+  try {
+    sendCsatResult(res, csatService.completeFollowUp(parseInt(req.params.id), (req.body || {}).note, req.session.userId));
+  } catch (err) {
+    console.error('complete csat follow-up error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// The rating links in the survey email (?rating=1-5) open a confirmation page; nothing is recorded until it posts
+app.get('/api/csat/:token', (req, res) => {
+  try {
+    const survey = csatService.getSurveyByToken(req.params.token);
+    if (!survey) return res.status(404).send('<p>This survey link is not valid.</p>');
+    // Mail scanners follow links, so opening one only preselects the rating; the page posts the answer
+    const query = new URLSearchParams({ token: survey.token });
+    if (/^[1-5]$/.test(String(req.query.rating || ''))) query.set('rating', req.query.rating);
+    res.redirect(`/survey.html?${query}`);
+  } catch (err) {
+    console.error('csat link response error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Same as the email link, with an optional comment: { rating, comment }
+app.post('/api/csat/:token', (req, res) => {
+  try {
+    const survey = csatService.getSurveyByToken(req.params.token);
+    if (!survey) return res.status(404).json({ error: 'Survey not found' });
+    const { rating, comment } = req.body || {};
+    sendCsatResult(res, recordSurveyResponse(survey.id, { rating, comment }));
+  } catch (err) {
+    console.error('csat response error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/tickets/:id/survey', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const survey = csatService.getLatestSurvey(loaded.ticket.id);
+    if (!survey) return res.status(404).json({ error: 'No survey for this ticket' });
+    res.json({ survey: surveyView(survey) });
+  } catch (err) {
+    console.error('get ticket survey error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// The requester answers the survey for their ticket's latest resolution: { rating, comment }
+app.post('/api/tickets/:id/survey', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const survey = csatService.getLatestSurvey(loaded.ticket.id);
+    if (!survey) return res.status(404).json({ error: 'No survey for this ticket' });
+    if (survey.user_id !== req.session.userId) return res.status(403).json({ error: 'Only the requester can answer this survey' });
+    const { rating, comment } = req.body || {};
+    sendCsatResult(res, recordSurveyResponse(survey.id, { rating, comment }));
+  } catch (err) {
+    console.error('answer ticket survey error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ TICKET COMMENT ROUTES ============
+app.get('/api/tickets/:id/comments', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const comments = ticketCommentService.getCommentsForTicket(loaded.ticket.id, {
+      includeInternal: hasPermission(loaded.user, 'tickets.internal_notes')
+    });
+    res.json({ comments });
+  } catch (err) {
+    console.error('get comments error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/tickets/:id/comments', requirePermission('tickets.read_own'), (req, res) => {
+  const { body, visibility = 'public' } = req.body || {};
+  if (!body || !String(body).trim()) return res.status(400).json({ error: 'Comment body required' });
+  if (!['public', 'internal'].includes(visibility)) {
+    return res.status(400).json({ error: 'Visibility must be public or internal' });
+  }
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const { ticket, user } = loaded;
+    if (visibility === 'internal' && !hasPermission(user, 'tickets.internal_notes')) {
+      return res.status(403).json({ error: 'Missing permission: tickets.internal_notes' });
+    }
+
+    const comment = ticketCommentService.addComment(ticket.id, user.id, String(body).trim(), visibility);
+
+    // The customer answering restarts the SLA clock
+    if (visibility === 'public' && user.id === ticket.user_id && ticket.status === 'waiting_on_customer') {
+      const resumed = ticketService.transitionTicket(ticket.id, 'resume', {}, user.id);
+      if (resumed.success && websocketService) {
+        websocketService.notifyTicketUpdated(resumed.ticket, user.id);
+      }
+    }
+
+    if (visibility === 'public') {
+      notifyTicketComment(ticket, comment, user);
+    }
+
+    res.json({ success: true, comment });
+  } catch (err) {
+    console.error('create comment error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Tell the other side of the conversation about a new public comment
+function notifyTicketComment(ticket, comment, author) {
+  const authorName = author.full_name || author.email;
+  const notification = {
+    type: 'ticket_comment',
+    ticketId: ticket.id,
+    comment,
+    message: `${authorName} commented on ticket #${ticket.id}: ${ticket.title}`
+  };
+
+  if (author.id === ticket.user_id) {
+    // Requester replied: let the IT staff queue know
+    if (websocketService) {
+      websocketService.broadcastToRole('it_staff', 'notification', notification);
+      websocketService.broadcastToRole('admin', 'notification', notification);
+    }
+    return;
+  }
+
+  if (websocketService) {
+    websocketService.sendToUser(ticket.user_id, 'notification', notification);
+  }
+  if (emailService) {
+    const requester = authService.getUserById(ticket.user_id);
+    if (requester && requester.email) {
+      emailService.sendTicketUpdatedEmail({ ...ticket, updated_by: authorName }, requester.email, comment.body);
+    }
+  }
+}
+
+// ============ TICKET ATTACHMENT ROUTES ============
+app.post('/api/tickets/:id/attachments', requirePermission('tickets.read_own'), (req, res) => {
+  const loaded = loadTicketForUser(req, res);
+  if (!loaded) return;
+
+  attachmentService.upload.single('file')(req, res, (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `File exceeds ${attachmentService.config.maxFileBytes} bytes` });
+      }
+      if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+        return res.status(415).json({ error: err.message });
+      }
+      console.error('upload attachment error', err);
+      return res.status(400).json({ error: String(err.message || err) });
+    }
+    if (!req.file) return res.status(400).json({ error: 'File required (multipart field "file")' });
+
+    try {
+      const attachment = attachmentService.recordAttachment(loaded.ticket.id, req.session.userId, req.file);
+      res.json({ success: true, attachment });
+    } catch (e) {
+      console.error('record attachment error', e);
+      res.status(500).json({ error: String(e) });
+    }
+  });
+});
+
+app.get('/api/tickets/:id/attachments', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const attachments = attachmentService.getAttachmentsForTicket(loaded.ticket.id);
+    res.json({ attachments });
+  } catch (err) {
+    console.error('list attachments error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/tickets/:id/attachments/:attachmentId', requirePermission('tickets.read_own'), (req, res) => {
+  try {
+    const loaded = loadTicketForUser(req, res);
+    if (!loaded) return;
+    const attachment = attachmentService.getAttachmentById(parseInt(req.params.attachmentId));
+    if (!attachment || attachment.ticket_id !== loaded.ticket.id) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    res.download(attachmentService.getFilePath(attachment), attachment.original_name, (err) => {
+      if (err && !res.headersSent) {
+        console.error('download attachment error', err);
+        res.status(404).json({ error: 'Attachment file missing' });
+      }
+    });
+  } catch (err) {
+    console.error('download attachment error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ SLA POLICY ROUTES ============
+// First-response and resolution targets per priority/category, and the
+// business-hours calendars their clocks run on
+const SLA_ERROR_STATUS = { invalid: 400, not_found: 404, duplicate: 409 };
+
+function sendSlaResult(res, result) {
+  if (result.success) return res.json(result);
+  res.status(SLA_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+}
+
+app.get('/api/sla/policies', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    res.json({ policies: slaPolicyService.listPolicies() });
+  } catch (err) {
+    console.error('list sla policies error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/sla/policies', requirePermission('sla.manage'), (req, res) => {
+  try {
+    sendSlaResult(res, slaPolicyService.createPolicy(req.body || {}));
+  } catch (err) {
+    console.error('create sla policy error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/sla/policies/:id', requirePermission('sla.manage'), (req, res) => {
+  try {
+    sendSlaResult(res, slaPolicyService.updatePolicy(parseInt(req.params.id), req.body || {}));
+  } catch (err) {
+    console.error('update sla policy error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/sla/policies/:id', requirePermission('sla.manage'), (req, res) => {
+  try {
+    sendSlaResult(res, slaPolicyService.deletePolicy(parseInt(req.params.id)));
+  } catch (err) {
+    console.error('delete sla policy error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/sla/calendars', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    res.json({ calendars: slaPolicyService.listCalendars() });
+  } catch (err) {
+    console.error('list calendars error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/sla/calendars', requirePermission('sla.manage'), (req, res) => {
+  try {
+    sendSlaResult(res, slaPolicyService.createCalendar(req.body || {}));
+  } catch (err) {
+    console.error('create calendar error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/sla/calendars/:id', requirePermission('sla.manage'), (req, res) => {
+  try {
+    sendSlaResult(res, slaPolicyService.updateCalendar(parseInt(req.params.id), req.body || {}));
+  } catch (err) {
+    console.error('update calendar error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/sla/calendars/:id/holidays', requirePermission('sla.manage'), (req, res) => {
+  try {
+    sendSlaResult(res, slaPolicyService.addHoliday(parseInt(req.params.id), req.body || {}));
+  } catch (err) {
+    console.error('add holiday error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/sla/calendars/:id/holidays/:holidayId', requirePermission('sla.manage'), (req, res) => {
+  try {
+    if (!slaPolicyService.removeHoliday(parseInt(req.params.id), parseInt(req.params.holidayId))) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('remove holiday error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ SLA TIMER ROUTES ============
+// Persisted per-ticket clocks and breach predictions; both are read-only views
+// kept current by ticket writes and the SLA refresh loop
+app.get('/api/sla/timers', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    const { state, ticket_id: ticketId, breached, open } = req.query;
+    const timers = slaTimerService.listTimers({
+      state,
+      ticketId: ticketId ? parseInt(ticketId) : undefined,
+      breached: breached === undefined ? undefined : breached === 'true',
+      open: open === 'true'
+    });
+    res.json({ timers });
+  } catch (err) {
+    console.error('list sla timers error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/sla/predictions', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    const predictions = slaTimerService.predictBreaches({ atRiskOnly: req.query.at_risk === 'true' });
+    res.json({ success: true, generated_at: new Date().toISOString(), predictions });
+  } catch (err) {
+    console.error('sla predictions error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ ESCALATION MATRIX ROUTES ============
+// Who an escalated ticket goes to at each level (team lead, manager, director),
+// how long it may sit there, and on-call stand-ins for each level
+const ESCALATION_ERROR_STATUS = { invalid: 400, not_found: 404, duplicate: 409, max_level: 409, invalid_transition: 409 };
+
+function sendEscalationResult(res, result) {
+  if (result.success) return res.json(result);
+  res.status(ESCALATION_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+}
+
+app.get('/api/escalation-matrix', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    if (req.query.category !== undefined) {
+      return res.json({ category: req.query.category, levels: escalationService.getMatrix(req.query.category) });
+    }
+    res.json({ levels: escalationService.listLevels() });
+  } catch (err) {
+    console.error('get escalation matrix error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/escalation-matrix/levels', requirePermission('escalations.manage'), (req, res) => {
+  try {
+    sendEscalationResult(res, escalationService.createLevel(req.body || {}));
+  } catch (err) {
+    console.error('create escalation level error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/escalation-matrix/levels/:id', requirePermission('escalations.manage'), (req, res) => {
+  try {
+    sendEscalationResult(res, escalationService.updateLevel(parseInt(req.params.id), req.body || {}));
+  } catch (err) {
+    console.error('update escalation level error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/escalation-matrix/levels/:id', requirePermission('escalations.manage'), (req, res) => {
+  try {
+    sendEscalationResult(res, escalationService.deleteLevel(parseInt(req.params.id)));
+  } catch (err) {
+    console.error('delete escalation level error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/escalation-matrix/levels/:id/overrides', requirePermission('escalations.manage'), (req, res) => {
+  try {
+    sendEscalationResult(res, escalationService.addOverride(parseInt(req.params.id), req.body || {}, req.session.userId));
+  } catch (err) {
+    console.error('add on-call override error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/escalation-matrix/levels/:id/overrides/:overrideId', requirePermission('escalations.manage'), (req, res) => {
+  try {
+    if (!escalationService.removeOverride(parseInt(req.params.id), parseInt(req.params.overrideId))) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('remove on-call override error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ ON-CALL ROUTES ============
+// Weekly on-call rotations per team queue, with overrides for swaps and cover
+const ONCALL_ERROR_STATUS = { invalid: 400, not_found: 404, duplicate: 409 };
+
+function sendOncallResult(res, result) {
+  if (result.success) return res.json(result);
+  res.status(ONCALL_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+}
+
+// Who is on call now: ?team=network (team name or alias), or every team
+app.get('/api/oncall/now', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    if (req.query.team) {
+      const result = oncallService.whoIsOnCall(req.query.team);
+      if (!result) return res.status(404).json({ error: `No on-call schedule for ${req.query.team}` });
+      return res.json(result);
+    }
+    res.json({
+      teams: oncallService.listSchedules().map(s => ({ team: s.team, schedule_id: s.id, timezone: s.timezone, on_call: s.on_call }))
+    });
+  } catch (err) {
+    console.error('who is on call error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/oncall/schedules', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    res.json({ schedules: oncallService.listSchedules() });
+  } catch (err) {
+    console.error('list on-call schedules error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/oncall/schedules/:id', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    const schedule = oncallService.getSchedule(parseInt(req.params.id));
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+    res.json({ schedule });
+  } catch (err) {
+    console.error('get on-call schedule error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/oncall/schedules', requirePermission('oncall.manage'), (req, res) => {
+  try {
+    sendOncallResult(res, oncallService.createSchedule(req.body || {}));
+  } catch (err) {
+    console.error('create on-call schedule error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/oncall/schedules/:id', requirePermission('oncall.manage'), (req, res) => {
+  try {
+    sendOncallResult(res, oncallService.updateSchedule(parseInt(req.params.id), req.body || {}));
+  } catch (err) {
+    console.error('update on-call schedule error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/oncall/schedules/:id', requirePermission('oncall.manage'), (req, res) => {
+  try {
+    if (!oncallService.deleteSchedule(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('delete on-call schedule error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/oncall/schedules/:id/overrides', requirePermission('oncall.manage'), (req, res) => {
+  try {
+    sendOncallResult(res, oncallService.addOverride(parseInt(req.params.id), req.body || {}, req.session.userId));
+  } catch (err) {
+    console.error('add on-call override error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/oncall/schedules/:id/overrides/:overrideId', requirePermission('oncall.manage'), (req, res) => {
+  try {
+    if (!oncallService.removeOverride(parseInt(req.params.id), parseInt(req.params.overrideId))) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('remove on-call override error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ TECHNICIAN ROUTES ============
+// Technicians eligible for automatic assignment: skills, capacity and availability
+const TECHNICIAN_ERROR_STATUS = { invalid: 400, not_found: 404, duplicate: 409 };
+
+function sendTechnicianResult(req, res, result) {
+  if (!result.success) {
+    return res.status(TECHNICIAN_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+  }
+  if (websocketService && result.reassigned) {
+    result.reassigned.forEach(r => websocketService.notifyTicketUpdated(ticketService.getTicketById(r.ticket_id), req.session.userId));
+  }
+  res.json(result);
+}
+
+// Technicians may change their own availability; anyone else's needs technicians.manage
+function loadTechnicianForAvailability(req, res) {
+  const technician = assignmentService.getTechnician(parseInt(req.params.id));
+  if (!technician) {
+    res.status(404).json({ error: 'Technician not found' });
+    return null;
+  }
+  const isSelf = req.user.email && req.user.email.toLowerCase() === technician.email.toLowerCase();
+  if (!isSelf && !hasPermission(req.user, 'technicians.manage')) {
+    res.status(403).json({ error: 'Not allowed to change this technician' });
+    return null;
+  }
+  return technician;
+}
+
+app.get('/api/technicians', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    res.json({ technicians: assignmentService.listTechnicians() });
+  } catch (err) {
+    console.error('list technicians error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/technicians/:id', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    const technician = assignmentService.getTechnician(parseInt(req.params.id));
+    if (!technician) return res.status(404).json({ error: 'Technician not found' });
+    res.json({ technician });
+  } catch (err) {
+    console.error('get technician error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/technicians', requirePermission('technicians.manage'), (req, res) => {
+  try {
+    sendTechnicianResult(req, res, assignmentService.createTechnician(req.body || {}));
+  } catch (err) {
+    console.error('create technician error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/technicians/:id', requirePermission('technicians.manage'), (req, res) => {
+  try {
+    sendTechnicianResult(req, res, assignmentService.updateTechnician(parseInt(req.params.id), req.body || {}, req.session.userId));
+  } catch (err) {
+    console.error('update technician error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/technicians/:id', requirePermission('technicians.manage'), (req, res) => {
+  try {
+    if (!assignmentService.deleteTechnician(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'Technician not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('delete technician error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Going out of office hands the technician's open tickets to colleagues
+app.post('/api/technicians/:id/out-of-office', requirePermission('tickets.work'), (req, res) => {
+  const { until } = req.body || {};
+  if (!until) return res.status(400).json({ error: 'until required' });
+  try {
+    const technician = loadTechnicianForAvailability(req, res);
+    if (!technician) return;
+    sendTechnicianResult(req, res, assignmentService.updateTechnician(technician.id, { out_of_office_until: until }, req.session.userId));
+  } catch (err) {
+    console.error('set out of office error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/technicians/:id/out-of-office', requirePermission('tickets.work'), (req, res) => {
+  try {
+    const technician = loadTechnicianForAvailability(req, res);
+    if (!technician) return;
+    sendTechnicianResult(req, res, assignmentService.updateTechnician(technician.id, { out_of_office_until: null, available: true }, req.session.userId));
+  } catch (err) {
+    console.error('clear out of office error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ TEAM ROUTES ============
+// IT staff teams: members, leads and the queue of tickets routed to each team
+const TEAM_ERROR_STATUS = { invalid: 400, not_found: 404, duplicate: 409, in_use: 409 };
+
+function sendTeamResult(res, result) {
+  if (result.success) return res.json(result);
+  res.status(TEAM_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+}
+
+// Team leads manage their own team's members; other teams need teams.manage
+function canManageTeamMembers(req, teamId) {
+  return hasPermission(req.user, 'teams.manage') || teamService.isLead(teamId, req.session.userId);
+}
+
+app.get('/api/teams', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    res.json({ teams: teamService.listTeams() });
+  } catch (err) {
+    console.error('list teams error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/teams/:id', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    const team = teamService.getTeam(parseInt(req.params.id));
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    res.json({ team });
+  } catch (err) {
+    console.error('get team error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Open tickets routed to the team, soonest SLA due first (?status=, ?unassigned=true)
+app.get('/api/teams/:id/queue', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    const team = teamService.getTeam(parseInt(req.params.id));
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    const queue = teamService.getQueue(team.id, {
+      status: req.query.status || null,
+      unassigned: req.query.unassigned === 'true'
+    });
+    res.json({ team: { id: team.id, name: team.name }, ...queue });
+  } catch (err) {
+    console.error('team queue error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/teams', requirePermission('teams.manage'), (req, res) => {
+  try {
+    sendTeamResult(res, teamService.createTeam(req.body || {}));
+  } catch (err) {
+    console.error('create team error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/teams/:id', requirePermission('teams.manage'), (req, res) => {
+  try {
+    sendTeamResult(res, teamService.updateTeam(parseInt(req.params.id), req.body || {}));
+  } catch (err) {
+    console.error('update team error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/teams/:id', requirePermission('teams.manage'), (req, res) => {
+  try {
+    sendTeamResult(res, teamService.deleteTeam(parseInt(req.params.id)));
+  } catch (err) {
+    console.error('delete team error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Add a member or change their role: { user_id | email, role: 'member' | 'lead' }
+app.post('/api/teams/:id/members', requirePermission('tickets.read_all'), (req, res) => {
+  const { user_id: userId, email, role } = req.body || {};
+  if (!userId && !email) return res.status(400).json({ error: 'user_id or email required' });
+  try {
+    const teamId = parseInt(req.params.id);
+    if (!canManageTeamMembers(req, teamId)) {
+      return res.status(403).json({ error: 'Only team leads and admins can manage team members' });
+    }
+    const user = userId ? authService.getUserById(userId) : authService.getUserByEmail(email);
+    const result = teamService.setMember(teamId, user, role || 'member');
+    if (result.success && websocketService) websocketService.updateTeamRoom(user.id, teamId, true);
+    sendTeamResult(res, result);
+  } catch (err) {
+    console.error('set team member error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/teams/:id/members/:userId', requirePermission('tickets.read_all'), (req, res) => {
+  try {
+    const teamId = parseInt(req.params.id);
+    const userId = parseInt(req.params.userId);
+    if (!canManageTeamMembers(req, teamId)) {
+      return res.status(403).json({ error: 'Only team leads and admins can manage team members' });
+    }
+    if (!teamService.removeMember(teamId, userId)) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+    if (websocketService) websocketService.updateTeamRoom(userId, teamId, false);
+    res.json({ success: true, team: teamService.getTeam(teamId) });
+  } catch (err) {
+    console.error('remove team member error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ RESOURCE CATALOG ROUTES ============
+// Requestable systems with their owner, risk tier, allowed access types,
+// auto-approval policy and approval chain
+const RESOURCE_ERROR_STATUS = { invalid: 400, not_found: 404, duplicate: 409 };
+
+app.get('/api/resources', requirePermission('access.request'), (req, res) => {
+  try {
+    res.json({ resources: resourceCatalogService.listResources() });
+  } catch (err) {
+    console.error('list resources error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/resources/:id', requirePermission('access.request'), (req, res) => {
+  try {
+    const resource = resourceCatalogService.getResourceById(parseInt(req.params.id));
+    if (!resource) return res.status(404).json({ error: 'Resource not found' });
+    res.json({ resource });
+  } catch (err) {
+    console.error('get resource error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/resources', requirePermission('resources.manage'), (req, res) => {
+  try {
+    const result = resourceCatalogService.createResource(req.body || {});
+    if (!result.success) return res.status(RESOURCE_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    console.log(`[CATALOG] Resource ${result.resource.name} added by user #${req.user.id}`);
+    res.json(result);
+  } catch (err) {
+    console.error('create resource error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/resources/:id', requirePermission('resources.manage'), (req, res) => {
+  try {
+    const result = resourceCatalogService.updateResource(parseInt(req.params.id), req.body || {});
+    if (!result.success) return res.status(RESOURCE_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    console.log(`[CATALOG] Resource ${result.resource.name} updated by user #${req.user.id}`);
+    res.json(result);
+  } catch (err) {
+    console.error('update resource error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/resources/:id', requirePermission('resources.manage'), (req, res) => {
+  try {
+    if (!resourceCatalogService.deleteResource(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    console.log(`[CATALOG] Resource #${req.params.id} removed by user #${req.user.id}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('delete resource error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ ACCESS REQUEST ROUTES ============
+// Requested grant length in hours from { durationHours } or { durationDays }.
+// Returns null when omitted and NaN when invalid.
+function parseRequestedDuration(body = {}) {
+  const { durationHours, durationDays } = body;
+  if (durationHours == null && durationDays == null) return null;
+  const hours = durationHours != null ? Number(durationHours) : Number(durationDays) * 24;
+  return Number.isFinite(hours) && hours > 0 ? hours : NaN;
+}
+
+app.post('/api/access-requests', requirePermission('access.request'), (req, res) => {
+  const { resourceName, accessType, justification } = req.body;
+  if (!resourceName) return res.status(400).json({ error: 'Resource name required' });
+  const requestedHours = parseRequestedDuration(req.body);
+  if (Number.isNaN(requestedHours)) return res.status(400).json({ error: 'Duration must be a positive number' });
+  if (!resourceCatalogService.isAccessTypeAllowed(resourceName, accessType)) {
+    const resource = resourceCatalogService.findResource(resourceName);
+    return res.status(400).json({ error: `${resource.name} only allows ${resource.access_types.join(', ')} access` });
+  }
+  try {
+    const durationHours = accessRequestService.resolveDurationHours(resourceCatalogService.assessRisk(resourceName), requestedHours);
+    const requestId = accessRequestService.createAccessRequest(req.session.userId, resourceName, accessType, justification, { durationHours });
+    notifyAccessApprovers(requestId);
+    res.json({ success: true, requestId, durationHours, approvals: accessApprovalService.getSteps(requestId) });
+  } catch (err) {
+    console.error('create access request error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/access-requests', requirePermission('access.request'), (req, res) => {
+  try {
+    let requests;
+    if (hasPermission(req.user, 'access.read_all')) {
+      requests = accessRequestService.getAllAccessRequests({ status: req.query.status });
+    } else {
+      requests = accessRequestService.getAccessRequestsByUser(req.session.userId);
+    }
+    res.json({ requests });
+  } catch (err) {
+    console.error('get access requests error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// "My approvals": steps currently waiting on the signed-in user
+app.get('/api/access-requests/my-approvals', requirePermission('access.review'), (req, res) => {
+  try {
+    const approvals = accessApprovalService.getPendingApprovalsForUser(req.user);
+    res.json({ approvals });
+  } catch (err) {
+    console.error('get my approvals error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/access-requests/:id/approvals', requirePermission('access.request'), (req, res) => {
+  try {
+    const request = accessRequestService.getAccessRequestById(parseInt(req.params.id));
+    if (!request) return res.status(404).json({ error: 'Access request not found' });
+    const steps = accessApprovalService.getSteps(request.id);
+    const isApprover = steps.some(step => accessApprovalService.canDecide(step, req.user, request.user_id));
+    if (request.user_id !== req.user.id && !isApprover && !hasPermission(req.user, 'access.read_all')) {
+      return res.status(403).json({ error: 'Not allowed to access this request' });
+    }
+    res.json({ request, approvals: steps });
+  } catch (err) {
+    console.error('get approvals error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Approve or deny the pending step of a request's approval chain. A reason is mandatory.
+[['approve', 'approved'], ['deny', 'denied']].forEach(([action, decision]) => {
+  app.post(`/api/access-requests/:id/${action}`, requirePermission('access.review'), (req, res) => {
+    const reason = String((req.body && req.body.reason) || '').trim();
+    if (!reason) return res.status(400).json({ error: 'Decision reason required' });
+    try {
+      const result = accessApprovalService.decide(parseInt(req.params.id), req.user, decision, reason);
+      if (!result.success) {
+        const status = { not_found: 404, forbidden: 403 }[result.reason] || 409;
+        return res.status(status).json({ error: result.error });
+      }
+      notifyAccessDecision(result, req.user);
+      res.json({
+        success: true,
+        request: result.request,
+        step: result.step,
+        nextStep: result.nextStep,
+        completed: result.completed
+      });
+    } catch (err) {
+      console.error(`${action} access request error`, err);
+      res.status(500).json({ error: String(err) });
+    }
+  });
+});
+
+// Ask to keep a time-bound grant past its expiry. The extension is a new
+// request that runs the normal approval chain; once approved it continues
+// from the end of the current grant.
+app.post('/api/access-requests/:id/extend', requirePermission('access.request'), (req, res) => {
+  const requestedHours = parseRequestedDuration(req.body);
+  if (Number.isNaN(requestedHours)) return res.status(400).json({ error: 'Duration must be a positive number' });
+  try {
+    const grant = accessRequestService.getAccessRequestById(parseInt(req.params.id));
+    if (!grant) return res.status(404).json({ error: 'Access request not found' });
+    if (grant.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the requester can extend this access' });
+    }
+    if (!['approved', 'expired'].includes(grant.status) || !grant.expires_at) {
+      return res.status(409).json({ error: 'Only time-bound grants can be extended' });
+    }
+    const pending = accessRequestService.getPendingExtension(grant.id);
+    if (pending) {
+      return res.status(409).json({ error: `Extension already requested (#${pending.id})` });
+    }
+
+    const durationHours = accessRequestService.resolveDurationHours(
+      resourceCatalogService.assessRisk(grant.resource_name),
+      requestedHours || grant.duration_hours
+    );
+    const justification = (req.body && req.body.reason) || `Extension of access request #${grant.id}`;
+    const requestId = accessRequestService.createAccessRequest(
+      grant.user_id, grant.resource_name, grant.access_type, justification,
+      { durationHours, extendsRequestId: grant.id }
+    );
+    notifyAccessApprovers(requestId);
+    res.json({ success: true, requestId, durationHours, approvals: accessApprovalService.getSteps(requestId) });
+  } catch (err) {
+    console.error('extend access request error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Shape an access_requests row for the email and websocket templates
+function toAccessRequestPayload(request, extra = {}) {
+  const resource = resourceCatalogService.findResource(request.resource_name);
+  return {
+    ...request,
+    resource: request.resource_name,
+    access_level: request.access_type,
+    requested_by: request.full_name || request.email,
+    risk_level: resource ? resource.risk_tier : 'medium',
+    provisioning_instructions: resource ? resource.provisioning_instructions : null,
+    ...extra
+  };
+}
+
+// Tell the approvers of the currently pending step that it needs a decision
+function notifyAccessApprovers(requestId) {
+  const request = accessRequestService.getAccessRequestById(requestId);
+  const step = accessApprovalService.getCurrentStep(requestId);
+  if (!request || !step) return;
+
+  const payload = toAccessRequestPayload(request, { approval_stage: step.stage });
+  for (const email of accessApprovalService.getStepRecipients(step)) {
+    if (emailService) {
+      emailService.sendAccessRequestEmail(payload, email, 'created');
+    }
+    const approver = websocketService && authService.getUserByEmail(email);
+    if (approver) {
+      websocketService.sendToUser(approver.id, 'notification', {
+        type: 'access_approval_required',
+        request: payload,
+        step,
+        timestamp: new Date().toISOString(),
+        message: `Access request #${request.id} for ${request.resource_name} needs your ${step.stage} approval`
+      });
+    }
+  }
+}
+
+// Warn the grantee a day before a time-bound grant lapses (with a one-click
+// extension link) and again once it has been revoked
+function notifyAccessExpiry(grant, stage) {
+  const payload = toAccessRequestPayload(grant);
+  if (emailService) {
+    emailService.sendAccessRequestEmail(payload, grant.email, stage);
+  }
+  if (websocketService) {
+    websocketService.sendToUser(grant.user_id, 'notification', {
+      type: stage === 'expiring' ? 'access_expiring' : 'access_expired',
+      request: payload,
+      timestamp: new Date().toISOString(),
+      message: stage === 'expiring'
+        ? `Your access to ${grant.resource_name} expires at ${grant.expires_at} UTC`
+        : `Your access to ${grant.resource_name} has expired`,
+      action: stage === 'expiring' ? { type: 'extend_access', url: `/api/access-requests/${grant.id}/extend` } : null
+    });
+  }
+}
+
+// Move the chain along: ping the next approvers, or tell the requester the outcome
+function notifyAccessDecision(result, approver) {
+  if (!result.completed) {
+    notifyAccessApprovers(result.request.id);
+    return;
+  }
+
+  const request = accessRequestService.getAccessRequestById(result.request.id);
+  const payload = toAccessRequestPayload(request, { approved_by: approver.full_name || approver.email });
+  if (emailService) {
+    emailService.sendAccessRequestEmail(payload, request.email, request.status);
+  }
+  if (websocketService) {
+    if (request.status === 'approved') {
+      websocketService.notifyAccessRequestApproved(payload);
+    } else {
+      websocketService.sendToUser(request.user_id, 'notification', {
+        type: 'access_request_denied',
+        request: payload,
+        timestamp: new Date().toISOString(),
+        message: `Access request denied: ${request.resource_name}`
+      });
+    }
+  }
+}
+
+// ============ ACCESS CERTIFICATION ROUTES ============
+// Periodic campaigns asking owners/managers to keep or revoke every current grant
+const CERTIFICATION_ERROR_STATUS = { invalid: 400, invalid_decision: 400, empty: 409, not_found: 404, forbidden: 403, invalid_state: 409 };
+
+app.post('/api/access-certifications', requirePermission('access.certify'), (req, res) => {
+  try {
+    const result = accessCertificationService.createCampaign(req.body || {}, req.user.id);
+    if (!result.success) return res.status(CERTIFICATION_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    console.log(`[CERTIFICATION] Campaign #${result.campaign.id} started with ${result.campaign.progress.total} grants`);
+    notifyCertificationReviewers(result.campaign);
+    res.json(result);
+  } catch (err) {
+    console.error('create certification error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/access-certifications', requirePermission('access.certify'), (req, res) => {
+  try {
+    res.json({ campaigns: accessCertificationService.listCampaigns({ status: req.query.status }) });
+  } catch (err) {
+    console.error('list certifications error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Grants waiting on the signed-in reviewer across open campaigns
+app.get('/api/access-certifications/my-reviews', requirePermission('access.review'), (req, res) => {
+  try {
+    res.json({ reviews: accessCertificationService.getPendingReviewsForUser(req.user) });
+  } catch (err) {
+    console.error('get my reviews error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/access-certifications/:id', requirePermission('access.certify'), (req, res) => {
+  try {
+    const campaignId = parseInt(req.params.id);
+    const campaign = accessCertificationService.getCampaign(campaignId);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    res.json({ campaign, items: accessCertificationService.getItems(campaignId) });
+  } catch (err) {
+    console.error('get certification error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Close early: unreviewed grants are revoked exactly as at the deadline
+app.post('/api/access-certifications/:id/close', requirePermission('access.certify'), (req, res) => {
+  try {
+    const result = accessCertificationService.closeCampaign(parseInt(req.params.id));
+    if (!result.success) return res.status(CERTIFICATION_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    result.revoked.forEach(grant => notifyAccessRevoked(grant));
+    res.json({ success: true, campaign: result.campaign, revoked: result.revoked.length });
+  } catch (err) {
+    console.error('close certification error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Evidence pack for auditors
+app.get('/api/access-certifications/:id/export', requirePermission('access.certify'), (req, res) => {
+  try {
+    const campaignId = parseInt(req.params.id);
+    const csv = accessCertificationService.exportCsv(campaignId);
+    if (csv === null) return res.status(404).json({ error: 'Campaign not found' });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="access-certification-${campaignId}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    console.error('export certification error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+for (const decision of ['keep', 'revoke']) {
+  app.post(`/api/access-certifications/items/:itemId/${decision}`, requirePermission('access.review'), (req, res) => {
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (decision === 'revoke' && !reason) {
+      return res.status(400).json({ error: 'A reason is required to revoke access' });
+    }
+    try {
+      const result = accessCertificationService.decide(parseInt(req.params.itemId), req.user, decision, reason);
+      if (!result.success) return res.status(CERTIFICATION_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+      if (result.revoked) notifyAccessRevoked(result.revoked);
+      res.json(result);
+    } catch (err) {
+      console.error(`certification ${decision} error`, err);
+      res.status(500).json({ error: String(err) });
+    }
+  });
+}
+
+function notifyCertificationReviewers(campaign) {
+  for (const { email, items } of accessCertificationService.getReviewerEmails(campaign.id)) {
+    if (emailService) {
+      emailService.sendAccessCertificationEmail(campaign, email, items);
+    }
+    const reviewer = websocketService && authService.getUserByEmail(email);
+    if (reviewer) {
+      websocketService.sendToUser(reviewer.id, 'notification', {
+        type: 'access_review_required',
+        campaign,
+        timestamp: new Date().toISOString(),
+        message: `${items} access grant(s) need your review in "${campaign.name}" by ${campaign.due_at} UTC`
+      });
+    }
+  }
+}
+
+function notifyAccessRevoked(grant) {
+  const payload = toAccessRequestPayload(grant);
+  if (emailService) {
+    emailService.sendAccessRequestEmail(payload, grant.email, 'revoked');
+  }
+  if (websocketService) {
+    websocketService.sendToUser(grant.user_id, 'notification', {
+      type: 'access_revoked',
+      request: payload,
+      timestamp: new Date().toISOString(),
+      message: `Your access to ${grant.resource_name} has been revoked`
+    });
+  }
+}
+
+// ============ ONBOARDING ROUTES ============
+const ONBOARDING_ERROR_STATUS = { invalid: 400, forbidden: 403, not_found: 404, expired: 410, used: 410, use_login: 409, disabled: 403, blocked: 409, duplicate: 409, invalid_transition: 409, in_use: 409 };
+
+function sendOnboardingResult(res, result) {
+  if (result.success) return res.json(result);
+  const body = { error: result.error };
+  if (result.blocked_by) body.blocked_by = result.blocked_by;
+  res.status(ONBOARDING_ERROR_STATUS[result.reason] || 400).json(body);
+}
+
+function canViewChecklist(req, checklist) {
+  return hasPermission(req.user, 'onboarding.read_all') || onboardingService.involves(req.user, checklist);
+}
+
+// The checklist's creator and onboarding (or offboarding) managers edit it and its tasks
+function canManageChecklist(req, checklist) {
+  const permission = checklist.type === 'offboarding' ? 'offboarding.manage' : 'onboarding.manage';
+  return checklist.user_id === req.session.userId || hasPermission(req.user, permission);
+}
+
+// Tasks are ticked off by whoever is responsible for them, or anyone who manages the checklist
+function canWorkTask(req, checklist, task) {
+  return canManageChecklist(req, checklist) || onboardingService.isResponsible(req.user, checklist, task);
+}
+
+// Loads the checklist for a route, answering 404/403 itself when it cannot be used.
+// Offboarding checklists are only served under /api/offboarding.
+function loadChecklist(req, res, canUse = canViewChecklist) {
+  const checklist = onboardingService.getChecklist(parseInt(req.params.id));
+  const type = req.path.startsWith('/api/offboarding') ? 'offboarding' : 'onboarding';
+  if (!checklist || checklist.type !== type) {
+    res.status(404).json({ error: 'Checklist not found' });
+    return null;
+  }
+  if (!canUse(req, checklist)) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  return checklist;
+}
+
+// Tell the checklist's creator and the manager that onboarding (or offboarding, with its report) is complete
+function notifyChecklistCompleted(checklist) {
+  const creator = authService.getUserById(checklist.user_id);
+  const recipients = [...new Set([creator && creator.email, checklist.manager_email].filter(Boolean))];
+  const offboarding = checklist.type === 'offboarding';
+  const report = offboarding ? offboardingService.getReport(checklist.id) : null;
+  let message = `${offboarding ? 'Offboarding' : 'Onboarding'} for ${checklist.employee_name} is complete: all ${checklist.progress.total} task(s) are done.`;
+  if (report) {
+    message += ` ${report.access.length} access grant(s) revoked, ${report.assets.length} asset return ticket(s) closed, account disabled ${report.account_disabled_at}.`;
+  }
+  if (recipients.length) {
+    notificationService.sendNotification({
+      type: `${checklist.type}_completed`,
+      recipients,
+      subject: `${offboarding ? 'Offboarding' : 'Onboarding'} complete: ${checklist.employee_name}`,
+      message,
+      checklist_id: checklist.id,
+      ...(report ? { report } : {})
+    }).catch(err => console.warn('[ONBOARDING] notification error', err.message));
+  }
+  if (websocketService) {
+    for (const email of recipients) {
+      const user = authService.getUserByEmail(email);
+      if (user) {
+        websocketService.sendToUser(user.id, 'notification', {
+          type: `${checklist.type}_completed`,
+          checklist_id: checklist.id,
+          timestamp: new Date().toISOString(),
+          message
+        });
+      }
+    }
+  }
+}
+
+// Create the accounts for a checklist's systems in the background. Systems
+// handed to IT get a task, so reminders are rescheduled afterwards.
+function provisionAccounts(checklistId, options) {
+  return provisioningService.provisionChecklist(checklistId, options)
+    .then(jobs => {
+      if (jobs.some(job => job.status === 'manual')) agentService.scheduleChecklistReminders(checklistId);
+      return jobs;
+    })
+    .catch(err => console.warn('[PROVISIONING] error', err.message));
+}
+
+// Without checklistItems the checklist is composed from the onboarding templates matching the role, department and location
+app.post('/api/onboarding', requirePermission('onboarding.create'), (req, res) => {
+  const { employeeName, role, department, location, welcomeMessage } = req.body;
+  let { checklistItems, systemsToProvision } = req.body;
+  if (!employeeName) return res.status(400).json({ error: 'Employee name required' });
+  const details = {
+    start_date: req.body.startDate,
+    employee_email: req.body.employeeEmail,
+    manager_email: req.body.managerEmail,
+    department,
+    location
+  };
+  try {
+    let welcome = welcomeMessage;
+    if (checklistItems === undefined || checklistItems === null) {
+      const composed = onboardingTemplateService.compose({ role, department, location });
+      if (!composed) return res.status(400).json({ error: 'No onboarding template matches this hire; give checklistItems' });
+      checklistItems = composed.tasks;
+      systemsToProvision = systemsToProvision || composed.systems_to_provision;
+      welcome = welcome || composed.welcome_message;
+      details.template_versions = composed.templates;
+    }
+    const { error } = onboardingService.validateChecklist(checklistItems, details);
+    if (error) return res.status(400).json({ error });
+
+    const checklistId = onboardingService.createChecklist(
+      req.session.userId,
+      employeeName,
+      role,
+      checklistItems,
+      systemsToProvision,
+      welcome,
+      details
+    );
+    
+    // Auto-schedule reminders for checklist tasks
+    const reminderResult = agentService.scheduleChecklistReminders(checklistId);
+    const provisioning = provisioningService.queueChecklist(checklistId);
+    provisionAccounts(checklistId);
+    const portalInvite = details.employee_email ? invitePortal(checklistId, req.session.userId) : null;
+    
+    res.json({
+      success: true,
+      checklistId,
+      checklist: onboardingService.getChecklist(checklistId),
+      reminders: reminderResult,
+      provisioning,
+      portal_invite_sent: !!(portalInvite && portalInvite.success)
+    });
+  } catch (err) {
+    console.error('create onboarding error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/onboarding', requirePermission('onboarding.read_own'), (req, res) => {
+  try {
+    let checklists;
+    if (hasPermission(req.user, 'onboarding.read_all')) {
+      checklists = onboardingService.getAllChecklists();
+    } else {
+      checklists = onboardingService.getChecklistsInvolving(req.user);
+    }
+    res.json({ success: true, checklists });
+  } catch (err) {
+    console.error('get onboarding error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Onboarding Cadence Reminders
+app.get('/api/onboarding/reminders', requirePermission('onboarding.read_all'), (req, res) => {
+  try {
+    const reminders = onboardingService.getDueTasks();
+    
+    // Send notifications for overdue and due today items
+    if (reminders.overdue.length > 0 || reminders.due_today.length > 0) {
+      sendOnboardingReminders(reminders);
+    }
+    
+    res.json({ success: true, reminders });
+  } catch (err) {
+    console.error('Onboarding reminders error:', err);
+    res.status(500).json({ error: 'Failed to get reminders' });
+  }
+});
+
+// Open onboarding tasks the current user is responsible for
+app.get('/api/onboarding/tasks/mine', requirePermission('onboarding.read_own'), (req, res) => {
+  try {
+    res.json({ tasks: onboardingService.getTasksForUser(req.user) });
+  } catch (err) {
+    console.error('my onboarding tasks error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get(['/api/onboarding/:id', '/api/offboarding/:id'], requirePermission('onboarding.read_own'), (req, res) => {
+  try {
+    const checklist = loadChecklist(req, res);
+    if (!checklist) return;
+    res.json({ checklist, ...(checklist.type === 'onboarding' ? { provisioning: provisioningService.getJobs(checklist.id) } : {}) });
+  } catch (err) {
+    console.error('get checklist error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Update the hire's details, start date or manager; task due dates and reminders follow the start date
+app.patch('/api/onboarding/:id', requirePermission('onboarding.read_own'), (req, res) => {
+  try {
+    const checklist = loadChecklist(req, res, canManageChecklist);
+    if (!checklist) return;
+    const { employee_name, role, department, location, start_date, employee_email, manager_email } = req.body || {};
+    const result = onboardingService.updateChecklist(checklist.id, {
+      employee_name, role, department, location, start_date, employee_email, manager_email
+    });
+    if (result.success) agentService.scheduleChecklistReminders(checklist.id);
+    sendOnboardingResult(res, result);
+  } catch (err) {
+    console.error('update checklist error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post(['/api/onboarding/:id/tasks', '/api/offboarding/:id/tasks'], requirePermission('onboarding.read_own'), (req, res) => {
+  try {
+    const checklist = loadChecklist(req, res, canManageChecklist);
+    if (!checklist) return;
+    const result = onboardingService.addTask(checklist.id, req.body || {});
+    if (result.success) agentService.scheduleChecklistReminders(checklist.id);
+    sendOnboardingResult(res, result);
+  } catch (err) {
+    console.error('add onboarding task error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch(['/api/onboarding/:id/tasks/:taskId', '/api/offboarding/:id/tasks/:taskId'], requirePermission('onboarding.read_own'), (req, res) => {
+  try {
+    const checklist = loadChecklist(req, res, canManageChecklist);
+    if (!checklist) return;
+    const { title, description, owner, assignee_user_id, due_in_days, depends_on } = req.body || {};
+    const result = onboardingService.updateTask(checklist.id, parseInt(req.params.taskId), {
+      title, description, owner, assignee_user_id, due_in_days, depends_on
+    });
+    if (result.success) agentService.scheduleChecklistReminders(checklist.id);
+    sendOnboardingResult(res, result);
+  } catch (err) {
+    console.error('update onboarding task error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Start, complete (with evidence, or acknowledged: true for a policy acknowledgement) or reopen a task. Completing an offboarding
+// revocation task revokes the grant; completing the disable task disables the account.
+app.post(['/api/onboarding/:id/tasks/:taskId/:action', '/api/offboarding/:id/tasks/:taskId/:action'], requirePermission('onboarding.read_own'), (req, res) => {
+  const { action } = req.params;
+  if (!['start', 'complete', 'reopen'].includes(action)) return res.status(404).json({ error: 'Unknown task action' });
+  try {
+    const checklist = loadChecklist(req, res);
+    if (!checklist) return;
+    const task = checklist.tasks.find(t => t.id === parseInt(req.params.taskId));
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!canWorkTask(req, checklist, task)) return res.status(403).json({ error: 'Forbidden' });
+
+    let result;
+    if (action === 'start') {
+      result = onboardingService.startTask(checklist.id, task.id);
+    } else if (action === 'complete') {
+      const { evidence, acknowledged } = req.body || {};
+      result = onboardingService.completeTask(checklist.id, task.id, evidence, req.session.userId, { acknowledged });
+      if (result.success && checklist.type === 'offboarding') {
+        const revoked = offboardingService.applyTaskAction(checklist, task, req.session.userId);
+        if (revoked) notifyAccessRevoked(revoked);
+        result = { ...result, checklist: onboardingService.getChecklist(checklist.id) };
+      }
+      if (result.checklist_completed) notifyChecklistCompleted(result.checklist);
+    } else {
+      result = onboardingService.reopenTask(checklist.id, task.id);
+      if (result.success) agentService.scheduleChecklistReminders(checklist.id);
+    }
+    sendOnboardingResult(res, result);
+  } catch (err) {
+    console.error(`onboarding task ${action} error`, err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Account provisioning for the checklist's systems
+app.get('/api/onboarding/:id/provisioning', requirePermission('onboarding.read_own'), (req, res) => {
+  try {
+    const checklist = loadChecklist(req, res);
+    if (!checklist) return;
+    res.json({ jobs: provisioningService.getJobs(checklist.id) });
+  } catch (err) {
+    console.error('get provisioning error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Provision every system not done yet, including those handed to IT
+app.post('/api/onboarding/:id/provisioning', requirePermission('provisioning.manage'), async (req, res) => {
+  try {
+    const checklist = loadChecklist(req, res);
+    if (!checklist) return;
+    res.json({ success: true, jobs: await provisionAccounts(checklist.id, { includeManual: true }) });
+  } catch (err) {
+    console.error('run provisioning error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/onboarding/:id/provisioning/:jobId/retry', requirePermission('provisioning.manage'), async (req, res) => {
+  try {
+    const checklist = loadChecklist(req, res);
+    if (!checklist) return;
+    const job = provisioningService.getJob(parseInt(req.params.jobId));
+    if (!job || job.checklist_id !== checklist.id) return res.status(404).json({ error: 'Provisioning job not found' });
+    const result = await provisioningService.retryJob(job.id);
+    if (result.success && result.job.status === 'manual') agentService.scheduleChecklistReminders(checklist.id);
+    sendOnboardingResult(res, result);
+  } catch (err) {
+    console.error('retry provisioning error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/provisioning/connectors', requirePermission('provisioning.manage'), (req, res) => {
+  try {
+    res.json({ connectors: provisioningService.getConnectors() });
+  } catch (err) {
+    console.error('list connectors error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ ONBOARDING TEMPLATE ROUTES ============
+// HR's checklist templates; ?include_inactive=true needs onboarding.templates
+app.get('/api/onboarding-templates', requirePermission('onboarding.create'), (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true' && hasPermission(req.user, 'onboarding.templates');
+    res.json({ templates: onboardingTemplateService.listTemplates({ includeInactive }) });
+  } catch (err) {
+    console.error('list onboarding templates error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// The checklist a hire with ?role=&department=&location= would get
+app.get('/api/onboarding-templates/preview', requirePermission('onboarding.create'), (req, res) => {
+  try {
+    const { role, department, location } = req.query;
+    res.json({ checklist: onboardingTemplateService.compose({ role, department, location }) });
+  } catch (err) {
+    console.error('preview onboarding template error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/onboarding-templates/:id', requirePermission('onboarding.create'), (req, res) => {
+  try {
+    const template = onboardingTemplateService.getTemplate(parseInt(req.params.id));
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json({ template, versions: onboardingTemplateService.getVersions(template.id) });
+  } catch (err) {
+    console.error('get onboarding template error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/onboarding-templates', requirePermission('onboarding.templates'), (req, res) => {
+  try {
+    sendOnboardingResult(res, onboardingTemplateService.createTemplate(req.body || {}, req.session.userId));
+  } catch (err) {
+    console.error('create onboarding template error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.patch('/api/onboarding-templates/:id', requirePermission('onboarding.templates'), (req, res) => {
+  try {
+    sendOnboardingResult(res, onboardingTemplateService.updateTemplate(parseInt(req.params.id), req.body || {}, req.session.userId));
+  } catch (err) {
+    console.error('update onboarding template error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/onboarding-templates/:id', requirePermission('onboarding.templates'), (req, res) => {
+  try {
+    sendOnboardingResult(res, onboardingTemplateService.deleteTemplate(parseInt(req.params.id)));
+  } catch (err) {
+    console.error('delete onboarding template error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ============ OFFBOARDING ROUTES ============
+// Let IT know about the asset return tickets an offboarding raised
+function notifyOffboardingStarted(req, result) {
+  if (!websocketService) return;
+  result.tickets.forEach(ticket => websocketService.notifyTicketCreated(ticket, req.session.userId));
+}
+
+// Tick off asset return tasks whose tickets are done; called for the updated ticket and periodically for all
+function completeReturnedAssets(options = {}) {
+  offboardingService.completeReturnedAssets(options)
+    .filter(result => result.checklist_completed)
+    .forEach(result => notifyChecklistCompleted(result.checklist));
+}
+
+// HR starts an offboarding for `user_id` (or `email`) leaving on `last_day`
+app.post('/api/offboarding', requirePermission('offboarding.manage'), (req, res) => {
+  const { user_id, email, last_day } = req.body || {};
+  try {
+    const user = user_id ? authService.getUserById(parseInt(user_id)) : email ? authService.getUserByEmail(String(email).trim()) : null;
+    if (!user_id && !email) return res.status(400).json({ error: 'user_id or email required' });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const result = offboardingService.startOffboarding(user.id, last_day, req.session.userId);
+    if (result.success) {
+      agentService.scheduleChecklistReminders(result.checklist.id);
+      notifyOffboardingStarted(req, result);
+    }
+    sendOnboardingResult(res, result);
+  } catch (err) {
+    console.error('start offboarding error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// "offboard Sarah on Friday" in chat; returns the reply and the action taken
+function offboardFromChat(req, message) {
+  if (!hasPermission(req.user, 'offboarding.manage')) {
+    return { response: 'Only HR can start an offboarding.', action: null };
+  }
+  const request = offboardingService.parseRequest(message);
+  if (!request || !request.lastDay) {
+    return { response: 'Who is leaving, and when is their last day? For example: "offboard Sarah on Friday" or "offboard sarah@example.com on 2026-11-03".', action: null };
+  }
+  const users = offboardingService.findUsers(request.name);
+  if (!users.length) return { response: `I couldn't find an active user called "${request.name}".`, action: null };
+  if (users.length > 1) {
+    return {
+      response: `More than one user matches "${request.name}"; which one do you mean?\n${users.slice(0, 5).map(u => `- ${u.full_name || u.email} (${u.email})`).join('\n')}`,
+      action: { type: 'offboarding_ambiguous', count: users.length }
+    };
+  }
+  const result = offboardingService.startOffboarding(users[0].id, request.lastDay, req.session.userId);
+  if (!result.success) return { response: `I couldn't start the offboarding: ${result.error}`, action: null };
+  agentService.scheduleChecklistReminders(result.checklist.id);
+  notifyOffboardingStarted(req, result);
+  const revocations = result.checklist.tasks.filter(t => t.action === 'revoke_access').length;
+  return {
+    response: `Offboarding started for ${result.checklist.employee_name}, last day ${result.checklist.last_day} (checklist #${result.checklist.id}):\n` +
+      `- ${revocations} access grant(s) to revoke\n` +
+      `- Asset return tickets: ${result.tickets.map(t => `#${t.id}`).join(', ')}\n` +
+      `- The account is disabled at the end of the last day`,
+    action: { type: 'offboarding_started', checklist_id: result.checklist.id }
+  };
+}
+
+app.get('/api/offboarding', requirePermission('onboarding.read_own'), (req, res) => {
+  try {
+    const checklists = hasPermission(req.user, 'onboarding.read_all')
+      ? onboardingService.getAllChecklists('offboarding')
+      : onboardingService.getChecklistsInvolving(req.user, 'offboarding');
+    res.json({ success: true, checklists });
+  } catch (err) {
+    console.error('list offboarding error', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Move the last day; task due dates, reminders and the account disabling follow it
+app.patch('/api/offboarding/:id', requirePermission('offboarding.manage'), (req, res) => {
+  try {
+    const checklist = loadChecklist(req, res);
+    if (!checklist) return;
+    const result = offboardingService.changeLastDay(checklist.id, (req.body || {}).last_day);
+    if (result.success) agentService.scheduleChecklistReminders(checklist.id);
+    sendOnboardingResult(res, result);
   } catch (err) {
-    console.error('signup error', err);
-    res.status(400).json({ error: 'User already exists or invalid input' });
+    console.error('update offboarding error', err);
+    res.status(500).json({ error: String(err) });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password required' });
-  }
+app.get('/api/offboarding/:id/report', requirePermission('onboarding.read_own'), (req, res) => {
   try {
-    const user = await authService.authenticate(email, password);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-    req.session.userId = user.id;
-    res.json({ success: true, user });
+    const checklist = loadChecklist(req, res);
+    if (!checklist) return;
+    res.json({ report: offboardingService.getReport(checklist.id) });
   } catch (err) {
-    console.error('login error', err);
-    res.status(500).json({ error: 'Login failed' });
+    console.error('offboarding report error', err);
+    res.status(500).json({ error: String(err) });
   }
 });
 
-app.post('/api/auth/logout', (req, res) => {
-  req.session.destroy();
-  res.json({ success: true });
+// ============ NEW HIRE PORTAL ROUTES ============
+// Issue a portal magic link for the checklist's new hire and email it to them
+function invitePortal(checklistId, actorId) {
+  const result = portalService.issueInvite(checklistId, actorId);
+  if (result.success && emailService) emailService.sendPortalInviteEmail(result.invite, result.checklist);
+  return result;
+}
+
+// HR (re)sends the new hire's portal link; earlier links stop working. The link only goes to the hire.
+app.post('/api/onboarding/:id/portal-invite', requirePermission('onboarding.read_own'), (req, res) => {
+  try {
+    const checklist = loadChecklist(req, res, canManageChecklist);
+    if (!checklist) return;
+    const result = invitePortal(checklist.id, req.session.userId);
+    if (!result.success) return sendOnboardingResult(res, result);
+    res.json({ success: true, sent_to: checklist.employee_email, email_sent: !!emailService, expires_at: result.invite.expires_at });
+  } catch (err) {
+    console.error('portal invite error', err);
+    res.status(500).json({ error: String(err) });
+  }
 });
 
-app.get('/api/auth/me', requireAuth, (req, res) => {
-  const user = authService.getUserById(req.session.userId);
-  if (!user) return res.status(404).json({ error: 'User not found' });
-  res.json({ user });
+// Link requests need no sign-in, so each IP address gets a few an hour
+const PORTAL_LINK_REQUESTS_PER_IP = parseInt(process.env.PORTAL_LINK_REQUESTS_PER_IP || '10', 10);
+const portalLinkRequests = new Map();
+
+function allowPortalLinkRequest(ip) {
+  const hourAgo = Date.now() - 60 * 60 * 1000;
+  for (const [key, times] of portalLinkRequests) {
+    const recent = times.filter(time => time > hourAgo);
+    if (recent.length) portalLinkRequests.set(key, recent);
+    else portalLinkRequests.delete(key);
+  }
+  const times = portalLinkRequests.get(ip) || [];
+  if (times.length >= PORTAL_LINK_REQUESTS_PER_IP) return false;
+  portalLinkRequests.set(ip, [...times, Date.now()]);
+  return true;
+}
+
+// A new hire asks for a fresh link by email; the answer never says whether one was sent
+app.post('/api/portal/request-link', (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Email required' });
+  if (!allowPortalLinkRequest(req.ip)) return res.status(429).json({ error: 'Too many link requests; try again later' });
+  try {
+    const result = portalService.requestLink(email);
+    if (result && result.success && emailService) emailService.sendPortalInviteEmail(result.invite, result.checklist);
+    res.json({ success: true, message: 'If you have an onboarding with this email, a sign-in link is on its way.' });
+  } catch (err) {
+    console.error('portal link request error', err);
+    res.status(500).json({ error: String(err) });
+  }
 });
 
-// ============ TICKET ROUTES ============
-app.post('/api/tickets', requireAuth, (req, res) => {
-  const { title, description, priority, category, assignee, tags } = req.body;
-  if (!title) return res.status(400).json({ error: 'Title required' });
+// The magic link from the invite email. Mail scanners follow links, so opening it
+// only shows a confirmation page; the page posts the token back to sign in.
+app.get('/api/portal/login/:token', (req, res) => {
   try {
-    // Agent classification augmentation
-    const classification = agentService.classifyTicket(`${title} ${description || ''}`);
-    const ticketId = ticketService.createTicket(req.session.userId, {
-      title,
-      description,
-      priority: priority || classification.priority,
-      category: category || classification.category,
-      assignee: assignee || classification.assigneeSuggestion,
-      tags
-    });
-    res.json({ success: true, ticketId, classification });
+    const invite = portalService.getInvite(req.params.token);
+    if (!invite || invite.revoked_at) return res.status(404).send('<p>This link is not valid. <a href="/login.html">Sign in</a></p>');
+    res.redirect(`/portal-login.html?${new URLSearchParams({ token: invite.token })}`);
   } catch (err) {
-    console.error('create ticket error', err);
+    console.error('portal link error', err);
     res.status(500).json({ error: String(err) });
   }
 });
 
-app.get('/api/tickets', requireAuth, (req, res) => {
+// Sign in with the magic link's token. The token stands in for a password and works once.
+app.post('/api/portal/login/:token', (req, res) => {
   try {
-    const user = authService.getUserById(req.session.userId);
-    let tickets;
-    if (user.role === 'admin' || user.role === 'it_staff') {
-      const startDate = req.query.startDate;
-      tickets = ticketService.getAllTickets({ status: req.query.status, startDate });
-    } else {
-      tickets = ticketService.getTicketsByUser(req.session.userId);
-    }
-    res.json({ tickets });
+    const result = portalService.redeemInvite(req.params.token);
+    if (!result.success) return sendOnboardingResult(res, result);
+    req.session.userId = result.user.id;
+    res.json({ success: true, user: result.user });
   } catch (err) {
-    console.error('get tickets error', err);
+    console.error('portal login error', err);
     res.status(500).json({ error: String(err) });
   }
 });
 
-// ============ ACCESS REQUEST ROUTES ============
-app.post('/api/access-requests', requireAuth, (req, res) => {
-  const { resourceName, accessType, justification } = req.body;
-  if (!resourceName) return res.status(400).json({ error: 'Resource name required' });
+// The new hire's checklist, welcome message, first-week schedule and own tasks
+app.get('/api/portal', requirePermission('portal.use'), (req, res) => {
   try {
-    const requestId = accessRequestService.createAccessRequest(req.session.userId, resourceName, accessType, justification);
-    res.json({ success: true, requestId });
+    const portal = portalService.getPortal(req.user);
+    if (!portal) return res.status(404).json({ error: 'No onboarding found for your account' });
+    res.json({ user: req.user, ...portal });
   } catch (err) {
-    console.error('create access request error', err);
+    console.error('get portal error', err);
     res.status(500).json({ error: String(err) });
   }
 });
 
-app.get('/api/access-requests', requireAuth, (req, res) => {
+// Complete one of your own tasks: { evidence }, or { acknowledged: true } for a policy acknowledgement
+app.post('/api/portal/tasks/:taskId/complete', requirePermission('portal.use'), (req, res) => {
   try {
-    const user = authService.getUserById(req.session.userId);
-    let requests;
-    if (user.role === 'admin' || user.role === 'it_staff') {
-      requests = accessRequestService.getAllAccessRequests({ status: req.query.status });
-    } else {
-      requests = accessRequestService.getAccessRequestsByUser(req.session.userId);
-    }
-    res.json({ requests });
+    const result = portalService.completeTask(req.user, parseInt(req.params.taskId), req.body || {});
+    if (result.checklist_completed) notifyChecklistCompleted(result.checklist);
+    sendOnboardingResult(res, result);
   } catch (err) {
-    console.error('get access requests error', err);
+    console.error('complete portal task error', err);
     res.status(500).json({ error: String(err) });
   }
 });
 
-// ============ ONBOARDING ROUTES ============
-app.post('/api/onboarding', requireAuth, (req, res) => {
-  const { employeeName, role, checklistItems, systemsToProvision, welcomeMessage } = req.body;
-  if (!employeeName) return res.status(400).json({ error: 'Employee name required' });
+// Set a password so the hire can also sign in without a link
+app.post('/api/portal/password', requirePermission('portal.use'), (req, res) => {
+  const { password } = req.body || {};
+  if (!password || String(password).length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
   try {
-    const checklistId = onboardingService.createChecklist(
-      req.session.userId,
-      employeeName,
-      role,
-      checklistItems,
-      systemsToProvision,
-      welcomeMessage
-    );
-    
-    // Auto-schedule reminders for checklist items
-    const reminderResult = agentService.scheduleChecklistReminders(checklistId);
-    
-    res.json({ success: true, checklistId, reminders: reminderResult });
+    authService.setPassword(req.session.userId, String(password));
+    res.json({ success: true });
   } catch (err) {
-    console.error('create onboarding error', err);
+    console.error('set portal password error', err);
     res.status(500).json({ error: String(err) });
   }
 });
 
-app.get('/api/onboarding', requireAuth, (req, res) => {
+// The assistant in onboarding-scoped mode: it only knows and talks about the hire's onboarding
+app.post('/api/portal/chat', requirePermission('portal.use'), async (req, res) => {
+  const { message } = req.body || {};
+  if (!message) return res.status(400).json({ error: 'Message required' });
   try {
-    const user = authService.getUserById(req.session.userId);
-    let checklists;
-    if (user.role === 'admin' || user.role === 'hr') {
-      checklists = onboardingService.getAllChecklists();
-    } else {
-      checklists = onboardingService.getChecklistsByUser(req.session.userId);
+    const portal = portalService.getPortal(req.user);
+    if (!portal) return res.status(404).json({ error: 'No onboarding found for your account' });
+    const userId = req.session.userId;
+    conversationService.saveMessage(userId, message, 'user', { scope: 'onboarding' });
+
+    let response = portalService.quickAnswer(portal, message);
+    if (!response) {
+      const manager = portal.checklist.manager_email;
+      const prompt = prompts.render({ scenario: 'new_hire', message, context: portalService.describe(portal) });
+      const aiResponse = await callModel(prompt, {
+        model: 'gpt-4o-mini',
+        temperature: 0.3,
+        fallback: `I can help with your onboarding: ask about your tasks, your first week or your start date. For anything else, HR${manager ? ` or your manager (${manager})` : ''} can help.`
+      });
+      response = aiResponse.text;
     }
-    res.json({ checklists });
+
+    conversationService.saveMessage(userId, response, 'assistant', { scope: 'onboarding' });
+    res.json({ response, scope: 'onboarding' });
   } catch (err) {
-    console.error('get onboarding error', err);
+    console.error('portal chat error', err);
     res.status(500).json({ error: String(err) });
   }
 });
@@ -346,7 +3063,7 @@ app.get('/api/onboarding', requireAuth, (req, res) => {
 // ============ AI CHAT ROUTES (Use Cases) ============
 
 // Use case 1: Employee asks for access → Bot creates access request
-app.post('/api/chat/access', requireAuth, async (req, res) => {
+app.post('/api/chat/access', requirePermission('chat.use', 'access.request'), async (req, res) => {
   const { message } = req.body;
   if (!message) return res.status(400).json({ error: 'Message required' });
   
@@ -355,10 +3072,17 @@ app.post('/api/chat/access', requireAuth, async (req, res) => {
     const aiResponse = await callModel(prompt, { model: 'gpt-4o-mini', temperature: 0.15 });
     
     const text = aiResponse.text;
-    const resourceMatch = text.match(/resource[:\s]+([A-Za-z0-9\s]+)/i) || text.match(/(Figma|Jira|GitHub|Slack|AWS|Azure)/i);
-    const resourceName = resourceMatch ? resourceMatch[1].trim() : message.split(' ').slice(-1)[0];
+    // Prefer a catalog resource named by the user, then one named in the model's reply
+    const catalogMatch = resourceCatalogService.findResourceInText(message) || resourceCatalogService.findResourceInText(text);
+    const resourceMatch = text.match(/resource[:\s]+([A-Za-z0-9\s]+)/i);
+    const resourceName = catalogMatch
+      ? catalogMatch.name
+      : (resourceMatch ? resourceMatch[1].trim() : message.split(' ').slice(-1)[0]);
     
-    const requestId = accessRequestService.createAccessRequest(req.session.userId, resourceName, 'read', message);
+    const requestId = accessRequestService.createAccessRequest(req.session.userId, resourceName, 'read', message, {
+      durationHours: accessRequestService.resolveDurationHours(resourceCatalogService.assessRisk(resourceName))
+    });
+    notifyAccessApprovers(requestId);
     
     res.json({
       aiResponse: text,
@@ -373,7 +3097,7 @@ app.post('/api/chat/access', requireAuth, async (req, res) => {
 });
 
 // Use case 2: HR asks for onboarding checklist → Bot retrieves and displays
-app.post('/api/chat/onboarding', requireAuth, async (req, res) => {
+app.post('/api/chat/onboarding', requirePermission('chat.use', 'onboarding.read_own'), async (req, res) => {
   const { message } = req.body;
   if (!message) return res.status(400).json({ error: 'Message required' });
   
@@ -395,7 +3119,7 @@ app.post('/api/chat/onboarding', requireAuth, async (req, res) => {
 });
 
 // Use case 3: IT staff asks for open tickets → Bot fetches data
-app.post('/api/chat/tickets', requireAuth, async (req, res) => {
+app.post('/api/chat/tickets', requirePermission('chat.use', 'tickets.read_all'), async (req, res) => {
   const { message } = req.body;
   if (!message) return res.status(400).json({ error: 'Message required' });
   
@@ -429,7 +3153,7 @@ app.post('/api/chat/tickets', requireAuth, async (req, res) => {
 });
 
 // Legacy chat endpoint (generic)
-app.post('/api/chat', requireAuth, async (req, res) => {
+app.post('/api/chat', requirePermission('chat.use'), async (req, res) => {
   const { message, scenario } = req.body || {};
   if (!message) return res.status(400).json({ error: 'message required' });
 
@@ -445,13 +3169,107 @@ app.post('/api/chat', requireAuth, async (req, res) => {
 
 // ============ CONVERSATIONAL AI ENHANCEMENTS ============
 
+// One line per active incident for chat answers
+function describeActiveIncidents(incidents) {
+  return incidents.map(incident => {
+    let line = `- ${incident.major ? 'Major incident' : 'Incident'} #${incident.id}: ${incident.title}`;
+    if (incident.service) line += ` (${incident.service})`;
+    line += `, status: ${incident.status.replace(/_/g, ' ')}`;
+    if (incident.workaround) line += `. Workaround: ${incident.workaround}`;
+    return line;
+  }).join('\n');
+}
+
+// { response, action } when the message rates the survey the assistant just asked about, else null
+function answerSurveyPrompt(userId, message) {
+  const [last] = conversationService.getConversationHistory(userId, 1);
+  if (!last || last.role !== 'assistant' || last.metadata.type !== 'csat_survey') return null;
+  const answer = csatService.parseRatingReply(message);
+  if (!answer) return null;
+
+  const result = recordSurveyResponse(last.metadata.survey_id, answer);
+  if (!result.success) {
+    return { response: `I couldn't record that rating: ${result.error}.`, action: null };
+  }
+  const { survey } = result;
+  const response = survey.low_score
+    ? `Thanks for rating ticket #${survey.ticket_id} ${survey.rating}/5. I'm sorry it fell short - someone from the team will follow up with you.`
+    : `Thanks for rating ticket #${survey.ticket_id} ${survey.rating}/5!`;
+  return { intent: 'csat_response', response, action: { type: 'csat_response', survey_id: survey.id, ticket_id: survey.ticket_id, rating: survey.rating } };
+}
+
+// Open a ticket from chat once its template's required fields are answered
+function openChatTicket(userId, draft) {
+  const template = draft.template_id ? ticketTemplateService.getTemplate(draft.template_id) : null;
+  const ticketId = ticketService.createTicket(userId, {
+    title: draft.title,
+    description: draft.description,
+    priority: draft.priority,
+    category: draft.category,
+    template_id: draft.template_id,
+    custom_fields: template ? ticketTemplateService.checkValues(template, draft.fields).values : null
+  });
+  const created = assignmentService.assignNewTicket(ticketId, template ? template.default_assignee : null, userId).ticket;
+  const possibleDuplicates = ticketLinkService.findDuplicates(created);
+  let response = `I've created a support ticket: "${draft.title}". Ticket ID: ${ticketId}. Our IT team will address this soon.`;
+  if (possibleDuplicates.length) {
+    const match = possibleDuplicates[0];
+    response += `\n\nThis looks like open ticket #${match.ticket_id} ("${match.title}"). I can link yours to it so you get updates from the team already working on it.`;
+  }
+  return { response, action: { type: 'ticket_created', ticketId, possibleDuplicates } };
+}
+
+// Ask for the next required field the draft's template is missing, or open the ticket when none are
+function advanceTicketIntake(userId, draft) {
+  const template = draft.template_id ? ticketTemplateService.getTemplate(draft.template_id) : null;
+  const field = template && ticketTemplateService.nextMissingField(template, draft.fields);
+  if (!field) return openChatTicket(userId, draft);
+  return {
+    response: ticketTemplateService.fieldPrompt(field),
+    action: { type: 'ticket_intake', field: field.name, draft }
+  };
+}
+
+// { intent, response, action } when the message answers the intake question the assistant just asked, else null
+function continueTicketIntake(userId, message) {
+  const [last] = conversationService.getConversationHistory(userId, 1);
+  const pending = last && last.role === 'assistant' && last.metadata.action;
+  if (!pending || pending.type !== 'ticket_intake') return null;
+  if (/^\s*(cancel|stop|never ?mind)\s*[.!]?\s*$/i.test(message)) {
+    return { intent: 'ticket_creation', response: "OK, I won't open that ticket.", action: { type: 'ticket_intake_cancelled' } };
+  }
+
+  const { draft } = pending;
+  const template = ticketTemplateService.getTemplate(draft.template_id);
+  const field = template && template.fields.find(f => f.name === pending.field);
+  if (!field) return { intent: 'ticket_creation', ...openChatTicket(userId, draft) };
+  const checked = ticketTemplateService.checkValue(field, message);
+  if (checked.error) {
+    return {
+      intent: 'ticket_creation',
+      response: `${checked.error}. ${ticketTemplateService.fieldPrompt(field)}`,
+      action: pending
+    };
+  }
+  const next = { ...draft, fields: { ...draft.fields, [field.name]: checked.value } };
+  return { intent: 'ticket_creation', ...advanceTicketIntake(userId, next) };
+}
+
 // Enhanced chat with conversation history and intent detection
-app.post('/api/chat/enhanced', requireAuth, async (req, res) => {
+app.post('/api/chat/enhanced', requirePermission('chat.use'), async (req, res) => {
   const { message } = req.body;
   if (!message) return res.status(400).json({ error: 'Message required' });
   
   try {
     const userId = req.session.userId;
+
+    // A reply to a question the assistant just asked (a survey rating, a ticket intake field) answers it
+    const answer = answerSurveyPrompt(userId, message) || continueTicketIntake(userId, message);
+    if (answer) {
+      conversationService.saveMessage(userId, message, 'user');
+      conversationService.saveMessage(userId, answer.response, 'assistant', { intent: answer.intent, action: answer.action });
+      return res.json({ ...answer, confidence: 1, suggestions: [] });
+    }
     
     // 1. Save user message
     conversationService.saveMessage(userId, message, 'user');
@@ -468,39 +3286,77 @@ app.post('/api/chat/enhanced', requireAuth, async (req, res) => {
     // 5. Route to appropriate handler based on intent
     let response;
     let action = null;
+
+    // Outage questions and new problem reports are answered from active incidents first
+    const knownIncidents = ['outage_query', 'ticket_creation'].includes(intent.intent)
+      ? incidentService.findActiveIncidents(message)
+      : [];
     
     if (intent.confidence > 0.5) {
       switch (intent.intent) {
         case 'access_request':
-          const resourceName = intent.entities.extracted || 'Unknown Resource';
-          const requestId = accessRequestService.createAccessRequest(userId, resourceName, 'read', message);
+          const catalogResource = resourceCatalogService.findResourceInText(message);
+          const resourceName = catalogResource ? catalogResource.name : (intent.entities.extracted || 'Unknown Resource');
+          const requestId = accessRequestService.createAccessRequest(userId, resourceName, 'read', message, {
+            durationHours: accessRequestService.resolveDurationHours(resourceCatalogService.assessRisk(resourceName))
+          });
+          notifyAccessApprovers(requestId);
           response = `I've created an access request for ${resourceName}. Request ID: ${requestId}. The IT team will review it shortly.`;
           action = { type: 'access_request_created', requestId, resourceName };
           break;
           
+        case 'outage_query':
+          const outageSubject = intent.entities.extracted;
+          const outageIncidents = outageSubject ? knownIncidents : incidentService.listIncidents({ type: 'incident', status: 'active' });
+          if (outageIncidents.length) {
+            response = `Yes, this is a known incident and the IT team is working on it:\n${describeActiveIncidents(outageIncidents)}\n\nThere's no need to raise a new ticket for it.`;
+          } else {
+            response = `I don't see any known incident${outageSubject ? ` affecting ${outageSubject}` : ''} right now. If something isn't working for you, describe the problem and I'll raise a ticket.`;
+          }
+          action = { type: 'incident_status', incidents: outageIncidents.map(i => i.id) };
+          break;
+
         case 'ticket_creation':
-          const ticketTitle = intent.entities.extracted || message.substring(0, 50);
-          const ticketId = ticketService.createTicket(userId, { 
-            title: ticketTitle, 
+          if (knownIncidents.length) {
+            response = `This looks like a known incident the IT team is already working on, so I haven't opened a new ticket:\n${describeActiveIncidents(knownIncidents)}\n\nIf your problem is something else, let me know and I'll raise a ticket.`;
+            action = { type: 'known_incident', incidents: knownIncidents.map(i => i.id) };
+            break;
+          }
+          const ticketCategory = agentService.classifyTicket(message).category;
+          const intakeTemplate = ticketTemplateService.getTemplateForCategory(ticketCategory);
+          ({ response, action } = advanceTicketIntake(userId, {
+            title: intent.entities.extracted || message.substring(0, 50),
             description: message,
-            priority: 'medium'
-          });
-          response = `I've created a support ticket: "${ticketTitle}". Ticket ID: ${ticketId}. Our IT team will address this soon.`;
-          action = { type: 'ticket_created', ticketId };
+            priority: (intakeTemplate && intakeTemplate.default_priority) || 'medium',
+            category: ticketCategory,
+            template_id: intakeTemplate ? intakeTemplate.id : null,
+            fields: {}
+          }));
+          if (action.type === 'ticket_intake') {
+            response = `I'll open a ${intakeTemplate.name.toLowerCase()} ticket for you, I just need a few details first (say "cancel" to stop).\n\n${response}`;
+          }
           break;
           
         case 'ticket_query':
-          const tickets = ticketService.getAllTickets({ status: 'open' });
+          const tickets = hasPermission(req.user, 'tickets.read_all')
+            ? ticketService.getAllTickets({ status: 'open' })
+            : ticketService.getTicketsByUser(userId).filter(t => t.status === 'open');
           response = `Found ${tickets.length} open ticket(s):\n${tickets.slice(0, 5).map(t => `- #${t.id}: ${t.title} (${t.priority})`).join('\n')}`;
           action = { type: 'tickets_retrieved', count: tickets.length };
           break;
           
         case 'onboarding_query':
-          const checklists = onboardingService.getAllChecklists();
-          response = `Found ${checklists.length} onboarding checklist(s):\n${checklists.slice(0, 3).map(c => `- ${c.employee_name} (${c.role})`).join('\n')}`;
+          const checklists = hasPermission(req.user, 'onboarding.read_all')
+            ? onboardingService.getAllChecklists()
+            : onboardingService.getChecklistsInvolving(req.user);
+          response = `Found ${checklists.length} onboarding checklist(s):\n${checklists.slice(0, 3).map(c => `- ${c.employee_name} (${c.role}): ${c.progress.done}/${c.progress.total} tasks done`).join('\n')}`;
           action = { type: 'onboarding_retrieved', count: checklists.length };
           break;
           
+        case 'offboarding_request':
+          ({ response, action } = offboardFromChat(req, message));
+          break;
+          
         case 'greeting':
           response = `Hello! I'm your IT Workflow Assistant. I can help you with:\n- Access requests (e.g., "I need access to Figma")\n- IT tickets (e.g., "My laptop is not working")\n- Onboarding checklists\n- Ticket queries\n\nHow can I assist you today?`;
           break;
@@ -523,7 +3379,7 @@ app.post('/api/chat/enhanced', requireAuth, async (req, res) => {
     }
     
     // 6. Save bot response
-    conversationService.saveMessage(userId, response, 'assistant', { intent: intent.intent, confidence: intent.confidence });
+    conversationService.saveMessage(userId, response, 'assistant', { intent: intent.intent, confidence: intent.confidence, action });
     
     // 7. Get suggestions for next actions
     const suggestions = intentDetector.getSuggestions(intent.intent);
@@ -543,7 +3399,7 @@ app.post('/api/chat/enhanced', requireAuth, async (req, res) => {
 });
 
 // Get conversation history
-app.get('/api/conversations/history', requireAuth, (req, res) => {
+app.get('/api/conversations/history', requirePermission('chat.use'), (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     const history = conversationService.getConversationHistory(req.session.userId, limit);
@@ -555,7 +3411,7 @@ app.get('/api/conversations/history', requireAuth, (req, res) => {
 });
 
 // Clear conversation history
-app.delete('/api/conversations/history', requireAuth, (req, res) => {
+app.delete('/api/conversations/history', requirePermission('chat.use'), (req, res) => {
   try {
     conversationService.clearHistory(req.session.userId);
     res.json({ success: true, message: 'Conversation history cleared' });
@@ -566,7 +3422,7 @@ app.delete('/api/conversations/history', requireAuth, (req, res) => {
 });
 
 // Get conversation statistics
-app.get('/api/conversations/stats', requireAuth, (req, res) => {
+app.get('/api/conversations/stats', requirePermission('chat.use'), (req, res) => {
   try {
     const stats = conversationService.getStats(req.session.userId);
     res.json({ stats });
@@ -577,7 +3433,7 @@ app.get('/api/conversations/stats', requireAuth, (req, res) => {
 });
 
 // Detect intent from message (utility endpoint)
-app.post('/api/intent/detect', requireAuth, (req, res) => {
+app.post('/api/intent/detect', requirePermission('chat.use'), (req, res) => {
   const { message } = req.body;
   if (!message) return res.status(400).json({ error: 'Message required' });
   
@@ -594,7 +3450,7 @@ app.post('/api/intent/detect', requireAuth, (req, res) => {
 // ============ ADVANCED AUTOMATION FEATURES ============
 
 // Auto Ticket Generation with AI Analysis
-app.post('/api/tickets/auto-generate', requireAuth, async (req, res) => {
+app.post('/api/tickets/auto-generate', requirePermission('tickets.create'), async (req, res) => {
   const { description, title } = req.body;
   if (!description) return res.status(400).json({ error: 'Description required' });
   
@@ -602,28 +3458,30 @@ app.post('/api/tickets/auto-generate', requireAuth, async (req, res) => {
     // AI-powered categorization and priority detection
     const category = autoDetectCategory(description);
     const priority = autoDetectPriority(description);
-    const assignee = await autoAssignTicket(category, priority);
     
     const ticket = {
-      id: Date.now(),
       title: title || `Auto-generated: ${description.substring(0, 50)}...`,
       description,
       category,
       priority,
-      assignee,
       status: 'open',
+      user_id: req.session.userId,
       auto_generated: true,
       created_at: new Date().toISOString(),
-      sla_due: calculateSLADueDate(priority)
+      sla_due: slaPolicyService.computeDueDates(priority, category).resolution_due_at
     };
     
     // Store ticket using existing service
-    const result = await ticketService.createTicket(ticket);
+    const result = await ticketService.createTicketFromData(ticket);
+    if (!result.success) throw new Error(result.error);
+    const assigned = assignmentService.autoAssign(result.id, { source: 'new_ticket', actor: req.session.userId }).ticket;
+    Object.assign(ticket, { id: result.id, team_id: assigned.team_id, assignee: assigned.assignee });
+    const possibleDuplicates = ticketLinkService.findDuplicates(assigned);
     
     // Log auto-generation
-    console.log(`[AUTO-TICKET] Generated ticket #${ticket.id} - Category: ${category}, Priority: ${priority}`);
+    console.log(`[AUTO-TICKET] Generated ticket #${ticket.id} - Category: ${category}, Priority: ${priority}, Team: ${ticket.team_id}, Assignee: ${ticket.assignee}`);
     
-    res.json({ success: true, ticket, message: 'Ticket auto-generated successfully' });
+    res.json({ success: true, ticket, possible_duplicates: possibleDuplicates, message: 'Ticket auto-generated successfully' });
   } catch (err) {
     console.error('Auto ticket generation error:', err);
     res.status(500).json({ error: 'Failed to auto-generate ticket' });
@@ -631,13 +3489,15 @@ app.post('/api/tickets/auto-generate', requireAuth, async (req, res) => {
 });
 
 // Low-Risk Access Auto-Approval
-app.post('/api/access/auto-approve', requireAuth, async (req, res) => {
+app.post('/api/access/auto-approve', requirePermission('access.request'), async (req, res) => {
   const { resource, reason } = req.body;
   if (!resource) return res.status(400).json({ error: 'Resource required' });
+  const requestedHours = parseRequestedDuration(req.body);
+  if (Number.isNaN(requestedHours)) return res.status(400).json({ error: 'Duration must be a positive number' });
   
   try {
-    const riskLevel = assessAccessRisk(resource);
-    const isLowRisk = riskLevel === 'low';
+    const riskLevel = resourceCatalogService.assessRisk(resource);
+    const isLowRisk = resourceCatalogService.evaluateAutoApproval(resource, reason).approve;
     
     const accessRequest = {
       id: Date.now(),
@@ -649,11 +3509,15 @@ app.post('/api/access/auto-approve', requireAuth, async (req, res) => {
       risk_level: riskLevel,
       created_at: new Date().toISOString(),
       approved_at: isLowRisk ? new Date().toISOString() : null,
-      approval_reason: isLowRisk ? 'Automatic approval - Low risk resource' : null
+      approval_reason: isLowRisk ? 'Automatic approval - Catalog auto-approval policy' : null,
+      duration_hours: accessRequestService.resolveDurationHours(riskLevel, requestedHours)
     };
     
     // Store using existing service
     const result = await accessRequestService.createRequest(accessRequest);
+    if (result.success && !isLowRisk) {
+      notifyAccessApprovers(result.id);
+    }
     
     // Log auto-approval
     if (isLowRisk) {
@@ -664,7 +3528,7 @@ app.post('/api/access/auto-approve', requireAuth, async (req, res) => {
       success: true, 
       request: accessRequest, 
       auto_approved: isLowRisk,
-      message: isLowRisk ? 'Access automatically approved - Low risk resource' : 'Access request submitted for review'
+      message: isLowRisk ? 'Access automatically approved - Catalog auto-approval policy' : 'Access request submitted for review'
     });
   } catch (err) {
     console.error('Auto approval error:', err);
@@ -672,10 +3536,9 @@ app.post('/api/access/auto-approve', requireAuth, async (req, res) => {
   }
 });
 
-// SLA Monitoring & Auto-Escalation
-app.get('/api/sla/monitor', requireAuth, async (req, res) => {
+// SLA Monitoring: persisted timers grouped by state (escalation happens in the background loop)
+app.get('/api/sla/monitor', requirePermission('tickets.read_all'), (req, res) => {
   try {
-    const tickets = await ticketService.getAllTickets();
     const slaStatus = {
       compliant: [],
       warning: [],
@@ -683,37 +3546,23 @@ app.get('/api/sla/monitor', requireAuth, async (req, res) => {
       escalated: []
     };
     
-    tickets.forEach(ticket => {
-      if (ticket.status === 'resolved') {
-        slaStatus.compliant.push(ticket);
-        return;
+    slaTimerService.listTimers().forEach(timer => {
+      const open = !['resolved', 'closed'].includes(timer.status);
+      if (open && timer.escalated_at) {
+        slaStatus.escalated.push(timer);
       }
-      
-      const created = new Date(ticket.created_at);
-      const now = new Date();
-      const hoursSince = (now - created) / (1000 * 60 * 60);
-      
-      const slaThreshold = getSLAThreshold(ticket.priority);
-      const warningThreshold = slaThreshold * 0.8;
-      
-      if (hoursSince > slaThreshold) {
+      if (open && timer.breached_at) {
         slaStatus.violated.push({
-          ...ticket,
-          hours_overdue: Math.round(hoursSince - slaThreshold)
+          ...timer,
+          hours_overdue: Math.round((timer.elapsed_minutes - timer.target_minutes) / 60)
         });
-        
-        // Auto-escalate if not already escalated
-        if (!ticket.escalated) {
-          escalateTicket(ticket.id);
-          slaStatus.escalated.push(ticket);
-        }
-      } else if (hoursSince > warningThreshold) {
+      } else if (open && timer.state === 'warning') {
         slaStatus.warning.push({
-          ...ticket,
-          hours_remaining: Math.round(slaThreshold - hoursSince)
+          ...timer,
+          hours_remaining: Math.round((timer.target_minutes - timer.elapsed_minutes) / 60)
         });
       } else {
-        slaStatus.compliant.push(ticket);
+        slaStatus.compliant.push(timer);
       }
     });
     
@@ -724,70 +3573,18 @@ app.get('/api/sla/monitor', requireAuth, async (req, res) => {
   }
 });
 
-// Onboarding Cadence Reminders
-app.get('/api/onboarding/reminders', requireAuth, async (req, res) => {
-  try {
-    const checklists = await onboardingService.getAllChecklists();
-    const reminders = {
-      overdue: [],
-      due_today: [],
-      due_soon: []
-    };
-    
-    checklists.forEach(checklist => {
-      if (checklist.status === 'completed') return;
-      
-      const items = checklist.checklist_items || [];
-      items.forEach(item => {
-        if (item.completed) return;
-        
-        const dueDate = new Date(item.due_date);
-        const today = new Date();
-        const daysDiff = Math.ceil((dueDate - today) / (1000 * 60 * 60 * 24));
-        
-        const reminderItem = {
-          checklist_id: checklist.id,
-          employee_name: checklist.employee_name,
-          role: checklist.role,
-          item: item.task,
-          due_date: item.due_date,
-          days_diff: daysDiff
-        };
-        
-        if (daysDiff < 0) {
-          reminders.overdue.push(reminderItem);
-        } else if (daysDiff === 0) {
-          reminders.due_today.push(reminderItem);
-        } else if (daysDiff <= 3) {
-          reminders.due_soon.push(reminderItem);
-        }
-      });
-    });
-    
-    // Send notifications for overdue and due today items
-    if (reminders.overdue.length > 0 || reminders.due_today.length > 0) {
-      sendOnboardingReminders(reminders);
-    }
-    
-    res.json({ success: true, reminders });
-  } catch (err) {
-    console.error('Onboarding reminders error:', err);
-    res.status(500).json({ error: 'Failed to get reminders' });
-  }
-});
-
-// Auto-escalation endpoint
-app.post('/api/tickets/:id/escalate', requireAuth, async (req, res) => {
+// Escalate a ticket to the next level of its escalation matrix
+app.post('/api/tickets/:id/escalate', requirePermission('tickets.escalate'), (req, res) => {
   const ticketId = parseInt(req.params.id);
   
   try {
-    const result = await escalateTicket(ticketId);
-    if (result.success) {
-      console.log(`[AUTO-ESCALATION] Ticket #${ticketId} escalated due to SLA violation`);
-      res.json({ success: true, message: 'Ticket escalated successfully' });
-    } else {
-      res.status(404).json({ error: 'Ticket not found' });
-    }
+    const result = escalationService.escalateTicket(ticketId, req.session.userId, {
+      reason: (req.body && req.body.reason) || 'Escalated manually'
+    });
+    if (!result.success) return sendEscalationResult(res, result);
+    console.log(`[ESCALATION] Ticket #${ticketId} escalated to level ${result.escalation.level} (${result.escalation.name})`);
+    notifyEscalation(result);
+    res.json({ success: true, message: 'Ticket escalated successfully', ticket: result.ticket, escalation: result.escalation });
   } catch (err) {
     console.error('Escalation error:', err);
     res.status(500).json({ error: 'Failed to escalate ticket' });
@@ -833,74 +3630,24 @@ function autoDetectPriority(description) {
   return 'medium';
 }
 
-async function autoAssignTicket(category, priority) {
-  // Simple assignment based on category
-  const assignments = {
-    'Access & Authentication': 'security-team@company.com',
-    'Hardware': 'hardware-support@company.com',
-    'Software': 'software-support@company.com',
-    'Network': 'network-team@company.com',
-    'Email & Communication': 'email-support@company.com'
-  };
-  
-  return assignments[category] || 'it-support@company.com';
-}
-
-function assessAccessRisk(resource) {
-  const lowRiskResources = [
-    'figma', 'canva', 'notion', 'slack', 'zoom', 'teams', 
-    'office365', 'google workspace', 'confluence', 'jira',
-    'trello', 'asana', 'monday.com'
-  ];
-  
-  const highRiskResources = [
-    'aws', 'azure', 'gcp', 'production', 'database',
-    'admin', 'root', 'billing', 'payroll', 'financial'
-  ];
-  
-  const resourceLower = resource.toLowerCase();
-  
-  if (lowRiskResources.some(r => resourceLower.includes(r))) {
-    return 'low';
+// Notify the level's recipients, page on-call for urgent tickets and push the reassignment to connected clients
+function notifyEscalation({ ticket, escalation }) {
+  notificationService.sendEscalationNotification(ticket, {
+    escalated_at: ticket.escalated_at,
+    escalation_level: escalation.level,
+    level_name: escalation.name,
+    recipients: escalation.recipients,
+    reason: escalation.reason
+  }).catch(err => console.warn('[ESCALATION] notification error', err.message));
+  if (escalation.page) {
+    console.log(`[ON-CALL] Paging ${escalation.page.email} (${escalation.page.team}) for ticket #${ticket.id}`);
+    notificationService.pageOnCall(escalation.page, ticket, {
+      escalation_level: escalation.level,
+      reason: escalation.reason
+    }).catch(err => console.warn('[ON-CALL] page error', err.message));
   }
-  if (highRiskResources.some(r => resourceLower.includes(r))) {
-    return 'high';
-  }
-  
-  return 'medium';
-}
-
-function getSLAThreshold(priority) {
-  const thresholds = {
-    'urgent': 4,    // 4 hours
-    'high': 24,     // 24 hours
-    'medium': 48,   // 48 hours
-    'low': 72       // 72 hours
-  };
-  
-  return thresholds[priority] || 48;
-}
-
-function calculateSLADueDate(priority) {
-  const hours = getSLAThreshold(priority);
-  const dueDate = new Date();
-  dueDate.setHours(dueDate.getHours() + hours);
-  return dueDate.toISOString();
-}
-
-async function escalateTicket(ticketId) {
-  try {
-    const result = await ticketService.escalateTicket(ticketId);
-    
-    if (result.success) {
-      // Send escalation notification
-      sendEscalationNotification(result.ticket);
-    }
-    
-    return result;
-  } catch (err) {
-    console.error('Escalation error:', err);
-    return { success: false, error: err.message };
+  if (websocketService) {
+    websocketService.notifyTicketUpdated(ticket);
   }
 }
 
@@ -924,25 +3671,10 @@ function sendOnboardingReminders(reminders) {
   }
 }
 
-function sendEscalationNotification(ticket) {
-  // In a real implementation, this would send emails/notifications
-  console.log(`[ESCALATION-NOTIFICATION] Ticket #${ticket.id} escalated - ${ticket.title}`);
-  
-  // Use existing notification service
-  if (notificationService) {
-    notificationService.sendNotification({
-      type: 'ticket_escalated',
-      ticket_id: ticket.id,
-      message: `Ticket #${ticket.id} has been escalated due to SLA violation`,
-      priority: 'urgent'
-    });
-  }
-}
-
 // ============ ENHANCED FEATURES ENDPOINTS ============
 
 // Advanced Search API
-app.post('/api/search/universal', requireAuth, async (req, res) => {
+app.post('/api/search/universal', requirePermission('search.use'), async (req, res) => {
   if (!searchService) return res.status(503).json({ error: 'Search service not available' });
   
   const { query, entities, filters = {}, pagination = {} } = req.body;
@@ -953,7 +3685,7 @@ app.post('/api/search/universal', requireAuth, async (req, res) => {
       ...filters,
       ...pagination,
       userId: req.session.userId,
-      userRole: req.session.userRole || 'employee'
+      userRole: req.user.role
     };
     
     const results = await searchService.universalSearch(query, { entities, ...options });
@@ -964,7 +3696,7 @@ app.post('/api/search/universal', requireAuth, async (req, res) => {
   }
 });
 
-app.get('/api/search/suggestions', requireAuth, async (req, res) => {
+app.get('/api/search/suggestions', requirePermission('search.use'), async (req, res) => {
   if (!searchService) return res.status(503).json({ error: 'Search service not available' });
   
   const { q: query, entity = 'all', limit = 5 } = req.query;
@@ -978,11 +3710,11 @@ app.get('/api/search/suggestions', requireAuth, async (req, res) => {
   }
 });
 
-app.get('/api/search/filters/:entity', requireAuth, async (req, res) => {
+app.get('/api/search/filters/:entity', requirePermission('search.use'), async (req, res) => {
   if (!searchService) return res.status(503).json({ error: 'Search service not available' });
   
   const { entity } = req.params;
-  const userRole = req.session.userRole || 'employee';
+  const userRole = req.user.role;
   
   try {
     const filters = await searchService.getFilterOptions(entity, userRole);
@@ -994,11 +3726,11 @@ app.get('/api/search/filters/:entity', requireAuth, async (req, res) => {
 });
 
 // Analytics API
-app.get('/api/analytics/dashboard', requireAuth, async (req, res) => {
+app.get('/api/analytics/dashboard', requirePermission('analytics.view'), async (req, res) => {
   if (!analyticsService) return res.status(503).json({ error: 'Analytics service not available' });
   
   const { timeRange = '30d' } = req.query;
-  const userRole = req.session.userRole || 'employee';
+  const userRole = req.user.role;
   const userId = req.session.userId;
   
   try {
@@ -1010,11 +3742,11 @@ app.get('/api/analytics/dashboard', requireAuth, async (req, res) => {
   }
 });
 
-app.get('/api/analytics/trends', requireAuth, async (req, res) => {
+app.get('/api/analytics/trends', requirePermission('analytics.view'), async (req, res) => {
   if (!analyticsService) return res.status(503).json({ error: 'Analytics service not available' });
   
   const { timeRange = '30d' } = req.query;
-  const userRole = req.session.userRole || 'employee';
+  const userRole = req.user.role;
   const userId = req.session.userId;
   
   try {
@@ -1026,7 +3758,7 @@ app.get('/api/analytics/trends', requireAuth, async (req, res) => {
   }
 });
 
-app.get('/api/analytics/realtime', requireAuth, async (req, res) => {
+app.get('/api/analytics/realtime', requirePermission('analytics.view_all'), async (req, res) => {
   if (!analyticsService) return res.status(503).json({ error: 'Analytics service not available' });
   
   try {
@@ -1039,14 +3771,9 @@ app.get('/api/analytics/realtime', requireAuth, async (req, res) => {
 });
 
 // External Integrations API
-app.get('/api/integrations/status', requireAuth, async (req, res) => {
+app.get('/api/integrations/status', requirePermission('integrations.view'), async (req, res) => {
   if (!integrationsService) return res.status(503).json({ error: 'Integrations service not available' });
   
-  // Only admin users can view integration status
-  if (req.session.userRole !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  
   try {
     const status = await integrationsService.getIntegrationStatus();
     res.json(status);
@@ -1056,16 +3783,11 @@ app.get('/api/integrations/status', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/api/integrations/sync/:ticketId', requireAuth, async (req, res) => {
+app.post('/api/integrations/sync/:ticketId', requirePermission('integrations.sync'), async (req, res) => {
   if (!integrationsService) return res.status(503).json({ error: 'Integrations service not available' });
   
   const { ticketId } = req.params;
   
-  // Only IT staff and admin can force sync
-  if (!['admin', 'it_staff'].includes(req.session.userRole)) {
-    return res.status(403).json({ error: 'IT staff access required' });
-  }
-  
   try {
     const result = await integrationsService.forceSyncTicket(parseInt(ticketId));
     res.json(result);
@@ -1075,16 +3797,11 @@ app.post('/api/integrations/sync/:ticketId', requireAuth, async (req, res) => {
   }
 });
 
-app.get('/api/integrations/logs', requireAuth, async (req, res) => {
+app.get('/api/integrations/logs', requirePermission('integrations.view'), async (req, res) => {
   if (!integrationsService) return res.status(503).json({ error: 'Integrations service not available' });
   
   const { limit = 50, system } = req.query;
   
-  // Only admin users can view integration logs
-  if (req.session.userRole !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  
   try {
     const logs = await integrationsService.getSyncLogs(parseInt(limit), system);
     res.json({ logs });
@@ -1095,14 +3812,9 @@ app.get('/api/integrations/logs', requireAuth, async (req, res) => {
 });
 
 // Email Service API
-app.get('/api/email/stats', requireAuth, async (req, res) => {
+app.get('/api/email/stats', requirePermission('system.manage'), async (req, res) => {
   if (!emailService) return res.status(503).json({ error: 'Email service not available' });
   
-  // Only admin users can view email stats
-  if (req.session.userRole !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  
   try {
     const stats = emailService.getStats();
     res.json(stats);
@@ -1112,14 +3824,9 @@ app.get('/api/email/stats', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/api/email/test', requireAuth, async (req, res) => {
+app.post('/api/email/test', requirePermission('system.manage'), async (req, res) => {
   if (!emailService) return res.status(503).json({ error: 'Email service not available' });
   
-  // Only admin users can test email
-  if (req.session.userRole !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  
   try {
     const result = await emailService.testConnection();
     res.json(result);
@@ -1130,7 +3837,7 @@ app.post('/api/email/test', requireAuth, async (req, res) => {
 });
 
 // WebSocket Stats API
-app.get('/api/websocket/stats', requireAuth, async (req, res) => {
+app.get('/api/websocket/stats', requirePermission('system.manage'), async (req, res) => {
   if (!websocketService) return res.status(503).json({ error: 'WebSocket service not available' });
   
   try {
@@ -1144,12 +3851,7 @@ app.get('/api/websocket/stats', requireAuth, async (req, res) => {
 });
 
 // Cache Management API
-app.get('/api/cache/stats', requireAuth, async (req, res) => {
-  // Only admin users can view cache stats
-  if (req.session.userRole !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  
+app.get('/api/cache/stats', requirePermission('system.manage'), async (req, res) => {
   try {
     const stats = await cache.getStats();
     res.json(stats);
@@ -1159,12 +3861,7 @@ app.get('/api/cache/stats', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/api/cache/clear', requireAuth, async (req, res) => {
-  // Only admin users can clear cache
-  if (req.session.userRole !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  
+app.post('/api/cache/clear', requirePermission('system.manage'), async (req, res) => {
   try {
     await cache.clear();
     res.json({ success: true, message: 'Cache cleared successfully' });
@@ -1174,47 +3871,6 @@ app.post('/api/cache/clear', requireAuth, async (req, res) => {
   }
 });
 
-// Enhanced ticket creation with integrations and notifications
-const originalTicketCreate = app.post;
-app.post('/api/tickets', requireAuth, async (req, res) => {
-  try {
-    const { title, description, priority = 'medium', category } = req.body;
-    if (!title) return res.status(400).json({ error: 'Title required' });
-
-    const ticket = await ticketService.createTicket({
-      title: title.trim(),
-      description: description?.trim() || '',
-      priority,
-      category,
-      user_id: req.session.userId
-    });
-
-    // Send real-time notification
-    if (websocketService) {
-      websocketService.notifyTicketCreated(ticket, req.session.userId);
-    }
-
-    // Send email notification
-    if (emailService && req.session.userEmail) {
-      emailService.sendTicketCreatedEmail(ticket, req.session.userEmail);
-    }
-
-    // Sync to external systems
-    if (integrationsService) {
-      setTimeout(() => {
-        integrationsService.syncTicketToExternalSystems(ticket).catch(err => {
-          console.error('[SYNC] Failed to sync ticket to external systems:', err);
-        });
-      }, 1000);
-    }
-
-    res.json(ticket);
-  } catch (error) {
-    console.error('[API] Enhanced ticket creation error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
 server.listen(port, () => {
   console.log('Server running on', port);
   console.log('[AUTOMATION] Advanced features enabled:');
@@ -1231,7 +3887,7 @@ server.listen(port, () => {
 });
 
 // ============ LANGCHAIN AGENT ENDPOINTS ============
-app.post('/api/agents/orchestrate', requireAuth, async (req, res) => {
+app.post('/api/agents/orchestrate', requirePermission('agents.use'), async (req, res) => {
   const { message, context = {} } = req.body;
   if (!message) return res.status(400).json({ error: 'Message required' });
   
@@ -1243,7 +3899,7 @@ app.post('/api/agents/orchestrate', requireAuth, async (req, res) => {
     const enrichedContext = {
       ...context,
       userId: req.session.userId,
-      userRole: context.userRole || 'employee',
+      userRole: req.user.role,
       timestamp: new Date().toISOString()
     };
     
@@ -1264,7 +3920,7 @@ app.post('/api/agents/orchestrate', requireAuth, async (req, res) => {
   }
 });
 
-app.get('/api/agents/analytics', requireAuth, (req, res) => {
+app.get('/api/agents/analytics', requirePermission('agents.use'), (req, res) => {
   if (!agentRouter) {
     return res.status(503).json({ error: 'LangChain agents not available' });
   }
@@ -1278,7 +3934,7 @@ app.get('/api/agents/analytics', requireAuth, (req, res) => {
   }
 });
 
-app.get('/api/agents/available', requireAuth, (req, res) => {
+app.get('/api/agents/available', requirePermission('agents.use'), (req, res) => {
   if (!agentRouter) {
     return res.status(503).json({ error: 'LangChain agents not available' });
   }
@@ -1292,7 +3948,7 @@ app.get('/api/agents/available', requireAuth, (req, res) => {
   }
 });
 
-app.post('/api/agents/force-route', requireAuth, async (req, res) => {
+app.post('/api/agents/force-route', requirePermission('agents.force_route'), async (req, res) => {
   const { agentName, message, context = {} } = req.body;
   if (!agentName || !message) {
     return res.status(400).json({ error: 'Agent name and message required' });
@@ -1315,7 +3971,7 @@ app.post('/api/agents/force-route', requireAuth, async (req, res) => {
 });
 
 // ============ AGENT ENDPOINTS ============
-app.get('/api/agents/status', requireAuth, (req, res) => {
+app.get('/api/agents/status', requirePermission('agents.use'), (req, res) => {
   try {
     const status = agentService.getStatus();
     res.json({ status });
@@ -1325,7 +3981,7 @@ app.get('/api/agents/status', requireAuth, (req, res) => {
   }
 });
 
-app.post('/api/access-requests/approve/pending', requireAuth, (req, res) => {
+app.post('/api/access-requests/approve/pending', requirePermission('access.approve'), (req, res) => {
   try {
     const result = agentService.scanAccessRequests();
     res.json({ result });
@@ -1335,9 +3991,10 @@ app.post('/api/access-requests/approve/pending', requireAuth, (req, res) => {
   }
 });
 
-app.post('/api/tickets/escalate/run', requireAuth, (req, res) => {
+app.post('/api/tickets/escalate/run', requirePermission('agents.run'), (req, res) => {
   try {
     const result = agentService.monitorSLA();
+    result.escalations.forEach(notifyEscalation);
     res.json({ result });
   } catch (e) {
     console.error('sla escalate error', e);
@@ -1345,7 +4002,7 @@ app.post('/api/tickets/escalate/run', requireAuth, (req, res) => {
   }
 });
 
-app.post('/api/onboarding/reminders/run', requireAuth, (req, res) => {
+app.post('/api/onboarding/reminders/run', requirePermission('onboarding.manage'), (req, res) => {
   try {
     const result = agentService.dispatchOnboardingReminders();
     res.json({ result });
@@ -1356,7 +4013,7 @@ app.post('/api/onboarding/reminders/run', requireAuth, (req, res) => {
 });
 
 // Test notification endpoint
-app.post('/api/notifications/test', requireAuth, async (req, res) => {
+app.post('/api/notifications/test', requirePermission('system.manage'), async (req, res) => {
   const { type } = req.body;
   try {
     const result = await notificationService.sendTestNotification(type || 'webhook');
@@ -1367,7 +4024,7 @@ app.post('/api/notifications/test', requireAuth, async (req, res) => {
 });
 
 // Get notification configuration
-app.get('/api/notifications/config', requireAuth, (req, res) => {
+app.get('/api/notifications/config', requirePermission('system.manage'), (req, res) => {
   try {
     const config = notificationService.getConfig();
     res.json({ config });
@@ -1388,28 +4045,84 @@ setInterval(() => {
   } catch (e) { console.warn('[Agent] access scan error', e.message); }
 }, FIVE_MIN);
 
-setInterval(async () => {
+// Keep SLA timers current and stream breach predictions to dashboard subscribers
+setInterval(() => {
+  try {
+    const r = slaTimerService.refreshTimers();
+    r.breached.forEach(ticket => console.log(`[SLA] Ticket #${ticket.id} breached its resolution target`));
+    if (websocketService) {
+      websocketService.broadcastSlaPredictions({
+        at_risk: slaTimerService.predictBreaches({ atRiskOnly: true }),
+        breached: slaTimerService.listTimers({ breached: true, open: true })
+      });
+    }
+  } catch (e) { console.warn('[Agent] sla timer refresh error', e.message); }
+}, FIVE_MIN);
+
+setInterval(() => {
   try {
     const r = agentService.monitorSLA();
     if (r.escalated) {
       console.log('[Agent] Escalated', r.escalated, 'tickets');
-      
-      // Send notifications for escalated tickets
-      try {
-        const escalatedTickets = ticketService.getAllTickets({ status: 'open' }).filter(t => t.escalated_at);
-        for (const ticket of escalatedTickets.slice(-r.escalated)) { // Get recently escalated
-          await notificationService.sendEscalationNotification(ticket, {
-            escalated_at: ticket.escalated_at,
-            escalation_level: ticket.escalation_level
-          });
-        }
-      } catch (notifErr) {
-        console.warn('[Agent] notification error', notifErr.message);
-      }
+      r.escalations.forEach(notifyEscalation);
     }
   } catch (e) { console.warn('[Agent] sla monitor error', e.message); }
 }, TEN_MIN);
 
+setInterval(() => {
+  try {
+    const r = agentService.expireAccessGrants();
+    if (r.expired.length) console.log('[Agent] Expired', r.expired.length, 'access grants');
+    r.expiring.forEach(grant => notifyAccessExpiry(grant, 'expiring'));
+    r.expired.forEach(grant => notifyAccessExpiry(grant, 'expired'));
+  } catch (e) { console.warn('[Agent] access expiry error', e.message); }
+}, FIVE_MIN);
+
+setInterval(() => {
+  try {
+    for (const result of accessCertificationService.enforceDeadlines()) {
+      console.log(`[CERTIFICATION] Campaign #${result.campaign.id} closed at deadline, ${result.revoked.length} grants revoked`);
+      result.revoked.forEach(grant => notifyAccessRevoked(grant));
+    }
+  } catch (e) { console.warn('[Agent] certification deadline error', e.message); }
+}, FIVE_MIN);
+
+// Send satisfaction surveys for tickets resolved outside the API routes (e.g. by agents)
+setInterval(() => {
+  try {
+    dispatchSurveys();
+  } catch (e) { console.warn('[CSAT] survey dispatch error', e.message); }
+}, FIVE_MIN);
+
+// New hires become employees on their start date
+setInterval(() => {
+  try {
+    const promoted = portalService.promoteStartedHires();
+    if (promoted) console.log(`[PORTAL] ${promoted} new hire(s) started and became employees`);
+  } catch (e) { console.warn('[PORTAL] promotion error', e.message); }
+}, FIVE_MIN);
+
+// Retry failed account provisioning once its delay has passed
+setInterval(() => {
+  provisioningService.retryDue()
+    .then(jobs => {
+      new Set(jobs.filter(job => job.status === 'manual').map(job => job.checklist_id))
+        .forEach(checklistId => agentService.scheduleChecklistReminders(checklistId));
+    })
+    .catch(e => console.warn('[PROVISIONING] retry error', e.message));
+}, FIVE_MIN);
+
+// Disable leavers' accounts once their last day has ended (UTC)
+setInterval(() => {
+  try {
+    for (const result of offboardingService.disableDueAccounts()) {
+      console.log(`[OFFBOARDING] Disabled the account for checklist #${result.checklist.id}`);
+      if (result.checklist_completed) notifyChecklistCompleted(result.checklist);
+    }
+    completeReturnedAssets();
+  } catch (e) { console.warn('[OFFBOARDING] account disable error', e.message); }
+}, FIVE_MIN);
+
 setInterval(() => {
   try {
     const r = agentService.dispatchOnboardingReminders();
@@ -0,0 +1,199 @@
+const db = require('./database');
+const { hasPermission, roleHasPermission } = require('./permissions');
+const resourceCatalogService = require('./resourceCatalogService');
+
+const DECISIONS = ['approved', 'denied'];
+
+function parseEmails(value) {
+  return String(value || '').split(',').map(e => e.trim()).filter(Boolean);
+}
+
+class AccessApprovalService {
+  constructor() {
+    // Named approvers per stage. A stage with nobody named (or a requester
+    // without a manager, or a resource without an owner) falls back to everyone
+    // holding access.approve.
+    this.config = {
+      stageApprovers: {
+        security: parseEmails(process.env.ACCESS_APPROVERS_SECURITY),
+        finance: parseEmails(process.env.ACCESS_APPROVERS_FINANCE)
+      }
+    };
+  }
+
+  // Stages come from the resource catalog; uncatalogued resources only need the manager
+  getChainForResource(resourceName) {
+    return resourceCatalogService.getApprovalChain(resourceName);
+  }
+
+  resolveStageApprovers(stage, requester, resourceName) {
+    if (stage === 'manager') {
+      if (!requester || !requester.manager_id) return [];
+      const manager = db.prepare('SELECT email FROM users WHERE id = ?').get(requester.manager_id);
+      return manager ? [manager.email] : [];
+    }
+    if (stage === 'owner') {
+      const resource = resourceCatalogService.findResource(resourceName);
+      return resource && resource.owner_email ? [resource.owner_email] : [];
+    }
+    return this.config.stageApprovers[stage] || [];
+  }
+
+  // Create the step rows for a new request; the first step is immediately pending
+  startChain(requestId) {
+    const request = db.prepare('SELECT * FROM access_requests WHERE id = ?').get(requestId);
+    if (!request) return [];
+    if (this.getSteps(requestId).length) return this.getSteps(requestId);
+
+    const requester = db.prepare('SELECT id, email, manager_id FROM users WHERE id = ?').get(request.user_id);
+    const insert = db.prepare(`
+      INSERT INTO access_approval_steps (request_id, step_order, stage, approver_emails, status)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const stages = this.getChainForResource(request.resource_name);
+    db.transaction(() => {
+      stages.forEach((stage, index) => {
+        const approvers = this.resolveStageApprovers(stage, requester, request.resource_name);
+        insert.run(requestId, index + 1, stage, JSON.stringify(approvers), index === 0 ? 'pending' : 'waiting');
+      });
+    })();
+    return this.getSteps(requestId);
+  }
+
+  getSteps(requestId) {
+    const rows = db.prepare(`
+      SELECT s.*, u.email AS decided_by_email, u.full_name AS decided_by_name
+      FROM access_approval_steps s LEFT JOIN users u ON s.decided_by = u.id
+      WHERE s.request_id = ?
+      ORDER BY s.step_order ASC
+    `).all(requestId);
+    return rows.map(row => this.parseStep(row));
+  }
+
+  getCurrentStep(requestId) {
+    return this.getSteps(requestId).find(s => s.status === 'pending') || null;
+  }
+
+  parseStep(row) {
+    let approvers = [];
+    try { approvers = JSON.parse(row.approver_emails || '[]'); } catch (_) {}
+    return { ...row, approver_emails: approvers };
+  }
+
+  // Requesters never approve their own access, and nobody decides two steps
+  // of one request; otherwise a named approver, or anyone with access.approve
+  // when the step names nobody
+  canDecide(step, user, requesterId) {
+    if (!step || !user || user.id === requesterId) return false;
+    const decidedEarlier = db.prepare(`
+      SELECT 1 FROM access_approval_steps WHERE request_id = ? AND step_order < ? AND decided_by = ?
+    `).get(step.request_id, step.step_order, user.id);
+    if (decidedEarlier) return false;
+    if (step.approver_emails.length) {
+      const email = String(user.email).toLowerCase();
+      return step.approver_emails.some(approver => String(approver).toLowerCase() === email);
+    }
+    return hasPermission(user, 'access.approve');
+  }
+
+  // Email addresses to notify when a step becomes pending
+  getStepRecipients(step) {
+    if (step.approver_emails.length) return step.approver_emails;
+    return db.prepare('SELECT email, role FROM users').all()
+      .filter(u => roleHasPermission(u.role, 'access.approve'))
+      .map(u => u.email);
+  }
+
+  decide(requestId, user, decision, reason) {
+    if (!DECISIONS.includes(decision)) {
+      return { success: false, reason: 'invalid_decision', error: `Decision must be one of: ${DECISIONS.join(', ')}` };
+    }
+    const request = db.prepare('SELECT * FROM access_requests WHERE id = ?').get(requestId);
+    if (!request) {
+      return { success: false, reason: 'not_found', error: 'Access request not found' };
+    }
+    if (request.status !== 'pending') {
+      return { success: false, reason: 'invalid_state', error: `Access request is already ${request.status}` };
+    }
+    const step = this.getCurrentStep(requestId);
+    if (!step) {
+      return { success: false, reason: 'invalid_state', error: 'Access request has no pending approval step' };
+    }
+    if (!this.canDecide(step, user, request.user_id)) {
+      const decidedEarlier = this.getSteps(requestId).some(s => s.step_order < step.step_order && s.decided_by === user.id);
+      return {
+        success: false,
+        reason: 'forbidden',
+        error: decidedEarlier
+          ? `You already decided an earlier step of this request; someone else must decide the ${step.stage} step`
+          : `You are not an approver for the ${step.stage} step`
+      };
+    }
+
+    let nextStep = null;
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE access_approval_steps
+        SET status = ?, decided_by = ?, decision_reason = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(decision, user.id, reason, step.id);
+
+      if (decision === 'denied') {
+        this.skipOpenSteps(requestId);
+        db.prepare(`
+          UPDATE access_requests
+          SET status = 'denied', approver = ?, decision_reason = ?, resolved_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(user.email, reason, requestId);
+        return;
+      }
+
+      nextStep = this.getSteps(requestId).find(s => s.status === 'waiting') || null;
+      if (nextStep) {
+        db.prepare(`UPDATE access_approval_steps SET status = 'pending' WHERE id = ?`).run(nextStep.id);
+        nextStep.status = 'pending';
+      } else {
+        db.prepare(`
+          UPDATE access_requests
+          SET status = 'approved', approver = ?, decision_reason = ?, approved_at = CURRENT_TIMESTAMP, resolved_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(user.email, reason, requestId);
+        require('./accessRequestService').activateGrant(requestId);
+      }
+    })();
+
+    return {
+      success: true,
+      request: db.prepare('SELECT * FROM access_requests WHERE id = ?').get(requestId),
+      step: this.getSteps(requestId).find(s => s.id === step.id),
+      nextStep,
+      completed: decision === 'denied' || !nextStep
+    };
+  }
+
+  // Close out the chain when a request is decided outside it (auto-approval agents)
+  skipOpenSteps(requestId) {
+    db.prepare(`
+      UPDATE access_approval_steps SET status = 'skipped'
+      WHERE request_id = ? AND status IN ('pending', 'waiting')
+    `).run(requestId);
+  }
+
+  // "My approvals": pending steps on pending requests the user may decide
+  getPendingApprovalsForUser(user) {
+    const rows = db.prepare(`
+      SELECT s.*, ar.resource_name, ar.access_type, ar.justification, ar.user_id AS requester_id,
+             ar.created_at AS requested_at, u.email AS requester_email, u.full_name AS requester_name
+      FROM access_approval_steps s
+      JOIN access_requests ar ON s.request_id = ar.id
+      JOIN users u ON ar.user_id = u.id
+      WHERE s.status = 'pending' AND ar.status = 'pending'
+      ORDER BY ar.created_at ASC, s.id ASC
+    `).all();
+    return rows
+      .map(row => this.parseStep(row))
+      .filter(step => this.canDecide(step, user, step.requester_id));
+  }
+}
+
+module.exports = new AccessApprovalService();
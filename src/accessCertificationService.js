@@ -0,0 +1,331 @@
+const db = require('./database');
+const { hasPermission, roleHasPermission } = require('./permissions');
+const resourceCatalogService = require('./resourceCatalogService');
+
+// owner: grants are reviewed by the resource owner, falling back to the grantee's manager
+// manager: the other way round
+const GROUP_BY = ['owner', 'manager'];
+const DECISIONS = ['keep', 'revoke'];
+
+const CSV_COLUMNS = [
+  'campaign_id', 'campaign_name', 'campaign_status', 'due_at', 'item_id', 'grant_id',
+  'grantee_email', 'grantee_name', 'resource', 'access_type', 'granted_at', 'expires_at',
+  'reviewer_email', 'decision', 'decided_by', 'decision_reason', 'decided_at'
+];
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class AccessCertificationService {
+  constructor() {
+    this.config = {
+      defaultDueDays: 14
+    };
+  }
+
+  // Current grants: approved requests that have not lapsed
+  getActiveGrants(resourceFilter) {
+    const grants = db.prepare(`
+      SELECT ar.*, u.email, u.full_name, m.email AS manager_email
+      FROM access_requests ar
+      JOIN users u ON ar.user_id = u.id
+      LEFT JOIN users m ON u.manager_id = m.id
+      WHERE ar.status = 'approved' AND (ar.expires_at IS NULL OR ar.expires_at > CURRENT_TIMESTAMP)
+      ORDER BY ar.resource_name, ar.id
+    `).all();
+    if (!resourceFilter) return grants;
+    const wanted = resourceCatalogService.findResource(resourceFilter);
+    return grants.filter(grant => {
+      if (!wanted) return grant.resource_name.toLowerCase() === resourceFilter.toLowerCase();
+      const resource = resourceCatalogService.findResource(grant.resource_name);
+      return resource && resource.id === wanted.id;
+    });
+  }
+
+  // Nobody certifies their own access; null leaves the item to access.certify holders
+  resolveReviewer(grant, groupBy) {
+    const resource = resourceCatalogService.findResource(grant.resource_name);
+    const owner = resource ? resource.owner_email : null;
+    const candidates = groupBy === 'manager' ? [grant.manager_email, owner] : [owner, grant.manager_email];
+    return candidates.find(email => email && email !== grant.email) || null;
+  }
+
+  createCampaign({ name, groupBy = 'owner', dueDays, dueAt, resource } = {}, createdBy) {
+    if (!name || !String(name).trim()) {
+      return { success: false, reason: 'invalid', error: 'Campaign name required' };
+    }
+    if (!GROUP_BY.includes(groupBy)) {
+      return { success: false, reason: 'invalid', error: `groupBy must be one of: ${GROUP_BY.join(', ')}` };
+    }
+    let due;
+    if (dueAt) {
+      const date = new Date(dueAt);
+      if (isNaN(date) || date <= new Date()) {
+        return { success: false, reason: 'invalid', error: 'dueAt must be a future date' };
+      }
+      due = date.toISOString().replace('T', ' ').slice(0, 19);
+    } else {
+      const days = dueDays == null ? this.config.defaultDueDays : Number(dueDays);
+      if (!Number.isFinite(days) || days <= 0) {
+        return { success: false, reason: 'invalid', error: 'dueDays must be a positive number' };
+      }
+      due = db.prepare(`SELECT datetime('now', '+' || ? || ' minutes') AS due`).get(Math.round(days * 24 * 60)).due;
+    }
+
+    const grants = this.getActiveGrants(resource);
+    if (!grants.length) {
+      return { success: false, reason: 'empty', error: 'No active grants to certify' };
+    }
+
+    const insertItem = db.prepare(`
+      INSERT INTO access_certification_items (campaign_id, request_id, user_id, resource_name, access_type, reviewer_email)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    let campaignId;
+    db.transaction(() => {
+      campaignId = db.prepare(`
+        INSERT INTO access_certification_campaigns (name, group_by, resource_filter, due_at, created_by)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(String(name).trim(), groupBy, resource || null, due, createdBy || null).lastInsertRowid;
+      for (const grant of grants) {
+        insertItem.run(campaignId, grant.id, grant.user_id, grant.resource_name, grant.access_type, this.resolveReviewer(grant, groupBy));
+      }
+    })();
+    return { success: true, campaign: this.getCampaign(campaignId) };
+  }
+
+  getProgress(campaignId) {
+    const rows = db.prepare(`
+      SELECT decision, COUNT(*) AS cnt FROM access_certification_items WHERE campaign_id = ? GROUP BY decision
+    `).all(campaignId);
+    const counts = Object.fromEntries(rows.map(r => [r.decision, r.cnt]));
+    const total = rows.reduce((sum, r) => sum + r.cnt, 0);
+    const pending = counts.pending || 0;
+    return {
+      total,
+      pending,
+      kept: counts.keep || 0,
+      revoked: counts.revoke || 0,
+      autoRevoked: counts.auto_revoked || 0,
+      percentComplete: total ? Math.round(((total - pending) / total) * 100) : 100
+    };
+  }
+
+  getCampaign(campaignId) {
+    const campaign = db.prepare('SELECT * FROM access_certification_campaigns WHERE id = ?').get(campaignId);
+    return campaign ? { ...campaign, progress: this.getProgress(campaignId) } : null;
+  }
+
+  listCampaigns({ status } = {}) {
+    const rows = status
+      ? db.prepare('SELECT * FROM access_certification_campaigns WHERE status = ? ORDER BY created_at DESC, id DESC').all(status)
+      : db.prepare('SELECT * FROM access_certification_campaigns ORDER BY created_at DESC, id DESC').all();
+    return rows.map(campaign => ({ ...campaign, progress: this.getProgress(campaign.id) }));
+  }
+
+  getItems(campaignId) {
+    return db.prepare(`
+      SELECT i.*, u.email AS grantee_email, u.full_name AS grantee_name,
+             COALESCE(ar.approved_at, ar.resolved_at) AS granted_at, ar.expires_at, d.email AS decided_by_email
+      FROM access_certification_items i
+      JOIN users u ON i.user_id = u.id
+      JOIN access_requests ar ON i.request_id = ar.id
+      LEFT JOIN users d ON i.decided_by = d.id
+      WHERE i.campaign_id = ?
+      ORDER BY i.reviewer_email, i.resource_name, i.id
+    `).all(campaignId);
+  }
+
+  getItem(itemId) {
+    return db.prepare(`
+      SELECT i.*, c.name AS campaign_name, c.status AS campaign_status
+      FROM access_certification_items i JOIN access_certification_campaigns c ON i.campaign_id = c.id
+      WHERE i.id = ?
+    `).get(itemId);
+  }
+
+  canReview(item, user) {
+    if (!item || !user || user.id === item.user_id) return false;
+    if (item.reviewer_email) return item.reviewer_email === user.email;
+    return hasPermission(user, 'access.certify');
+  }
+
+  // Pending items in open campaigns the user may decide
+  getPendingReviewsForUser(user) {
+    const rows = db.prepare(`
+      SELECT i.*, c.name AS campaign_name, c.due_at, u.email AS grantee_email, u.full_name AS grantee_name,
+             COALESCE(ar.approved_at, ar.resolved_at) AS granted_at, ar.expires_at
+      FROM access_certification_items i
+      JOIN access_certification_campaigns c ON i.campaign_id = c.id
+      JOIN users u ON i.user_id = u.id
+      JOIN access_requests ar ON i.request_id = ar.id
+      WHERE i.decision = 'pending' AND c.status = 'open'
+      ORDER BY c.due_at ASC, i.id ASC
+    `).all();
+    return rows.filter(item => this.canReview(item, user));
+  }
+
+  // Emails of everyone with open items in a campaign, for the kick-off notice
+  getReviewerEmails(campaignId) {
+    const rows = db.prepare(`
+      SELECT reviewer_email, COUNT(*) AS cnt FROM access_certification_items
+      WHERE campaign_id = ? AND decision = 'pending' GROUP BY reviewer_email
+    `).all(campaignId);
+    const counts = {};
+    for (const row of rows) {
+      const emails = row.reviewer_email ? [row.reviewer_email] : this.getCertifierEmails();
+      emails.forEach(email => { counts[email] = (counts[email] || 0) + row.cnt; });
+    }
+    return Object.entries(counts).map(([email, items]) => ({ email, items }));
+  }
+
+  getCertifierEmails() {
+    return db.prepare('SELECT email, role FROM users').all()
+      .filter(u => roleHasPermission(u.role, 'access.certify'))
+      .map(u => u.email);
+  }
+
+  // An extended grant lives on in its approved extension
+  findLiveGrant(requestId) {
+    let grant = db.prepare('SELECT * FROM access_requests WHERE id = ?').get(requestId);
+    while (grant && grant.status === 'extended') {
+      const next = db.prepare(`
+        SELECT * FROM access_requests WHERE extends_request_id = ? AND status IN ('approved', 'extended')
+        ORDER BY id DESC LIMIT 1
+      `).get(grant.id);
+      if (!next) break;
+      grant = next;
+    }
+    return grant && grant.status === 'approved' ? grant : null;
+  }
+
+  // Withdraw the grant and any extension still waiting for approval
+  revokeGrant(requestId, reason) {
+    const grant = this.findLiveGrant(requestId);
+    if (!grant) return null;
+    db.prepare(`
+      UPDATE access_requests SET status = 'revoked', decision_reason = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(reason, grant.id);
+    const pendingExtensions = db.prepare(`
+      SELECT id FROM access_requests WHERE extends_request_id = ? AND status = 'pending'
+    `).all(grant.id);
+    for (const extension of pendingExtensions) {
+      db.prepare(`
+        UPDATE access_requests SET status = 'denied', decision_reason = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(reason, extension.id);
+      require('./accessApprovalService').skipOpenSteps(extension.id);
+    }
+    return db.prepare(`
+      SELECT ar.*, u.email, u.full_name FROM access_requests ar JOIN users u ON ar.user_id = u.id WHERE ar.id = ?
+    `).get(grant.id);
+  }
+
+  completeIfDone(campaignId) {
+    if (this.getProgress(campaignId).pending) return false;
+    const result = db.prepare(`
+      UPDATE access_certification_campaigns SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'open'
+    `).run(campaignId);
+    return result.changes > 0;
+  }
+
+  decide(itemId, user, decision, reason) {
+    if (!DECISIONS.includes(decision)) {
+      return { success: false, reason: 'invalid_decision', error: `Decision must be one of: ${DECISIONS.join(', ')}` };
+    }
+    const item = this.getItem(itemId);
+    if (!item) {
+      return { success: false, reason: 'not_found', error: 'Certification item not found' };
+    }
+    if (item.campaign_status !== 'open') {
+      return { success: false, reason: 'invalid_state', error: `Campaign is already ${item.campaign_status}` };
+    }
+    if (item.decision !== 'pending') {
+      return { success: false, reason: 'invalid_state', error: `Item was already decided (${item.decision})` };
+    }
+    if (!this.canReview(item, user)) {
+      return { success: false, reason: 'forbidden', error: 'You are not the reviewer for this grant' };
+    }
+
+    let revoked = null;
+    let completed = false;
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE access_certification_items
+        SET decision = ?, decided_by = ?, decision_reason = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(decision, user.id, reason || null, itemId);
+      if (decision === 'revoke') {
+        revoked = this.revokeGrant(item.request_id, `Revoked in access certification "${item.campaign_name}": ${reason}`);
+      }
+      completed = this.completeIfDone(item.campaign_id);
+    })();
+
+    return {
+      success: true,
+      item: this.getItems(item.campaign_id).find(i => i.id === item.id),
+      revoked,
+      campaign: this.getCampaign(item.campaign_id),
+      completed
+    };
+  }
+
+  // Revoke everything still unreviewed and close the campaign
+  closeCampaign(campaignId) {
+    const campaign = this.getCampaign(campaignId);
+    if (!campaign) return { success: false, reason: 'not_found', error: 'Campaign not found' };
+    if (campaign.status !== 'open') {
+      return { success: false, reason: 'invalid_state', error: `Campaign is already ${campaign.status}` };
+    }
+
+    const pending = db.prepare(`
+      SELECT * FROM access_certification_items WHERE campaign_id = ? AND decision = 'pending'
+    `).all(campaignId);
+    const reason = 'Not reviewed before the certification deadline';
+    const revoked = [];
+    db.transaction(() => {
+      for (const item of pending) {
+        db.prepare(`
+          UPDATE access_certification_items
+          SET decision = 'auto_revoked', decision_reason = ?, decided_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(reason, item.id);
+        const grant = this.revokeGrant(item.request_id, `Revoked in access certification "${campaign.name}": ${reason}`);
+        if (grant) revoked.push(grant);
+      }
+      db.prepare(`
+        UPDATE access_certification_campaigns SET status = 'closed', completed_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(campaignId);
+    })();
+    return { success: true, campaign: this.getCampaign(campaignId), revoked };
+  }
+
+  // Close open campaigns whose deadline has passed
+  enforceDeadlines() {
+    const overdue = db.prepare(`
+      SELECT id FROM access_certification_campaigns WHERE status = 'open' AND due_at <= CURRENT_TIMESTAMP
+    `).all();
+    return overdue.map(c => this.closeCampaign(c.id)).filter(r => r.success);
+  }
+
+  // Evidence pack: one row per reviewed grant with who decided what and when
+  exportCsv(campaignId) {
+    const campaign = this.getCampaign(campaignId);
+    if (!campaign) return null;
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const item of this.getItems(campaignId)) {
+      const row = [
+        campaign.id, campaign.name, campaign.status, campaign.due_at, item.id, item.request_id,
+        item.grantee_email, item.grantee_name, item.resource_name, item.access_type, item.granted_at, item.expires_at,
+        item.reviewer_email || 'access.certify', item.decision,
+        item.decided_by_email || (item.decision === 'auto_revoked' ? 'system' : ''), item.decision_reason, item.decided_at
+      ];
+      lines.push(row.map(csvCell).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new AccessCertificationService();
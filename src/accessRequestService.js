@@ -1,15 +1,72 @@
 const db = require('./database');
+const accessApprovalService = require('./accessApprovalService');
 
 class AccessRequestService {
-  createAccessRequest(userId, resourceName, accessType, justification) {
+  constructor() {
+    this.config = {
+      highRiskDefaultHours: parseInt(process.env.ACCESS_HIGH_RISK_DEFAULT_HOURS) || 7 * 24,
+      maxGrantHours: parseInt(process.env.ACCESS_MAX_GRANT_HOURS) || 90 * 24
+    };
+  }
+
+  // options: { durationHours, extendsRequestId }. Without a duration the grant never expires.
+  createAccessRequest(userId, resourceName, accessType, justification, options = {}) {
     const stmt = db.prepare(`
-      INSERT INTO access_requests (user_id, resource_name, access_type, justification, status)
-      VALUES (?, ?, ?, ?, 'pending')
+      INSERT INTO access_requests (user_id, resource_name, access_type, justification, status, duration_hours, extends_request_id)
+      VALUES (?, ?, ?, ?, 'pending', ?, ?)
     `);
-    const result = stmt.run(userId, resourceName, accessType || 'read', justification || '');
+    const result = stmt.run(
+      userId,
+      resourceName,
+      accessType || 'read',
+      justification || '',
+      options.durationHours || null,
+      options.extendsRequestId || null
+    );
+    accessApprovalService.startChain(result.lastInsertRowid);
     return result.lastInsertRowid;
   }
 
+  // High-risk access is always temporary; every duration is capped at maxGrantHours
+  resolveDurationHours(riskLevel, requestedHours) {
+    let hours = requestedHours ? Math.ceil(requestedHours) : null;
+    if (!hours && riskLevel === 'high') hours = this.config.highRiskDefaultHours;
+    return hours ? Math.min(hours, this.config.maxGrantHours) : null;
+  }
+
+  // Start the clock on a newly approved grant. An extension continues from the
+  // end of the grant it extends, which is then marked as extended.
+  activateGrant(requestId) {
+    const request = db.prepare('SELECT * FROM access_requests WHERE id = ?').get(requestId);
+    if (!request || request.status !== 'approved' || !request.duration_hours) return request;
+
+    const parent = request.extends_request_id
+      ? db.prepare('SELECT * FROM access_requests WHERE id = ?').get(request.extends_request_id)
+      : null;
+    const extendsLiveGrant = !!(parent && parent.status === 'approved' && parent.expires_at);
+
+    db.prepare(`
+      UPDATE access_requests
+      SET expires_at = datetime(MAX(COALESCE(?, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP), '+' || duration_hours || ' hours')
+      WHERE id = ?
+    `).run(extendsLiveGrant ? parent.expires_at : null, requestId);
+
+    if (extendsLiveGrant) {
+      db.prepare(`UPDATE access_requests SET status = 'extended' WHERE id = ?`).run(parent.id);
+    }
+    return db.prepare('SELECT * FROM access_requests WHERE id = ?').get(requestId);
+  }
+
+  getPendingExtension(requestId) {
+    const stmt = db.prepare(`SELECT * FROM access_requests WHERE extends_request_id = ? AND status = 'pending'`);
+    return stmt.get(requestId);
+  }
+
+  getAccessRequestById(requestId) {
+    const stmt = db.prepare('SELECT ar.*, u.email, u.full_name FROM access_requests ar JOIN users u ON ar.user_id = u.id WHERE ar.id = ?');
+    return stmt.get(requestId);
+  }
+
   getAccessRequestsByUser(userId) {
     const stmt = db.prepare('SELECT * FROM access_requests WHERE user_id = ? ORDER BY created_at DESC');
     return stmt.all(userId);
@@ -31,14 +88,21 @@ class AccessRequestService {
 
   updateRequestStatus(requestId, status, approver) {
     const stmt = db.prepare('UPDATE access_requests SET status = ?, approver = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?');
-    return stmt.run(status, approver, requestId);
+    const result = stmt.run(status, approver, requestId);
+    if (status !== 'pending') {
+      accessApprovalService.skipOpenSteps(requestId);
+    }
+    if (status === 'approved') {
+      this.activateGrant(requestId);
+    }
+    return result;
   }
 
   createRequest(requestData) {
     try {
       const stmt = db.prepare(`
-        INSERT INTO access_requests (user_id, resource_name, access_type, justification, status, created_at, resolved_at, approver)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO access_requests (user_id, resource_name, access_type, justification, status, created_at, resolved_at, approver, duration_hours)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       
       const result = stmt.run(
@@ -49,9 +113,15 @@ class AccessRequestService {
         requestData.status || 'pending',
         requestData.created_at || new Date().toISOString(),
         requestData.approved_at || null,
-        requestData.approval_reason || null
+        requestData.approval_reason || null,
+        requestData.duration_hours || null
       );
       
+      if ((requestData.status || 'pending') === 'pending') {
+        accessApprovalService.startChain(result.lastInsertRowid);
+      } else {
+        this.activateGrant(result.lastInsertRowid);
+      }
       return { success: true, id: result.lastInsertRowid };
     } catch (err) {
       return { success: false, error: err.message };
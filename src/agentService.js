@@ -1,14 +1,20 @@
 const db = require('./database');
 const ticketService = require('./ticketService');
 const accessRequestService = require('./accessRequestService');
+const accessApprovalService = require('./accessApprovalService');
+const resourceCatalogService = require('./resourceCatalogService');
+const slaTimerService = require('./slaTimerService');
+const escalationService = require('./escalationService');
+const teamService = require('./teamService');
 const onboardingService = require('./onboardingService');
 
 class AgentService {
   constructor(opts = {}) {
     this.config = {
-      slaHours: { high: 4, medium: 24, low: 48 },
-      lowRiskResources: ['Slack', 'Confluence', 'Figma', 'Notion', 'Jira-Viewer'],
       reminderLeadMinutes: 5,
+      accessExpiryReminderHours: 24,
+      // UTC time of day onboarding task reminders go out on the due date
+      onboardingReminderTime: '09:00',
       ...opts
     };
   }
@@ -25,57 +31,80 @@ class AgentService {
     if (/outage|down|cannot access|urgent|production/.test(lower)) priority = 'high';
     else if (/slow|minor|typo/.test(lower)) priority = 'low';
 
-    let assigneeSuggestion = null;
-    if (category === 'network') assigneeSuggestion = 'network-team';
-    if (category === 'hardware') assigneeSuggestion = 'helpdesk';
-    if (category === 'software') assigneeSuggestion = 'app-support';
-    if (category === 'access') assigneeSuggestion = 'iam-team';
+    const team = teamService.findTeamForCategory(category);
 
-    return { category, priority, assigneeSuggestion };
+    return { category, priority, team: team ? { id: team.id, name: team.name } : null };
   }
 
   scanAccessRequests() {
     const pending = accessRequestService.getAllAccessRequests({ status: 'pending' });
     let approved = 0;
     for (const req of pending) {
-      const resource = (req.resource_name || '').trim();
-      const justification = (req.justification || '').toLowerCase();
-      const lowRisk = this.config.lowRiskResources.includes(resource);
-      const safeWords = /routine|standard|daily|team|collaboration/.test(justification);
-      if (lowRisk && safeWords) {
+      const { approve, policy } = resourceCatalogService.evaluateAutoApproval(req.resource_name, req.justification);
+      if (approve) {
         // Approve
-        db.prepare(`UPDATE access_requests SET status='approved', approver='auto-agent', approved_at=CURRENT_TIMESTAMP, decision_reason=? WHERE id=?`).run('low-risk auto approval', req.id);
+        db.prepare(`UPDATE access_requests SET status='approved', approver='auto-agent', approved_at=CURRENT_TIMESTAMP, decision_reason=? WHERE id=?`).run(`catalog auto approval (${policy})`, req.id);
+        accessApprovalService.skipOpenSteps(req.id);
+        accessRequestService.activateGrant(req.id);
         approved++;
       }
     }
     return { scanned: pending.length, approved };
   }
 
+  // Revoke time-bound grants that have lapsed and pick out the ones lapsing soon.
+  // Each grant gets a single expiry reminder.
+  expireAccessGrants() {
+    const select = `
+      SELECT ar.*, u.email, u.full_name FROM access_requests ar JOIN users u ON ar.user_id = u.id
+      WHERE ar.status = 'approved' AND ar.expires_at IS NOT NULL
+    `;
+    const expired = db.prepare(`${select} AND ar.expires_at <= CURRENT_TIMESTAMP`).all();
+    for (const grant of expired) {
+      db.prepare(`UPDATE access_requests SET status='expired', resolved_at=CURRENT_TIMESTAMP WHERE id=?`).run(grant.id);
+      grant.status = 'expired';
+    }
+
+    const expiring = db.prepare(`
+      ${select} AND ar.expiry_reminder_sent_at IS NULL
+      AND ar.expires_at <= datetime('now', '+' || ? || ' hours')
+    `).all(this.config.accessExpiryReminderHours);
+    for (const grant of expiring) {
+      db.prepare(`UPDATE access_requests SET expiry_reminder_sent_at=CURRENT_TIMESTAMP WHERE id=?`).run(grant.id);
+    }
+    return { expired, expiring };
+  }
+
+  /**
+   * Walk the escalation matrix: breached tickets enter level 1, and escalated
+   * tickets move up once they outstay their level's time-to-next-level.
+   * Returns each escalation so the caller can notify its recipients.
+   */
   monitorSLA() {
-    const all = ticketService.getAllTickets({ status: 'open' });
-    const now = Date.now();
-    let escalated = 0;
-    for (const t of all) {
-      const created = new Date(t.created_at).getTime();
-      const ageHours = (now - created) / 3600000;
-      const sla = this.config.slaHours[(t.priority || 'medium').toLowerCase()] || 24;
-      if (ageHours > sla && (!t.escalated_at || t.escalation_level === 0)) {
-        ticketService.updateTicket(t.id, {
-          escalation_level: (t.escalation_level || 0) + 1,
-          escalated_at: new Date().toISOString(),
-          priority: t.priority === 'medium' ? 'high' : t.priority,
-          status: 'open' // keep open but flagged
-        });
-        escalated++;
-      }
+    const breached = slaTimerService.listTimers({ breached: true, open: true })
+      .filter(t => !t.escalation_level);
+    const due = escalationService.findDueEscalations();
+    const escalations = [];
+    for (const t of breached) {
+      const result = escalationService.escalateTicket(t.ticket_id, 'sla-monitor', { reason: 'SLA resolution target breached' });
+      if (result.success) escalations.push(result);
+    }
+    for (const t of due) {
+      const result = escalationService.escalateTicket(t.id, 'sla-monitor', {
+        reason: `Still unresolved after level ${t.escalation_level}`
+      });
+      if (result.success) escalations.push(result);
     }
-    return { scanned: all.length, escalated };
+    return { scanned: breached.length + due.length, escalated: escalations.length, escalations };
   }
 
   dispatchOnboardingReminders() {
-    // Upcoming reminders not sent yet and due_at <= now
+    // Upcoming reminders not sent yet and due_at <= now, skipping tasks already done
     const nowIso = new Date().toISOString();
-    const rows = db.prepare(`SELECT * FROM reminders WHERE status='pending' AND (sent_at IS NULL) AND due_at <= ?`).all(nowIso);
+    const rows = db.prepare(`
+      SELECT * FROM reminders WHERE status='pending' AND (sent_at IS NULL) AND due_at <= ?
+        AND (task_id IS NULL OR task_id NOT IN (SELECT id FROM onboarding_tasks WHERE status = 'done'))
+    `).all(nowIso);
     let sent = 0;
     for (const r of rows) {
       // Mark as sent
@@ -85,7 +114,7 @@ class AgentService {
         r.user_id,
         `Reminder: Task "${r.item}" is due now (checklist ${r.checklist_id || 'n/a'}).`,
         'assistant',
-        JSON.stringify({ type: 'reminder', reminder_id: r.id })
+        JSON.stringify({ type: 'reminder', reminder_id: r.id, task_id: r.task_id })
       );
       sent++;
     }
@@ -93,18 +122,23 @@ class AgentService {
   }
 
   scheduleChecklistReminders(checklistId) {
-    // Create reminder rows for pending items 24h from now
-    const checklist = onboardingService.getAllChecklists().find(c => c.id === checklistId);
+    // One reminder per open task on its due date, for whoever has to do it (the
+    // checklist creator when it falls to a group). Safe to call again after
+    // tasks or the start date change; tasks already reminded are skipped.
+    const checklist = onboardingService.getChecklist(checklistId);
     if (!checklist) return { created: 0 };
-    const items = checklist.checklist_items || [];
+    db.prepare(`DELETE FROM reminders WHERE checklist_id = ? AND status = 'pending' AND sent_at IS NULL`).run(checklistId);
+    const reminded = new Set(db.prepare(`SELECT task_id FROM reminders WHERE checklist_id = ? AND status = 'sent'`)
+      .all(checklistId).map(r => r.task_id));
     let created = 0;
-    const dueBase = Date.now() + 24 * 3600000; // 24h
-    for (const item of items) {
-      db.prepare(`INSERT INTO reminders (user_id, checklist_id, item, due_at) VALUES (?,?,?,?)`).run(
-        checklist.user_id,
+    for (const task of checklist.tasks) {
+      if (task.status === 'done' || reminded.has(task.id)) continue;
+      db.prepare(`INSERT INTO reminders (user_id, checklist_id, task_id, item, due_at) VALUES (?,?,?,?,?)`).run(
+        onboardingService.responsibleUserId(checklist, task) || checklist.user_id,
         checklist.id,
-        item,
-        new Date(dueBase).toISOString()
+        task.id,
+        task.title,
+        `${task.due_date}T${this.config.onboardingReminderTime}:00.000Z`
       );
       created++;
     }
@@ -116,7 +150,8 @@ class AgentService {
     const openTickets = ticketService.getAllTickets({ status: 'open' }).length;
     const overdueTickets = db.prepare(`SELECT COUNT(*) as cnt FROM tickets WHERE status='open' AND escalated_at IS NOT NULL`).get().cnt;
     const dueReminders = db.prepare(`SELECT COUNT(*) as cnt FROM reminders WHERE status='pending' AND due_at <= ?`).get(new Date().toISOString()).cnt;
-    return { pendingAccess, openTickets, overdueTickets, dueReminders };
+    const expiringAccess = db.prepare(`SELECT COUNT(*) as cnt FROM access_requests WHERE status='approved' AND expires_at IS NOT NULL AND expires_at <= datetime('now', '+' || ? || ' hours')`).get(this.config.accessExpiryReminderHours).cnt;
+    return { pendingAccess, openTickets, overdueTickets, dueReminders, expiringAccess };
   }
 }
 
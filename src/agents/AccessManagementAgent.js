@@ -1,5 +1,6 @@
 const BaseAgent = require('./BaseAgent');
 const accessRequestService = require('../accessRequestService');
+const resourceCatalogService = require('../resourceCatalogService');
 const { PromptTemplate } = require('@langchain/core/prompts');
 
 /**
@@ -31,10 +32,8 @@ Please provide:
 5. **Security Conditions**: Any additional security requirements
 6. **Monitoring Requirements**: What should be monitored after access is granted
 
-Security Policies:
-- Low-risk resources: Slack, Confluence (read), Figma, Notion, Jira (viewer)
-- Medium-risk: GitHub (read), AWS (limited), Development tools
-- High-risk: Production systems, Admin panels, Financial systems
+Security Policies (resource catalog):
+{securityPolicies}
 
 Format as structured security assessment. Start with "APPROVE:" for auto-approval or "REVIEW:" for manual review.
 `);
@@ -60,13 +59,16 @@ Format as structured security assessment. Start with "APPROVE:" for auto-approva
       userRole: context.userRole || 'employee',
       resource: resource,
       justification: context.justification || input,
-      userHistory: context.userHistory || 'No previous access history'
+      userHistory: context.userHistory || 'No previous access history',
+      securityPolicies: this.describeSecurityPolicies()
     });
 
     const autoApprove = result.toLowerCase().startsWith('approve:');
     const needsReview = result.toLowerCase().startsWith('review:');
-    const riskLevel = this.extractRiskLevel(result);
-    const accessType = this.extractAccessType(result);
+    // The catalog, not the model, decides risk and what may be auto-approved
+    const riskLevel = resourceCatalogService.assessRisk(resource);
+    const accessType = this.resolveAccessType(resource, this.extractAccessType(result));
+    const policyAllows = resourceCatalogService.evaluateAutoApproval(resource, context.justification || input).approve;
 
     // Auto-create access request if this is a new request
     if (context.userId && context.autoCreateRequest !== false) {
@@ -78,8 +80,8 @@ Format as structured security assessment. Start with "APPROVE:" for auto-approva
           `${input}\n\n--- Access Agent Analysis ---\n${result}`
         );
 
-        // Auto-approve if recommended and low risk
-        if (autoApprove && riskLevel === 'low') {
+        // Auto-approve if recommended and the catalog policy allows it
+        if (autoApprove && policyAllows) {
           accessRequestService.updateRequestStatus(requestId, 'approved', 'access-agent-auto');
         }
 
@@ -88,7 +90,7 @@ Format as structured security assessment. Start with "APPROVE:" for auto-approva
           requestCreated: true,
           requestId,
           resource,
-          autoApproved: autoApprove && riskLevel === 'low',
+          autoApproved: autoApprove && policyAllows,
           riskLevel,
           accessType,
           requiresReview: needsReview || riskLevel === 'high'
@@ -115,6 +117,9 @@ Format as structured security assessment. Start with "APPROVE:" for auto-approva
   }
 
   extractResource(input) {
+    const catalogResource = resourceCatalogService.findResourceInText(input);
+    if (catalogResource) return catalogResource.name;
+
     const resourcePatterns = [
       /(?:access to|need|want|get)\s+([A-Za-z][A-Za-z0-9\s-]{2,20})/i,
       /(GitHub|Slack|Figma|Jira|AWS|Azure|Office|Confluence|Notion|Salesforce)/i,
@@ -131,13 +136,6 @@ Format as structured security assessment. Start with "APPROVE:" for auto-approva
     return 'Unknown Resource';
   }
 
-  extractRiskLevel(analysisText) {
-    const text = analysisText.toLowerCase();
-    if (text.includes('high risk') || text.includes('high-risk')) return 'high';
-    if (text.includes('low risk') || text.includes('low-risk')) return 'low';
-    return 'medium';
-  }
-
   extractAccessType(analysisText) {
     const text = analysisText.toLowerCase();
     if (text.includes('admin') || text.includes('administrator')) return 'admin';
@@ -145,23 +143,32 @@ Format as structured security assessment. Start with "APPROVE:" for auto-approva
     return 'read';
   }
 
+  // Fall back to the least privileged type the catalog allows for this resource
+  resolveAccessType(resource, accessType) {
+    if (resourceCatalogService.isAccessTypeAllowed(resource, accessType)) return accessType;
+    return resourceCatalogService.findResource(resource).access_types[0];
+  }
+
+  describeSecurityPolicies() {
+    const tiers = { low: [], medium: [], high: [] };
+    for (const resource of resourceCatalogService.listResources()) {
+      tiers[resource.risk_tier].push(`${resource.name} (${resource.access_types.join('/')})`);
+    }
+    return [
+      `- Low-risk resources: ${tiers.low.join(', ') || 'none'}`,
+      `- Medium-risk: ${tiers.medium.join(', ') || 'none'}`,
+      `- High-risk: ${tiers.high.join(', ') || 'none'}`,
+      '- Resources not in the catalog are medium risk'
+    ].join('\n');
+  }
+
   // Policy checker for automated decisions
   isLowRiskResource(resource) {
-    const lowRiskResources = [
-      'Slack', 'Confluence', 'Figma', 'Notion', 'Jira'
-    ];
-    return lowRiskResources.some(lr => 
-      resource.toLowerCase().includes(lr.toLowerCase())
-    );
+    return resourceCatalogService.assessRisk(resource) === 'low';
   }
 
   isHighRiskResource(resource) {
-    const highRiskResources = [
-      'Production', 'Prod', 'Admin', 'Financial', 'Payroll', 'HR System'
-    ];
-    return highRiskResources.some(hr => 
-      resource.toLowerCase().includes(hr.toLowerCase())
-    );
+    return resourceCatalogService.assessRisk(resource) === 'high';
   }
 }
 
@@ -2,6 +2,8 @@ const BaseAgent = require('./BaseAgent');
 const ticketService = require('../ticketService');
 const accessRequestService = require('../accessRequestService');
 const notificationService = require('../notificationService');
+const escalationService = require('../escalationService');
+const changeService = require('../changeService');
 const { PromptTemplate } = require('@langchain/core/prompts');
 
 /**
@@ -28,7 +30,7 @@ User Role: {userRole}
 
 Please provide:
 1. **Urgency Assessment**: Critical/High/Medium/Low and reasoning
-2. **Escalation Path**: Who should be notified immediately
+2. **Escalation Path**: Which level of the escalation matrix should take this and why
 3. **Communication Plan**: What stakeholders need updates
 4. **Resolution Strategy**: Immediate actions and longer-term plan
 5. **SLA Implications**: How does this affect service level agreements
@@ -41,6 +43,12 @@ Escalation Matrix:
 - Medium (P2): Minor functionality issues, workarounds available
 - Low (P3): Cosmetic issues, enhancement requests
 
+Escalation Levels (who each level reassigns the ticket to and notifies):
+{escalationMatrix}
+
+Recent Changes (for an outage, check whether one of these caused it and whether to roll it back):
+{recentChanges}
+
 Format as structured escalation response. Start with priority level (P0/P1/P2/P3).
 `);
 
@@ -62,51 +70,65 @@ Format as structured escalation response. Start with priority level (P0/P1/P2/P3
   }
 
   async run(input, context) {
+    const ticket = context.ticketId ? ticketService.getTicketById(context.ticketId) : null;
+    const category = ticket ? ticket.category : context.category;
+    // The matrix, not the model, decides who an escalation goes to
+    const escalationPath = escalationService.describeMatrix(category);
+    const recentChanges = changeService.getRecentChanges({ service: context.service || category });
+
     const result = await this.chain.invoke({
       issue: input,
       severity: context.severity || context.priority || 'unknown',
       timeElapsed: context.timeElapsed || 'unknown',
       previousActions: context.previousActions || 'No previous actions recorded',
       businessImpact: context.businessImpact || 'Unknown business impact',
-      userRole: context.userRole || 'employee'
+      userRole: context.userRole || 'employee',
+      escalationMatrix: escalationPath.join('\n'),
+      recentChanges: changeService.describeRecentChanges(recentChanges).join('\n')
     });
 
     const priorityLevel = this.extractPriorityLevel(result);
     const urgencyScore = this.calculateUrgencyScore(result, context);
-    const escalationPath = this.extractEscalationPath(result);
-    const requiredNotifications = this.determineNotifications(priorityLevel, context);
 
     // Handle different escalation scenarios
     const actions = [];
     
-    // Update existing ticket if provided
-    if (context.ticketId) {
-      try {
-        ticketService.updateTicket(context.ticketId, {
-          priority: this.priorityLevelToString(priorityLevel),
-          escalated_at: new Date().toISOString(),
-          escalation_level: (context.currentEscalationLevel || 0) + 1,
-          status: 'escalated'
-        });
-        actions.push(`Updated ticket ${context.ticketId} with escalation`);
-      } catch (error) {
-        actions.push(`Failed to update ticket: ${error.message}`);
-      }
-    }
-
-    // Send notifications for critical/high priority issues
-    if (priorityLevel <= 1 && requiredNotifications.length > 0) {
-      try {
-        for (const notification of requiredNotifications) {
-          await notificationService.sendNotification({
-            type: notification.type,
-            recipient: notification.recipient,
-            subject: `Escalation Alert: ${priorityLevel === 0 ? 'CRITICAL' : 'HIGH'} Priority Issue`,
-            message: `Issue: ${input}\\n\\nEscalation Analysis:\\n${result}`,
-            urgency: priorityLevel === 0 ? 'critical' : 'high'
+    // Walk an existing ticket up its escalation matrix
+    if (ticket) {
+      const escalated = escalationService.escalateTicket(ticket.id, 'escalation-agent', {
+        reason: `Escalation agent assessed ${this.priorityLevelToString(priorityLevel)} priority`
+      });
+      if (escalated.success) {
+        const { escalation } = escalated;
+        actions.push(`Escalated ticket ${ticket.id} to level ${escalation.level} (${escalation.name}), assigned to ${escalation.assignee}`);
+        try {
+          await notificationService.sendEscalationNotification(escalated.ticket, {
+            escalated_at: escalated.ticket.escalated_at,
+            escalation_level: escalation.level,
+            level_name: escalation.name,
+            recipients: escalation.recipients,
+            reason: escalation.reason
           });
-          actions.push(`Sent ${notification.type} notification to ${notification.recipient}`);
+          actions.push(`Sent escalation notification to ${escalation.recipients.join(', ')}`);
+        } catch (error) {
+          actions.push(`Failed to send notifications: ${error.message}`);
         }
+      } else {
+        actions.push(`Could not escalate ticket ${ticket.id}: ${escalated.error}`);
+      }
+    } else if (priorityLevel <= 1) {
+      // No ticket yet: alert the first level of the matrix for critical/high issues
+      const [firstLevel] = escalationService.getMatrix(category);
+      const { recipients } = firstLevel ? escalationService.resolveTargets(firstLevel) : { recipients: [] };
+      try {
+        await notificationService.sendNotification({
+          type: 'escalation_alert',
+          recipients,
+          subject: `Escalation Alert: ${priorityLevel === 0 ? 'CRITICAL' : 'HIGH'} Priority Issue`,
+          message: `Issue: ${input}\n\nEscalation Analysis:\n${result}`,
+          urgency: priorityLevel === 0 ? 'critical' : 'high'
+        });
+        actions.push(`Sent escalation notification to ${recipients.join(', ') || 'default escalation contacts'}`);
       } catch (error) {
         actions.push(`Failed to send notifications: ${error.message}`);
       }
@@ -118,6 +140,7 @@ Format as structured escalation response. Start with priority level (P0/P1/P2/P3
       priorityLevel: this.priorityLevelToString(priorityLevel),
       urgencyScore,
       escalationPath,
+      recentChanges,
       analysisResult: result,
       actionsTriggered: actions,
       timestamp: new Date().toISOString()
@@ -128,6 +151,7 @@ Format as structured escalation response. Start with priority level (P0/P1/P2/P3
       priorityLevel: this.priorityLevelToString(priorityLevel),
       urgencyScore,
       escalationPath,
+      recentChanges,
       notificationsSent: actions.filter(a => a.includes('notification')).length,
       actionsTriggered: actions,
       escalationRecord,
@@ -170,43 +194,6 @@ Format as structured escalation response. Start with priority level (P0/P1/P2/P3
     return Math.min(score, 10); // Cap at 10
   }
 
-  extractEscalationPath(analysisText) {
-    const path = [];
-    const text = analysisText.toLowerCase();
-    
-    if (text.includes('manager') || text.includes('supervisor')) {
-      path.push('Direct Manager');
-    }
-    if (text.includes('it director') || text.includes('it manager')) {
-      path.push('IT Director');
-    }
-    if (text.includes('security') || text.includes('ciso')) {
-      path.push('Security Team');
-    }
-    if (text.includes('executive') || text.includes('ceo') || text.includes('senior leadership')) {
-      path.push('Executive Team');
-    }
-    
-    return path.length > 0 ? path : ['Direct Manager', 'IT Director'];
-  }
-
-  determineNotifications(priorityLevel, context) {
-    const notifications = [];
-    
-    if (priorityLevel === 0) { // Critical
-      notifications.push(
-        { type: 'email', recipient: 'it-director@company.com' },
-        { type: 'webhook', recipient: 'incident-response-channel' }
-      );
-    } else if (priorityLevel === 1) { // High
-      notifications.push(
-        { type: 'email', recipient: 'it-manager@company.com' }
-      );
-    }
-    
-    return notifications;
-  }
-
   estimateResolutionTime(priorityLevel) {
     const estimates = {
       0: '2-4 hours', // Critical
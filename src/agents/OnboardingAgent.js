@@ -1,6 +1,8 @@
 const BaseAgent = require('./BaseAgent');
 const onboardingService = require('../onboardingService');
+const onboardingTemplateService = require('../onboardingTemplateService');
 const agentService = require('../agentService');
+const provisioningService = require('../provisioningService');
 const { PromptTemplate } = require('@langchain/core/prompts');
 
 /**
@@ -22,6 +24,7 @@ Request: {request}
 Employee Name: {employeeName}
 Role: {employeeRole}
 Department: {department}
+Location: {location}
 Start Date: {startDate}
 Current Progress: {currentProgress}
 
@@ -34,12 +37,8 @@ Please provide:
 6. **Training**: Required training sessions or materials
 7. **Progress Tracking**: How to monitor completion
 
-Role-specific requirements:
-- Developer: GitHub, IDE licenses, development environment, code review process
-- Designer: Figma, Adobe Creative Suite, design system access
-- Marketing: CRM, social media accounts, brand guidelines
-- HR: HRIS, payroll systems, employee records access
-- Sales: CRM, sales tools, customer databases
+Checklist from HR's onboarding templates for this role, department and location (build the plan around it):
+{templateTasks}
 
 Format as structured onboarding plan with clear action items and timelines.
 `);
@@ -58,18 +57,30 @@ Format as structured onboarding plan with clear action items and timelines.
   }
 
   async run(input, context) {
+    const employeeRole = context.employeeRole || context.userRole || 'Employee';
+    const template = onboardingTemplateService.compose({
+      role: employeeRole,
+      department: context.department,
+      location: context.location
+    });
+
     const result = await this.chain.invoke({
       request: input,
       employeeName: context.employeeName || 'New Employee',
-      employeeRole: context.employeeRole || context.userRole || 'Employee',
+      employeeRole,
       department: context.department || 'General',
+      location: context.location || 'Not specified',
       startDate: context.startDate || new Date().toISOString().split('T')[0],
-      currentProgress: context.currentProgress || 'Starting onboarding process'
+      currentProgress: context.currentProgress || 'Starting onboarding process',
+      templateTasks: template ? template.tasks.map(task => `- ${task.title} (${task.owner})`).join('\n') : 'None - no template matches'
     });
 
-    // Extract structured checklist from AI response
-    const checklist = this.parseChecklistFromResponse(result);
-    const systemsToProvision = this.extractSystemsFromResponse(result);
+    // The checklist comes from the matching templates; without one, extract it from the AI response
+    const checklist = template ? template.tasks : this.parseChecklistFromResponse(result);
+    const systemsToProvision = [...new Set([
+      ...(template ? template.systems_to_provision : []),
+      ...this.extractSystemsFromResponse(result)
+    ])];
 
     // Auto-create onboarding checklist if this is a new employee setup
     if (context.userId && context.autoCreateChecklist !== false) {
@@ -80,7 +91,15 @@ Format as structured onboarding plan with clear action items and timelines.
           context.employeeRole || context.userRole,
           checklist,
           systemsToProvision,
-          `Welcome! This onboarding plan was created by our AI assistant.\\n\\n${result}`
+          `Welcome! This onboarding plan was created by our AI assistant.\\n\\n${result}`,
+          {
+            start_date: context.startDate,
+            employee_email: context.employeeEmail,
+            manager_email: context.managerEmail,
+            department: context.department,
+            location: context.location,
+            template_versions: template ? template.templates : []
+          }
         );
 
         // Schedule reminders for checklist items
@@ -90,6 +109,11 @@ Format as structured onboarding plan with clear action items and timelines.
           console.warn('Failed to schedule reminders:', reminderError.message);
         }
 
+        // Create the accounts for the systems in the background; systems handed to IT get a task and a reminder
+        provisioningService.provisionChecklist(checklistId)
+          .then(() => agentService.scheduleChecklistReminders(checklistId))
+          .catch(error => console.warn('Failed to provision accounts:', error.message));
+
         return {
           plan: result,
           checklistCreated: true,
@@ -185,40 +209,10 @@ Format as structured onboarding plan with clear action items and timelines.
     return timelineItems;
   }
 
-  // Helper method to get role-specific onboarding templates
-  getRoleTemplate(role) {
-    const templates = {
-      developer: [
-        'Setup development environment',
-        'GitHub account and repository access',
-        'Code review process training',
-        'Development tools installation',
-        'Team coding standards review'
-      ],
-      designer: [
-        'Design tool access (Figma, Adobe)',
-        'Design system familiarization',
-        'Brand guidelines review',
-        'Creative team introductions',
-        'Portfolio setup and sharing'
-      ],
-      marketing: [
-        'CRM system training',
-        'Social media account access',
-        'Brand guidelines and assets',
-        'Marketing automation tools',
-        'Campaign management training'
-      ],
-      sales: [
-        'CRM system setup',
-        'Sales process training',
-        'Customer database access',
-        'Sales tools and quotas',
-        'Territory assignment'
-      ]
-    };
-    
-    return templates[role.toLowerCase()] || templates.developer;
+  // Task titles from the onboarding templates matching a hire, empty when none match
+  getRoleTemplate(role, department = null, location = null) {
+    const template = onboardingTemplateService.compose({ role, department, location });
+    return template ? template.tasks.map(task => task.title) : [];
   }
 }
 
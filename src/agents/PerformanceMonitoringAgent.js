@@ -1,4 +1,5 @@
 const BaseAgent = require('./BaseAgent');
+const changeService = require('../changeService');
 const { PromptTemplate } = require('@langchain/core/prompts');
 
 /**
@@ -22,12 +23,15 @@ Metrics Data: {metricsData}
 Alert Level: {alertLevel}
 User Role: {userRole}
 
+Recent Changes (implemented before this analysis):
+{recentChanges}
+
 Analyze the performance data and provide:
 
 1. **Performance Assessment**: Current system health status
 2. **Issue Identification**: Any performance bottlenecks or anomalies detected
 3. **Impact Analysis**: How performance issues affect business operations
-4. **Root Cause Analysis**: Likely causes of performance degradation
+4. **Root Cause Analysis**: Likely causes of performance degradation. If a recent change touched the affected service or went in shortly before the problem started, name it as a suspect and say whether its rollback plan should be used
 5. **Optimization Recommendations**: Specific actions to improve performance
 6. **Monitoring Setup**: Suggested alerts and monitoring thresholds
 7. **Preventive Measures**: Long-term strategies to maintain optimal performance
@@ -77,6 +81,7 @@ Prioritize recommendations by impact and implementation difficulty.
           performanceLevel: result.performanceLevel,
           criticalIssues: result.criticalIssues,
           recommendations: result.recommendations,
+          recentChanges: result.recentChanges,
           monitoringSetup: result.monitoringSetup
         }
       };
@@ -96,13 +101,16 @@ Prioritize recommendations by impact and implementation difficulty.
   async run(input, context) {
     // Gather system metrics (in real implementation, this would connect to monitoring tools)
     const systemMetrics = await this.gatherSystemMetrics(context);
+    // Changes are the most common cause of a sudden degradation
+    const recentChanges = changeService.getRecentChanges({ service: context.service });
     
     const result = await this.chain.invoke({
       query: input,
       systemContext: context.systemContext || 'General IT infrastructure',
       metricsData: JSON.stringify(systemMetrics, null, 2),
       alertLevel: this.assessAlertLevel(systemMetrics),
-      userRole: context.userRole || 'IT Staff'
+      userRole: context.userRole || 'IT Staff',
+      recentChanges: changeService.describeRecentChanges(recentChanges).join('\n')
     });
 
     const performanceLevel = this.extractPerformanceLevel(result);
@@ -119,6 +127,7 @@ Prioritize recommendations by impact and implementation difficulty.
       performanceLevel,
       criticalIssues,
       recommendations,
+      recentChanges,
       monitoringSetup: this.generateMonitoringSetup(systemMetrics, performanceLevel)
     };
   }
@@ -310,7 +319,7 @@ Prioritize recommendations by impact and implementation difficulty.
         auto_generated: true
       };
       
-      const result = await ticketService.createTicket(ticketData);
+      const result = await ticketService.createTicketFromData(ticketData);
       console.log(`[PERFORMANCE-AGENT] Created critical performance ticket #${result.id}`);
       
       return result;
@@ -1,4 +1,6 @@
 const moment = require('moment');
+const { roleHasPermission } = require('./permissions');
+const csatService = require('./csatService');
 
 /**
  * Analytics Service
@@ -54,7 +56,7 @@ class AnalyticsService {
       stats.accessRequests = accessStats;
 
       // User statistics (admin/hr only)
-      if (['admin', 'hr'].includes(userRole)) {
+      if (roleHasPermission(userRole, 'users.search')) {
         const userStats = await this.getUserStats(dateFilter);
         stats.users = userStats;
 
@@ -121,14 +123,15 @@ class AnalyticsService {
           return acc;
         }, {});
 
-      // Resolution time (closed tickets only)
+      // Resolution time (resolved/closed tickets, from the lifecycle stamps)
       const resolutionQuery = `
         SELECT 
-          AVG(julianday(updated_at) - julianday(created_at)) * 24 as avg_hours,
-          MIN(julianday(updated_at) - julianday(created_at)) * 24 as min_hours,
-          MAX(julianday(updated_at) - julianday(created_at)) * 24 as max_hours
+          AVG(julianday(COALESCE(resolved_at, closed_at)) - julianday(created_at)) * 24 as avg_hours,
+          MIN(julianday(COALESCE(resolved_at, closed_at)) - julianday(created_at)) * 24 as min_hours,
+          MAX(julianday(COALESCE(resolved_at, closed_at)) - julianday(created_at)) * 24 as max_hours
         FROM tickets 
         ${baseQuery ? baseQuery + ' AND' : 'WHERE'} status IN ('resolved', 'closed')
+          AND COALESCE(resolved_at, closed_at) IS NOT NULL
       `;
       const resolutionTime = this.db.prepare(resolutionQuery).get(...params);
 
@@ -364,7 +367,7 @@ class AnalyticsService {
       });
 
       // Average response time (for IT staff/admin)
-      if (['admin', 'it_staff'].includes(userRole)) {
+      if (roleHasPermission(userRole, 'tickets.read_all')) {
         const responseTimeQuery = `
           SELECT AVG(julianday(updated_at) - julianday(created_at)) * 24 as avg_hours
           FROM tickets 
@@ -423,7 +426,7 @@ class AnalyticsService {
       trends.accessRequests = await this.getAccessRequestTrends(userRole, userId, timeRange);
       
       // User activity trends (admin/hr only)
-      if (['admin', 'hr'].includes(userRole)) {
+      if (roleHasPermission(userRole, 'users.search')) {
         trends.userActivity = await this.getUserActivityTrends(timeRange);
       }
 
@@ -542,12 +545,12 @@ class AnalyticsService {
       metrics.slaCompliance = await this.getSLACompliance(userRole, userId);
       
       // Workload distribution
-      if (['admin', 'it_staff'].includes(userRole)) {
+      if (roleHasPermission(userRole, 'tickets.read_all')) {
         metrics.workloadDistribution = await this.getWorkloadDistribution();
       }
       
       // User satisfaction (if available)
-      metrics.satisfaction = await this.getSatisfactionMetrics();
+      metrics.satisfaction = await this.getSatisfactionMetrics(userRole, userId, timeRange);
 
       return metrics;
     } catch (error) {
@@ -565,26 +568,20 @@ class AnalyticsService {
       let params = [];
       
       if (userRole === 'employee' && userId) {
-        baseQuery = 'WHERE user_id = ?';
+        baseQuery = 'WHERE t.user_id = ?';
         params = [userId];
       }
 
-      // Calculate SLA compliance based on priority and resolution time
-      const query = `
-        SELECT 
-          priority,
+      // Compliance against each ticket's persisted SLA timer
+      const results = this.db.prepare(`
+        SELECT t.priority,
           COUNT(*) as total,
-          COUNT(CASE 
-            WHEN priority = 'urgent' AND julianday(COALESCE(updated_at, datetime('now'))) - julianday(created_at) <= 0.17 THEN 1
-            WHEN priority = 'high' AND julianday(COALESCE(updated_at, datetime('now'))) - julianday(created_at) <= 1 THEN 1
-            WHEN priority = 'medium' AND julianday(COALESCE(updated_at, datetime('now'))) - julianday(created_at) <= 2 THEN 1
-            WHEN priority = 'low' AND julianday(COALESCE(updated_at, datetime('now'))) - julianday(created_at) <= 3 THEN 1
-          END) as compliant
-        FROM tickets ${baseQuery}
-        GROUP BY priority
-      `;
-
-      const results = this.db.prepare(query).all(...params);
+          SUM(CASE WHEN s.breached_at IS NULL THEN 1 ELSE 0 END) as compliant
+        FROM tickets t
+        LEFT JOIN ticket_sla_timers s ON s.ticket_id = t.id
+        ${baseQuery}
+        GROUP BY t.priority
+      `).all(...params);
       
       return results.map(row => ({
         priority: row.priority,
@@ -605,14 +602,14 @@ class AnalyticsService {
     try {
       const query = `
         SELECT 
-          assigned_to,
+          assignee,
           COUNT(*) as total_tickets,
           COUNT(CASE WHEN status = 'open' THEN 1 END) as open_tickets,
           COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress_tickets,
           COUNT(CASE WHEN status IN ('resolved', 'closed') THEN 1 END) as resolved_tickets
         FROM tickets
-        WHERE assigned_to IS NOT NULL
-        GROUP BY assigned_to
+        WHERE assignee IS NOT NULL
+        GROUP BY assignee
         ORDER BY total_tickets DESC
       `;
 
@@ -624,21 +621,70 @@ class AnalyticsService {
   }
 
   /**
-   * Satisfaction metrics (placeholder)
+   * Satisfaction metrics from the CSAT surveys for tickets resolved in the time range.
+   * Roles without analytics.view_all only see their own ratings and get no breakdowns.
    */
-  async getSatisfactionMetrics() {
-    // This would integrate with satisfaction surveys
-    return {
-      averageRating: 4.2,
-      totalResponses: 0,
-      distribution: {
-        5: 0,
-        4: 0,
-        3: 0,
-        2: 0,
-        1: 0
+  async getSatisfactionMetrics(userRole, userId, timeRange) {
+    try {
+      const days = this.getTimeRangeDays(timeRange);
+      const conditions = [`datetime(s.created_at) >= datetime('now', '-${days} days')`];
+      const params = [];
+      const viewAll = roleHasPermission(userRole, 'analytics.view_all');
+      if (!viewAll) {
+        conditions.push('s.user_id = ?');
+        params.push(userId);
       }
-    };
+      const where = `WHERE ${conditions.join(' AND ')}`;
+      const lowScore = csatService.config.lowScore;
+      const summarize = (groupBy, label) => this.db.prepare(`
+        SELECT ${label} AS name,
+          COUNT(s.rating) as responses,
+          ROUND(AVG(s.rating), 2) as averageRating,
+          SUM(CASE WHEN s.rating <= ${lowScore} THEN 1 ELSE 0 END) as lowScores
+        FROM csat_surveys s
+        LEFT JOIN teams tm ON tm.id = s.team_id
+        ${where} AND s.rating IS NOT NULL
+        GROUP BY ${groupBy}
+        ORDER BY averageRating ASC, responses DESC
+      `).all(...params);
+
+      const totals = this.db.prepare(`
+        SELECT COUNT(*) as sent,
+          COUNT(s.rating) as responses,
+          ROUND(AVG(s.rating), 2) as averageRating,
+          SUM(CASE WHEN s.rating <= ${lowScore} THEN 1 ELSE 0 END) as lowScores,
+          SUM(CASE WHEN s.follow_up_status = 'open' THEN 1 ELSE 0 END) as openFollowUps
+        FROM csat_surveys s
+        ${where}
+      `).get(...params);
+
+      const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+      this.db.prepare(`
+        SELECT s.rating, COUNT(*) as count FROM csat_surveys s ${where} AND s.rating IS NOT NULL GROUP BY s.rating
+      `).all(...params).forEach(row => { distribution[row.rating] = row.count; });
+
+      const metrics = {
+        averageRating: totals.averageRating,
+        totalResponses: totals.responses,
+        surveysSent: totals.sent,
+        responseRate: totals.sent ? Math.round((totals.responses / totals.sent) * 100) : 0,
+        distribution,
+        lowScores: {
+          threshold: lowScore,
+          total: totals.lowScores || 0,
+          openFollowUps: totals.openFollowUps || 0
+        }
+      };
+      if (viewAll) {
+        metrics.byCategory = summarize('s.category', 's.category');
+        metrics.byAssignee = summarize('s.assignee', "COALESCE(s.assignee, 'unassigned')");
+        metrics.byTeam = summarize('s.team_id', "COALESCE(tm.name, 'no team')");
+      }
+      return metrics;
+    } catch (error) {
+      console.error('[ANALYTICS] Satisfaction metrics error:', error);
+      return {};
+    }
   }
 
   /**
@@ -0,0 +1,290 @@
+const db = require('./database');
+const ticketService = require('./ticketService');
+const teamService = require('./teamService');
+const { parseTimestamp, toIso } = require('./businessCalendar');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const CLOSED_STATUSES = ['resolved', 'closed'];
+const EDITABLE_FIELDS = ['email', 'name', 'skills', 'capacity', 'available', 'out_of_office_until'];
+
+function normalizeSkill(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+class AssignmentService {
+  parseTechnician(row, now = Date.now()) {
+    if (!row) return null;
+    let skills = [];
+    try { skills = JSON.parse(row.skills || '[]'); } catch (_) { skills = []; }
+    const { cnt } = db.prepare(`
+      SELECT COUNT(*) AS cnt FROM tickets WHERE assignee = ? COLLATE NOCASE
+      AND status NOT IN (${CLOSED_STATUSES.map(() => '?').join(', ')})
+    `).get(row.email, ...CLOSED_STATUSES);
+    return {
+      ...row,
+      skills,
+      available: !!row.available,
+      status: this.availabilityStatus(row, now),
+      open_tickets: cnt
+    };
+  }
+
+  // available, out_of_office (until a set time) or unavailable (switched off with no end)
+  availabilityStatus(row, now = Date.now()) {
+    if (row.out_of_office_until && parseTimestamp(row.out_of_office_until) > now) return 'out_of_office';
+    return row.available ? 'available' : 'unavailable';
+  }
+
+  listTechnicians() {
+    return db.prepare('SELECT * FROM technicians ORDER BY email').all().map(row => this.parseTechnician(row));
+  }
+
+  getTechnician(id) {
+    return this.parseTechnician(db.prepare('SELECT * FROM technicians WHERE id = ?').get(id));
+  }
+
+  // Returns an error message, or null when the fields are valid
+  validateTechnician(data, { partial = false } = {}) {
+    if (!partial || data.email !== undefined) {
+      if (!data.email || !EMAIL_PATTERN.test(String(data.email))) return 'Technician email required';
+    }
+    if (!partial || data.skills !== undefined) {
+      if (!Array.isArray(data.skills) || !data.skills.length || data.skills.some(s => typeof s !== 'string' || !s.trim())) {
+        return 'Skills must be a non-empty list of categories';
+      }
+    }
+    if (data.capacity !== undefined && (!Number.isInteger(data.capacity) || data.capacity < 1)) {
+      return 'Capacity must be a positive whole number of open tickets';
+    }
+    if (data.available !== undefined && typeof data.available !== 'boolean') return 'available must be true or false';
+    if (data.out_of_office_until !== undefined && data.out_of_office_until !== null) {
+      const until = parseTimestamp(data.out_of_office_until);
+      if (until == null) return 'out_of_office_until must be a timestamp';
+      if (until <= Date.now()) return 'out_of_office_until must be in the future';
+    }
+    return null;
+  }
+
+  fieldValue(field, data) {
+    if (field === 'skills') return JSON.stringify([...new Set(data.skills.map(normalizeSkill))]);
+    if (field === 'email') return String(data.email).trim();
+    if (field === 'available') return data.available ? 1 : 0;
+    if (field === 'out_of_office_until') return data.out_of_office_until ? toIso(parseTimestamp(data.out_of_office_until)) : null;
+    return data[field] === undefined ? null : data[field];
+  }
+
+  createTechnician(data) {
+    const error = this.validateTechnician(data);
+    if (error) return { success: false, reason: 'invalid', error };
+    try {
+      const result = db.prepare(`
+        INSERT INTO technicians (email, name, skills, capacity, available, out_of_office_until)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        this.fieldValue('email', data),
+        data.name || null,
+        this.fieldValue('skills', data),
+        data.capacity || 10,
+        data.available === false ? 0 : 1,
+        this.fieldValue('out_of_office_until', data)
+      );
+      return { success: true, technician: this.getTechnician(result.lastInsertRowid) };
+    } catch (err) {
+      if (String(err.message).includes('UNIQUE')) {
+        return { success: false, reason: 'duplicate', error: `${data.email} is already registered` };
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Change a technician's profile or availability. When the change takes them out
+   * of office (or otherwise unavailable) their open tickets are reassigned.
+   */
+  updateTechnician(id, data, actor = 'system') {
+    const current = this.getTechnician(id);
+    if (!current) return { success: false, reason: 'not_found', error: 'Technician not found' };
+    const error = this.validateTechnician(data, { partial: true });
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const sets = [];
+    const values = [];
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] === undefined) continue;
+      sets.push(`${field} = ?`);
+      values.push(this.fieldValue(field, data));
+    }
+    if (sets.length) {
+      try {
+        db.prepare(`UPDATE technicians SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...values, id);
+      } catch (err) {
+        if (String(err.message).includes('UNIQUE')) {
+          return { success: false, reason: 'duplicate', error: `${data.email} is already registered` };
+        }
+        throw err;
+      }
+    }
+
+    const technician = this.getTechnician(id);
+    let reassigned = [];
+    if (current.status === 'available' && technician.status !== 'available') {
+      reassigned = this.reassignOpenTickets(technician, actor);
+    }
+    return { success: true, technician: this.getTechnician(id), reassigned };
+  }
+
+  deleteTechnician(id) {
+    const result = db.prepare('DELETE FROM technicians WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  // ---- Assignment ----
+
+  /**
+   * Choose a technician for a category: among those with the skill who are
+   * available and under capacity, the fewest open tickets wins; ties go to
+   * whoever was auto-assigned longest ago (round-robin). A team with members
+   * only hands its tickets to those members.
+   */
+  pickTechnician(category, { exclude = [], team = null } = {}) {
+    const excluded = exclude.map(e => String(e).toLowerCase());
+    const members = team && team.members.length ? team.members.map(m => m.email.toLowerCase()) : null;
+    const candidates = this.listTechnicians()
+      .filter(tech => teamService.coversCategory(tech.skills, category))
+      .filter(tech => !members || members.includes(tech.email.toLowerCase()))
+      .map(tech => {
+        let status = tech.status;
+        if (excluded.includes(tech.email.toLowerCase())) status = 'excluded';
+        else if (status === 'available' && tech.open_tickets >= tech.capacity) status = 'at_capacity';
+        return { tech, status };
+      });
+
+    const eligible = candidates.filter(c => c.status === 'available').map(c => c.tech);
+    const leastLoad = Math.min(...eligible.map(tech => tech.open_tickets));
+    const tied = eligible
+      .filter(tech => tech.open_tickets === leastLoad)
+      .sort((a, b) => (parseTimestamp(a.last_assigned_at) || 0) - (parseTimestamp(b.last_assigned_at) || 0) || a.id - b.id);
+
+    return {
+      technician: tied[0] || null,
+      tied: tied.length,
+      candidates: candidates.map(({ tech, status }) => ({
+        email: tech.email,
+        open_tickets: tech.open_tickets,
+        capacity: tech.capacity,
+        status
+      }))
+    };
+  }
+
+  recordDecision(ticketId, { assignee, previous = null, source, reason, candidates = null, actor = 'system' }) {
+    db.prepare(`
+      INSERT INTO ticket_assignments (ticket_id, assignee, previous_assignee, source, reason, candidates, actor)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(ticketId, assignee || null, previous || null, source, reason, candidates ? JSON.stringify(candidates) : null, String(actor));
+  }
+
+  getDecisions(ticketId) {
+    return db.prepare('SELECT * FROM ticket_assignments WHERE ticket_id = ? ORDER BY id ASC').all(ticketId).map(row => {
+      let candidates = null;
+      try { candidates = row.candidates ? JSON.parse(row.candidates) : null; } catch (_) { candidates = null; }
+      return { ...row, candidates };
+    });
+  }
+
+  /**
+   * Assign a ticket to the best available technician for its category and team
+   * and log the decision. With nobody eligible the ticket is given to `fallback`
+   * (null leaves it in its team's queue) or keeps its current assignee.
+   */
+  autoAssign(ticketId, { source = 'auto', actor = 'system', exclude = [], fallback, reasonPrefix = '' } = {}) {
+    const ticket = ticketService.getTicketById(ticketId);
+    if (!ticket) return { success: false, reason: 'not_found', error: 'Ticket not found' };
+    if (CLOSED_STATUSES.includes(ticket.status)) {
+      return { success: false, reason: 'invalid_transition', error: `Cannot assign a ${ticket.status} ticket` };
+    }
+
+    const category = ticket.category || 'general';
+    const team = ticket.team_id ? teamService.getTeam(ticket.team_id) : null;
+    const { technician, tied, candidates } = this.pickTechnician(category, { exclude, team });
+    const scope = team && team.members.length ? ` in ${team.name}` : '';
+    let assignee;
+    let reason;
+    if (technician) {
+      assignee = technician.email;
+      reason = `Least-loaded ${category} technician${scope} (${technician.open_tickets}/${technician.capacity} open)`;
+      if (tied > 1) reason += `; round-robin among ${tied} tied`;
+      db.prepare('UPDATE technicians SET last_assigned_at = ? WHERE id = ?').run(new Date().toISOString(), technician.id);
+    } else {
+      assignee = fallback !== undefined ? fallback : ticket.assignee;
+      const why = candidates.length ? `No ${category} technician${scope} available` : `No technician${scope} has the ${category} skill`;
+      let outcome = 'left unassigned';
+      if (assignee) outcome = `routed to ${assignee}`;
+      else if (team) outcome = `left in the ${team.name} queue`;
+      reason = `${why}; ${outcome}`;
+    }
+
+    if (assignee !== ticket.assignee) ticketService.updateTicket(ticketId, { assignee }, actor);
+    this.recordDecision(ticketId, {
+      assignee,
+      previous: ticket.assignee,
+      source,
+      reason: reasonPrefix + reason,
+      candidates,
+      actor
+    });
+    return { success: true, ticket: ticketService.getTicketById(ticketId), reason: reasonPrefix + reason };
+  }
+
+  // Assign to a named person or queue, recording who decided it
+  assign(ticketId, assignee, { source = 'manual', actor = 'system', reason } = {}) {
+    const previous = ticketService.getTicketById(ticketId);
+    const result = ticketService.assignTicket(ticketId, assignee, actor);
+    if (!result.success) return result;
+    this.recordDecision(ticketId, {
+      assignee,
+      previous: previous.assignee,
+      source,
+      reason: reason || 'Assigned manually',
+      actor
+    });
+    return result;
+  }
+
+  // Tickets created with an assignee keep it; the rest are routed automatically
+  assignNewTicket(ticketId, requestedAssignee, actor = 'system') {
+    if (requestedAssignee) {
+      this.recordDecision(ticketId, { assignee: requestedAssignee, source: 'requested', reason: 'Assignee given when the ticket was created', actor });
+      return { success: true, ticket: ticketService.getTicketById(ticketId) };
+    }
+    return this.autoAssign(ticketId, { source: 'new_ticket', actor });
+  }
+
+  /**
+   * Hand an unavailable technician's open tickets to colleagues. Tickets nobody
+   * can take go back to their team's queue.
+   */
+  reassignOpenTickets(technician, actor = 'system') {
+    const tickets = db.prepare(`
+      SELECT * FROM tickets WHERE assignee = ? COLLATE NOCASE
+      AND status NOT IN (${CLOSED_STATUSES.map(() => '?').join(', ')})
+      ORDER BY created_at ASC, id ASC
+    `).all(technician.email, ...CLOSED_STATUSES);
+
+    const away = technician.status === 'out_of_office'
+      ? `out of office until ${technician.out_of_office_until}`
+      : 'unavailable';
+    return tickets.map(ticket => {
+      const result = this.autoAssign(ticket.id, {
+        source: 'out_of_office',
+        actor,
+        exclude: [technician.email],
+        fallback: null,
+        reasonPrefix: `${technician.email} is ${away}. `
+      });
+      return { ticket_id: ticket.id, assignee: result.ticket.assignee, reason: result.reason };
+    });
+  }
+}
+
+module.exports = new AssignmentService();
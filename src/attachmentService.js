@@ -0,0 +1,92 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const db = require('./database');
+
+const attachmentsDir = path.join(__dirname, '..', 'data', 'attachments');
+
+const ALLOWED_MIME_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'application/pdf', 'text/plain', 'text/csv', 'application/json',
+  'application/zip', 'application/x-zip-compressed'
+];
+// Log files often arrive without a useful MIME type
+const ALLOWED_TEXT_EXTENSIONS = ['.log', '.txt'];
+
+/**
+ * Attachment Service - ticket file uploads stored under data/attachments
+ * with metadata rows in SQLite
+ */
+class AttachmentService {
+  constructor(options = {}) {
+    this.config = {
+      maxFileBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024,
+      ...options
+    };
+
+    if (!fs.existsSync(attachmentsDir)) {
+      fs.mkdirSync(attachmentsDir, { recursive: true });
+    }
+
+    this.upload = multer({
+      storage: multer.diskStorage({
+        destination: attachmentsDir,
+        filename: (req, file, cb) => {
+          const ext = path.extname(file.originalname || '').toLowerCase();
+          cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`);
+        }
+      }),
+      limits: { fileSize: this.config.maxFileBytes, files: 1 },
+      fileFilter: (req, file, cb) => {
+        if (this.isAllowedFile(file)) return cb(null, true);
+        const err = new Error(`File type not allowed: ${file.mimetype || 'unknown'}`);
+        err.code = 'UNSUPPORTED_FILE_TYPE';
+        cb(err);
+      }
+    });
+  }
+
+  isAllowedFile(file) {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) return true;
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    return ALLOWED_TEXT_EXTENSIONS.includes(ext);
+  }
+
+  recordAttachment(ticketId, userId, file) {
+    const stmt = db.prepare(`
+      INSERT INTO ticket_attachments (ticket_id, user_id, original_name, stored_name, mime_type, size_bytes)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      ticketId,
+      userId,
+      file.originalname,
+      file.filename,
+      file.mimetype || 'application/octet-stream',
+      file.size
+    );
+    return this.getAttachmentById(result.lastInsertRowid);
+  }
+
+  getAttachmentById(attachmentId) {
+    const stmt = db.prepare('SELECT * FROM ticket_attachments WHERE id = ?');
+    return stmt.get(attachmentId);
+  }
+
+  getAttachmentsForTicket(ticketId) {
+    const stmt = db.prepare(`
+      SELECT a.*, u.email AS uploader_email, u.full_name AS uploader_name
+      FROM ticket_attachments a JOIN users u ON a.user_id = u.id
+      WHERE a.ticket_id = ?
+      ORDER BY a.created_at ASC, a.id ASC
+    `);
+    return stmt.all(ticketId);
+  }
+
+  getFilePath(attachment) {
+    return path.join(attachmentsDir, path.basename(attachment.stored_name));
+  }
+}
+
+module.exports = new AttachmentService();
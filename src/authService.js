@@ -1,7 +1,20 @@
 const bcrypt = require('bcrypt');
 const db = require('./database');
 
+// The account that administers a new install
+const ADMIN_EMAIL = String(process.env.ADMIN_EMAIL || '').trim();
+
 class AuthService {
+  // Make the ADMIN_EMAIL account an admin while the install has none; returns whether it was promoted
+  bootstrapAdmin() {
+    if (!ADMIN_EMAIL) return false;
+    const result = db.prepare(`
+      UPDATE users SET role = 'admin'
+      WHERE email = ? COLLATE NOCASE AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+    `).run(ADMIN_EMAIL);
+    return result.changes > 0;
+  }
+
   async hashPassword(password) {
     return bcrypt.hash(password, 10);
   }
@@ -23,10 +36,38 @@ class AuthService {
   }
 
   getUserById(id) {
-    const stmt = db.prepare('SELECT id, email, full_name, role, created_at FROM users WHERE id = ?');
+    const stmt = db.prepare('SELECT id, email, full_name, role, manager_id, disabled_at, created_at FROM users WHERE id = ?');
     return stmt.get(id);
   }
 
+  getAllUsers() {
+    const stmt = db.prepare('SELECT id, email, full_name, role, manager_id, disabled_at, created_at FROM users ORDER BY created_at DESC');
+    return stmt.all();
+  }
+
+  updateUserRole(id, role) {
+    const stmt = db.prepare('UPDATE users SET role = ? WHERE id = ?');
+    const result = stmt.run(role, id);
+    return result.changes > 0;
+  }
+
+  setManager(id, managerId) {
+    const stmt = db.prepare('UPDATE users SET manager_id = ? WHERE id = ?');
+    const result = stmt.run(managerId, id);
+    return result.changes > 0;
+  }
+
+  setPassword(id, password) {
+    const result = db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(bcrypt.hashSync(password, 10), id);
+    return result.changes > 0;
+  }
+
+  // Disabled accounts can no longer sign in or use an existing session
+  disableUser(id) {
+    const result = db.prepare('UPDATE users SET disabled_at = ? WHERE id = ? AND disabled_at IS NULL').run(new Date().toISOString(), id);
+    return result.changes > 0;
+  }
+
   async authenticate(email, password) {
     const user = this.getUserByEmail(email);
     if (!user) return null;
@@ -0,0 +1,160 @@
+/**
+ * Business-hours arithmetic for SLA clocks.
+ * A calendar is { timezone, work_days, day_start, day_end, holidays }:
+ * work_days uses 0 = Sunday, times are local 'HH:MM' ('24:00' ends at midnight)
+ * and holidays are local 'YYYY-MM-DD' dates. All instants are epoch milliseconds.
+ * Pauses are [startMs, endMs] intervals excluded from the clock; endMs null means
+ * the clock is still paused.
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+// Give up looking for business time this far ahead (e.g. a calendar with no work days)
+const MAX_DAYS = 3 * 366;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(String(timezone));
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in the given zone
+function zonedParts(ms, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+function timezoneOffset(ms, timezone) {
+  const p = zonedParts(ms, timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// Instant at which the zone's clock reads the given local date and minute of day
+function zonedTimeToUtc(year, month, day, minuteOfDay, timezone) {
+  const guess = Date.UTC(year, month - 1, day) + minuteOfDay * MINUTE;
+  const first = guess - timezoneOffset(guess, timezone);
+  return guess - timezoneOffset(first, timezone);
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  const ms = /[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? Date.parse(text) : Date.parse(`${text.replace(' ', 'T')}Z`);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function toIso(ms) {
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+function dateKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Business windows [startMs, endMs] from `fromMs` onwards, in order
+function* businessWindows(calendar, fromMs) {
+  const start = parseClock(calendar.day_start);
+  const end = parseClock(calendar.day_end);
+  if (start === null || end === null || end <= start) return;
+  const workDays = new Set(calendar.work_days || []);
+  const holidays = new Set(calendar.holidays || []);
+
+  const local = zonedParts(fromMs, calendar.timezone);
+  const firstDay = Date.UTC(local.year, local.month - 1, local.day);
+  // Start a day early so a window that began before `fromMs` in local time is not missed
+  for (let i = -1; i < MAX_DAYS; i++) {
+    const date = new Date(firstDay + i * DAY);
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    if (!workDays.has(date.getUTCDay()) || holidays.has(dateKey(year, month, day))) continue;
+    const windowStart = zonedTimeToUtc(year, month, day, start, calendar.timezone);
+    const windowEnd = zonedTimeToUtc(year, month, day, end, calendar.timezone);
+    if (windowEnd <= fromMs) continue;
+    yield [Math.max(windowStart, fromMs), windowEnd];
+  }
+}
+
+// Cut the pause intervals out of one window
+function subtractPauses([start, end], pauses) {
+  let pieces = [[start, end]];
+  for (const [pauseStart, pauseEnd] of pauses) {
+    const stop = pauseEnd == null ? Infinity : pauseEnd;
+    pieces = pieces.flatMap(([a, b]) => {
+      if (stop <= a || pauseStart >= b) return [[a, b]];
+      const kept = [];
+      if (pauseStart > a) kept.push([a, pauseStart]);
+      if (stop < b) kept.push([stop, b]);
+      return kept;
+    });
+  }
+  return pieces;
+}
+
+/**
+ * Instant reached after `minutes` of business time from `fromMs`, skipping pauses.
+ * Returns null while an open pause stops the clock before the target is reached.
+ */
+function addBusinessMinutes(fromMs, minutes, calendar, pauses = []) {
+  let remaining = minutes * MINUTE;
+  const openPause = pauses.find(([, pauseEnd]) => pauseEnd == null);
+  if (remaining <= 0) return fromMs;
+  for (const window of businessWindows(calendar, fromMs)) {
+    if (openPause && window[0] >= openPause[0]) return null;
+    for (const [a, b] of subtractPauses(window, pauses)) {
+      if (b - a >= remaining) return a + remaining;
+      remaining -= b - a;
+    }
+  }
+  return null;
+}
+
+// Business minutes between two instants, excluding pauses
+function businessMinutesBetween(fromMs, toMs, calendar, pauses = []) {
+  if (toMs <= fromMs) return 0;
+  let total = 0;
+  for (const window of businessWindows(calendar, fromMs)) {
+    if (window[0] >= toMs) break;
+    for (const [a, b] of subtractPauses([window[0], Math.min(window[1], toMs)], pauses)) {
+      total += b - a;
+    }
+  }
+  return total / MINUTE;
+}
+
+module.exports = {
+  isValidTimezone,
+  parseClock,
+  zonedParts,
+  zonedTimeToUtc,
+  parseTimestamp,
+  toIso,
+  addBusinessMinutes,
+  businessMinutesBetween
+};
@@ -0,0 +1,551 @@
+const db = require('./database');
+const incidentService = require('./incidentService');
+const { roleHasPermission } = require('./permissions');
+const { parseTimestamp, toIso } = require('./businessCalendar');
+
+const CHANGE_TYPES = ['standard', 'normal', 'emergency'];
+const LEVELS = ['low', 'medium', 'high'];
+const LEVEL_SCORES = { low: 1, medium: 2, high: 3 };
+const VOTES = ['approve', 'reject'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Change lifecycle: which statuses each status may move to
+const STATUS_TRANSITIONS = {
+  draft: ['pending_approval', 'approved', 'cancelled'],
+  pending_approval: ['approved', 'rejected', 'cancelled'],
+  approved: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'rolled_back'],
+  rejected: [],
+  completed: [],
+  rolled_back: [],
+  cancelled: []
+};
+
+// Named lifecycle actions exposed by the API and the status they lead to
+const CHANGE_ACTIONS = {
+  start: 'in_progress',
+  complete: 'completed',
+  rollback: 'rolled_back',
+  cancel: 'cancelled'
+};
+
+// Changes whose planned window still holds a slot on the calendar
+const SCHEDULED_STATUSES = ['pending_approval', 'approved', 'in_progress'];
+// Changes that have touched production
+const IMPLEMENTED_STATUSES = ['in_progress', 'completed', 'rolled_back'];
+
+const EDITABLE_FIELDS = [
+  'title', 'description', 'type', 'service', 'impact', 'likelihood',
+  'implementation_plan', 'rollback_plan', 'planned_start', 'planned_end'
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CALENDAR_DAYS = 92;
+
+function parseEmails(value) {
+  return String(value || '').split(',').map(e => e.trim()).filter(Boolean);
+}
+
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+/**
+ * Change Service - change requests with risk assessment, CAB voting, a change
+ * calendar with freeze periods, and links to the incidents a change caused
+ */
+class ChangeService {
+  constructor() {
+    this.config = {
+      // CAB for changes that name no approvers; empty falls back to everyone holding changes.approve
+      cabApprovers: parseEmails(process.env.CAB_APPROVER_EMAILS),
+      // How far back agents look for changes that may explain an outage
+      recentChangeHours: parseInt(process.env.RECENT_CHANGE_HOURS) || 72
+    };
+  }
+
+  parseChange(row) {
+    if (!row) return null;
+    return { ...row, votes: this.getVotes(row.id) };
+  }
+
+  getVotes(changeId) {
+    return db.prepare(`
+      SELECT approver_email, vote, comment, voted_at FROM change_votes WHERE change_id = ? ORDER BY id ASC
+    `).all(changeId);
+  }
+
+  // ?status, ?service and a from/to range the planned window must overlap
+  listChanges({ status = null, service = null, from = null, to = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (service) {
+      conditions.push('service = ? COLLATE NOCASE');
+      params.push(service);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = db.prepare(`SELECT * FROM change_requests ${where} ORDER BY planned_start IS NULL, planned_start ASC, id ASC`).all(...params);
+    const fromMs = parseTimestamp(from);
+    const toMs = parseTimestamp(to);
+    return rows
+      .filter(row => {
+        if (fromMs == null && toMs == null) return true;
+        if (!row.planned_start) return false;
+        return overlaps(parseTimestamp(row.planned_start), parseTimestamp(row.planned_end), fromMs == null ? -Infinity : fromMs, toMs == null ? Infinity : toMs);
+      })
+      .map(row => this.parseChange(row));
+  }
+
+  getChange(id) {
+    return this.parseChange(db.prepare('SELECT * FROM change_requests WHERE id = ?').get(id));
+  }
+
+  // Returns an error message, or null when the fields are valid
+  validateChange(data) {
+    if (!data.title || !String(data.title).trim()) return 'Title required';
+    if (!CHANGE_TYPES.includes(data.type)) return `Type must be one of: ${CHANGE_TYPES.join(', ')}`;
+    if (!LEVELS.includes(data.impact)) return `Impact must be one of: ${LEVELS.join(', ')}`;
+    if (!LEVELS.includes(data.likelihood)) return `Likelihood must be one of: ${LEVELS.join(', ')}`;
+    for (const field of ['planned_start', 'planned_end']) {
+      if (data[field] != null && parseTimestamp(data[field]) == null) return `${field} must be a timestamp`;
+    }
+    if (!data.planned_start !== !data.planned_end) return 'planned_start and planned_end must be given together';
+    if (data.planned_start && parseTimestamp(data.planned_end) <= parseTimestamp(data.planned_start)) {
+      return 'planned_end must be after planned_start';
+    }
+    return null;
+  }
+
+  fieldValue(field, data) {
+    if (field === 'planned_start' || field === 'planned_end') return data[field] ? toIso(parseTimestamp(data[field])) : null;
+    if (field === 'title') return String(data.title).trim();
+    if (field === 'service') return data.service ? String(data.service).trim() : null;
+    return data[field] === undefined ? null : data[field];
+  }
+
+  createChange(data, requesterId) {
+    const change = { type: 'normal', impact: 'medium', likelihood: 'medium', ...data };
+    const error = this.validateChange(change);
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const result = db.prepare(`
+      INSERT INTO change_requests (${EDITABLE_FIELDS.join(', ')}, requested_by)
+      VALUES (${EDITABLE_FIELDS.map(() => '?').join(', ')}, ?)
+    `).run(...EDITABLE_FIELDS.map(field => this.fieldValue(field, change)), requesterId);
+    this.saveAssessment(result.lastInsertRowid);
+    return { success: true, change: this.getChange(result.lastInsertRowid) };
+  }
+
+  // Only drafts can be edited; submitted changes are what the CAB votes on
+  updateChange(id, data) {
+    const current = this.getChange(id);
+    if (!current) return { success: false, reason: 'not_found', error: 'Change not found' };
+    if (current.status !== 'draft') {
+      return { success: false, reason: 'invalid_transition', error: `Only draft changes can be edited; this one is ${current.status}` };
+    }
+    const merged = { ...current };
+    EDITABLE_FIELDS.forEach(field => { if (data[field] !== undefined) merged[field] = data[field]; });
+    const error = this.validateChange(merged);
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const fields = EDITABLE_FIELDS.filter(field => data[field] !== undefined);
+    if (fields.length) {
+      db.prepare(`UPDATE change_requests SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(...fields.map(field => this.fieldValue(field, merged)), id);
+      this.saveAssessment(id);
+    }
+    return { success: true, change: this.getChange(id) };
+  }
+
+  // ---- Risk & conflicts ----
+
+  /**
+   * Risk is impact x likelihood (1-9), raised for a missing rollback plan, an
+   * emergency change, a clash with another change to the same service and a
+   * window inside a change freeze: 6+ is high, 3+ medium, otherwise low.
+   */
+  assessRisk(change, conflicts = this.findConflicts(change)) {
+    let score = LEVEL_SCORES[change.impact] * LEVEL_SCORES[change.likelihood];
+    const factors = [`${change.impact} impact x ${change.likelihood} likelihood`];
+    if (!change.rollback_plan) {
+      score += 2;
+      factors.push('No rollback plan');
+    }
+    if (change.type === 'emergency') {
+      score += 1;
+      factors.push('Emergency change with a shortened review');
+    }
+    if (conflicts.some(c => c.type === 'change')) {
+      score += 1;
+      factors.push('Overlaps another change to the same service');
+    }
+    if (conflicts.some(c => c.type === 'freeze')) {
+      score += 2;
+      factors.push('Planned during a change freeze');
+    }
+    let risk = 'low';
+    if (score >= 6) risk = 'high';
+    else if (score >= 3) risk = 'medium';
+    return { risk, score, factors };
+  }
+
+  saveAssessment(id) {
+    const change = db.prepare('SELECT * FROM change_requests WHERE id = ?').get(id);
+    const assessment = this.assessRisk(change);
+    db.prepare('UPDATE change_requests SET risk = ?, risk_score = ? WHERE id = ?').run(assessment.risk, assessment.score, id);
+    return assessment;
+  }
+
+  /**
+   * What a change's planned window clashes with: freeze periods, and other
+   * scheduled changes to the same service.
+   */
+  findConflicts(change) {
+    if (!change.planned_start || !change.planned_end) return [];
+    const start = parseTimestamp(change.planned_start);
+    const end = parseTimestamp(change.planned_end);
+    const conflicts = this.getFreezes()
+      .filter(freeze => overlaps(start, end, parseTimestamp(freeze.starts_at), parseTimestamp(freeze.ends_at)))
+      .map(freeze => ({ type: 'freeze', freeze_id: freeze.id, name: freeze.name, starts_at: freeze.starts_at, ends_at: freeze.ends_at }));
+    if (!change.service) return conflicts;
+
+    const others = db.prepare(`
+      SELECT id, title, status, planned_start, planned_end FROM change_requests
+      WHERE id IS NOT ? AND service = ? COLLATE NOCASE AND planned_start IS NOT NULL
+      AND status IN (${SCHEDULED_STATUSES.map(() => '?').join(', ')})
+    `).all(change.id || null, change.service, ...SCHEDULED_STATUSES);
+    others
+      .filter(other => overlaps(start, end, parseTimestamp(other.planned_start), parseTimestamp(other.planned_end)))
+      .forEach(other => conflicts.push({
+        type: 'change',
+        change_id: other.id,
+        title: other.title,
+        status: other.status,
+        planned_start: other.planned_start,
+        planned_end: other.planned_end
+      }));
+    return conflicts;
+  }
+
+  // ---- CAB approval ----
+
+  // Approvers named on submission, else CAB_APPROVER_EMAILS, else everyone holding
+  // changes.approve; only active users can sit on the CAB
+  resolveApprovers(requested) {
+    if (requested && requested.length) return requested;
+    const users = db.prepare('SELECT email, role FROM users WHERE disabled_at IS NULL').all();
+    const emails = new Set(users.map(u => u.email.toLowerCase()));
+    if (this.config.cabApprovers.length) {
+      const configured = this.config.cabApprovers.filter(email => emails.has(String(email).trim().toLowerCase()));
+      if (configured.length < this.config.cabApprovers.length) {
+        console.warn('[CHANGES] CAB_APPROVER_EMAILS names addresses without an active account; they are left out');
+      }
+      if (configured.length) return configured;
+    }
+    return users
+      .filter(u => roleHasPermission(u.role, 'changes.approve'))
+      .map(u => u.email);
+  }
+
+  // Named approvers that are not active users; the first one found, or null
+  unknownApprover(approvers) {
+    const known = db.prepare('SELECT 1 FROM users WHERE email = ? COLLATE NOCASE AND disabled_at IS NULL');
+    return approvers.find(email => !known.get(String(email).trim())) || null;
+  }
+
+  /**
+   * Send a draft to the CAB. Standard changes are pre-approved when they assess
+   * as low risk. Others need a majority of their approvers (one vote for an
+   * emergency change). Only emergency changes may be planned into a freeze.
+   */
+  submitChange(id, requester, { approvers = null } = {}) {
+    const change = this.getChange(id);
+    if (!change) return { success: false, reason: 'not_found', error: 'Change not found' };
+    if (change.status !== 'draft') {
+      return { success: false, reason: 'invalid_transition', error: `Change is already ${change.status}` };
+    }
+    if (!change.planned_start) return { success: false, reason: 'invalid', error: 'A planned window (planned_start, planned_end) is required' };
+    if (parseTimestamp(change.planned_end) <= Date.now()) return { success: false, reason: 'invalid', error: 'The planned window is already over' };
+    if (!change.rollback_plan || !String(change.rollback_plan).trim()) return { success: false, reason: 'invalid', error: 'A rollback plan is required' };
+    if (approvers != null && (!Array.isArray(approvers) || approvers.some(e => !EMAIL_PATTERN.test(String(e))))) {
+      return { success: false, reason: 'invalid', error: 'approvers must be a list of email addresses' };
+    }
+    const unknown = approvers ? this.unknownApprover(approvers) : null;
+    if (unknown) return { success: false, reason: 'invalid', error: `${unknown} is not an active user and cannot be a CAB approver` };
+
+    const conflicts = this.findConflicts(change);
+    const freeze = conflicts.find(c => c.type === 'freeze');
+    if (freeze && change.type !== 'emergency') {
+      return { success: false, reason: 'conflict', error: `The planned window falls in the "${freeze.name}" change freeze; only emergency changes may be scheduled then`, conflicts };
+    }
+    const assessment = this.assessRisk(change, conflicts);
+    const now = new Date().toISOString();
+
+    if (change.type === 'standard') {
+      if (assessment.risk !== 'low') {
+        return { success: false, reason: 'invalid', error: `Standard changes must be low risk (assessed ${assessment.risk}); submit it as a normal change` };
+      }
+      db.prepare(`
+        UPDATE change_requests SET status = 'approved', quorum = 0, risk = ?, risk_score = ?, submitted_at = ?, decided_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(assessment.risk, assessment.score, now, now, id);
+      return { success: true, change: this.getChange(id), assessment, conflicts, approvers: [] };
+    }
+
+    const requesterEmail = String(requester.email).toLowerCase();
+    const cab = [...new Set(this.resolveApprovers(approvers).map(e => String(e).trim().toLowerCase()))]
+      .filter(email => email !== requesterEmail);
+    if (!cab.length) return { success: false, reason: 'invalid', error: 'No CAB approvers are available for this change' };
+    const quorum = change.type === 'emergency' ? 1 : Math.floor(cab.length / 2) + 1;
+
+    db.transaction(() => {
+      const insert = db.prepare('INSERT INTO change_votes (change_id, approver_email) VALUES (?, ?)');
+      cab.forEach(email => insert.run(id, email));
+      db.prepare(`
+        UPDATE change_requests SET status = 'pending_approval', quorum = ?, risk = ?, risk_score = ?, submitted_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(quorum, assessment.risk, assessment.score, now, id);
+    })();
+    return { success: true, change: this.getChange(id), assessment, conflicts, approvers: cab };
+  }
+
+  /**
+   * Record a CAB approver's vote. The change is approved once approvals reach
+   * its quorum and rejected once enough approvers reject that it no longer can.
+   * Approvers may change their vote until the change is decided.
+   */
+  vote(id, user, vote, comment = null) {
+    if (!VOTES.includes(vote)) return { success: false, reason: 'invalid', error: `Vote must be one of: ${VOTES.join(', ')}` };
+    const change = this.getChange(id);
+    if (!change) return { success: false, reason: 'not_found', error: 'Change not found' };
+    if (change.status !== 'pending_approval') {
+      return { success: false, reason: 'invalid_transition', error: `Change is not awaiting CAB approval (${change.status})` };
+    }
+    if (!change.votes.some(v => v.approver_email.toLowerCase() === String(user.email).toLowerCase())) {
+      return { success: false, reason: 'forbidden', error: 'You are not a CAB approver for this change' };
+    }
+
+    let decided = null;
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE change_votes SET vote = ?, comment = ?, voted_at = CURRENT_TIMESTAMP WHERE change_id = ? AND approver_email = ? COLLATE NOCASE
+      `).run(vote, comment, id, user.email);
+      const votes = this.getVotes(id);
+      const approvals = votes.filter(v => v.vote === 'approve').length;
+      const rejections = votes.filter(v => v.vote === 'reject').length;
+      if (approvals >= change.quorum) decided = 'approved';
+      else if (votes.length - rejections < change.quorum) decided = 'rejected';
+      if (decided) {
+        db.prepare(`
+          UPDATE change_requests SET status = ?, decided_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(decided, new Date().toISOString(), id);
+      }
+    })();
+    return { success: true, change: this.getChange(id), decided };
+  }
+
+  // "My CAB votes": changes awaiting approval that the user has not voted on yet
+  getPendingVotes(email) {
+    return db.prepare(`
+      SELECT c.* FROM change_votes v JOIN change_requests c ON c.id = v.change_id
+      WHERE v.approver_email = ? AND v.vote = 'pending' AND c.status = 'pending_approval'
+      ORDER BY c.planned_start ASC, c.id ASC
+    `).all(email).map(row => this.parseChange(row));
+  }
+
+  /**
+   * Move a change through implementation: start, complete, rollback or cancel.
+   * Outside emergencies nothing starts while a change freeze is in effect.
+   */
+  transitionChange(id, action, { note = null } = {}) {
+    const toStatus = CHANGE_ACTIONS[action];
+    if (!toStatus) return { success: false, reason: 'invalid_transition', error: `Unknown change action: ${action}` };
+    const change = this.getChange(id);
+    if (!change) return { success: false, reason: 'not_found', error: 'Change not found' };
+    if (!STATUS_TRANSITIONS[change.status].includes(toStatus)) {
+      return { success: false, reason: 'invalid_transition', error: `Cannot ${action} a change that is ${change.status}` };
+    }
+    const now = new Date().toISOString();
+    const stamps = {};
+    if (action === 'start') {
+      const freeze = this.getActiveFreeze();
+      if (freeze && change.type !== 'emergency') {
+        return { success: false, reason: 'conflict', error: `The "${freeze.name}" change freeze is in effect until ${freeze.ends_at}` };
+      }
+      stamps.actual_start = now;
+    } else {
+      if (action !== 'cancel') stamps.actual_end = now;
+      stamps.outcome_note = note;
+    }
+
+    const fields = Object.keys(stamps);
+    db.prepare(`
+      UPDATE change_requests SET status = ?${fields.map(f => `, ${f} = ?`).join('')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(toStatus, ...fields.map(f => stamps[f]), id);
+    return { success: true, change: this.getChange(id), previousStatus: change.status };
+  }
+
+  // ---- Freeze periods & calendar ----
+
+  getFreezes({ from = null, to = null } = {}) {
+    const fromMs = parseTimestamp(from);
+    const toMs = parseTimestamp(to);
+    return db.prepare('SELECT * FROM change_freezes ORDER BY starts_at ASC, id ASC').all()
+      .filter(freeze => overlaps(
+        parseTimestamp(freeze.starts_at), parseTimestamp(freeze.ends_at),
+        fromMs == null ? -Infinity : fromMs, toMs == null ? Infinity : toMs
+      ));
+  }
+
+  getActiveFreeze(now = Date.now()) {
+    return this.getFreezes({ from: toIso(now), to: toIso(now + 1) })[0] || null;
+  }
+
+  createFreeze(data, actor = 'system') {
+    if (!data.name || !String(data.name).trim()) return { success: false, reason: 'invalid', error: 'Freeze name required' };
+    const start = parseTimestamp(data.starts_at);
+    const end = parseTimestamp(data.ends_at);
+    if (start == null || end == null) return { success: false, reason: 'invalid', error: 'starts_at and ends_at must be timestamps' };
+    if (end <= start) return { success: false, reason: 'invalid', error: 'ends_at must be after starts_at' };
+    const result = db.prepare(`
+      INSERT INTO change_freezes (name, starts_at, ends_at, reason, created_by) VALUES (?, ?, ?, ?, ?)
+    `).run(String(data.name).trim(), toIso(start), toIso(end), data.reason || null, String(actor));
+    const freeze = db.prepare('SELECT * FROM change_freezes WHERE id = ?').get(result.lastInsertRowid);
+    // Changes already planned into the new freeze
+    const affected = this.listChanges({ from: freeze.starts_at, to: freeze.ends_at })
+      .filter(change => SCHEDULED_STATUSES.includes(change.status))
+      .map(change => ({ change_id: change.id, title: change.title, status: change.status, type: change.type }));
+    return { success: true, freeze, affected };
+  }
+
+  deleteFreeze(id) {
+    const result = db.prepare('DELETE FROM change_freezes WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Calendar view from `from` to `to` (default: the next 30 days from today,
+   * UTC): the freezes, the changes planned in the range with their conflicts,
+   * and each day with its freezes and changes.
+   */
+  getCalendar({ from = null, to = null } = {}) {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const fromMs = from ? parseTimestamp(from) : today.getTime();
+    const toMs = to ? parseTimestamp(to) : fromMs + 30 * DAY_MS;
+    if (fromMs == null || toMs == null) return { success: false, reason: 'invalid', error: 'from and to must be dates' };
+    if (toMs <= fromMs) return { success: false, reason: 'invalid', error: 'to must be after from' };
+    if (toMs - fromMs > MAX_CALENDAR_DAYS * DAY_MS) {
+      return { success: false, reason: 'invalid', error: `The calendar covers at most ${MAX_CALENDAR_DAYS} days` };
+    }
+
+    const freezes = this.getFreezes({ from: toIso(fromMs), to: toIso(toMs) });
+    const changes = this.listChanges({ from: toIso(fromMs), to: toIso(toMs) })
+      .filter(change => [...SCHEDULED_STATUSES, 'completed', 'rolled_back'].includes(change.status))
+      .map(change => ({
+        id: change.id,
+        title: change.title,
+        type: change.type,
+        service: change.service,
+        status: change.status,
+        risk: change.risk,
+        planned_start: change.planned_start,
+        planned_end: change.planned_end,
+        conflicts: SCHEDULED_STATUSES.includes(change.status) ? this.findConflicts(change) : []
+      }));
+
+    const days = [];
+    for (let dayStart = fromMs; dayStart < toMs; dayStart += DAY_MS) {
+      const dayEnd = Math.min(dayStart + DAY_MS, toMs);
+      const dayFreezes = freezes.filter(f => overlaps(dayStart, dayEnd, parseTimestamp(f.starts_at), parseTimestamp(f.ends_at)));
+      days.push({
+        date: toIso(dayStart).slice(0, 10),
+        frozen: dayFreezes.length > 0,
+        freezes: dayFreezes.map(f => f.name),
+        changes: changes
+          .filter(c => overlaps(dayStart, dayEnd, parseTimestamp(c.planned_start), parseTimestamp(c.planned_end)))
+          .map(c => c.id)
+      });
+    }
+    return { success: true, calendar: { from: toIso(fromMs), to: toIso(toMs), freezes, changes, days } };
+  }
+
+  // ---- Incidents caused by changes ----
+
+  linkIncident(changeId, incidentId, actor = 'system') {
+    if (!this.getChange(changeId)) return { success: false, reason: 'not_found', error: 'Change not found' };
+    if (!incidentService.getIncident(incidentId)) return { success: false, reason: 'not_found', error: 'Incident not found' };
+    const result = db.prepare('INSERT OR IGNORE INTO change_incidents (change_id, incident_id, linked_by) VALUES (?, ?, ?)')
+      .run(changeId, incidentId, String(actor));
+    if (!result.changes) {
+      return { success: false, reason: 'duplicate', error: `Incident #${incidentId} is already linked to change #${changeId}` };
+    }
+    return { success: true, incidents: this.getIncidentsForChange(changeId) };
+  }
+
+  unlinkIncident(changeId, incidentId) {
+    const result = db.prepare('DELETE FROM change_incidents WHERE change_id = ? AND incident_id = ?').run(changeId, incidentId);
+    return result.changes > 0;
+  }
+
+  getIncidentsForChange(changeId) {
+    return db.prepare(`
+      SELECT i.* FROM change_incidents ci JOIN incidents i ON i.id = ci.incident_id
+      WHERE ci.change_id = ? ORDER BY i.created_at ASC, i.id ASC
+    `).all(changeId).map(row => incidentService.parseIncident(row));
+  }
+
+  getChangesForIncident(incidentId) {
+    return db.prepare(`
+      SELECT c.* FROM change_incidents ci JOIN change_requests c ON c.id = ci.change_id
+      WHERE ci.incident_id = ? ORDER BY c.actual_start ASC, c.id ASC
+    `).all(incidentId).map(row => this.parseChange(row));
+  }
+
+  // ---- Recent changes for outage analysis ----
+
+  /**
+   * Changes implemented in the last `hours`, those touching `service` first,
+   * then the most recent. They are the usual suspects when something breaks.
+   */
+  getRecentChanges({ hours = this.config.recentChangeHours, service = null, now = Date.now() } = {}) {
+    const since = now - hours * 60 * 60 * 1000;
+    const key = String(service || '').trim().toLowerCase();
+    return db.prepare(`
+      SELECT * FROM change_requests WHERE actual_start IS NOT NULL
+      AND status IN (${IMPLEMENTED_STATUSES.map(() => '?').join(', ')})
+    `).all(...IMPLEMENTED_STATUSES)
+      .filter(change => {
+        const started = parseTimestamp(change.actual_start);
+        return started >= since && started <= now;
+      })
+      .map(change => ({
+        id: change.id,
+        title: change.title,
+        service: change.service,
+        type: change.type,
+        risk: change.risk,
+        status: change.status,
+        actual_start: change.actual_start,
+        actual_end: change.actual_end,
+        rollback_plan: change.rollback_plan,
+        same_service: !!key && String(change.service || '').toLowerCase() === key
+      }))
+      .sort((a, b) => b.same_service - a.same_service || parseTimestamp(b.actual_start) - parseTimestamp(a.actual_start));
+  }
+
+  // One line per change from getRecentChanges, for agent prompts
+  describeRecentChanges(changes, hours = this.config.recentChangeHours) {
+    if (!changes.length) return [`No changes were implemented in the last ${hours} hours.`];
+    return changes.map(change => {
+      const service = change.service ? ` on ${change.service}` : '';
+      const ended = change.actual_end ? `, ${change.status.replace(/_/g, ' ')} ${change.actual_end}` : ', still in progress';
+      return `- Change #${change.id} "${change.title}"${service} (${change.type}, ${change.risk} risk): started ${change.actual_start}${ended}. Rollback plan: ${change.rollback_plan || 'none'}`;
+    });
+  }
+}
+
+module.exports = new ChangeService();
@@ -0,0 +1,46 @@
+/**
+ * Base Connector class for account provisioning
+ * A connector creates accounts in the systems it handles; provisioningService
+ * picks the first enabled connector that handles a checklist's system.
+ */
+class BaseConnector {
+  constructor(config = {}) {
+    this.name = config.name || 'BaseConnector';
+    this.kind = config.kind || 'generic';
+    this.systems = (config.systems || []).map(system => String(system).trim()).filter(Boolean);
+  }
+
+  isEnabled() {
+    return true;
+  }
+
+  // Systems are matched case-insensitively; '*' handles any system
+  handles(system) {
+    const wanted = String(system || '').trim().toLowerCase();
+    return this.systems.some(name => name === '*' || name.toLowerCase() === wanted);
+  }
+
+  /**
+   * Create the account for `account` ({ system, email, username, name,
+   * givenName, familyName, role, department }). Resolves to { account_id }
+   * and throws when the account could not be created.
+   */
+  async createAccount(account) {
+    throw new Error(`${this.name} does not implement createAccount (${account.system})`);
+  }
+
+  // A short, loggable message for a failed HTTP call
+  describeError(error) {
+    if (error.response) {
+      const body = typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data || {});
+      return `HTTP ${error.response.status}: ${body.slice(0, 200)}`;
+    }
+    return error.message;
+  }
+
+  describe() {
+    return { name: this.name, kind: this.kind, systems: this.systems, enabled: this.isEnabled() };
+  }
+}
+
+module.exports = BaseConnector;
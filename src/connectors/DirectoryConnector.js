@@ -0,0 +1,21 @@
+const ScimConnector = require('./ScimConnector');
+
+/**
+ * Directory Connector - the company directory, which also gives the hire
+ * their email and single sign-on account (DIRECTORY_SCIM_URL and
+ * DIRECTORY_SCIM_TOKEN; DIRECTORY_SYSTEMS names the systems it covers)
+ */
+class DirectoryConnector extends ScimConnector {
+  constructor(config = {}) {
+    super({
+      name: 'DirectoryConnector',
+      kind: 'directory',
+      baseUrl: process.env.DIRECTORY_SCIM_URL,
+      token: process.env.DIRECTORY_SCIM_TOKEN,
+      systems: (process.env.DIRECTORY_SYSTEMS || 'Email,Directory,Active Directory,Azure AD,Okta,Google Workspace').split(','),
+      ...config
+    });
+  }
+}
+
+module.exports = DirectoryConnector;
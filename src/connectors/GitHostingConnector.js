@@ -0,0 +1,37 @@
+const axios = require('axios');
+const BaseConnector = require('./BaseConnector');
+
+/**
+ * Git Hosting Connector - invites the hire to the GitHub organization by
+ * email (GITHUB_ORG and GITHUB_TOKEN; GITHUB_API_URL for GitHub Enterprise)
+ */
+class GitHostingConnector extends BaseConnector {
+  constructor(config = {}) {
+    super({ name: 'GitHostingConnector', kind: 'git_hosting', systems: ['GitHub'], ...config });
+    this.apiUrl = (config.apiUrl || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+    this.org = config.org || process.env.GITHUB_ORG;
+    this.token = config.token || process.env.GITHUB_TOKEN;
+    this.timeout = config.timeout || 10000;
+  }
+
+  isEnabled() {
+    return !!(this.org && this.token);
+  }
+
+  async createAccount(account) {
+    try {
+      const response = await axios.post(`${this.apiUrl}/orgs/${encodeURIComponent(this.org)}/invitations`, {
+        email: account.email,
+        role: 'direct_member'
+      }, {
+        headers: { Authorization: `Bearer ${this.token}`, Accept: 'application/vnd.github+json' },
+        timeout: this.timeout
+      });
+      return { account_id: `invitation:${response.data.id}` };
+    } catch (error) {
+      throw new Error(`${account.system}: ${this.describeError(error)}`);
+    }
+  }
+}
+
+module.exports = GitHostingConnector;
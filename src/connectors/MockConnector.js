@@ -0,0 +1,32 @@
+const BaseConnector = require('./BaseConnector');
+
+/**
+ * Mock Connector - "provisions" any system locally so the flow runs without
+ * external services (PROVISIONING_MOCK=true). Systems listed in
+ * PROVISIONING_MOCK_FAIL always fail, to exercise retries and the manual fallback.
+ */
+class MockConnector extends BaseConnector {
+  constructor(config = {}) {
+    super({ name: 'MockConnector', kind: 'mock', systems: ['*'], ...config });
+    this.enabled = config.enabled !== undefined ? config.enabled : process.env.PROVISIONING_MOCK === 'true';
+    this.failing = (config.failing || (process.env.PROVISIONING_MOCK_FAIL || '').split(','))
+      .map(system => system.trim().toLowerCase())
+      .filter(Boolean);
+    this.accounts = new Map();
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  async createAccount(account) {
+    if (this.failing.includes(account.system.toLowerCase())) {
+      throw new Error(`${account.system}: mock connector is set to fail`);
+    }
+    const key = `${account.system.toLowerCase()}:${account.email.toLowerCase()}`;
+    if (!this.accounts.has(key)) this.accounts.set(key, `mock-${this.accounts.size + 1}`);
+    return { account_id: this.accounts.get(key) };
+  }
+}
+
+module.exports = MockConnector;
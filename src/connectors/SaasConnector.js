@@ -0,0 +1,32 @@
+const ScimConnector = require('./ScimConnector');
+
+/**
+ * SaaS Connector - one SaaS app (Slack, Figma, Jira...) through its SCIM API.
+ * SAAS_SCIM_APPS configures them as JSON: {"Slack": {"url": "...", "token": "..."}}
+ */
+class SaasConnector extends ScimConnector {
+  constructor(config = {}) {
+    super({ name: `SaasConnector:${config.app}`, kind: 'saas', systems: [config.app], ...config });
+    this.app = config.app;
+  }
+
+  // One connector per app listed in SAAS_SCIM_APPS
+  static fromEnv(value = process.env.SAAS_SCIM_APPS) {
+    if (!value) return [];
+    let apps;
+    try {
+      apps = JSON.parse(value);
+    } catch (error) {
+      console.warn('[PROVISIONING] SAAS_SCIM_APPS is not valid JSON:', error.message);
+      return [];
+    }
+    return Object.entries(apps || {}).map(([app, settings]) => new SaasConnector({
+      app,
+      baseUrl: settings.url,
+      token: settings.token,
+      systems: [app, ...(settings.aliases || [])]
+    }));
+  }
+}
+
+module.exports = SaasConnector;
@@ -0,0 +1,46 @@
+const axios = require('axios');
+const BaseConnector = require('./BaseConnector');
+
+const USER_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:User';
+const ENTERPRISE_SCHEMA = 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User';
+
+/**
+ * SCIM 2.0 Connector - creates users through a SCIM endpoint, which
+ * directories (Azure AD, Okta, Google Workspace) and most SaaS apps expose
+ */
+class ScimConnector extends BaseConnector {
+  constructor(config = {}) {
+    super({ name: 'ScimConnector', kind: 'scim', ...config });
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+    this.token = config.token;
+    this.timeout = config.timeout || 10000;
+  }
+
+  isEnabled() {
+    return !!(this.baseUrl && this.token);
+  }
+
+  async createAccount(account) {
+    const body = {
+      schemas: [USER_SCHEMA, ENTERPRISE_SCHEMA],
+      userName: account.email,
+      name: { formatted: account.name, givenName: account.givenName, familyName: account.familyName },
+      displayName: account.name,
+      emails: [{ value: account.email, type: 'work', primary: true }],
+      title: account.role || undefined,
+      active: true,
+      [ENTERPRISE_SCHEMA]: { department: account.department || undefined }
+    };
+    try {
+      const response = await axios.post(`${this.baseUrl}/Users`, body, {
+        headers: { Authorization: `Bearer ${this.token}`, 'Content-Type': 'application/scim+json' },
+        timeout: this.timeout
+      });
+      return { account_id: String(response.data.id || account.email) };
+    } catch (error) {
+      throw new Error(`${account.system}: ${this.describeError(error)}`);
+    }
+  }
+}
+
+module.exports = ScimConnector;
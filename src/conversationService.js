@@ -16,7 +16,7 @@ class ConversationService {
     const stmt = db.prepare(`
       SELECT * FROM conversations 
       WHERE user_id = ? 
-      ORDER BY created_at DESC 
+      ORDER BY created_at DESC, id DESC 
       LIMIT ?
     `);
     const rows = stmt.all(userId, limit);
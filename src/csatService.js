@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const db = require('./database');
+const { parseTimestamp, toIso } = require('./businessCalendar');
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// A chat reply to the survey prompt: "5", "4/5", "2 stars - still slow", "rating: 3"
+const RATING_REPLY = /^\s*(?:rating\s*:?\s*)?([1-5])(?!\d)(?:\s*(?:\/\s*5|out of 5|stars?))?[\s\-:,.!]*(.*)$/is;
+
+/**
+ * CSAT Service - the satisfaction survey a requester gets when their ticket is
+ * resolved, their rating and comment, and follow-up on low scores
+ */
+class CsatService {
+  constructor(options = {}) {
+    this.config = {
+      // Ratings at or below this are flagged for follow-up
+      lowScore: parseInt(process.env.CSAT_LOW_SCORE) || 2,
+      // How long a survey accepts answers
+      responseDays: parseInt(process.env.CSAT_RESPONSE_DAYS) || 14,
+      ...options
+    };
+  }
+
+  parseSurvey(row) {
+    if (!row) return null;
+    const expiresAt = parseTimestamp(row.created_at) + this.config.responseDays * 24 * 60 * 60 * 1000;
+    return {
+      ...row,
+      responded: row.rating != null,
+      low_score: row.rating != null && row.rating <= this.config.lowScore,
+      expires_at: toIso(expiresAt),
+      expired: Date.now() > expiresAt
+    };
+  }
+
+  getSurvey(id) {
+    return this.parseSurvey(db.prepare('SELECT * FROM csat_surveys WHERE id = ?').get(id));
+  }
+
+  getSurveyByToken(token) {
+    return this.parseSurvey(db.prepare('SELECT * FROM csat_surveys WHERE token = ?').get(String(token)));
+  }
+
+  // The survey for the ticket's latest resolution
+  getLatestSurvey(ticketId) {
+    return this.parseSurvey(db.prepare('SELECT * FROM csat_surveys WHERE ticket_id = ? ORDER BY id DESC LIMIT 1').get(ticketId));
+  }
+
+  /**
+   * Called on every ticket update; opens a survey when the ticket moves to
+   * resolved, unless the requester still has an unanswered one for it.
+   */
+  recordTicketChange(before, after) {
+    if (!before || !after || after.status !== 'resolved' || before.status === 'resolved') return null;
+    const latest = this.getLatestSurvey(after.id);
+    if (latest && !latest.responded && !latest.expired) return null;
+    if (!db.prepare('SELECT 1 FROM users WHERE id = ?').get(after.user_id)) return null;
+
+    const result = db.prepare(`
+      INSERT INTO csat_surveys (ticket_id, user_id, token, category, assignee, team_id) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(after.id, after.user_id, crypto.randomBytes(24).toString('hex'), after.category, after.assignee, after.team_id);
+    return this.getSurvey(result.lastInsertRowid);
+  }
+
+  // Surveys waiting to go out to the requester, with the ticket they are about
+  getUnsentSurveys() {
+    return db.prepare(`
+      SELECT s.*, t.title AS ticket_title, u.email, u.full_name
+      FROM csat_surveys s JOIN tickets t ON t.id = s.ticket_id JOIN users u ON u.id = s.user_id
+      WHERE s.sent_at IS NULL AND s.rating IS NULL ORDER BY s.id ASC
+    `).all().map(row => this.parseSurvey(row)).filter(survey => !survey.expired);
+  }
+
+  markSent(id) {
+    db.prepare('UPDATE csat_surveys SET sent_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+  }
+
+  /**
+   * Record the requester's rating (1-5) and optional comment. An answer can be
+   * changed until the survey expires. A low rating opens a follow-up; raising
+   * it clears a follow-up nobody has worked yet.
+   */
+  respond(id, { rating, comment } = {}) {
+    const survey = this.getSurvey(id);
+    if (!survey) return { success: false, reason: 'not_found', error: 'Survey not found' };
+    if (survey.expired) return { success: false, reason: 'expired', error: 'This survey has closed' };
+    const score = Number(rating);
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      return { success: false, reason: 'invalid', error: 'Rating must be a whole number from 1 to 5' };
+    }
+    if (comment != null && String(comment).length > MAX_COMMENT_LENGTH) {
+      return { success: false, reason: 'invalid', error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    const low = score <= this.config.lowScore;
+    let followUp = survey.follow_up_status;
+    if (low && !followUp) followUp = 'open';
+    if (!low && followUp === 'open') followUp = null;
+    const text = comment != null && String(comment).trim() ? String(comment).trim() : (comment === undefined ? survey.comment : null);
+
+    db.prepare(`
+      UPDATE csat_surveys SET rating = ?, comment = ?, responded_at = ?, follow_up_status = ? WHERE id = ?
+    `).run(score, text, new Date().toISOString(), followUp, id);
+    return {
+      success: true,
+      survey: this.getSurvey(id),
+      flagged: low && survey.follow_up_status !== 'open' && followUp === 'open'
+    };
+  }
+
+  // { rating, comment } when `text` reads as an answer to the survey prompt, else null
+  parseRatingReply(text) {
+    const match = RATING_REPLY.exec(String(text || ''));
+    if (!match) return null;
+    return { rating: parseInt(match[1]), comment: match[2].trim() || undefined };
+  }
+
+  // ---- Follow-up on low scores ----
+
+  listFollowUps({ status = 'open', teamId = null } = {}) {
+    const conditions = ['s.follow_up_status IS NOT NULL'];
+    const params = [];
+    if (status) {
+      conditions.push('s.follow_up_status = ?');
+      params.push(status);
+    }
+    if (teamId) {
+      conditions.push('s.team_id = ?');
+      params.push(teamId);
+    }
+    return db.prepare(`
+      SELECT s.*, t.title AS ticket_title, u.email, u.full_name
+      FROM csat_surveys s JOIN tickets t ON t.id = s.ticket_id JOIN users u ON u.id = s.user_id
+      WHERE ${conditions.join(' AND ')} ORDER BY s.responded_at ASC, s.id ASC
+    `).all(...params).map(row => this.parseSurvey(row));
+  }
+
+  completeFollowUp(id, note, actor = 'system') {
+    const survey = this.getSurvey(id);
+    if (!survey) return { success: false, reason: 'not_found', error: 'Survey not found' };
+    if (survey.follow_up_status !== 'open') {
+      return { success: false, reason: 'invalid_transition', error: `Survey #${id} has no open follow-up` };
+    }
+    if (!note || !String(note).trim()) return { success: false, reason: 'invalid', error: 'Follow-up note required' };
+    db.prepare(`
+      UPDATE csat_surveys SET follow_up_status = 'done', follow_up_by = ?, follow_up_note = ?, followed_up_at = ? WHERE id = ?
+    `).run(String(actor), String(note).trim(), new Date().toISOString(), id);
+    return { success: true, survey: this.getSurvey(id) };
+  }
+}
+
+module.exports = new CsatService();
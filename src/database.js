@@ -2,7 +2,8 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 
-const dbPath = path.join(__dirname, '..', 'data', 'app.db');
+// DB_PATH=:memory: gives a throwaway database (the tests use it)
+const dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'app.db');
 const dbDir = path.dirname(dbPath);
 
 if (!fs.existsSync(dbDir)) {
@@ -37,6 +38,400 @@ db.exec(`
     FOREIGN KEY (user_id) REFERENCES users(id)
   );
 
+  /* Conversation thread on a ticket; internal notes are hidden from requesters */
+  CREATE TABLE IF NOT EXISTS ticket_comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    visibility TEXT DEFAULT 'public',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ticket_comments_ticket_id ON ticket_comments(ticket_id);
+
+  /* Audit trail of every ticket field change */
+  CREATE TABLE IF NOT EXISTS ticket_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    actor TEXT NOT NULL,
+    actor_user_id INTEGER,
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ticket_events_ticket_id ON ticket_events(ticket_id);
+
+  /* Files attached to tickets; the bytes live under data/attachments */
+  CREATE TABLE IF NOT EXISTS ticket_attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    original_name TEXT NOT NULL,
+    stored_name TEXT NOT NULL,
+    mime_type TEXT,
+    size_bytes INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ticket_attachments_ticket_id ON ticket_attachments(ticket_id);
+
+  /* Users following a ticket besides its requester (e.g. reporters of merged duplicates) */
+  CREATE TABLE IF NOT EXISTS ticket_watchers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (ticket_id, user_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ticket_watchers_user_id ON ticket_watchers(user_id);
+
+  /* Links between tickets: link_type duplicate_of (ticket_id repeats related_ticket_id) or related */
+  CREATE TABLE IF NOT EXISTS ticket_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    related_ticket_id INTEGER NOT NULL,
+    link_type TEXT NOT NULL,
+    score REAL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (ticket_id, related_ticket_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id),
+    FOREIGN KEY (related_ticket_id) REFERENCES tickets(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ticket_links_related_ticket_id ON ticket_links(related_ticket_id);
+
+  /* Intake form per ticket category. fields is a JSON list of
+     { name, label, type, required, options, pattern, help } */
+  CREATE TABLE IF NOT EXISTS ticket_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    category TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    name TEXT NOT NULL,
+    description TEXT,
+    fields TEXT NOT NULL DEFAULT '[]',
+    default_priority TEXT,
+    default_assignee TEXT,
+    active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  /* Incident and problem records (type incident|problem); active major incidents drive the status banner */
+  CREATE TABLE IF NOT EXISTS incidents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL DEFAULT 'incident',
+    title TEXT NOT NULL,
+    description TEXT,
+    service TEXT,
+    major INTEGER DEFAULT 0,
+    status TEXT NOT NULL,
+    root_cause TEXT,
+    workaround TEXT,
+    resolution TEXT,
+    created_by TEXT,
+    resolved_by TEXT,
+    resolved_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  /* User-reported tickets grouped under an incident or problem */
+  CREATE TABLE IF NOT EXISTS incident_tickets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    incident_id INTEGER NOT NULL,
+    ticket_id INTEGER NOT NULL,
+    added_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (incident_id, ticket_id),
+    FOREIGN KEY (incident_id) REFERENCES incidents(id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_incident_tickets_ticket_id ON incident_tickets(ticket_id);
+
+  /* Change requests: risk = impact x likelihood assessment, planned window in UTC */
+  CREATE TABLE IF NOT EXISTS change_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    description TEXT,
+    type TEXT NOT NULL DEFAULT 'normal',
+    service TEXT,
+    impact TEXT NOT NULL DEFAULT 'medium',
+    likelihood TEXT NOT NULL DEFAULT 'medium',
+    risk TEXT,
+    risk_score INTEGER,
+    implementation_plan TEXT,
+    rollback_plan TEXT,
+    planned_start DATETIME,
+    planned_end DATETIME,
+    status TEXT NOT NULL DEFAULT 'draft',
+    quorum INTEGER,
+    requested_by INTEGER NOT NULL,
+    submitted_at DATETIME,
+    decided_at DATETIME,
+    actual_start DATETIME,
+    actual_end DATETIME,
+    outcome_note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (requested_by) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_change_requests_planned_start ON change_requests(planned_start);
+
+  /* CAB approvers of a submitted change and their votes (pending|approve|reject) */
+  CREATE TABLE IF NOT EXISTS change_votes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    change_id INTEGER NOT NULL,
+    approver_email TEXT NOT NULL COLLATE NOCASE,
+    vote TEXT NOT NULL DEFAULT 'pending',
+    comment TEXT,
+    voted_at DATETIME,
+    UNIQUE (change_id, approver_email),
+    FOREIGN KEY (change_id) REFERENCES change_requests(id)
+  );
+
+  /* Periods when only emergency changes may be scheduled */
+  CREATE TABLE IF NOT EXISTS change_freezes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    reason TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  /* Incidents a change caused */
+  CREATE TABLE IF NOT EXISTS change_incidents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    change_id INTEGER NOT NULL,
+    incident_id INTEGER NOT NULL,
+    linked_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (change_id, incident_id),
+    FOREIGN KEY (change_id) REFERENCES change_requests(id),
+    FOREIGN KEY (incident_id) REFERENCES incidents(id)
+  );
+
+  /* Satisfaction survey sent to the requester when a ticket is resolved.
+     category, assignee and team_id are copied from the ticket at resolution;
+     follow_up_status is open while a low rating awaits follow-up, then done */
+  CREATE TABLE IF NOT EXISTS csat_surveys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    token TEXT UNIQUE NOT NULL,
+    category TEXT,
+    assignee TEXT,
+    team_id INTEGER,
+    rating INTEGER,
+    comment TEXT,
+    sent_at DATETIME,
+    responded_at DATETIME,
+    follow_up_status TEXT,
+    follow_up_by TEXT,
+    follow_up_note TEXT,
+    followed_up_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (team_id) REFERENCES teams(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_csat_surveys_ticket_id ON csat_surveys(ticket_id);
+
+  /* Working hours SLA clocks run on; holidays are local dates */
+  CREATE TABLE IF NOT EXISTS business_calendars (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    work_days TEXT,
+    day_start TEXT DEFAULT '09:00',
+    day_end TEXT DEFAULT '17:00',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS business_holidays (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    calendar_id INTEGER NOT NULL,
+    holiday_date TEXT NOT NULL,
+    name TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (calendar_id, holiday_date),
+    FOREIGN KEY (calendar_id) REFERENCES business_calendars(id)
+  );
+
+  /* SLA targets per priority and category; NULL matches any value */
+  CREATE TABLE IF NOT EXISTS sla_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    priority TEXT,
+    category TEXT,
+    first_response_minutes INTEGER NOT NULL,
+    resolution_minutes INTEGER NOT NULL,
+    calendar_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (calendar_id) REFERENCES business_calendars(id)
+  );
+
+  /* Persisted SLA clock per ticket (state: running, warning, paused, breached or met) */
+  CREATE TABLE IF NOT EXISTS ticket_sla_timers (
+    ticket_id INTEGER PRIMARY KEY,
+    policy_id INTEGER,
+    state TEXT NOT NULL DEFAULT 'running',
+    target_minutes INTEGER,
+    first_response_due_at DATETIME,
+    first_response_at DATETIME,
+    first_response_breached_at DATETIME,
+    due_at DATETIME,
+    breached_at DATETIME,
+    completed_at DATETIME,
+    elapsed_minutes INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id),
+    FOREIGN KEY (policy_id) REFERENCES sla_policies(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ticket_sla_timers_state ON ticket_sla_timers(state);
+
+  /* Intervals the SLA clock was stopped (waiting on the customer, resolved or closed) */
+  CREATE TABLE IF NOT EXISTS ticket_sla_pauses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    started_at DATETIME NOT NULL,
+    ended_at DATETIME,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ticket_sla_pauses_ticket_id ON ticket_sla_pauses(ticket_id);
+
+  /* Escalation matrix: who a ticket goes to at each level; NULL category is the default matrix */
+  CREATE TABLE IF NOT EXISTS escalation_levels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    category TEXT,
+    level INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    assignee TEXT,
+    notify_emails TEXT,
+    time_to_next_minutes INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  /* Time-boxed on-call stand-ins that take over an escalation level */
+  CREATE TABLE IF NOT EXISTS escalation_oncall_overrides (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    level_id INTEGER NOT NULL,
+    email TEXT NOT NULL,
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    reason TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (level_id) REFERENCES escalation_levels(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_escalation_oncall_overrides_level_id ON escalation_oncall_overrides(level_id);
+
+  /* Weekly on-call rotation per team; the shift changes hands at handoff_day/handoff_time local time */
+  CREATE TABLE IF NOT EXISTS oncall_schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    aliases TEXT,
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    handoff_day INTEGER NOT NULL DEFAULT 1,
+    handoff_time TEXT NOT NULL DEFAULT '09:00',
+    rotation_start DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS oncall_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    email TEXT NOT NULL,
+    name TEXT,
+    FOREIGN KEY (schedule_id) REFERENCES oncall_schedules(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_oncall_members_schedule_id ON oncall_members(schedule_id);
+
+  /* Cover that replaces the rotation for a time window (swaps, sick days) */
+  CREATE TABLE IF NOT EXISTS oncall_overrides (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id INTEGER NOT NULL,
+    email TEXT NOT NULL,
+    name TEXT,
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    reason TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (schedule_id) REFERENCES oncall_schedules(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_oncall_overrides_schedule_id ON oncall_overrides(schedule_id);
+
+  /* IT staff teams; tickets whose category is in categories land in the team's queue */
+  CREATE TABLE IF NOT EXISTS teams (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    description TEXT,
+    email TEXT,
+    categories TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  /* role is member or lead; leads handle the team's escalations */
+  CREATE TABLE IF NOT EXISTS team_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (team_id, user_id),
+    FOREIGN KEY (team_id) REFERENCES teams(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_team_members_user_id ON team_members(user_id);
+
+  /* Technicians eligible for automatic assignment. skills are category names;
+     capacity caps open tickets; last_assigned_at drives the round-robin tiebreak */
+  CREATE TABLE IF NOT EXISTS technicians (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    name TEXT,
+    skills TEXT,
+    capacity INTEGER NOT NULL DEFAULT 10,
+    available INTEGER NOT NULL DEFAULT 1,
+    out_of_office_until DATETIME,
+    last_assigned_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  /* Every assignment decision with who was chosen and why */
+  CREATE TABLE IF NOT EXISTS ticket_assignments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    assignee TEXT,
+    previous_assignee TEXT,
+    source TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    candidates TEXT,
+    actor TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ticket_assignments_ticket_id ON ticket_assignments(ticket_id);
+
   CREATE TABLE IF NOT EXISTS access_requests (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
@@ -50,6 +445,75 @@ db.exec(`
     FOREIGN KEY (user_id) REFERENCES users(id)
   );
 
+  /* Catalog of requestable resources: owner, risk tier and approval policy */
+  CREATE TABLE IF NOT EXISTS resources (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    aliases TEXT,
+    owner_email TEXT,
+    risk_tier TEXT DEFAULT 'medium',
+    access_types TEXT,
+    auto_approval TEXT DEFAULT 'never',
+    approval_chain TEXT,
+    provisioning_instructions TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  /* Ordered approval chain per access request (e.g. manager, then security) */
+  CREATE TABLE IF NOT EXISTS access_approval_steps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id INTEGER NOT NULL,
+    step_order INTEGER NOT NULL,
+    stage TEXT NOT NULL,
+    approver_emails TEXT,
+    status TEXT DEFAULT 'waiting',
+    decided_by INTEGER,
+    decision_reason TEXT,
+    decided_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (request_id) REFERENCES access_requests(id),
+    FOREIGN KEY (decided_by) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_access_approval_steps_request_id ON access_approval_steps(request_id);
+
+  /* Periodic recertification of current access grants */
+  CREATE TABLE IF NOT EXISTS access_certification_campaigns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    group_by TEXT DEFAULT 'owner',
+    resource_filter TEXT,
+    status TEXT DEFAULT 'open',
+    due_at DATETIME NOT NULL,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+
+  /* One keep/revoke decision per grant in a campaign */
+  CREATE TABLE IF NOT EXISTS access_certification_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL,
+    request_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    resource_name TEXT NOT NULL,
+    access_type TEXT,
+    reviewer_email TEXT,
+    decision TEXT DEFAULT 'pending',
+    decided_by INTEGER,
+    decision_reason TEXT,
+    decided_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (campaign_id) REFERENCES access_certification_campaigns(id),
+    FOREIGN KEY (request_id) REFERENCES access_requests(id),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (decided_by) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_access_certification_items_campaign_id ON access_certification_items(campaign_id);
+
+  /* Onboarding and offboarding checklists (type); an offboarding checklist
+     is for subject_user_id, who leaves on last_day */
   CREATE TABLE IF NOT EXISTS onboarding_checklists (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
@@ -64,6 +528,110 @@ db.exec(`
     FOREIGN KEY (user_id) REFERENCES users(id)
   );
 
+  /* Onboarding checklist items as tasks. owner is who carries the task out
+     (it, hr, manager, new_hire); the due date is due_offset_days from the
+     checklist's start_date, or its last_day for offboarding checklists.
+     Offboarding tasks may carry an action (revoke_access, return_assets,
+     disable_account) with the access request or ticket it concerns */
+  CREATE TABLE IF NOT EXISTS onboarding_tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    checklist_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    owner TEXT NOT NULL,
+    assignee_user_id INTEGER,
+    due_offset_days INTEGER NOT NULL DEFAULT 0,
+    status TEXT DEFAULT 'pending',
+    evidence TEXT,
+    completed_by INTEGER,
+    completed_at DATETIME,
+    position INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (checklist_id) REFERENCES onboarding_checklists(id) ON DELETE CASCADE,
+    FOREIGN KEY (assignee_user_id) REFERENCES users(id),
+    FOREIGN KEY (completed_by) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_onboarding_tasks_checklist ON onboarding_tasks(checklist_id);
+
+  /* HR's onboarding checklist templates. role, department and location say
+     which hires a template is for (NULL matches anyone); a new checklist gets
+     the tasks of every active template that matches */
+  CREATE TABLE IF NOT EXISTS onboarding_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    role TEXT COLLATE NOCASE,
+    department TEXT COLLATE NOCASE,
+    location TEXT COLLATE NOCASE,
+    current_version INTEGER NOT NULL DEFAULT 1,
+    active INTEGER DEFAULT 1,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+
+  /* Every change to a template's tasks, systems or welcome message is a new
+     version; checklists record the versions they were created from. tasks is a
+     JSON list of { title, description, owner, due_in_days, depends_on } */
+  CREATE TABLE IF NOT EXISTS onboarding_template_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    template_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    tasks TEXT NOT NULL DEFAULT '[]',
+    systems_to_provision TEXT NOT NULL DEFAULT '[]',
+    welcome_message TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (template_id, version),
+    FOREIGN KEY (template_id) REFERENCES onboarding_templates(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+
+  /* A task cannot be completed before the tasks it depends on */
+  CREATE TABLE IF NOT EXISTS onboarding_task_dependencies (
+    task_id INTEGER NOT NULL,
+    depends_on_task_id INTEGER NOT NULL,
+    PRIMARY KEY (task_id, depends_on_task_id),
+    FOREIGN KEY (task_id) REFERENCES onboarding_tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (depends_on_task_id) REFERENCES onboarding_tasks(id) ON DELETE CASCADE
+  );
+
+  /* Magic links that sign a new hire in to the onboarding portal; reissuing revokes the previous link */
+  CREATE TABLE IF NOT EXISTS portal_invites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    checklist_id INTEGER NOT NULL,
+    token TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_by INTEGER,
+    used_at DATETIME,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (checklist_id) REFERENCES onboarding_checklists(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+
+  /* Account creation for each of a checklist's systems_to_provision:
+     pending -> running -> provisioned, or failed (retried) -> manual (an IT task) */
+  CREATE TABLE IF NOT EXISTS provisioning_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    checklist_id INTEGER NOT NULL,
+    system TEXT NOT NULL COLLATE NOCASE,
+    connector TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    account_id TEXT,
+    last_error TEXT,
+    next_attempt_at DATETIME,
+    task_id INTEGER,
+    provisioned_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (checklist_id, system),
+    FOREIGN KEY (checklist_id) REFERENCES onboarding_checklists(id) ON DELETE CASCADE,
+    FOREIGN KEY (task_id) REFERENCES onboarding_tasks(id) ON DELETE SET NULL
+  );
+
   CREATE TABLE IF NOT EXISTS conversations (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
@@ -94,7 +662,7 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_reminders_status ON reminders(status);
 `);
 
-// Ensure optional escalation columns exist (safe migrations)
+// Ensure optional escalation/lifecycle columns exist (safe migrations)
 function ensureColumn(table, column, definition) {
   const info = db.prepare(`PRAGMA table_info(${table})`).all();
   if (!info.find(c => c.name === column)) {
@@ -105,8 +673,36 @@ function ensureColumn(table, column, definition) {
 try {
   ensureColumn('tickets', 'escalated_at', 'DATETIME');
   ensureColumn('tickets', 'escalation_level', 'INTEGER DEFAULT 0');
+  ensureColumn('tickets', 'resolution', 'TEXT');
+  ensureColumn('tickets', 'resolved_at', 'DATETIME');
+  ensureColumn('tickets', 'closed_at', 'DATETIME');
   ensureColumn('access_requests', 'approved_at', 'DATETIME');
   ensureColumn('access_requests', 'decision_reason', 'TEXT');
+  ensureColumn('access_requests', 'duration_hours', 'INTEGER');
+  ensureColumn('access_requests', 'expires_at', 'DATETIME');
+  ensureColumn('access_requests', 'expiry_reminder_sent_at', 'DATETIME');
+  ensureColumn('access_requests', 'extends_request_id', 'INTEGER');
+  ensureColumn('users', 'manager_id', 'INTEGER');
+  ensureColumn('tickets', 'team_id', 'INTEGER REFERENCES teams(id)');
+  ensureColumn('tickets', 'merged_into', 'INTEGER REFERENCES tickets(id)');
+  ensureColumn('tickets', 'template_id', 'INTEGER REFERENCES ticket_templates(id)');
+  ensureColumn('tickets', 'custom_fields', 'TEXT');
+  ensureColumn('escalation_levels', 'team_id', 'INTEGER REFERENCES teams(id)');
+  ensureColumn('onboarding_checklists', 'start_date', 'DATE');
+  ensureColumn('onboarding_checklists', 'employee_email', 'TEXT');
+  ensureColumn('onboarding_checklists', 'manager_email', 'TEXT');
+  ensureColumn('onboarding_checklists', 'department', 'TEXT');
+  ensureColumn('onboarding_checklists', 'location', 'TEXT');
+  ensureColumn('onboarding_checklists', 'template_versions', 'TEXT');
+  ensureColumn('onboarding_checklists', 'type', "TEXT DEFAULT 'onboarding'");
+  ensureColumn('onboarding_checklists', 'subject_user_id', 'INTEGER REFERENCES users(id)');
+  ensureColumn('onboarding_checklists', 'last_day', 'DATE');
+  ensureColumn('onboarding_checklists', 'account_disabled_at', 'DATETIME');
+  ensureColumn('onboarding_tasks', 'action', 'TEXT');
+  ensureColumn('onboarding_tasks', 'access_request_id', 'INTEGER REFERENCES access_requests(id)');
+  ensureColumn('onboarding_tasks', 'ticket_id', 'INTEGER REFERENCES tickets(id)');
+  ensureColumn('users', 'disabled_at', 'DATETIME');
+  ensureColumn('reminders', 'task_id', 'INTEGER REFERENCES onboarding_tasks(id)');
 } catch (e) {
   console.warn('[DB Migration Warning]', e.message);
 }
@@ -1,6 +1,13 @@
 const nodemailer = require('nodemailer');
 const cron = require('node-cron');
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Text typed by users, made safe to place in an email's HTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
 /**
  * Email Notification Service
  * Comprehensive email system for ticket updates, access requests, and system notifications
@@ -148,6 +155,7 @@ class EmailService {
                 <p><strong>Requested by:</strong> {requestedBy}</p>
                 <p><strong>Requested at:</strong> {requestedAt}</p>
                 <p><strong>Risk Level:</strong> <span style="color: {riskColor};">{riskLevel}</span></p>
+                {approvalStep}
               </div>
               <div style="text-align: center; margin: 30px 0;">
                 <a href="{dashboardUrl}" style="background: #11998e; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Review Request</a>
@@ -191,6 +199,193 @@ class EmailService {
         `
       },
 
+      accessRequestDenied: {
+        subject: 'Access Request Denied - {resource}',
+        template: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #cb2d3e 0%, #ef473a 100%); padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">IT Workflow Assistant</h1>
+            </div>
+            <div style="padding: 30px; background: #f9f9f9;">
+              <h2 style="color: #dc3545;">Access Request Denied</h2>
+              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Request ID:</strong> #{requestId}</p>
+                <p><strong>Resource:</strong> {resource}</p>
+                <p><strong>Access Level:</strong> {accessLevel}</p>
+                <p><strong>Denied by:</strong> {deniedBy}</p>
+                <p><strong>Reason:</strong></p>
+                <p style="background: #f5f5f5; padding: 15px; border-radius: 4px;">{decisionReason}</p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="{dashboardUrl}" style="background: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">View Details</a>
+              </div>
+            </div>
+            <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+              <p>This is an automated notification from IT Workflow Assistant</p>
+            </div>
+          </div>
+        `
+      },
+
+      accessRevoked: {
+        subject: 'Access Revoked - {resource}',
+        template: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #cb2d3e 0%, #ef473a 100%); padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">IT Workflow Assistant</h1>
+            </div>
+            <div style="padding: 30px; background: #f9f9f9;">
+              <h2 style="color: #dc3545;">Your Access Has Been Revoked</h2>
+              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Request ID:</strong> #{requestId}</p>
+                <p><strong>Resource:</strong> {resource}</p>
+                <p><strong>Access Level:</strong> {accessLevel}</p>
+                <p><strong>Reason:</strong></p>
+                <p style="background: #f5f5f5; padding: 15px; border-radius: 4px;">{decisionReason}</p>
+                <p>Submit a new request if you still need access.</p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="{dashboardUrl}" style="background: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">View Details</a>
+              </div>
+            </div>
+            <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+              <p>This is an automated notification from IT Workflow Assistant</p>
+            </div>
+          </div>
+        `
+      },
+
+      accessCertificationReview: {
+        subject: 'Access Review Required - {campaignName}',
+        template: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">IT Workflow Assistant</h1>
+            </div>
+            <div style="padding: 30px; background: #f9f9f9;">
+              <h2 style="color: #333;">Access Certification</h2>
+              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Campaign:</strong> {campaignName}</p>
+                <p><strong>Grants to review:</strong> {itemCount}</p>
+                <p><strong>Due by:</strong> {dueAt}</p>
+                <p>Please confirm whether each grant is still needed. Grants not reviewed by the deadline are revoked automatically.</p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="{dashboardUrl}" style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Review Access</a>
+              </div>
+            </div>
+            <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+              <p>This is an automated notification from IT Workflow Assistant</p>
+            </div>
+          </div>
+        `
+      },
+
+      satisfactionSurvey: {
+        subject: 'How did we do? Ticket #{ticketId}: {title}',
+        template: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">IT Workflow Assistant</h1>
+            </div>
+            <div style="padding: 30px; background: #f9f9f9;">
+              <h2 style="color: #333;">Your Ticket Was Resolved</h2>
+              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Ticket ID:</strong> #{ticketId}</p>
+                <p><strong>Title:</strong> {title}</p>
+                <p>How satisfied are you with how this was handled? Pick a rating from 1 (very unhappy) to 5 (very happy).</p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                {ratingLinks}
+              </div>
+              <p style="color: #666; font-size: 13px; text-align: center;">You can also answer in the chat assistant. This survey closes on {expiresAt}.</p>
+            </div>
+            <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+              <p>This is an automated notification from IT Workflow Assistant</p>
+            </div>
+          </div>
+        `
+      },
+
+      portalInvite: {
+        subject: 'Welcome aboard, {name}! Your onboarding portal',
+        template: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">IT Workflow Assistant</h1>
+            </div>
+            <div style="padding: 30px; background: #f9f9f9;">
+              <h2 style="color: #333;">Welcome, {name}!</h2>
+              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Start date:</strong> {startDate}</p>
+                <p>Your onboarding portal shows your checklist, your first week and the tasks to do before you start, like acknowledging company policies. You can also ask the onboarding assistant anything about getting started.</p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="{portalUrl}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block;">Open my onboarding</a>
+              </div>
+              <p style="color: #666; font-size: 13px; text-align: center;">This link signs you in once; don't forward it. It works until {expiresAt}; after that, ask for a new one on the sign-in page.</p>
+            </div>
+            <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+              <p>This is an automated notification from IT Workflow Assistant</p>
+            </div>
+          </div>
+        `
+      },
+
+      accessRequestExpiring: {
+        subject: 'Access Expiring Soon - {resource}',
+        template: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #f7971e 0%, #ffd200 100%); padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">IT Workflow Assistant</h1>
+            </div>
+            <div style="padding: 30px; background: #f9f9f9;">
+              <h2 style="color: #fd7e14;">⏳ Your Access Expires Soon</h2>
+              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Request ID:</strong> #{requestId}</p>
+                <p><strong>Resource:</strong> {resource}</p>
+                <p><strong>Access Level:</strong> {accessLevel}</p>
+                <p><strong>Expires at:</strong> {expiresAt}</p>
+                <p>Still need it? Request an extension before it lapses; it goes through the usual approvals.</p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="{extendUrl}" style="background: #fd7e14; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Request Extension</a>
+              </div>
+            </div>
+            <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+              <p>This is an automated notification from IT Workflow Assistant</p>
+            </div>
+          </div>
+        `
+      },
+
+      accessRequestExpired: {
+        subject: 'Access Expired - {resource}',
+        template: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #636e72 0%, #b2bec3 100%); padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">IT Workflow Assistant</h1>
+            </div>
+            <div style="padding: 30px; background: #f9f9f9;">
+              <h2 style="color: #6c757d;">Your Access Has Expired</h2>
+              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Request ID:</strong> #{requestId}</p>
+                <p><strong>Resource:</strong> {resource}</p>
+                <p><strong>Access Level:</strong> {accessLevel}</p>
+                <p><strong>Expired at:</strong> {expiresAt}</p>
+                <p>This time-bound grant has been revoked. Submit a new request if you still need access.</p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="{dashboardUrl}" style="background: #6c757d; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">View Details</a>
+              </div>
+            </div>
+            <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+              <p>This is an automated notification from IT Workflow Assistant</p>
+            </div>
+          </div>
+        `
+      },
+
       onboardingReminder: {
         subject: 'Onboarding Task Reminder - {taskName}',
         template: `
@@ -413,7 +608,7 @@ class EmailService {
       statusColor: this.getStatusColor(ticket.status),
       priority: ticket.priority,
       priorityColor: this.getPriorityColor(ticket.priority),
-      updateNote: updateNote ? `<p><strong>Update:</strong></p><p style="background: #f5f5f5; padding: 15px; border-radius: 4px;">${updateNote}</p>` : '',
+      updateNote: updateNote ? `<p><strong>Update:</strong></p><p style="background: #f5f5f5; padding: 15px; border-radius: 4px;">${escapeHtml(updateNote)}</p>` : '',
       updatedBy: ticket.updated_by || 'System',
       updatedAt: new Date(ticket.updated_at || Date.now()).toLocaleString(),
       dashboardUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/dashboard.html`
@@ -426,8 +621,20 @@ class EmailService {
     });
   }
 
-  sendAccessRequestEmail(request, userEmail, isCreated = true) {
-    const template = isCreated ? this.templates.accessRequestCreated : this.templates.accessRequestApproved;
+  // stage: 'created' (sent to reviewers), or 'approved', 'denied', 'expiring',
+  // 'expired' and 'revoked' (sent to the requester).
+  // Booleans are still accepted: true = created, false = approved.
+  sendAccessRequestEmail(request, userEmail, stage = 'created') {
+    if (typeof stage === 'boolean') stage = stage ? 'created' : 'approved';
+    const templates = {
+      created: this.templates.accessRequestCreated,
+      approved: this.templates.accessRequestApproved,
+      denied: this.templates.accessRequestDenied,
+      expiring: this.templates.accessRequestExpiring,
+      expired: this.templates.accessRequestExpired,
+      revoked: this.templates.accessRevoked
+    };
+    const template = templates[stage] || templates.created;
     const templateData = {
       requestId: request.id,
       resource: request.resource,
@@ -437,13 +644,28 @@ class EmailService {
       requestedAt: new Date(request.created_at).toLocaleString(),
       riskLevel: request.risk_level || 'Medium',
       riskColor: this.getRiskColor(request.risk_level),
+      approvalStep: request.approval_stage ? `<p><strong>Awaiting your approval as:</strong> ${request.approval_stage}</p>` : '',
       dashboardUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/dashboard.html`
     };
 
-    if (!isCreated) {
+    if (stage === 'approved') {
       templateData.approvedBy = request.approved_by || 'System';
       templateData.approvedAt = new Date(request.approved_at || Date.now()).toLocaleString();
-      templateData.nextSteps = this.getNextStepsForAccess(request.resource);
+      templateData.nextSteps = this.getNextStepsForAccess(request);
+    }
+
+    if (stage === 'revoked') {
+      templateData.decisionReason = escapeHtml(request.decision_reason || '');
+    }
+
+    if (stage === 'denied') {
+      templateData.deniedBy = request.approved_by || 'System';
+      templateData.decisionReason = escapeHtml(request.decision_reason || '');
+    }
+
+    if (stage === 'expiring' || stage === 'expired') {
+      templateData.expiresAt = new Date(`${String(request.expires_at).replace(' ', 'T')}Z`).toLocaleString();
+      templateData.extendUrl = `${templateData.dashboardUrl}?extendAccess=${request.id}`;
     }
 
     const html = this.populateTemplate(template.template, templateData);
@@ -455,6 +677,59 @@ class EmailService {
     });
   }
 
+  sendAccessCertificationEmail(campaign, reviewerEmail, itemCount) {
+    const template = this.templates.accessCertificationReview;
+    const html = this.populateTemplate(template.template, {
+      campaignName: escapeHtml(campaign.name),
+      itemCount: String(itemCount),
+      dueAt: new Date(`${String(campaign.due_at).replace(' ', 'T')}Z`).toLocaleString(),
+      dashboardUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/dashboard.html`
+    });
+
+    this.queueEmail({
+      to: reviewerEmail,
+      subject: template.subject.replace('{campaignName}', campaign.name),
+      html
+    });
+  }
+
+  // Each rating is a link to the survey page with that rating picked; the token stands in for a sign-in
+  sendSatisfactionSurveyEmail(survey, userEmail) {
+    const template = this.templates.satisfactionSurvey;
+    const responseUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/api/csat/${survey.token}`;
+    const ratingLinks = [1, 2, 3, 4, 5].map(rating =>
+      `<a href="${responseUrl}?rating=${rating}" style="background: #667eea; color: white; padding: 10px 16px; margin: 0 4px; text-decoration: none; border-radius: 6px;">${rating}</a>`
+    ).join('');
+    const html = this.populateTemplate(template.template, {
+      ticketId: survey.ticket_id,
+      title: survey.ticket_title,
+      ratingLinks,
+      expiresAt: new Date(survey.expires_at).toLocaleString()
+    });
+
+    this.queueEmail({
+      to: userEmail,
+      subject: template.subject.replace('{ticketId}', survey.ticket_id).replace('{title}', survey.ticket_title),
+      html
+    });
+  }
+
+  sendPortalInviteEmail(invite, checklist) {
+    const template = this.templates.portalInvite;
+    const html = this.populateTemplate(template.template, {
+      name: escapeHtml(checklist.employee_name),
+      startDate: escapeHtml(checklist.start_date),
+      portalUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/api/portal/login/${invite.token}`,
+      expiresAt: new Date(invite.expires_at).toLocaleString()
+    });
+
+    this.queueEmail({
+      to: checklist.employee_email,
+      subject: template.subject.replace('{name}', checklist.employee_name),
+      html
+    });
+  }
+
   sendSystemAlertEmail(alert, recipientEmails) {
     const template = this.templates.systemAlert;
     const html = this.populateTemplate(template.template, {
@@ -535,15 +810,9 @@ class EmailService {
     return colors[severity] || '#6c757d';
   }
 
-  getNextStepsForAccess(resource) {
-    const nextSteps = {
-      'Figma': 'You will receive an invitation email to join the Figma organization within 24 hours.',
-      'GitHub': 'Your GitHub access will be provisioned within 2 hours. Check your email for the invitation.',
-      'Slack': 'You should receive a Slack invitation within 1 hour. Check your email and accept the invitation.',
-      'Jira': 'Your Jira account will be created within 4 hours. Login credentials will be sent separately.',
-      'VPN': 'VPN setup instructions and credentials will be provided by the IT team within 24 hours.'
-    };
-    return nextSteps[resource] || 'The IT team will contact you with next steps within 24 hours.';
+  // Provisioning instructions come from the resource catalog entry
+  getNextStepsForAccess(request) {
+    return request.provisioning_instructions || 'The IT team will contact you with next steps within 24 hours.';
   }
 
   getStats() {
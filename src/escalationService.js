@@ -0,0 +1,298 @@
+const db = require('./database');
+const ticketService = require('./ticketService');
+const oncallService = require('./oncallService');
+const assignmentService = require('./assignmentService');
+const teamService = require('./teamService');
+const { parseTimestamp, toIso } = require('./businessCalendar');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+// Tickets in these statuses are not walked up the matrix
+const HELD_STATUSES = ['waiting_on_customer', 'resolved', 'closed'];
+
+// Seeded on first start; admins maintain the matrix through /api/escalation-matrix afterwards.
+// Without ESCALATION_TEAM_LEAD_EMAIL level 1 goes to the lead of the ticket's team.
+const DEFAULT_LEVELS = [
+  {
+    level: 1,
+    name: 'Team lead',
+    assignee: process.env.ESCALATION_TEAM_LEAD_EMAIL || null,
+    notify_emails: (process.env.ESCALATION_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean),
+    time_to_next_minutes: 60
+  },
+  { level: 2, name: 'Manager', assignee: process.env.ESCALATION_MANAGER_EMAIL || 'it-manager@company.com', time_to_next_minutes: 120 },
+  { level: 3, name: 'Director', assignee: process.env.ESCALATION_DIRECTOR_EMAIL || 'it-director@company.com', time_to_next_minutes: null }
+];
+
+const EDITABLE_FIELDS = ['category', 'level', 'name', 'assignee', 'team_id', 'notify_emails', 'time_to_next_minutes'];
+
+function normalize(value) {
+  return value == null || value === '' ? null : String(value).toLowerCase();
+}
+
+class EscalationService {
+  constructor() {
+    this.seedDefaults();
+  }
+
+  seedDefaults() {
+    const { cnt } = db.prepare('SELECT COUNT(*) AS cnt FROM escalation_levels').get();
+    if (cnt > 0) return;
+    db.transaction(() => {
+      DEFAULT_LEVELS.forEach(level => this.insertLevel(level));
+    })();
+  }
+
+  insertLevel(data) {
+    const result = db.prepare(`
+      INSERT INTO escalation_levels (category, level, name, assignee, team_id, notify_emails, time_to_next_minutes)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      normalize(data.category),
+      data.level,
+      String(data.name).trim(),
+      data.assignee || null,
+      data.team_id || null,
+      JSON.stringify(data.notify_emails || []),
+      data.time_to_next_minutes == null ? null : data.time_to_next_minutes
+    );
+    return result.lastInsertRowid;
+  }
+
+  parseLevel(row, now = Date.now()) {
+    if (!row) return null;
+    let notifyEmails = [];
+    try { notifyEmails = JSON.parse(row.notify_emails || '[]'); } catch (_) { notifyEmails = []; }
+    const overrides = db.prepare('SELECT * FROM escalation_oncall_overrides WHERE level_id = ? ORDER BY starts_at ASC, id ASC').all(row.id);
+    return {
+      ...row,
+      notify_emails: notifyEmails,
+      overrides: overrides.map(o => ({ ...o, active: this.isOverrideActive(o, now) }))
+    };
+  }
+
+  isOverrideActive(override, now = Date.now()) {
+    return parseTimestamp(override.starts_at) <= now && now < parseTimestamp(override.ends_at);
+  }
+
+  listLevels() {
+    return db.prepare('SELECT * FROM escalation_levels ORDER BY category IS NOT NULL, category, level')
+      .all().map(row => this.parseLevel(row));
+  }
+
+  getLevel(id) {
+    return this.parseLevel(db.prepare('SELECT * FROM escalation_levels WHERE id = ?').get(id));
+  }
+
+  findLevelFor(category, level, excludeId = null) {
+    return db.prepare(`
+      SELECT * FROM escalation_levels WHERE category IS ? AND level = ? AND id IS NOT ?
+    `).get(category, level, excludeId);
+  }
+
+  // Levels a ticket walks: the category's own matrix when it has one, otherwise the default
+  getMatrix(category) {
+    const select = db.prepare('SELECT * FROM escalation_levels WHERE category IS ? ORDER BY level');
+    let rows = select.all(normalize(category));
+    if (!rows.length) rows = select.all(null);
+    return rows.map(row => this.parseLevel(row));
+  }
+
+  // Returns an error message, or null when the fields are valid
+  validateLevel(data, { partial = false } = {}) {
+    if (!partial || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) return 'Level name required';
+    }
+    if (!partial || data.level !== undefined) {
+      if (!Number.isInteger(data.level) || data.level < 1) return 'Level must be a positive whole number';
+    }
+    if (data.assignee !== undefined && data.assignee !== null && !String(data.assignee).trim()) {
+      return 'Assignee must be a name or email';
+    }
+    if (data.team_id !== undefined && data.team_id !== null && !teamService.getTeam(data.team_id)) {
+      return `Team ${data.team_id} not found`;
+    }
+    if (data.notify_emails !== undefined) {
+      if (!Array.isArray(data.notify_emails) || data.notify_emails.some(e => !EMAIL_PATTERN.test(String(e)))) {
+        return 'Notify targets must be a list of email addresses';
+      }
+    }
+    if (data.time_to_next_minutes !== undefined && data.time_to_next_minutes !== null) {
+      if (!Number.isInteger(data.time_to_next_minutes) || data.time_to_next_minutes <= 0) {
+        return 'Time to next level must be a positive number of minutes';
+      }
+    }
+    return null;
+  }
+
+  createLevel(data) {
+    const error = this.validateLevel(data);
+    if (error) return { success: false, reason: 'invalid', error };
+    if (this.findLevelFor(normalize(data.category), data.level)) {
+      return { success: false, reason: 'duplicate', error: `Level ${data.level} already exists for this matrix` };
+    }
+    const id = this.insertLevel(data);
+    return { success: true, level: this.getLevel(id) };
+  }
+
+  updateLevel(id, data) {
+    const current = this.getLevel(id);
+    if (!current) return { success: false, reason: 'not_found', error: 'Escalation level not found' };
+    const error = this.validateLevel(data, { partial: true });
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const category = data.category !== undefined ? normalize(data.category) : current.category;
+    const level = data.level !== undefined ? data.level : current.level;
+    if (this.findLevelFor(category, level, id)) {
+      return { success: false, reason: 'duplicate', error: `Level ${level} already exists for this matrix` };
+    }
+
+    const sets = [];
+    const values = [];
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] === undefined) continue;
+      sets.push(`${field} = ?`);
+      if (field === 'notify_emails') values.push(JSON.stringify(data.notify_emails));
+      else if (field === 'category') values.push(category);
+      else if (field === 'name') values.push(String(data.name).trim());
+      else values.push(data[field]);
+    }
+    if (sets.length) {
+      db.prepare(`UPDATE escalation_levels SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...values, id);
+    }
+    return { success: true, level: this.getLevel(id) };
+  }
+
+  deleteLevel(id) {
+    const level = this.getLevel(id);
+    if (!level) return { success: false, reason: 'not_found', error: 'Escalation level not found' };
+    if (level.category === null && this.getMatrix(null).length === 1) {
+      return { success: false, reason: 'invalid', error: 'The default matrix needs at least one level' };
+    }
+    db.transaction(() => {
+      db.prepare('DELETE FROM escalation_oncall_overrides WHERE level_id = ?').run(id);
+      db.prepare('DELETE FROM escalation_levels WHERE id = ?').run(id);
+    })();
+    return { success: true };
+  }
+
+  addOverride(levelId, { email, starts_at: startsAt, ends_at: endsAt, reason } = {}, createdBy = null) {
+    if (!this.getLevel(levelId)) return { success: false, reason: 'not_found', error: 'Escalation level not found' };
+    if (!email || !EMAIL_PATTERN.test(String(email))) {
+      return { success: false, reason: 'invalid', error: 'Override email required' };
+    }
+    const start = parseTimestamp(startsAt);
+    const end = parseTimestamp(endsAt);
+    if (start == null || end == null) {
+      return { success: false, reason: 'invalid', error: 'starts_at and ends_at must be timestamps' };
+    }
+    if (end <= start) return { success: false, reason: 'invalid', error: 'Override must end after it starts' };
+
+    const result = db.prepare(`
+      INSERT INTO escalation_oncall_overrides (level_id, email, starts_at, ends_at, reason, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(levelId, String(email).trim(), toIso(start), toIso(end), reason || null, createdBy);
+    const override = db.prepare('SELECT * FROM escalation_oncall_overrides WHERE id = ?').get(result.lastInsertRowid);
+    return { success: true, override: { ...override, active: this.isOverrideActive(override) } };
+  }
+
+  removeOverride(levelId, overrideId) {
+    const result = db.prepare('DELETE FROM escalation_oncall_overrides WHERE id = ? AND level_id = ?').run(overrideId, levelId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Who handles a level right now: an active on-call override, then the level's
+   * assignee, then the lead of the level's team (or of the ticket's team when the
+   * level names neither). Recipients are the handler, that team's leads and the
+   * level's notify targets.
+   */
+  resolveTargets(level, now = Date.now(), ticket = null) {
+    const override = level.overrides.filter(o => this.isOverrideActive(o, now)).pop() || null;
+    const teamId = level.team_id || (!level.assignee && ticket ? ticket.team_id : null);
+    const leads = teamId ? teamService.getLeadEmails(teamId) : [];
+    const assignee = override ? override.email : (level.assignee || leads[0] || null);
+    const recipients = [...new Set([assignee, ...leads, ...level.notify_emails].filter(r => r && EMAIL_PATTERN.test(r)))];
+    return { assignee, recipients, override, teamId };
+  }
+
+  /**
+   * Move a ticket to the next level of its matrix: reassign it to that level's
+   * handler and stamp the escalation. Returns the level and who to notify; urgent
+   * tickets also name the on-call person of the team that held the ticket, to page.
+   */
+  escalateTicket(ticketId, actor = 'system', { reason = null } = {}) {
+    const ticket = ticketService.getTicketById(ticketId);
+    if (!ticket) return { success: false, reason: 'not_found', error: 'Ticket not found' };
+    if (['resolved', 'closed'].includes(ticket.status)) {
+      return { success: false, reason: 'invalid_transition', error: `Cannot escalate a ${ticket.status} ticket` };
+    }
+
+    const matrix = this.getMatrix(ticket.category);
+    const currentLevel = ticket.escalation_level || 0;
+    const next = matrix.find(level => level.level > currentLevel);
+    if (!next) {
+      return { success: false, reason: 'max_level', error: `Ticket is already at the top escalation level (${currentLevel})` };
+    }
+
+    const { assignee, recipients, override } = this.resolveTargets(next, Date.now(), ticket);
+    const oncall = ticket.priority === 'urgent' ? oncallService.findOnCallForTicket(ticket) : null;
+    ticketService.updateTicket(ticketId, {
+      escalation_level: next.level,
+      escalated_at: new Date().toISOString(),
+      assignee: assignee || ticket.assignee,
+      team_id: next.team_id || ticket.team_id
+    }, actor);
+    if (assignee && assignee !== ticket.assignee) {
+      assignmentService.recordDecision(ticketId, {
+        assignee,
+        previous: ticket.assignee,
+        source: 'escalation',
+        reason: `Escalated to level ${next.level} (${next.name})${override ? ', covered by on-call override' : ''}`,
+        actor
+      });
+    }
+
+    return {
+      success: true,
+      ticket: ticketService.getTicketById(ticketId),
+      escalation: {
+        level: next.level,
+        name: next.name,
+        assignee: assignee || ticket.assignee,
+        team_id: next.team_id || ticket.team_id,
+        recipients,
+        override: override ? override.email : null,
+        page: oncall ? { team: oncall.team, ...oncall.on_call } : null,
+        reason
+      }
+    };
+  }
+
+  // Escalated tickets that sat at their level past its time-to-next-level
+  findDueEscalations(now = Date.now()) {
+    const tickets = db.prepare(`
+      SELECT * FROM tickets WHERE escalation_level > 0 AND escalated_at IS NOT NULL
+      AND status NOT IN (${HELD_STATUSES.map(() => '?').join(', ')})
+    `).all(...HELD_STATUSES);
+    return tickets.filter(ticket => {
+      const matrix = this.getMatrix(ticket.category);
+      const current = matrix.find(level => level.level === ticket.escalation_level);
+      if (!current || !current.time_to_next_minutes) return false;
+      if (!matrix.some(level => level.level > ticket.escalation_level)) return false;
+      return parseTimestamp(ticket.escalated_at) + current.time_to_next_minutes * 60 * 1000 <= now;
+    });
+  }
+
+  // One line per level, e.g. "Level 1 - Team lead: lead@company.com (next level after 60 min)"
+  describeMatrix(category) {
+    return this.getMatrix(category).map(level => {
+      const { assignee, recipients } = this.resolveTargets(level);
+      const next = level.time_to_next_minutes ? ` (next level after ${level.time_to_next_minutes} min)` : '';
+      const cc = recipients.filter(r => r !== assignee);
+      const fallback = level.team_id || level.assignee ? 'current assignee' : "lead of the ticket's team";
+      return `Level ${level.level} - ${level.name}: ${assignee || fallback}${cc.length ? `, notify ${cc.join(', ')}` : ''}${next}`;
+    });
+  }
+}
+
+module.exports = new EscalationService();
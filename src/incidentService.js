@@ -0,0 +1,256 @@
+const db = require('./database');
+const ticketService = require('./ticketService');
+const ticketCommentService = require('./ticketCommentService');
+const ticketHistoryService = require('./ticketHistoryService');
+
+const INCIDENT_TYPES = ['incident', 'problem'];
+
+// Statuses each record type moves through; resolved is final and only reached through resolveIncident
+const STATUSES = {
+  incident: ['investigating', 'identified', 'monitoring', 'resolved'],
+  problem: ['open', 'known_error', 'resolved']
+};
+
+const CLOSED_TICKET_STATUSES = ['resolved', 'closed'];
+const EDITABLE_FIELDS = ['title', 'description', 'service', 'major', 'status', 'root_cause', 'workaround'];
+
+function label(incident) {
+  return incident.type === 'problem' ? 'Problem' : 'Incident';
+}
+
+function words(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Incident Service - incidents and problems that user-reported tickets are
+ * grouped under. Resolving the parent resolves its open child tickets.
+ */
+class IncidentService {
+  parseIncident(row) {
+    if (!row) return null;
+    const { cnt } = db.prepare('SELECT COUNT(*) AS cnt FROM incident_tickets WHERE incident_id = ?').get(row.id);
+    return { ...row, major: !!row.major, active: row.status !== 'resolved', ticket_count: cnt };
+  }
+
+  listIncidents({ type = null, status = null, major = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    if (status === 'active') {
+      conditions.push("status != 'resolved'");
+    } else if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (major != null) {
+      conditions.push('major = ?');
+      params.push(major ? 1 : 0);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM incidents ${where} ORDER BY major DESC, created_at DESC, id DESC`)
+      .all(...params)
+      .map(row => this.parseIncident(row));
+  }
+
+  getIncident(id) {
+    return this.parseIncident(db.prepare('SELECT * FROM incidents WHERE id = ?').get(id));
+  }
+
+  getChildTickets(id) {
+    return db.prepare(`
+      SELECT t.*, it.added_by, it.created_at AS added_at
+      FROM incident_tickets it JOIN tickets t ON t.id = it.ticket_id
+      WHERE it.incident_id = ? ORDER BY it.created_at ASC, it.id ASC
+    `).all(id);
+  }
+
+  getIncidentsForTicket(ticketId) {
+    return db.prepare(`
+      SELECT i.* FROM incident_tickets it JOIN incidents i ON i.id = it.incident_id
+      WHERE it.ticket_id = ? ORDER BY i.created_at ASC, i.id ASC
+    `).all(ticketId).map(row => this.parseIncident(row));
+  }
+
+  // Returns an error message, or null when the fields are valid
+  validateIncident(data, type, { partial = false } = {}) {
+    if (!partial || data.title !== undefined) {
+      if (!data.title || !String(data.title).trim()) return 'Title required';
+    }
+    if (data.major !== undefined && typeof data.major !== 'boolean') return 'major must be true or false';
+    if (data.status !== undefined) {
+      const open = STATUSES[type].filter(s => s !== 'resolved');
+      if (!open.includes(data.status)) {
+        return data.status === 'resolved'
+          ? `Use the resolve action to resolve an ${type}`
+          : `Status must be one of: ${open.join(', ')}`;
+      }
+    }
+    return null;
+  }
+
+  fieldValue(field, data) {
+    if (field === 'major') return data.major ? 1 : 0;
+    if (field === 'title') return String(data.title).trim();
+    if (field === 'service') return data.service ? String(data.service).trim() : null;
+    return data[field] === undefined ? null : data[field];
+  }
+
+  createIncident(data, actor = 'system') {
+    const type = data.type || 'incident';
+    if (!INCIDENT_TYPES.includes(type)) {
+      return { success: false, reason: 'invalid', error: `Type must be one of: ${INCIDENT_TYPES.join(', ')}` };
+    }
+    if (type === 'problem' && data.major) return { success: false, reason: 'invalid', error: 'Only incidents can be major' };
+    const error = this.validateIncident(data, type);
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const result = db.prepare(`
+      INSERT INTO incidents (type, title, description, service, major, status, root_cause, workaround, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      type,
+      this.fieldValue('title', data),
+      data.description || null,
+      this.fieldValue('service', data),
+      this.fieldValue('major', data),
+      data.status || STATUSES[type][0],
+      data.root_cause || null,
+      data.workaround || null,
+      String(actor)
+    );
+    return { success: true, incident: this.getIncident(result.lastInsertRowid) };
+  }
+
+  updateIncident(id, data) {
+    const current = this.getIncident(id);
+    if (!current) return { success: false, reason: 'not_found', error: 'Incident not found' };
+    if (!current.active) return { success: false, reason: 'invalid_transition', error: `${label(current)} #${id} is already resolved` };
+    if (current.type === 'problem' && data.major) return { success: false, reason: 'invalid', error: 'Only incidents can be major' };
+    const error = this.validateIncident(data, current.type, { partial: true });
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const sets = [];
+    const values = [];
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] === undefined) continue;
+      sets.push(`${field} = ?`);
+      values.push(this.fieldValue(field, data));
+    }
+    if (sets.length) {
+      db.prepare(`UPDATE incidents SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...values, id);
+    }
+    return { success: true, incident: this.getIncident(id), previous: current };
+  }
+
+  /**
+   * Group tickets under an active incident or problem. Tickets that are
+   * already resolved or closed cannot be added.
+   */
+  addTickets(id, ticketIds, actor = 'system') {
+    const incident = this.getIncident(id);
+    if (!incident) return { success: false, reason: 'not_found', error: 'Incident not found' };
+    if (!incident.active) return { success: false, reason: 'invalid_transition', error: `${label(incident)} #${id} is already resolved` };
+    const ids = [...new Set(ticketIds)];
+    if (!ids.length) return { success: false, reason: 'invalid', error: 'ticket_ids must list the tickets to add' };
+    const tickets = ids.map(ticketId => ticketService.getTicketById(ticketId));
+    const missing = ids.filter((ticketId, i) => !tickets[i]);
+    if (missing.length) return { success: false, reason: 'not_found', error: `Ticket not found: #${missing.join(', #')}` };
+    const done = tickets.filter(t => CLOSED_TICKET_STATUSES.includes(t.status));
+    if (done.length) {
+      return { success: false, reason: 'invalid_transition', error: `Resolved or closed tickets cannot be added: #${done.map(t => t.id).join(', #')}` };
+    }
+
+    const added = [];
+    db.transaction(() => {
+      for (const ticket of tickets) {
+        const result = db.prepare('INSERT OR IGNORE INTO incident_tickets (incident_id, ticket_id, added_by) VALUES (?, ?, ?)')
+          .run(id, ticket.id, String(actor));
+        if (!result.changes) continue;
+        ticketHistoryService.recordEvent(ticket.id, actor, incident.type, null, `#${id} ${incident.title}`);
+        added.push(ticketService.getTicketById(ticket.id));
+      }
+    })();
+    return { success: true, incident: this.getIncident(id), added };
+  }
+
+  removeTicket(id, ticketId) {
+    const result = db.prepare('DELETE FROM incident_tickets WHERE incident_id = ? AND ticket_id = ?').run(id, ticketId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Resolve an incident or problem. Every child ticket gets the resolution as a
+   * public comment and the ones still open are resolved with it. `actor` must
+   * be a user id since it authors the comments.
+   */
+  resolveIncident(id, resolution, actor) {
+    const incident = this.getIncident(id);
+    if (!incident) return { success: false, reason: 'not_found', error: 'Incident not found' };
+    if (!incident.active) return { success: false, reason: 'invalid_transition', error: `${label(incident)} #${id} is already resolved` };
+    if (!resolution || !String(resolution).trim()) return { success: false, reason: 'invalid', error: 'Resolution note required' };
+    const note = String(resolution).trim();
+
+    const children = [];
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE incidents SET status = 'resolved', resolution = ?, resolved_by = ?, resolved_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(note, String(actor), new Date().toISOString(), id);
+
+      for (const ticket of this.getChildTickets(id)) {
+        ticketCommentService.addComment(ticket.id, actor, `${label(incident)} #${id} "${incident.title}" has been resolved: ${note}`);
+        let resolved = false;
+        if (!CLOSED_TICKET_STATUSES.includes(ticket.status)) {
+          resolved = ticketService.setTicketStatus(ticket.id, 'resolved', {
+            resolution: `Resolved with ${incident.type} #${id}: ${note}`
+          }, actor).success;
+        }
+        children.push({ ticket: ticketService.getTicketById(ticket.id), resolved });
+      }
+    })();
+    return { success: true, incident: this.getIncident(id), children };
+  }
+
+  // ---- Status banner & chat ----
+
+  getActiveMajorIncidents() {
+    return this.listIncidents({ type: 'incident', status: 'active', major: true });
+  }
+
+  // The system alert shown to everyone while a major incident is active (active: false clears it)
+  getBanner(incident) {
+    const active = incident.active && incident.major;
+    const service = incident.service ? `${incident.service}: ` : '';
+    return {
+      id: `incident-${incident.id}`,
+      kind: 'major_incident',
+      incident_id: incident.id,
+      title: incident.title,
+      service: incident.service,
+      status: incident.status,
+      active,
+      severity: active ? 'critical' : 'info',
+      message: active
+        ? `Major incident - ${service}${incident.title} (${incident.status.replace(/_/g, ' ')})`
+        : `Resolved - ${service}${incident.title}`
+    };
+  }
+
+  /**
+   * Active incidents whose affected service is named in `text`, major ones
+   * first, e.g. "is email down?" finds an active incident on the Email service.
+   */
+  findActiveIncidents(text) {
+    const said = new Set(words(text).flatMap(w => (w.length > 3 && w.endsWith('s') ? [w, w.slice(0, -1)] : [w])));
+    return this.listIncidents({ type: 'incident', status: 'active' }).filter(incident => {
+      const service = words(incident.service);
+      return service.length > 0 && service.every(w => said.has(w));
+    });
+  }
+}
+
+module.exports = new IncidentService();
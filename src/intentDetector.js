@@ -23,6 +23,15 @@ class IntentDetector {
         ],
         confidence: 0.7
       },
+      outage_query: {
+        keywords: ['down', 'outage', 'offline', 'anyone else', 'everyone'],
+        patterns: [
+          /is (?:the )?(.+?) (?:down|offline|out)\b/i,
+          /(?:outage|problem|issue)s? (?:with|on|affecting) (.+?)(?: right now| today)?\?/i,
+          /is (?:there )?(?:an? )?(?:outage|incident)(?: (?:with|on|affecting) (.+?))?\??$/i
+        ],
+        confidence: 0.9
+      },
       ticket_query: {
         keywords: ['show', 'list', 'view', 'display', 'tickets', 'open', 'pending'],
         patterns: [
@@ -42,6 +51,13 @@ class IntentDetector {
         ],
         confidence: 0.8
       },
+      offboarding_request: {
+        keywords: ['offboard', 'offboarding', 'last day', 'leaving', 'termination'],
+        patterns: [
+          /\boff-?board(?:ing)?\s+(?:for\s+)?(.+)/i
+        ],
+        confidence: 0.9
+      },
       greeting: {
         keywords: ['hello', 'hi', 'hey', 'good morning', 'good afternoon', 'greetings'],
         patterns: [
@@ -130,6 +146,11 @@ class IntentDetector {
         'Issue with printer on 3rd floor',
         'Email client keeps crashing'
       ],
+      outage_query: [
+        'Is email down?',
+        'Is there an outage?',
+        'My laptop is not working'
+      ],
       ticket_query: [
         'Show open tickets from this week',
         'List all my tickets',
@@ -140,6 +161,10 @@ class IntentDetector {
         'New employee onboarding steps',
         'Create onboarding for Sarah'
       ],
+      offboarding_request: [
+        'Offboard Sarah on Friday',
+        'Show the offboarding report'
+      ],
       greeting: [
         'What can you help me with?',
         'Show me what you can do'
@@ -24,7 +24,13 @@ class NotificationService {
     };
   }
 
+  /**
+   * Notify an escalation. `escalationInfo.recipients` are the level-specific
+   * targets from the escalation matrix; ESCALATION_EMAILS is the fallback.
+   */
   async sendEscalationNotification(ticket, escalationInfo = {}) {
+    const level = escalationInfo.escalation_level || 1;
+    const levelLabel = escalationInfo.level_name ? `level ${level} (${escalationInfo.level_name})` : `level ${level}`;
     const message = {
       type: 'ticket_escalation',
       timestamp: new Date().toISOString(),
@@ -33,26 +39,61 @@ class NotificationService {
         title: ticket.title,
         priority: ticket.priority,
         category: ticket.category,
+        assignee: ticket.assignee,
         created_at: ticket.created_at,
         escalated_at: escalationInfo.escalated_at || new Date().toISOString(),
-        escalation_level: escalationInfo.escalation_level || 1
+        escalation_level: level,
+        escalation_level_name: escalationInfo.level_name || null,
+        escalation_reason: escalationInfo.reason || null
       },
-      message: `Ticket #${ticket.id} "${ticket.title}" has been escalated to level ${escalationInfo.escalation_level || 1}. Priority: ${ticket.priority}`
+      message: `Ticket #${ticket.id} "${ticket.title}" has been escalated to ${levelLabel}. Priority: ${ticket.priority}`
     };
 
+    const recipients = escalationInfo.recipients && escalationInfo.recipients.length
+      ? escalationInfo.recipients
+      : this.config.escalationEmails;
+    return this.deliver(recipients, `Ticket Escalation Alert: #${ticket.id}`, this.formatEscalationEmail(message), message);
+  }
+
+  // Page the on-call person of a team about an urgent escalation
+  async pageOnCall(page, ticket, escalationInfo = {}) {
+    return this.sendNotification({
+      type: 'oncall_page',
+      recipients: [page.email],
+      subject: `PAGE: urgent ticket #${ticket.id} escalated (${page.team} on call)`,
+      message: `You are on call for ${page.team}. Urgent ticket #${ticket.id} "${ticket.title}" was escalated to level ${escalationInfo.escalation_level || 1}${escalationInfo.reason ? ` (${escalationInfo.reason})` : ''} and is now with ${ticket.assignee || 'the escalation team'}.`,
+      urgency: 'critical',
+      ticket_id: ticket.id,
+      team: page.team
+    });
+  }
+
+  // Generic notification: { type, recipients | recipient, subject, message, ... }
+  async sendNotification(notification = {}) {
+    const recipients = notification.recipients || (notification.recipient ? [notification.recipient] : this.config.escalationEmails);
+    const payload = {
+      timestamp: new Date().toISOString(),
+      ...notification
+    };
+    return this.deliver(
+      recipients,
+      notification.subject || `IT Workflow notification: ${notification.type || 'update'}`,
+      notification.message || '',
+      payload
+    );
+  }
+
+  // Email the recipients and post the payload to the webhook, as configured
+  async deliver(recipients, subject, body, payload) {
     const results = {
       email: { sent: false, error: null },
       webhook: { sent: false, error: null }
     };
 
     // Send email notification
-    if (this.config.emailEnabled && this.config.escalationEmails.length > 0) {
+    if (this.config.emailEnabled && recipients.length > 0) {
       try {
-        await this.sendEmail(
-          this.config.escalationEmails,
-          `Ticket Escalation Alert: #${ticket.id}`,
-          this.formatEscalationEmail(message)
-        );
+        await this.sendEmail(recipients, subject, body);
         results.email.sent = true;
       } catch (err) {
         results.email.error = err.message;
@@ -63,7 +104,7 @@ class NotificationService {
     // Send webhook notification
     if (this.config.webhookEnabled && this.config.webhookUrl) {
       try {
-        await this.sendWebhook(message);
+        await this.sendWebhook({ ...payload, recipients });
         results.webhook.sent = true;
       } catch (err) {
         results.webhook.error = err.message;
@@ -84,10 +125,11 @@ Title: ${ticket.title}
 Priority: ${ticket.priority}
 Category: ${ticket.category}
 Created: ${ticket.created_at}
+Assigned to: ${ticket.assignee || 'unassigned'}
 Escalated: ${ticket.escalated_at}
-Escalation Level: ${ticket.escalation_level}
+Escalation Level: ${ticket.escalation_level}${ticket.escalation_level_name ? ` - ${ticket.escalation_level_name}` : ''}${ticket.escalation_reason ? `\nReason: ${ticket.escalation_reason}` : ''}
 
-This ticket has exceeded its SLA threshold and requires immediate attention.
+This ticket has been escalated to you and requires immediate attention.
 
 View in dashboard: ${process.env.APP_BASE_URL || 'http://localhost:3000'}/dashboard.html
 
@@ -0,0 +1,254 @@
+const db = require('./database');
+const authService = require('./authService');
+const ticketService = require('./ticketService');
+const onboardingService = require('./onboardingService');
+const accessCertificationService = require('./accessCertificationService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tasks every offboarding gets besides access revocation and asset return
+const STANDARD_TASKS = [
+  { title: 'Knowledge handover', owner: 'manager', due_in_days: -5 },
+  { title: 'Exit interview', owner: 'hr', due_in_days: -1 },
+  { title: 'Final pay, benefits and leave balance', owner: 'hr', due_in_days: 0 }
+];
+
+// One IT ticket each, raised when offboarding starts
+const ASSET_TICKETS = [
+  { title: 'Laptop return', description: 'Collect the laptop and charger, then wipe and reimage it.' },
+  { title: 'Asset return', description: 'Collect the badge, phone, monitors and any other company equipment.' }
+];
+
+// "offboard Sarah on Friday", "offboard sarah@example.com effective 2026-11-03"
+const OFFBOARD_REQUEST = /\boff-?board(?:ing)?\s+(?:for\s+)?(.+?)(?:\s+(?:on|effective|from|by|as of)\s+(.+?))?\s*[.!?]?$/i;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * The date a phrase like "today", "tomorrow", "Friday", "next Friday" or
+ * "2026-11-03" stands for, or null. A weekday is the next one, counting today.
+ */
+function resolveDay(text, from = today()) {
+  const phrase = String(text || '').trim().toLowerCase();
+  const base = Date.parse(`${from}T00:00:00Z`);
+  const day = offset => new Date(base + offset * DAY_MS).toISOString().slice(0, 10);
+  if (DATE_PATTERN.test(phrase)) return Number.isNaN(Date.parse(phrase)) ? null : phrase;
+  if (phrase === 'today') return day(0);
+  if (phrase === 'tomorrow') return day(1);
+  const match = /^(next\s+|this\s+)?([a-z]+)$/.exec(phrase);
+  const weekday = match ? WEEKDAYS.indexOf(match[2]) : -1;
+  if (weekday < 0) return null;
+  let offset = (weekday - new Date(base).getUTCDay() + 7) % 7;
+  if (match[1] && match[1].trim() === 'next' && offset === 0) offset = 7;
+  return day(offset);
+}
+
+/**
+ * Offboarding Service - the checklist for an employee who is leaving: a task
+ * to revoke each access grant they hold, tickets for returning their laptop
+ * and other assets, and their account disabled at the end of the last day.
+ */
+class OffboardingService {
+  findOpenOffboarding(userId) {
+    return db.prepare(`
+      SELECT id FROM onboarding_checklists WHERE type = 'offboarding' AND subject_user_id = ? AND account_disabled_at IS NULL
+    `).get(userId);
+  }
+
+  // Active users whose name starts with, or whose email is, `name`
+  findUsers(name) {
+    const text = String(name || '').trim();
+    if (!text) return [];
+    return db.prepare(`
+      SELECT id, email, full_name, role FROM users
+      WHERE disabled_at IS NULL AND (email = ? COLLATE NOCASE OR full_name LIKE ? OR full_name LIKE ?)
+      ORDER BY full_name
+    `).all(text, `${text}%`, `% ${text}%`);
+  }
+
+  /**
+   * Start offboarding `userId`, leaving on `lastDay`. Raises the asset return
+   * tickets on behalf of `actorId` and returns the checklist with them.
+   */
+  startOffboarding(userId, lastDay, actorId) {
+    const user = authService.getUserById(userId);
+    if (!user) return { success: false, reason: 'not_found', error: 'User not found' };
+    if (user.disabled_at) return { success: false, reason: 'invalid_transition', error: `${user.email} is already disabled` };
+    if (!DATE_PATTERN.test(String(lastDay || '')) || Number.isNaN(Date.parse(lastDay))) {
+      return { success: false, reason: 'invalid', error: 'Last day must be a date (YYYY-MM-DD)' };
+    }
+    if (lastDay < today()) return { success: false, reason: 'invalid', error: 'Last day cannot be in the past' };
+    const open = this.findOpenOffboarding(userId);
+    if (open) return { success: false, reason: 'duplicate', error: `${user.email} is already being offboarded (checklist #${open.id})` };
+
+    const manager = user.manager_id ? authService.getUserById(user.manager_id) : null;
+    const grants = db.prepare(`SELECT * FROM access_requests WHERE user_id = ? AND status = 'approved' ORDER BY id`).all(userId);
+    const name = user.full_name || user.email;
+
+    const { checklistId, tickets } = db.transaction(() => {
+      const tickets = ASSET_TICKETS.map(asset => ticketService.getTicketById(ticketService.createTicket(actorId, {
+        title: `${asset.title} for ${name}`,
+        description: `${asset.description}\nOffboarding: ${name} (${user.email}) leaves on ${lastDay}.`,
+        category: 'hardware',
+        tags: 'offboarding'
+      })));
+      const items = [
+        ...STANDARD_TASKS,
+        ...grants.map(grant => ({
+          title: `Revoke ${grant.resource_name}${grant.access_type ? ` (${grant.access_type})` : ''} access`,
+          owner: 'it',
+          due_in_days: 0,
+          action: 'revoke_access',
+          access_request_id: grant.id
+        })),
+        ...tickets.map(ticket => ({ title: ticket.title, owner: 'it', due_in_days: 0, action: 'return_assets', ticket_id: ticket.id })),
+        { title: 'Disable account at the end of the last day', owner: 'it', due_in_days: 0, action: 'disable_account' }
+      ];
+      const checklistId = onboardingService.createChecklist(actorId, name, user.role, items, [], '', {
+        type: 'offboarding',
+        subject_user_id: user.id,
+        last_day: lastDay,
+        employee_email: user.email,
+        manager_email: manager ? manager.email : null
+      });
+      return { checklistId, tickets };
+    })();
+    return { success: true, checklist: onboardingService.getChecklist(checklistId), tickets };
+  }
+
+  // Move the last day; not once the account has been disabled
+  changeLastDay(checklistId, lastDay) {
+    const checklist = onboardingService.getChecklist(checklistId);
+    if (!checklist || checklist.type !== 'offboarding') return { success: false, reason: 'not_found', error: 'Offboarding not found' };
+    if (checklist.account_disabled_at) {
+      return { success: false, reason: 'invalid_transition', error: 'The account has already been disabled' };
+    }
+    if (DATE_PATTERN.test(String(lastDay || '')) && lastDay < today()) {
+      return { success: false, reason: 'invalid', error: 'Last day cannot be in the past' };
+    }
+    return onboardingService.updateChecklist(checklistId, { last_day: lastDay });
+  }
+
+  /**
+   * Side effects of ticking off an offboarding task: a revocation task
+   * revokes its grant, the disable task disables the account at once.
+   * Returns the revoked grant, if any.
+   */
+  applyTaskAction(checklist, task, actorId) {
+    if (task.action === 'revoke_access' && task.access_request_id) {
+      return accessCertificationService.revokeGrant(task.access_request_id, `Revoked on offboarding, last day ${checklist.last_day}`);
+    }
+    if (task.action === 'disable_account') this.disableAccount(checklist.id, actorId);
+    return null;
+  }
+
+  /**
+   * Disable the leaver's account and tick off the disable task. Returns the
+   * task completion result, or null when there was nothing left to do.
+   */
+  disableAccount(checklistId, actorId = null) {
+    const checklist = onboardingService.getChecklist(checklistId);
+    if (!checklist || checklist.account_disabled_at) return null;
+    authService.disableUser(checklist.subject_user_id);
+    db.prepare('UPDATE onboarding_checklists SET account_disabled_at = ? WHERE id = ?').run(new Date().toISOString(), checklistId);
+    const task = checklist.tasks.find(t => t.action === 'disable_account' && t.status !== 'done');
+    if (!task) return { success: true, checklist: onboardingService.getChecklist(checklistId), checklist_completed: false };
+    return onboardingService.completeTask(checklistId, task.id, actorId ? 'Account disabled' : 'Account disabled at the end of the last day', actorId);
+  }
+
+  // Disable every leaver whose last day has ended (UTC); returns the completion results
+  disableDueAccounts() {
+    const due = db.prepare(`
+      SELECT id FROM onboarding_checklists WHERE type = 'offboarding' AND account_disabled_at IS NULL AND last_day < ?
+    `).all(today());
+    return due.map(row => this.disableAccount(row.id)).filter(Boolean);
+  }
+
+  /**
+   * Ticks off asset return tasks whose ticket has been resolved or closed, as
+   * done by whoever resolved the ticket (else closed it); `ticketId` limits it
+   * to that ticket's tasks. Returns the completion results.
+   */
+  completeReturnedAssets({ ticketId = null } = {}) {
+    const rows = db.prepare(`
+      SELECT ot.id AS task_id, ot.checklist_id, t.id, t.status, t.resolution,
+        (SELECT e.actor_user_id FROM ticket_events e
+         WHERE e.ticket_id = t.id AND e.field = 'status' AND e.new_value IN ('resolved', 'closed')
+         ORDER BY e.new_value = 'resolved' DESC, e.id DESC LIMIT 1) AS resolved_by
+      FROM onboarding_tasks ot JOIN tickets t ON t.id = ot.ticket_id
+      WHERE ot.status != 'done' AND t.status IN ('resolved', 'closed') AND (@ticketId IS NULL OR t.id = @ticketId)
+    `).all({ ticketId });
+    return rows.map(row => onboardingService.completeTask(
+      row.checklist_id,
+      row.task_id,
+      `Ticket #${row.id} ${row.status}${row.resolution ? `: ${row.resolution}` : ''}`,
+      row.resolved_by
+    )).filter(result => result.success);
+  }
+
+  /**
+   * The offboarding completion report: what was revoked and returned, who
+   * did each task and with what evidence, and anything still outstanding.
+   */
+  getReport(checklistId) {
+    const checklist = onboardingService.getChecklist(checklistId);
+    if (!checklist || checklist.type !== 'offboarding') return null;
+    const completedBy = id => {
+      const user = id ? authService.getUserById(id) : null;
+      return user ? user.email : null;
+    };
+    const access = checklist.tasks.filter(t => t.action === 'revoke_access').map(task => {
+      const grant = db.prepare('SELECT id, resource_name, access_type, status, resolved_at FROM access_requests WHERE id = ?')
+        .get(task.access_request_id) || {};
+      return {
+        request_id: task.access_request_id,
+        resource_name: grant.resource_name,
+        access_type: grant.access_type,
+        grant_status: grant.status,
+        revoked_at: grant.status === 'revoked' ? grant.resolved_at : null,
+        task_status: task.status
+      };
+    });
+    const assets = checklist.tasks.filter(t => t.action === 'return_assets').map(task => {
+      const ticket = ticketService.getTicketById(task.ticket_id) || {};
+      return { ticket_id: task.ticket_id, title: ticket.title, ticket_status: ticket.status, resolution: ticket.resolution || null };
+    });
+    const tasks = checklist.tasks.map(task => ({
+      id: task.id,
+      title: task.title,
+      owner: task.owner,
+      due_date: task.due_date,
+      status: task.status,
+      completed_at: task.completed_at,
+      completed_by: completedBy(task.completed_by),
+      evidence: task.evidence
+    }));
+    return {
+      checklist_id: checklist.id,
+      employee: { id: checklist.subject_user_id, name: checklist.employee_name, email: checklist.employee_email },
+      manager_email: checklist.manager_email,
+      last_day: checklist.last_day,
+      status: checklist.status,
+      completed_at: checklist.completed_at,
+      account_disabled_at: checklist.account_disabled_at,
+      access,
+      assets,
+      tasks,
+      outstanding: tasks.filter(task => task.status !== 'done').map(task => task.title),
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  // { name, lastDay } when `text` asks to offboard someone; lastDay is null when no date is understood
+  parseRequest(text) {
+    const match = OFFBOARD_REQUEST.exec(String(text || '').trim());
+    if (!match) return null;
+    return { name: match[1].trim(), lastDay: match[2] ? resolveDay(match[2]) : null };
+  }
+}
+
+module.exports = new OffboardingService();
@@ -1,46 +1,572 @@
 const db = require('./database');
+const { hasPermission } = require('./permissions');
 
+const TASK_OWNERS = ['it', 'hr', 'manager', 'new_hire'];
+const TASK_ACTIONS = ['revoke_access', 'return_assets', 'disable_account', 'acknowledge_policy'];
+const EDITABLE_TASK_FIELDS = ['title', 'description', 'owner', 'assignee_user_id', 'due_offset_days'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EVIDENCE_LENGTH = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days from the start date a task is due when none is given: IT has accounts
+// and equipment ready the day before, the manager and new hire follow up after
+const DEFAULT_DUE_OFFSETS = { it: -1, hr: 0, manager: 1, new_hire: 5 };
+
+// Who does a checklist item given only as text; anything else is the new hire's
+const OWNER_KEYWORDS = [
+  ['manager', /\b(manager|meet|meeting|introduc\w*|buddy|mentor|1:1|one-on-one|goals)\b/i],
+  ['hr', /\b(hr|contract|payroll|benefits?|tax|paperwork|i-9|w-4)\b/i],
+  ['it', /\b(accounts?|laptop|equipment|email|vpn|access|install|provision\w*|password|badge|hardware|software|systems?)\b/i]
+];
+
+// Who covers it and hr tasks that have no named assignee
+const OWNER_PERMISSIONS = { it: 'tickets.work', hr: 'onboarding.manage' };
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Case-insensitive match for emails and task titles
+function sameText(a, b) {
+  return !isBlank(a) && !isBlank(b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Onboarding Service - checklists for new employees. Each checklist item is a
+ * task with an owner, a due date relative to the start date, dependencies and
+ * evidence of completion; the checklist completes when every task is done.
+ */
 class OnboardingService {
-  createChecklist(userId, employeeName, role, checklistItems, systemsToProvision, welcomeMessage) {
-    const stmt = db.prepare(`
-      INSERT INTO onboarding_checklists (user_id, employee_name, role, checklist_items, systems_to_provision, welcome_message, status)
-      VALUES (?, ?, ?, ?, ?, ?, 'pending')
-    `);
-    const result = stmt.run(
-      userId,
-      employeeName,
-      role || '',
-      JSON.stringify(checklistItems || []),
-      JSON.stringify(systemsToProvision || []),
-      welcomeMessage || ''
-    );
-    return result.lastInsertRowid;
-  }
-
-  getChecklistsByUser(userId) {
-    const stmt = db.prepare('SELECT * FROM onboarding_checklists WHERE user_id = ? ORDER BY created_at DESC');
-    const rows = stmt.all(userId);
-    return rows.map(r => ({
-      ...r,
-      checklist_items: JSON.parse(r.checklist_items || '[]'),
-      systems_to_provision: JSON.parse(r.systems_to_provision || '[]')
-    }));
-  }
-
-  getAllChecklists() {
-    const stmt = db.prepare('SELECT * FROM onboarding_checklists ORDER BY created_at DESC');
-    const rows = stmt.all();
-    return rows.map(r => ({
-      ...r,
-      checklist_items: JSON.parse(r.checklist_items || '[]'),
-      systems_to_provision: JSON.parse(r.systems_to_provision || '[]')
-    }));
+  constructor() {
+    this.migrateChecklistItems();
+  }
+
+  // Checklists created before tasks existed get one task per stored item
+  migrateChecklistItems() {
+    const rows = db.prepare(`
+      SELECT * FROM onboarding_checklists c
+      WHERE NOT EXISTS (SELECT 1 FROM onboarding_tasks t WHERE t.checklist_id = c.id)
+    `).all();
+    if (!rows.length) return;
+    db.transaction(() => {
+      for (const row of rows) {
+        let items = [];
+        try { items = JSON.parse(row.checklist_items || '[]') || []; } catch (_) { items = []; }
+        const valid = items.map(item => ({ item, task: this.normalizeItem(item).task })).filter(entry => entry.task);
+        const ids = this.insertTasks(row.id, valid.map(entry => ({ ...entry.task, depends_on: [] })));
+        valid.forEach(({ item }, i) => {
+          if (row.status === 'completed' || (item && item.completed)) {
+            db.prepare("UPDATE onboarding_tasks SET status = 'done', completed_at = ? WHERE id = ?")
+              .run(row.completed_at || row.created_at, ids[i]);
+          }
+        });
+        if (row.status !== 'completed') this.refreshChecklistStatus(row.id);
+      }
+    })();
+  }
+
+  guessOwner(title) {
+    const match = OWNER_KEYWORDS.find(([, pattern]) => pattern.test(title));
+    return match ? match[0] : 'new_hire';
+  }
+
+  /**
+   * A checklist item as given to createChecklist: plain text, or an object
+   * with title (or task), owner, due_in_days, description, assignee_user_id
+   * and depends_on. Returns { task } or { error }.
+   */
+  normalizeItem(item) {
+    if (typeof item === 'string') {
+      if (isBlank(item)) return { error: 'Checklist items cannot be blank' };
+      const owner = this.guessOwner(item);
+      return { task: { title: item.trim(), owner, due_offset_days: DEFAULT_DUE_OFFSETS[owner], depends_on: [] } };
+    }
+    if (!item || typeof item !== 'object') return { error: 'Checklist items must be text or objects' };
+    const title = item.title !== undefined ? item.title : item.task;
+    if (isBlank(title)) return { error: 'Each checklist item needs a title' };
+    const owner = isBlank(item.owner) ? this.guessOwner(String(title)) : item.owner;
+    if (!TASK_OWNERS.includes(owner)) return { error: `Owner must be one of: ${TASK_OWNERS.join(', ')}` };
+    const offset = item.due_in_days !== undefined ? item.due_in_days : item.due_offset_days;
+    if (offset !== undefined && offset !== null && !Number.isInteger(offset)) {
+      return { error: 'due_in_days must be a whole number of days from the start date' };
+    }
+    if (item.assignee_user_id != null && !db.prepare('SELECT 1 FROM users WHERE id = ?').get(item.assignee_user_id)) {
+      return { error: `User ${item.assignee_user_id} not found` };
+    }
+    if (item.depends_on !== undefined && !Array.isArray(item.depends_on)) return { error: 'depends_on must be a list' };
+    if (item.action != null && !TASK_ACTIONS.includes(item.action)) return { error: `Action must be one of: ${TASK_ACTIONS.join(', ')}` };
+    return {
+      task: {
+        title: String(title).trim(),
+        description: isBlank(item.description) ? null : String(item.description).trim(),
+        owner,
+        assignee_user_id: item.assignee_user_id != null ? item.assignee_user_id : null,
+        due_offset_days: offset != null ? offset : DEFAULT_DUE_OFFSETS[owner],
+        depends_on: item.depends_on || [],
+        action: item.action || null,
+        access_request_id: item.access_request_id || null,
+        ticket_id: item.ticket_id || null
+      }
+    };
+  }
+
+  /**
+   * Validate a new checklist's items and details. Dependencies between items
+   * are given by position in the list (from 0) or by title. Returns
+   * { tasks } with depends_on resolved to positions, or { error }.
+   */
+  validateChecklist(items, details = {}) {
+    if (items !== undefined && items !== null && !Array.isArray(items)) return { error: 'checklistItems must be a list' };
+    const error = this.validateDetails(details);
+    if (error) return { error };
+
+    const tasks = [];
+    for (const item of items || []) {
+      const result = this.normalizeItem(item);
+      if (result.error) return result;
+      tasks.push(result.task);
+    }
+    for (const [i, task] of tasks.entries()) {
+      const positions = [];
+      for (const ref of task.depends_on) {
+        const position = typeof ref === 'number'
+          ? ref
+          : tasks.findIndex(other => sameText(other.title, ref));
+        if (!Number.isInteger(position) || !tasks[position]) return { error: `"${task.title}" depends on an unknown item: ${ref}` };
+        if (position === i) return { error: `"${task.title}" cannot depend on itself` };
+        positions.push(position);
+      }
+      task.depends_on = [...new Set(positions)];
+    }
+    const cycle = tasks.find((task, i) => this.reaches(i, i, position => tasks[position].depends_on));
+    if (cycle) return { error: `"${cycle.title}" is part of a dependency cycle` };
+    return { tasks };
+  }
+
+  // Returns an error message, or null when the checklist details are valid
+  validateDetails(details) {
+    if (details.employee_name !== undefined && isBlank(details.employee_name)) return 'Employee name required';
+    if (!isBlank(details.start_date) && (!DATE_PATTERN.test(details.start_date) || Number.isNaN(Date.parse(details.start_date)))) {
+      return 'Start date must be a date (YYYY-MM-DD)';
+    }
+    if (details.last_day !== undefined && (!DATE_PATTERN.test(String(details.last_day)) || Number.isNaN(Date.parse(details.last_day)))) {
+      return 'Last day must be a date (YYYY-MM-DD)';
+    }
+    for (const field of ['employee_email', 'manager_email']) {
+      if (!isBlank(details[field]) && !EMAIL_PATTERN.test(String(details[field]).trim())) return `${field} must be an email address`;
+    }
+    return null;
+  }
+
+  // Whether following `next` from `from` leads to `target`
+  reaches(from, target, next, seen = new Set()) {
+    for (const step of next(from)) {
+      if (step === target) return true;
+      if (seen.has(step)) continue;
+      seen.add(step);
+      if (this.reaches(step, target, next, seen)) return true;
+    }
+    return false;
+  }
+
+  // Inserts tasks whose depends_on are positions in `tasks`; returns the new ids in order
+  insertTasks(checklistId, tasks, firstPosition = 0) {
+    const ids = tasks.map((task, i) => db.prepare(`
+      INSERT INTO onboarding_tasks (checklist_id, title, description, owner, assignee_user_id, due_offset_days, position,
+        action, access_request_id, ticket_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      checklistId,
+      task.title,
+      task.description || null,
+      task.owner,
+      task.assignee_user_id || null,
+      task.due_offset_days,
+      firstPosition + i,
+      task.action || null,
+      task.access_request_id || null,
+      task.ticket_id || null
+    ).lastInsertRowid);
+    tasks.forEach((task, i) => {
+      for (const position of task.depends_on) {
+        db.prepare('INSERT OR IGNORE INTO onboarding_task_dependencies (task_id, depends_on_task_id) VALUES (?, ?)').run(ids[i], ids[position]);
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Create a checklist with one task per item. `details` takes start_date
+   * (defaults to today), employee_email, manager_email, department, location
+   * and the template_versions the items came from; offboarding checklists
+   * also take type, subject_user_id and last_day. Throws when the items are
+   * invalid; callers taking user input check validateChecklist first.
+   */
+  createChecklist(userId, employeeName, role, checklistItems, systemsToProvision, welcomeMessage, details = {}) {
+    const { tasks, error } = this.validateChecklist(checklistItems, details);
+    if (error) throw new Error(error);
+
+    return db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO onboarding_checklists (user_id, employee_name, role, checklist_items, systems_to_provision, welcome_message, status,
+          start_date, employee_email, manager_email, department, location, template_versions, type, subject_user_id, last_day)
+        VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        userId,
+        employeeName,
+        role || '',
+        JSON.stringify(tasks.map(task => task.title)),
+        JSON.stringify(systemsToProvision || []),
+        welcomeMessage || '',
+        isBlank(details.start_date) ? today() : details.start_date,
+        isBlank(details.employee_email) ? null : String(details.employee_email).trim(),
+        isBlank(details.manager_email) ? null : String(details.manager_email).trim(),
+        isBlank(details.department) ? null : String(details.department).trim(),
+        isBlank(details.location) ? null : String(details.location).trim(),
+        JSON.stringify(details.template_versions || []),
+        details.type || 'onboarding',
+        details.subject_user_id || null,
+        details.last_day || null
+      );
+      this.insertTasks(result.lastInsertRowid, tasks);
+      return result.lastInsertRowid;
+    })();
+  }
+
+  // The date task due dates count from: the last day when offboarding, else the start date
+  startDate(checklist) {
+    return checklist.last_day || checklist.start_date || String(checklist.created_at || today()).slice(0, 10);
+  }
+
+  getTasks(checklist) {
+    const rows = db.prepare('SELECT * FROM onboarding_tasks WHERE checklist_id = ? ORDER BY position ASC, id ASC').all(checklist.id);
+    const deps = db.prepare(`
+      SELECT d.* FROM onboarding_task_dependencies d JOIN onboarding_tasks t ON t.id = d.task_id WHERE t.checklist_id = ?
+    `).all(checklist.id);
+    const status = new Map(rows.map(row => [row.id, row.status]));
+    const start = this.startDate(checklist);
+    const now = today();
+    return rows.map(row => {
+      const dependsOn = deps.filter(d => d.task_id === row.id).map(d => d.depends_on_task_id);
+      const dueDate = addDays(start, row.due_offset_days);
+      return {
+        ...row,
+        due_date: dueDate,
+        depends_on: dependsOn,
+        blocked_by: dependsOn.filter(id => status.get(id) !== 'done'),
+        overdue: row.status !== 'done' && dueDate < now
+      };
+    });
+  }
+
+  parseChecklist(row) {
+    if (!row) return null;
+    const tasks = this.getTasks(row);
+    const done = tasks.filter(task => task.status === 'done').length;
+    return {
+      ...row,
+      start_date: row.start_date || String(row.created_at || today()).slice(0, 10),
+      checklist_items: tasks.map(task => task.title),
+      systems_to_provision: JSON.parse(row.systems_to_provision || '[]'),
+      template_versions: JSON.parse(row.template_versions || '[]'),
+      tasks,
+      progress: { total: tasks.length, done, percent: tasks.length ? Math.round((done / tasks.length) * 100) : 0 }
+    };
+  }
+
+  getChecklist(id) {
+    return this.parseChecklist(db.prepare('SELECT * FROM onboarding_checklists WHERE id = ?').get(id));
+  }
+
+  getChecklistsByUser(userId, type = 'onboarding') {
+    const stmt = db.prepare('SELECT * FROM onboarding_checklists WHERE user_id = ? AND type = ? ORDER BY created_at DESC');
+    return stmt.all(userId, type).map(row => this.parseChecklist(row));
+  }
+
+  // Checklists of one type, or of both when type is null
+  getAllChecklists(type = 'onboarding') {
+    const stmt = db.prepare('SELECT * FROM onboarding_checklists WHERE ? IS NULL OR type = ? ORDER BY created_at DESC');
+    return stmt.all(type, type).map(row => this.parseChecklist(row));
+  }
+
+  // Checklists the user created, is the employee or manager on, or has a task in
+  getChecklistsInvolving(user, type = 'onboarding') {
+    return this.getAllChecklists(type).filter(checklist => this.involves(user, checklist));
+  }
+
+  involves(user, checklist) {
+    return checklist.user_id === user.id
+      || this.isEmployee(user, checklist)
+      || sameText(checklist.manager_email, user.email)
+      || checklist.tasks.some(task => this.isResponsible(user, checklist, task));
+  }
+
+  // The checklist's employee: its linked account once there is one, before that
+  // whoever has the employee email (signups do not verify addresses)
+  isEmployee(user, checklist) {
+    if (checklist.subject_user_id) return checklist.subject_user_id === user.id;
+    return sameText(checklist.employee_email, user.email);
+  }
+
+  // The assignee if the task has one, otherwise whoever the owner stands for
+  isResponsible(user, checklist, task) {
+    if (task.assignee_user_id) return task.assignee_user_id === user.id;
+    if (task.owner === 'manager') return sameText(checklist.manager_email, user.email);
+    if (task.owner === 'new_hire') return this.isEmployee(user, checklist);
+    return hasPermission(user, OWNER_PERMISSIONS[task.owner]);
+  }
+
+  // The one user to remind about a task, or null when it falls to a whole group
+  responsibleUserId(checklist, task) {
+    if (task.assignee_user_id) return task.assignee_user_id;
+    if (task.owner === 'new_hire' && checklist.subject_user_id) return checklist.subject_user_id;
+    const email = task.owner === 'manager' ? checklist.manager_email : task.owner === 'new_hire' ? checklist.employee_email : null;
+    if (isBlank(email)) return null;
+    const user = db.prepare('SELECT id FROM users WHERE email = ? COLLATE NOCASE').get(String(email).trim());
+    return user ? user.id : null;
+  }
+
+  // Open onboarding and offboarding tasks the user is responsible for, soonest due first
+  getTasksForUser(user) {
+    return this.getAllChecklists(null)
+      .filter(checklist => checklist.status !== 'completed')
+      .flatMap(checklist => checklist.tasks
+        .filter(task => task.status !== 'done' && this.isResponsible(user, checklist, task))
+        .map(task => ({ ...task, type: checklist.type, employee_name: checklist.employee_name, role: checklist.role })))
+      .sort((a, b) => a.due_date.localeCompare(b.due_date) || a.id - b.id);
+  }
+
+  updateChecklist(id, data) {
+    if (!this.getChecklist(id)) return { success: false, reason: 'not_found', error: 'Checklist not found' };
+    const error = this.validateDetails(data);
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const sets = [];
+    const values = [];
+    for (const field of ['employee_name', 'role', 'department', 'location', 'start_date', 'last_day', 'employee_email', 'manager_email']) {
+      if (data[field] === undefined) continue;
+      sets.push(`${field} = ?`);
+      values.push(isBlank(data[field]) ? null : String(data[field]).trim());
+    }
+    if (sets.length) db.prepare(`UPDATE onboarding_checklists SET ${sets.join(', ')} WHERE id = ?`).run(...values, id);
+    return { success: true, checklist: this.getChecklist(id) };
   }
 
   updateChecklistStatus(checklistId, status) {
     const stmt = db.prepare('UPDATE onboarding_checklists SET status = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?');
     return stmt.run(status, checklistId);
   }
+
+  /**
+   * Move the checklist to match its tasks: completed once every task is done,
+   * in_progress once any has been started. Returns the checklist.
+   */
+  refreshChecklistStatus(checklistId) {
+    const { tasks } = this.getChecklist(checklistId);
+    const status = tasks.length && tasks.every(task => task.status === 'done')
+      ? 'completed'
+      : tasks.some(task => task.status !== 'pending') ? 'in_progress' : 'pending';
+    db.prepare(`
+      UPDATE onboarding_checklists
+      SET completed_at = CASE WHEN ? = 'completed' THEN COALESCE(completed_at, ?) ELSE NULL END, status = ?
+      WHERE id = ?
+    `).run(status, new Date().toISOString(), status, checklistId);
+    return this.getChecklist(checklistId);
+  }
+
+  // ---- Tasks ----
+
+  findTask(checklistId, taskId) {
+    const checklist = this.getChecklist(checklistId);
+    if (!checklist) return { error: { success: false, reason: 'not_found', error: 'Checklist not found' } };
+    const task = checklist.tasks.find(t => t.id === Number(taskId));
+    if (!task) return { error: { success: false, reason: 'not_found', error: 'Task not found' } };
+    return { checklist, task };
+  }
+
+  // Returns an error message, or null when every id is another task of the checklist and no cycle results
+  checkDependencies(checklist, taskId, dependsOn) {
+    if (!Array.isArray(dependsOn)) return 'depends_on must be a list of task ids';
+    for (const id of dependsOn) {
+      if (id === taskId) return 'A task cannot depend on itself';
+      if (!checklist.tasks.some(task => task.id === id)) return `Task ${id} is not on this checklist`;
+    }
+    const next = id => (id === taskId ? dependsOn : (checklist.tasks.find(task => task.id === id) || { depends_on: [] }).depends_on);
+    if (taskId != null && this.reaches(taskId, taskId, next)) return 'These dependencies would form a cycle';
+    return null;
+  }
+
+  setDependencies(taskId, dependsOn) {
+    db.prepare('DELETE FROM onboarding_task_dependencies WHERE task_id = ?').run(taskId);
+    for (const id of new Set(dependsOn)) {
+      db.prepare('INSERT INTO onboarding_task_dependencies (task_id, depends_on_task_id) VALUES (?, ?)').run(taskId, id);
+    }
+  }
+
+  // Add a task to a checklist; depends_on lists ids of the checklist's tasks
+  addTask(checklistId, data) {
+    const checklist = this.getChecklist(checklistId);
+    if (!checklist) return { success: false, reason: 'not_found', error: 'Checklist not found' };
+    const { task, error } = this.normalizeItem({ ...data, depends_on: undefined });
+    if (error) return { success: false, reason: 'invalid', error };
+    const depsError = data.depends_on !== undefined ? this.checkDependencies(checklist, null, data.depends_on) : null;
+    if (depsError) return { success: false, reason: 'invalid', error: depsError };
+
+    const taskId = db.transaction(() => {
+      const [id] = this.insertTasks(checklistId, [task], checklist.tasks.length);
+      this.setDependencies(id, data.depends_on || []);
+      return id;
+    })();
+    const updated = this.refreshChecklistStatus(checklistId);
+    return { success: true, task: updated.tasks.find(t => t.id === taskId), checklist: updated };
+  }
+
+  updateTask(checklistId, taskId, data) {
+    const { checklist, task, error: lookupError } = this.findTask(checklistId, taskId);
+    if (lookupError) return lookupError;
+    data = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+    if (data.due_in_days !== undefined) data = { ...data, due_offset_days: data.due_in_days };
+    if (data.owner !== undefined && !TASK_OWNERS.includes(data.owner)) {
+      return { success: false, reason: 'invalid', error: `Owner must be one of: ${TASK_OWNERS.join(', ')}` };
+    }
+    if (data.due_offset_days === null) return { success: false, reason: 'invalid', error: 'due_in_days cannot be cleared' };
+    const { error } = this.normalizeItem({ ...task, ...data, due_in_days: undefined, depends_on: undefined });
+    if (error) return { success: false, reason: 'invalid', error };
+    const depsError = data.depends_on !== undefined ? this.checkDependencies(checklist, task.id, data.depends_on) : null;
+    if (depsError) return { success: false, reason: 'invalid', error: depsError };
+
+    const sets = [];
+    const values = [];
+    for (const field of EDITABLE_TASK_FIELDS) {
+      if (data[field] === undefined) continue;
+      sets.push(`${field} = ?`);
+      values.push(typeof data[field] === 'string' ? data[field].trim() || null : data[field]);
+    }
+    db.transaction(() => {
+      if (sets.length) {
+        db.prepare(`UPDATE onboarding_tasks SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...values, task.id);
+      }
+      if (data.depends_on !== undefined) this.setDependencies(task.id, data.depends_on);
+    })();
+    const updated = this.getChecklist(checklistId);
+    return { success: true, task: updated.tasks.find(t => t.id === task.id), checklist: updated };
+  }
+
+  startTask(checklistId, taskId) {
+    const { task, error } = this.findTask(checklistId, taskId);
+    if (error) return error;
+    if (task.status !== 'pending') return { success: false, reason: 'invalid_transition', error: `Task is already ${task.status.replace('_', ' ')}` };
+    if (task.blocked_by.length) return this.blocked(task);
+    db.prepare("UPDATE onboarding_tasks SET status = 'in_progress', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(task.id);
+    const checklist = this.refreshChecklistStatus(checklistId);
+    return { success: true, task: checklist.tasks.find(t => t.id === task.id), checklist };
+  }
+
+  /**
+   * Tick a task off. `evidence` records how it was done (a ticket number, a
+   * note, a link) and is required; the tasks it depends on must be done first.
+   * Its pending reminders are cancelled and the checklist completes with its
+   * last task (`checklist_completed`). A policy acknowledgement can only be
+   * completed by the hire with `acknowledged: true`, and records who
+   * acknowledged it and when as its evidence.
+   */
+  completeTask(checklistId, taskId, evidence, actorId, { acknowledged } = {}) {
+    const { checklist: before, task, error } = this.findTask(checklistId, taskId);
+    if (error) return error;
+    if (task.status === 'done') return { success: false, reason: 'invalid_transition', error: 'Task is already done' };
+    if (task.blocked_by.length) return this.blocked(task);
+    if (task.action === 'acknowledge_policy') {
+      const actor = actorId ? db.prepare('SELECT id, email FROM users WHERE id = ?').get(actorId) : null;
+      if (!actor || !this.isEmployee(actor, before)) {
+        return { success: false, reason: 'forbidden', error: 'Only the new hire can acknowledge the policy' };
+      }
+      if (acknowledged !== true) return { success: false, reason: 'invalid', error: 'Confirm you have read and accept the policy (acknowledged: true)' };
+      evidence = `Acknowledged by ${actor.email} on ${new Date().toISOString()}`;
+    }
+    if (isBlank(evidence)) return { success: false, reason: 'invalid', error: 'Evidence of completion required' };
+    if (String(evidence).length > MAX_EVIDENCE_LENGTH) {
+      return { success: false, reason: 'invalid', error: `Evidence must be at most ${MAX_EVIDENCE_LENGTH} characters` };
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE onboarding_tasks SET status = 'done', evidence = ?, completed_by = ?, completed_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(String(evidence).trim(), actorId || null, new Date().toISOString(), task.id);
+      db.prepare("UPDATE reminders SET status = 'cancelled' WHERE task_id = ? AND status = 'pending'").run(task.id);
+    })();
+    const checklist = this.refreshChecklistStatus(checklistId);
+    return {
+      success: true,
+      task: checklist.tasks.find(t => t.id === task.id),
+      checklist,
+      checklist_completed: before.status !== 'completed' && checklist.status === 'completed'
+    };
+  }
+
+  // Undo a completion; a completed checklist goes back to in progress
+  reopenTask(checklistId, taskId) {
+    const { task, error } = this.findTask(checklistId, taskId);
+    if (error) return error;
+    if (task.status !== 'done') return { success: false, reason: 'invalid_transition', error: 'Only done tasks can be reopened' };
+    if (['revoke_access', 'disable_account'].includes(task.action)) {
+      return { success: false, reason: 'invalid_transition', error: 'Revoked access and disabled accounts cannot be undone by reopening the task' };
+    }
+    db.prepare(`
+      UPDATE onboarding_tasks SET status = 'pending', evidence = NULL, completed_by = NULL, completed_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(task.id);
+    const checklist = this.refreshChecklistStatus(checklistId);
+    return { success: true, task: checklist.tasks.find(t => t.id === task.id), checklist };
+  }
+
+  blocked(task) {
+    return {
+      success: false,
+      reason: 'blocked',
+      error: `Task is waiting on task(s) #${task.blocked_by.join(', #')}`,
+      blocked_by: task.blocked_by
+    };
+  }
+
+  /**
+   * Open tasks of open checklists by urgency: overdue, due today, and due in
+   * the next `soonDays` days.
+   */
+  getDueTasks(soonDays = 3, type = 'onboarding') {
+    const buckets = { overdue: [], due_today: [], due_soon: [] };
+    const now = Date.parse(`${today()}T00:00:00Z`);
+    for (const checklist of this.getAllChecklists(type)) {
+      if (checklist.status === 'completed') continue;
+      for (const task of checklist.tasks) {
+        if (task.status === 'done') continue;
+        const daysDiff = Math.round((Date.parse(`${task.due_date}T00:00:00Z`) - now) / DAY_MS);
+        const entry = {
+          checklist_id: checklist.id,
+          task_id: task.id,
+          employee_name: checklist.employee_name,
+          role: checklist.role,
+          item: task.title,
+          owner: task.owner,
+          due_date: task.due_date,
+          days_diff: daysDiff
+        };
+        if (daysDiff < 0) buckets.overdue.push(entry);
+        else if (daysDiff === 0) buckets.due_today.push(entry);
+        else if (daysDiff <= soonDays) buckets.due_soon.push(entry);
+      }
+    }
+    return buckets;
+  }
 }
 
 module.exports = new OnboardingService();
@@ -0,0 +1,352 @@
+const db = require('./database');
+const onboardingService = require('./onboardingService');
+
+const CRITERIA = ['role', 'department', 'location'];
+const CONTENT_FIELDS = ['tasks', 'systems_to_provision', 'welcome_message'];
+
+// Seeded on first start: a base template every hire gets, one per common role
+// and one for remote hires. Tasks without an owner get one from their wording.
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'Everyone',
+    tasks: [
+      { title: 'Sign employment contract', owner: 'hr', due_in_days: -3 },
+      { title: 'Complete payroll and tax forms', owner: 'hr' },
+      { title: 'Create accounts and email', owner: 'it' },
+      { title: 'Prepare laptop and equipment', owner: 'it' },
+      { title: 'Welcome meeting with manager', owner: 'manager', due_in_days: 0 },
+      { title: 'Complete security awareness training', owner: 'new_hire', due_in_days: 5, depends_on: ['Create accounts and email'] },
+      {
+        title: 'Acknowledge the acceptable use policy',
+        description: 'Read the acceptable use policy for company devices, accounts and data, then confirm you accept it.',
+        owner: 'new_hire',
+        due_in_days: 0,
+        action: 'acknowledge_policy'
+      }
+    ],
+    systems_to_provision: ['Email', 'Slack']
+  },
+  {
+    name: 'Developer',
+    role: 'developer',
+    tasks: [
+      { title: 'GitHub account and repository access', owner: 'it' },
+      { title: 'Set up development environment', owner: 'new_hire', due_in_days: 2, depends_on: ['GitHub account and repository access'] },
+      { title: 'Code review process walkthrough', owner: 'manager', due_in_days: 3 },
+      { title: 'Review team coding standards', owner: 'new_hire', due_in_days: 5 }
+    ],
+    systems_to_provision: ['GitHub', 'Jira']
+  },
+  {
+    name: 'Designer',
+    role: 'designer',
+    tasks: [
+      { title: 'Design tool access (Figma, Adobe)', owner: 'it' },
+      { title: 'Design system walkthrough', owner: 'manager', due_in_days: 2 },
+      { title: 'Review brand guidelines', owner: 'new_hire', due_in_days: 3 }
+    ],
+    systems_to_provision: ['Figma', 'Adobe']
+  },
+  {
+    name: 'Marketing',
+    role: 'marketing',
+    tasks: [
+      { title: 'CRM and marketing automation access', owner: 'it' },
+      { title: 'Social media account access', owner: 'manager', due_in_days: 2 },
+      { title: 'Review brand guidelines and assets', owner: 'new_hire', due_in_days: 3 }
+    ],
+    systems_to_provision: ['CRM']
+  },
+  {
+    name: 'Sales',
+    role: 'sales',
+    tasks: [
+      { title: 'CRM account setup', owner: 'it' },
+      { title: 'Sales process training', owner: 'new_hire', due_in_days: 3 },
+      { title: 'Territory and quota assignment', owner: 'manager', due_in_days: 5 }
+    ],
+    systems_to_provision: ['CRM', 'Salesforce']
+  },
+  {
+    name: 'Finance',
+    role: 'finance',
+    tasks: [
+      { title: 'ERP and expense system access', owner: 'it' },
+      { title: 'Approval limits and delegation set up', owner: 'manager', due_in_days: 2 },
+      { title: 'Complete financial controls training', owner: 'new_hire', due_in_days: 5 }
+    ],
+    systems_to_provision: ['ERP']
+  },
+  {
+    name: 'Support',
+    role: 'support',
+    tasks: [
+      { title: 'Helpdesk and knowledge base access', owner: 'it' },
+      { title: 'Shadow support shifts', owner: 'manager', due_in_days: 3 },
+      { title: 'Review support playbooks and SLAs', owner: 'new_hire', due_in_days: 4 }
+    ],
+    systems_to_provision: ['Helpdesk']
+  },
+  {
+    name: 'Remote hires',
+    location: 'remote',
+    tasks: [
+      { title: 'Ship laptop and equipment to home address', owner: 'it', due_in_days: -5 },
+      { title: 'VPN setup', owner: 'it' }
+    ],
+    systems_to_provision: ['VPN']
+  }
+];
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function words(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// A template criterion matches when all its words appear in the hire's value,
+// so role "developer" covers "Senior Developer"
+function criterionMatches(criterion, value) {
+  if (isBlank(criterion)) return true;
+  const have = new Set(words(value));
+  return words(criterion).every(word => have.has(word));
+}
+
+/**
+ * Onboarding Template Service - HR's library of checklist templates. A new
+ * checklist is composed from every active template matching the hire's role,
+ * department and location; templates are versioned so edits only affect
+ * checklists created afterwards.
+ */
+class OnboardingTemplateService {
+  constructor() {
+    this.seedDefaults();
+    this.migratePolicyAcknowledgement();
+  }
+
+  seedDefaults() {
+    const { cnt } = db.prepare('SELECT COUNT(*) AS cnt FROM onboarding_templates').get();
+    if (cnt > 0) return;
+    db.transaction(() => {
+      DEFAULT_TEMPLATES.forEach(template => this.insertTemplate(template, null));
+    })();
+  }
+
+  // A base template seeded before policy acknowledgements existed gets the
+  // task as a new version; one HR removed it from is left alone
+  migratePolicyAcknowledgement() {
+    const base = DEFAULT_TEMPLATES[0];
+    const row = db.prepare(`
+      SELECT id FROM onboarding_templates
+      WHERE name = ? AND created_by IS NULL AND role IS NULL AND department IS NULL AND location IS NULL
+    `).get(base.name);
+    if (!row) return;
+    if (this.getVersions(row.id).some(version => version.tasks.some(task => task.action === 'acknowledge_policy'))) return;
+    const template = this.getTemplate(row.id);
+    const result = this.updateTemplate(row.id, {
+      tasks: [...template.tasks, base.tasks.find(task => task.action === 'acknowledge_policy')]
+    }, null);
+    if (!result.success) console.warn('[TEMPLATES] Could not add the policy acknowledgement:', result.error);
+  }
+
+  insertTemplate(data, actorId) {
+    const result = db.prepare(`
+      INSERT INTO onboarding_templates (name, role, department, location, created_by) VALUES (?, ?, ?, ?, ?)
+    `).run(String(data.name).trim(), ...CRITERIA.map(field => this.fieldValue(field, data)), actorId || null);
+    this.insertVersion(result.lastInsertRowid, 1, data, actorId);
+    return result.lastInsertRowid;
+  }
+
+  insertVersion(templateId, version, content, actorId) {
+    db.prepare(`
+      INSERT INTO onboarding_template_versions (template_id, version, tasks, systems_to_provision, welcome_message, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      templateId,
+      version,
+      JSON.stringify(this.normalizeTasks(content.tasks || [])),
+      JSON.stringify((content.systems_to_provision || []).map(system => String(system).trim())),
+      isBlank(content.welcome_message) ? null : String(content.welcome_message).trim(),
+      actorId || null
+    );
+  }
+
+  // Template tasks are stored fully spelled out, with dependencies by title
+  normalizeTasks(items) {
+    const { tasks } = onboardingService.validateChecklist(items);
+    return tasks.map(task => ({
+      title: task.title,
+      ...(task.description ? { description: task.description } : {}),
+      owner: task.owner,
+      ...(task.action ? { action: task.action } : {}),
+      due_in_days: task.due_offset_days,
+      depends_on: task.depends_on.map(position => tasks[position].title)
+    }));
+  }
+
+  parseVersion(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      tasks: JSON.parse(row.tasks || '[]'),
+      systems_to_provision: JSON.parse(row.systems_to_provision || '[]')
+    };
+  }
+
+  // A template with the content of its current version
+  parseTemplate(row) {
+    if (!row) return null;
+    const version = this.getVersion(row.id, row.current_version);
+    return {
+      ...row,
+      active: !!row.active,
+      tasks: version.tasks,
+      systems_to_provision: version.systems_to_provision,
+      welcome_message: version.welcome_message
+    };
+  }
+
+  listTemplates({ includeInactive = false } = {}) {
+    const where = includeInactive ? '' : 'WHERE active = 1';
+    return db.prepare(`SELECT * FROM onboarding_templates ${where} ORDER BY name`).all().map(row => this.parseTemplate(row));
+  }
+
+  getTemplate(id) {
+    return this.parseTemplate(db.prepare('SELECT * FROM onboarding_templates WHERE id = ?').get(id));
+  }
+
+  getVersion(templateId, version) {
+    return this.parseVersion(db.prepare('SELECT * FROM onboarding_template_versions WHERE template_id = ? AND version = ?')
+      .get(templateId, version));
+  }
+
+  getVersions(templateId) {
+    return db.prepare('SELECT * FROM onboarding_template_versions WHERE template_id = ? ORDER BY version DESC')
+      .all(templateId).map(row => this.parseVersion(row));
+  }
+
+  // Returns an error message, or null when the template is valid
+  validateTemplate(data, { partial = false } = {}) {
+    if (!partial || data.name !== undefined) {
+      if (isBlank(data.name)) return 'Template name required';
+    }
+    if (!partial || data.tasks !== undefined) {
+      if (!Array.isArray(data.tasks) || !data.tasks.length) return 'tasks must list at least one task';
+      const { error } = onboardingService.validateChecklist(data.tasks);
+      if (error) return error;
+      if (data.tasks.some(task => task && task.assignee_user_id != null)) return 'Template tasks cannot name an assignee';
+      if (data.tasks.some(task => task && task.action != null && task.action !== 'acknowledge_policy')) {
+        return 'The only action a template task can have is acknowledge_policy';
+      }
+    }
+    if (data.systems_to_provision !== undefined && (!Array.isArray(data.systems_to_provision) || data.systems_to_provision.some(isBlank))) {
+      return 'systems_to_provision must be a list of system names';
+    }
+    if (data.active !== undefined && typeof data.active !== 'boolean') return 'active must be true or false';
+    return null;
+  }
+
+  fieldValue(field, data) {
+    if (field === 'active') return data.active ? 1 : 0;
+    return isBlank(data[field]) ? null : String(data[field]).trim();
+  }
+
+  createTemplate(data, actorId) {
+    const error = this.validateTemplate(data);
+    if (error) return { success: false, reason: 'invalid', error };
+    const id = db.transaction(() => this.insertTemplate(data, actorId))();
+    return { success: true, template: this.getTemplate(id) };
+  }
+
+  /**
+   * Edit a template. Changes to tasks, systems_to_provision or
+   * welcome_message make a new version; name, criteria and active apply to
+   * the template itself.
+   */
+  updateTemplate(id, data, actorId) {
+    const current = this.getTemplate(id);
+    if (!current) return { success: false, reason: 'not_found', error: 'Template not found' };
+    const error = this.validateTemplate(data, { partial: true });
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const sets = [];
+    const values = [];
+    for (const field of ['name', ...CRITERIA, 'active']) {
+      if (data[field] === undefined) continue;
+      sets.push(`${field} = ?`);
+      values.push(this.fieldValue(field, data));
+    }
+    const contentChanged = CONTENT_FIELDS.some(field => data[field] !== undefined);
+    db.transaction(() => {
+      if (contentChanged) {
+        const content = Object.fromEntries(CONTENT_FIELDS.map(field => [field, data[field] !== undefined ? data[field] : current[field]]));
+        this.insertVersion(id, current.current_version + 1, content, actorId);
+        sets.push('current_version = ?');
+        values.push(current.current_version + 1);
+      }
+      if (sets.length) {
+        db.prepare(`UPDATE onboarding_templates SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...values, id);
+      }
+    })();
+    return { success: true, template: this.getTemplate(id) };
+  }
+
+  // Templates checklists were created from are kept; deactivate those instead
+  deleteTemplate(id) {
+    if (!this.getTemplate(id)) return { success: false, reason: 'not_found', error: 'Template not found' };
+    const { used } = db.prepare(`
+      SELECT COUNT(*) AS used FROM onboarding_checklists c, json_each(COALESCE(c.template_versions, '[]')) v
+      WHERE json_extract(v.value, '$.template_id') = ?
+    `).get(id);
+    if (used > 0) {
+      return { success: false, reason: 'in_use', error: `Template was used by ${used} checklist(s); set active to false instead` };
+    }
+    db.prepare('DELETE FROM onboarding_templates WHERE id = ?').run(id);
+    return { success: true };
+  }
+
+  // ---- Composing a checklist ----
+
+  // Active templates matching the hire, least specific first
+  findMatching({ role, department, location } = {}) {
+    const hire = { role, department, location };
+    return this.listTemplates()
+      .filter(template => CRITERIA.every(field => criterionMatches(template[field], hire[field])))
+      .map(template => ({ template, specificity: CRITERIA.filter(field => !isBlank(template[field])).length }))
+      .sort((a, b) => a.specificity - b.specificity || a.template.id - b.template.id)
+      .map(({ template }) => template);
+  }
+
+  /**
+   * The checklist for a hire: the tasks of every matching template, where a
+   * more specific template's task replaces a same-titled one from a more
+   * general template. Returns null when no template matches.
+   */
+  compose(hire = {}) {
+    const templates = this.findMatching(hire);
+    if (!templates.length) return null;
+
+    const tasks = [];
+    const systems = new Set();
+    let welcomeMessage = null;
+    for (const template of templates) {
+      for (const task of template.tasks) {
+        const existing = tasks.findIndex(other => other.title.toLowerCase() === task.title.toLowerCase());
+        if (existing >= 0) tasks[existing] = task;
+        else tasks.push(task);
+      }
+      template.systems_to_provision.forEach(system => systems.add(system));
+      if (template.welcome_message) welcomeMessage = template.welcome_message;
+    }
+    return {
+      templates: templates.map(template => ({ template_id: template.id, name: template.name, version: template.current_version })),
+      tasks,
+      systems_to_provision: [...systems],
+      welcome_message: welcomeMessage
+    };
+  }
+}
+
+module.exports = new OnboardingTemplateService();
@@ -0,0 +1,269 @@
+const db = require('./database');
+const teamService = require('./teamService');
+const { isValidTimezone, parseClock, zonedParts, zonedTimeToUtc, parseTimestamp, toIso } = require('./businessCalendar');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// One rotation per default team (see teamService), with the categories that land there.
+// Seeded without members; admins fill the rotations through /api/oncall/schedules.
+const DEFAULT_SCHEDULES = [
+  { team: 'network-team', aliases: ['network'] },
+  { team: 'iam-team', aliases: ['access', 'iam'] },
+  { team: 'app-support', aliases: ['software'] },
+  { team: 'helpdesk', aliases: ['hardware', 'general'] }
+];
+
+const EDITABLE_FIELDS = ['team', 'aliases', 'timezone', 'handoff_day', 'handoff_time', 'rotation_start'];
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+class OncallService {
+  constructor() {
+    this.seedDefaults();
+  }
+
+  seedDefaults() {
+    const { cnt } = db.prepare('SELECT COUNT(*) AS cnt FROM oncall_schedules').get();
+    if (cnt > 0) return;
+    db.transaction(() => {
+      DEFAULT_SCHEDULES.forEach(schedule => this.insertSchedule({ timezone: process.env.SLA_TIMEZONE || 'UTC', ...schedule }));
+    })();
+  }
+
+  insertSchedule(data) {
+    const result = db.prepare(`
+      INSERT INTO oncall_schedules (team, aliases, timezone, handoff_day, handoff_time, rotation_start)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      String(data.team).trim(),
+      JSON.stringify(data.aliases || []),
+      data.timezone || 'UTC',
+      data.handoff_day === undefined ? 1 : data.handoff_day,
+      data.handoff_time || '09:00',
+      toIso(parseTimestamp(data.rotation_start) || Date.now())
+    );
+    if (data.members) this.replaceMembers(result.lastInsertRowid, data.members);
+    return result.lastInsertRowid;
+  }
+
+  replaceMembers(scheduleId, members) {
+    db.prepare('DELETE FROM oncall_members WHERE schedule_id = ?').run(scheduleId);
+    const insert = db.prepare('INSERT INTO oncall_members (schedule_id, position, email, name) VALUES (?, ?, ?, ?)');
+    members.forEach((member, position) => {
+      insert.run(scheduleId, position, String(member.email).trim(), member.name || null);
+    });
+  }
+
+  parseSchedule(row, now = Date.now()) {
+    if (!row) return null;
+    let aliases = [];
+    try { aliases = JSON.parse(row.aliases || '[]'); } catch (_) { aliases = []; }
+    const schedule = {
+      ...row,
+      aliases,
+      members: db.prepare('SELECT id, position, email, name FROM oncall_members WHERE schedule_id = ? ORDER BY position').all(row.id),
+      overrides: db.prepare('SELECT * FROM oncall_overrides WHERE schedule_id = ? AND ends_at > ? ORDER BY starts_at ASC, id ASC')
+        .all(row.id, toIso(now))
+    };
+    schedule.on_call = this.computeOnCall(schedule, now);
+    return schedule;
+  }
+
+  listSchedules() {
+    return db.prepare('SELECT * FROM oncall_schedules ORDER BY team').all().map(row => this.parseSchedule(row));
+  }
+
+  getSchedule(id) {
+    return this.parseSchedule(db.prepare('SELECT * FROM oncall_schedules WHERE id = ?').get(id));
+  }
+
+  // Match a team name or alias, e.g. "network", "network-team" or "Network-Team"
+  findSchedule(teamOrAlias, now = Date.now()) {
+    const key = normalize(teamOrAlias);
+    if (!key) return null;
+    const rows = db.prepare('SELECT * FROM oncall_schedules ORDER BY team').all();
+    const row = rows.find(r => normalize(r.team) === key) || rows.find(r => {
+      try { return JSON.parse(r.aliases || '[]').some(alias => normalize(alias) === key); } catch (_) { return false; }
+    });
+    return row ? this.parseSchedule(row, now) : null;
+  }
+
+  // Returns an error message, or null when the fields are valid
+  validateSchedule(data, { partial = false } = {}) {
+    if (!partial || data.team !== undefined) {
+      if (!data.team || !String(data.team).trim()) return 'Team name required';
+    }
+    if (data.aliases !== undefined && (!Array.isArray(data.aliases) || data.aliases.some(a => typeof a !== 'string'))) {
+      return 'Aliases must be a list of names';
+    }
+    if (data.timezone !== undefined && !isValidTimezone(data.timezone)) return `Unknown time zone: ${data.timezone}`;
+    if (data.handoff_day !== undefined && (!Number.isInteger(data.handoff_day) || data.handoff_day < 0 || data.handoff_day > 6)) {
+      return 'Handoff day must be 0 (Sunday) to 6 (Saturday)';
+    }
+    if (data.handoff_time !== undefined) {
+      const minutes = parseClock(data.handoff_time);
+      if (minutes === null || minutes >= 24 * 60) return 'Handoff time must be HH:MM';
+    }
+    if (data.rotation_start !== undefined && parseTimestamp(data.rotation_start) == null) {
+      return 'rotation_start must be a timestamp';
+    }
+    if (data.members !== undefined) {
+      if (!Array.isArray(data.members) || data.members.some(m => !m || !EMAIL_PATTERN.test(String(m.email)))) {
+        return 'Members must be a list of { email, name } in rotation order';
+      }
+    }
+    return null;
+  }
+
+  createSchedule(data) {
+    const error = this.validateSchedule(data);
+    if (error) return { success: false, reason: 'invalid', error };
+    try {
+      const id = db.transaction(() => this.insertSchedule(data))();
+      return { success: true, schedule: this.getSchedule(id) };
+    } catch (err) {
+      if (String(err.message).includes('UNIQUE')) {
+        return { success: false, reason: 'duplicate', error: `Team ${data.team} already has a schedule` };
+      }
+      throw err;
+    }
+  }
+
+  updateSchedule(id, data) {
+    if (!this.getSchedule(id)) return { success: false, reason: 'not_found', error: 'Schedule not found' };
+    const error = this.validateSchedule(data, { partial: true });
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const sets = [];
+    const values = [];
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] === undefined) continue;
+      sets.push(`${field} = ?`);
+      if (field === 'aliases') values.push(JSON.stringify(data.aliases));
+      else if (field === 'team') values.push(String(data.team).trim());
+      else if (field === 'rotation_start') values.push(toIso(parseTimestamp(data.rotation_start)));
+      else values.push(data[field]);
+    }
+    try {
+      db.transaction(() => {
+        if (sets.length) {
+          db.prepare(`UPDATE oncall_schedules SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...values, id);
+        }
+        if (data.members) this.replaceMembers(id, data.members);
+      })();
+    } catch (err) {
+      if (String(err.message).includes('UNIQUE')) {
+        return { success: false, reason: 'duplicate', error: `Team ${data.team} already has a schedule` };
+      }
+      throw err;
+    }
+    return { success: true, schedule: this.getSchedule(id) };
+  }
+
+  deleteSchedule(id) {
+    if (!this.getSchedule(id)) return false;
+    db.transaction(() => {
+      db.prepare('DELETE FROM oncall_members WHERE schedule_id = ?').run(id);
+      db.prepare('DELETE FROM oncall_overrides WHERE schedule_id = ?').run(id);
+      db.prepare('DELETE FROM oncall_schedules WHERE id = ?').run(id);
+    })();
+    return true;
+  }
+
+  addOverride(scheduleId, { email, name, starts_at: startsAt, ends_at: endsAt, reason } = {}, createdBy = null) {
+    if (!this.getSchedule(scheduleId)) return { success: false, reason: 'not_found', error: 'Schedule not found' };
+    if (!email || !EMAIL_PATTERN.test(String(email))) {
+      return { success: false, reason: 'invalid', error: 'Override email required' };
+    }
+    const start = parseTimestamp(startsAt);
+    const end = parseTimestamp(endsAt);
+    if (start == null || end == null) {
+      return { success: false, reason: 'invalid', error: 'starts_at and ends_at must be timestamps' };
+    }
+    if (end <= start) return { success: false, reason: 'invalid', error: 'Override must end after it starts' };
+
+    const result = db.prepare(`
+      INSERT INTO oncall_overrides (schedule_id, email, name, starts_at, ends_at, reason, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(scheduleId, String(email).trim(), name || null, toIso(start), toIso(end), reason || null, createdBy);
+    return { success: true, override: db.prepare('SELECT * FROM oncall_overrides WHERE id = ?').get(result.lastInsertRowid) };
+  }
+
+  removeOverride(scheduleId, overrideId) {
+    const result = db.prepare('DELETE FROM oncall_overrides WHERE id = ? AND schedule_id = ?').run(overrideId, scheduleId);
+    return result.changes > 0;
+  }
+
+  // ---- Rotation ----
+
+  // The last handoff at or before `ms`, as the local date (UTC midnight of it) and the instant
+  lastHandoff(schedule, ms) {
+    const handoffMinutes = parseClock(schedule.handoff_time);
+    const local = zonedParts(ms, schedule.timezone);
+    const today = Date.UTC(local.year, local.month - 1, local.day);
+    let date = today - ((new Date(today).getUTCDay() - schedule.handoff_day + 7) % 7) * DAY;
+    const at = d => {
+      const day = new Date(d);
+      return zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), handoffMinutes, schedule.timezone);
+    };
+    if (at(date) > ms) date -= WEEK;
+    return { date, at: at(date), nextAt: at(date + WEEK) };
+  }
+
+  /**
+   * Who holds the pager at `now`: an active override, otherwise the rotation
+   * member whose week it is. The member on call at rotation_start is the first.
+   */
+  computeOnCall(schedule, now = Date.now()) {
+    const shift = this.lastHandoff(schedule, now);
+    const override = schedule.overrides
+      .filter(o => parseTimestamp(o.starts_at) <= now && now < parseTimestamp(o.ends_at))
+      .pop();
+    if (override) {
+      return {
+        email: override.email,
+        name: override.name,
+        source: 'override',
+        override_id: override.id,
+        since: toIso(parseTimestamp(override.starts_at)),
+        until: toIso(parseTimestamp(override.ends_at)),
+        next_handoff_at: toIso(shift.nextAt)
+      };
+    }
+    if (!schedule.members.length) return null;
+
+    const anchor = this.lastHandoff(schedule, parseTimestamp(schedule.rotation_start));
+    const weeks = Math.round((shift.date - anchor.date) / WEEK);
+    const count = schedule.members.length;
+    const member = schedule.members[((weeks % count) + count) % count];
+    return {
+      email: member.email,
+      name: member.name,
+      source: 'rotation',
+      since: toIso(shift.at),
+      until: toIso(shift.nextAt),
+      next_handoff_at: toIso(shift.nextAt)
+    };
+  }
+
+  // "Who is on call for network right now"
+  whoIsOnCall(teamOrAlias, now = Date.now()) {
+    const schedule = this.findSchedule(teamOrAlias, now);
+    if (!schedule) return null;
+    return { team: schedule.team, schedule_id: schedule.id, timezone: schedule.timezone, on_call: schedule.on_call };
+  }
+
+  // The team covering a ticket: its team first, then its assignee, then its category
+  findOnCallForTicket(ticket, now = Date.now()) {
+    const team = ticket.team_id ? teamService.getTeam(ticket.team_id) : null;
+    return [team && team.name, ticket.assignee, ticket.category]
+      .map(key => this.whoIsOnCall(key, now))
+      .find(result => result && result.on_call) || null;
+  }
+}
+
+module.exports = new OncallService();
@@ -0,0 +1,151 @@
+/**
+ * Role-based access control
+ * Central permission matrix mapping each role to the named permissions it grants.
+ * Routes check permissions (via requirePermission in server.js), never role names.
+ */
+
+const ROLES = ['new_hire', 'employee', 'it_staff', 'hr', 'admin'];
+
+const PERMISSIONS = {
+  // Tickets
+  'tickets.create': 'Create support tickets',
+  'tickets.read_own': 'View own tickets',
+  'tickets.read_all': 'View every ticket in the queue',
+  'tickets.update': 'Edit ticket fields',
+  'tickets.assign': 'Assign tickets to technicians',
+  'tickets.work': 'Start and resolve tickets',
+  'tickets.escalate': 'Escalate tickets',
+  'tickets.internal_notes': 'Read and write internal work notes',
+  'tickets.merge': 'Merge duplicate tickets into a primary ticket',
+  'incidents.manage': 'Declare incidents and problems, group tickets under them and resolve them',
+  'csat.follow_up': 'Follow up on low satisfaction survey scores',
+
+  // Access requests
+  'access.request': 'Request access to resources',
+  'access.read_all': 'View every access request',
+  'access.review': 'Decide access approval steps assigned to you',
+  'access.approve': 'Decide any access approval step without a named approver',
+  'access.certify': 'Run access certification campaigns and review unassigned grants',
+
+  // Change management
+  'changes.read': 'View change requests and the change calendar',
+  'changes.request': 'Raise change requests and carry out approved changes',
+  'changes.vote': 'Vote on change requests you are a CAB approver for',
+  'changes.approve': 'Sit on the CAB for changes that name no approvers',
+  'changes.manage': 'Maintain change freeze periods and edit or cancel any change',
+
+  // Onboarding
+  'onboarding.read_own': 'View onboarding checklists you created',
+  'onboarding.create': 'Create onboarding checklists',
+  'onboarding.read_all': 'View every onboarding checklist',
+  'onboarding.manage': 'Run onboarding reminders',
+  'onboarding.templates': 'Manage onboarding checklist templates',
+  'offboarding.manage': 'Offboard leaving employees',
+  'provisioning.manage': 'Retry account provisioning and view provisioning connectors',
+  'portal.use': 'Use the new-hire portal for your own onboarding',
+
+  // Chat, search and analytics
+  'chat.use': 'Use the chat assistant',
+  'search.use': 'Search tickets, requests and onboarding',
+  'users.search': 'Search the user directory',
+  'analytics.view': 'View personal analytics',
+  'analytics.view_all': 'View organisation-wide analytics',
+
+  // Agents
+  'agents.use': 'Use the LangChain agent router',
+  'agents.force_route': 'Force a request to a specific agent',
+  'agents.run': 'Trigger background agent runs',
+
+  // Administration
+  'integrations.view': 'View integration status and logs',
+  'integrations.sync': 'Force sync tickets to external systems',
+  'system.manage': 'Manage email, cache, websocket and notification settings',
+  'users.manage_roles': 'Change user roles',
+  'resources.manage': 'Maintain the resource catalog',
+  'sla.manage': 'Maintain SLA policies and business calendars',
+  'escalations.manage': 'Maintain the escalation matrix and on-call overrides',
+  'oncall.manage': 'Maintain team on-call rotations and cover',
+  'technicians.manage': 'Register technicians and set their skills, capacity and availability',
+  'teams.manage': 'Create IT teams and manage any team\'s members',
+  'templates.manage': 'Maintain ticket templates and their intake fields'
+};
+
+const BASE_PERMISSIONS = [
+  'tickets.create',
+  'tickets.read_own',
+  'access.request',
+  'access.review',
+  'changes.vote',
+  'onboarding.read_own',
+  'portal.use',
+  'chat.use',
+  'search.use',
+  'analytics.view',
+  'agents.use'
+];
+
+const ROLE_PERMISSIONS = {
+  // Hires before their start date only see their own onboarding
+  new_hire: ['onboarding.read_own', 'portal.use'],
+  employee: [...BASE_PERMISSIONS],
+  it_staff: [
+    ...BASE_PERMISSIONS,
+    'tickets.read_all',
+    'tickets.update',
+    'tickets.assign',
+    'tickets.work',
+    'tickets.escalate',
+    'tickets.internal_notes',
+    'tickets.merge',
+    'incidents.manage',
+    'csat.follow_up',
+    'changes.read',
+    'changes.request',
+    'access.read_all',
+    'access.approve',
+    'access.certify',
+    'analytics.view_all',
+    'agents.force_route',
+    'agents.run',
+    'integrations.sync',
+    'provisioning.manage'
+  ],
+  hr: [
+    ...BASE_PERMISSIONS,
+    'onboarding.create',
+    'onboarding.read_all',
+    'onboarding.manage',
+    'onboarding.templates',
+    'offboarding.manage',
+    'users.search',
+    'analytics.view_all'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function getPermissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function roleHasPermission(role, permission) {
+  return getPermissionsForRole(role).includes(permission);
+}
+
+// Convenience for checks against a user row ({ role })
+function hasPermission(user, permission) {
+  return !!user && roleHasPermission(user.role, permission);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  getPermissionsForRole,
+  roleHasPermission,
+  hasPermission
+};
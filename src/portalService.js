@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const db = require('./database');
+const authService = require('./authService');
+const onboardingService = require('./onboardingService');
+
+const LINK_HOURS = parseInt(process.env.PORTAL_LINK_HOURS || '72', 10);
+const LINK_REQUESTS_PER_HOUR = parseInt(process.env.PORTAL_LINK_REQUESTS_PER_HOUR || '3', 10);
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function taskSummary(task) {
+  return { id: task.id, title: task.title, owner: task.owner, status: task.status, due_date: task.due_date };
+}
+
+/**
+ * Portal Service - the new hire's own view of their onboarding. HR sends a
+ * magic link that signs the hire in (creating a `new_hire` account before
+ * their start date); the portal shows the checklist, welcome message,
+ * first-week schedule and the tasks the hire owns.
+ */
+class PortalService {
+  // A fresh single-use link for the checklist's new hire; earlier links stop
+  // working unless `keepEarlier` is set
+  issueInvite(checklistId, actorId, { keepEarlier = false } = {}) {
+    const checklist = onboardingService.getChecklist(checklistId);
+    if (!checklist || checklist.type !== 'onboarding') return { success: false, reason: 'not_found', error: 'Checklist not found' };
+    if (!checklist.employee_email) {
+      return { success: false, reason: 'invalid', error: 'Set the employee email on the checklist before inviting the new hire' };
+    }
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = new Date(Date.now() + LINK_HOURS * HOUR_MS).toISOString();
+    db.transaction(() => {
+      if (!keepEarlier) {
+        db.prepare('UPDATE portal_invites SET revoked_at = ? WHERE checklist_id = ? AND revoked_at IS NULL').run(new Date().toISOString(), checklistId);
+      }
+      db.prepare('INSERT INTO portal_invites (checklist_id, token, expires_at, created_by) VALUES (?, ?, ?, ?)')
+        .run(checklistId, token, expiresAt, actorId || null);
+    })();
+    return { success: true, invite: this.getInvite(token), checklist };
+  }
+
+  getInvite(token) {
+    return db.prepare('SELECT * FROM portal_invites WHERE token = ?').get(String(token));
+  }
+
+  /**
+   * A new link for whoever asks with `email`, when it is the new hire of an
+   * onboarding whose link would sign them in. Anyone can ask, so the links
+   * already sent keep working and at most PORTAL_LINK_REQUESTS_PER_HOUR are
+   * sent an hour. Returns the issue result, or null when there is nothing to send.
+   */
+  requestLink(email) {
+    const row = db.prepare(`
+      SELECT id, subject_user_id FROM onboarding_checklists
+      WHERE type = 'onboarding' AND employee_email = ? COLLATE NOCASE
+      ORDER BY status = 'completed', id DESC LIMIT 1
+    `).get(String(email || '').trim());
+    if (!row) return null;
+    const user = authService.getUserByEmail(String(email).trim());
+    if (user && (user.disabled_at || (user.role !== 'new_hire' && user.id !== row.subject_user_id))) return null;
+    const { sent } = db.prepare(`
+      SELECT COUNT(*) AS sent FROM portal_invites WHERE checklist_id = ? AND created_by IS NULL AND created_at > datetime('now', '-1 hour')
+    `).get(row.id);
+    if (sent >= LINK_REQUESTS_PER_HOUR) return null;
+    return this.issueInvite(row.id, null, { keepEarlier: true });
+  }
+
+  /**
+   * Sign in with a magic link; each link works once. The hire's account is
+   * created on first use, as a `new_hire` until the start date. Links sign
+   * in the account the checklist was first redeemed by, before and after
+   * the start date, and new hire accounts; anyone else already has a password.
+   */
+  redeemInvite(token) {
+    const invite = this.getInvite(token);
+    if (!invite || invite.revoked_at) return { success: false, reason: 'not_found', error: 'This link is not valid' };
+    if (invite.expires_at < new Date().toISOString()) {
+      return { success: false, reason: 'expired', error: 'This link has expired; request a new one from the sign-in page' };
+    }
+    const checklist = onboardingService.getChecklist(invite.checklist_id);
+    let user = authService.getUserByEmail(checklist.employee_email);
+    if (user && user.role !== 'new_hire' && user.id !== checklist.subject_user_id) {
+      return { success: false, reason: 'use_login', error: 'You already have an account; sign in with your email and password' };
+    }
+    if (user && user.disabled_at) return { success: false, reason: 'disabled', error: 'This account has been disabled' };
+    // Claimed before the account is created so two uses of one link cannot both sign in
+    const claimed = db.prepare('UPDATE portal_invites SET used_at = ? WHERE id = ? AND used_at IS NULL').run(new Date().toISOString(), invite.id);
+    if (!claimed.changes) {
+      return { success: false, reason: 'used', error: 'This link has already been used; request a new one from the sign-in page' };
+    }
+    if (!user) {
+      const role = checklist.start_date <= today() ? 'employee' : 'new_hire';
+      const userId = authService.createUser(checklist.employee_email, crypto.randomBytes(24).toString('hex'), checklist.employee_name, role);
+      user = authService.getUserById(userId);
+    }
+    db.prepare('UPDATE onboarding_checklists SET subject_user_id = ? WHERE id = ?').run(user.id, checklist.id);
+    return { success: true, user: authService.getUserById(user.id), checklist_id: checklist.id };
+  }
+
+  // New hires whose start date has come become employees
+  promoteStartedHires() {
+    return db.prepare(`
+      UPDATE users SET role = 'employee'
+      WHERE role = 'new_hire' AND id IN (
+        SELECT subject_user_id FROM onboarding_checklists WHERE type = 'onboarding' AND start_date <= ?
+      )
+    `).run(today()).changes;
+  }
+
+  // The hire's current onboarding: the latest open checklist, else the latest one.
+  // A checklist linked to an account only belongs to that account.
+  findChecklist(user) {
+    const row = db.prepare(`
+      SELECT id FROM onboarding_checklists
+      WHERE type = 'onboarding'
+        AND (subject_user_id = @id OR (subject_user_id IS NULL AND employee_email = @email COLLATE NOCASE))
+      ORDER BY status = 'completed', id DESC LIMIT 1
+    `).get({ id: user.id, email: user.email });
+    return row ? onboardingService.getChecklist(row.id) : null;
+  }
+
+  // Days 0-6 from the start date with every task due that day; days without tasks are left out
+  firstWeekSchedule(checklist) {
+    const days = [];
+    for (let offset = 0; offset < 7; offset++) {
+      const date = addDays(checklist.start_date, offset);
+      const tasks = checklist.tasks.filter(task => task.due_date === date).map(taskSummary);
+      if (tasks.length) days.push({ date, weekday: WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()], tasks });
+    }
+    return days;
+  }
+
+  /**
+   * What the portal shows `user`, or null when they have no onboarding.
+   * Tasks owned by others appear in the schedule with their status only.
+   */
+  getPortal(user) {
+    const checklist = this.findChecklist(user);
+    if (!checklist) return null;
+    const myTasks = checklist.tasks.filter(task => onboardingService.isResponsible(user, checklist, task));
+    return {
+      checklist: {
+        id: checklist.id,
+        employee_name: checklist.employee_name,
+        role: checklist.role,
+        department: checklist.department,
+        location: checklist.location,
+        start_date: checklist.start_date,
+        manager_email: checklist.manager_email,
+        status: checklist.status,
+        progress: checklist.progress
+      },
+      welcome_message: checklist.welcome_message,
+      days_until_start: Math.round((Date.parse(checklist.start_date) - Date.parse(today())) / DAY_MS),
+      before_start: checklist.tasks.filter(task => task.due_date < checklist.start_date).map(taskSummary),
+      schedule: this.firstWeekSchedule(checklist),
+      my_tasks: myTasks.map(task => ({
+        ...taskSummary(task),
+        description: task.description,
+        action: task.action,
+        evidence: task.evidence,
+        overdue: task.overdue,
+        blocked_by: task.blocked_by
+      }))
+    };
+  }
+
+  // Complete one of the hire's own tasks: evidence, or `acknowledged: true` for a policy acknowledgement
+  completeTask(user, taskId, { evidence, acknowledged } = {}) {
+    const checklist = this.findChecklist(user);
+    const task = checklist && checklist.tasks.find(t => t.id === taskId);
+    if (!task || !onboardingService.isResponsible(user, checklist, task)) {
+      return { success: false, reason: 'not_found', error: 'Task not found' };
+    }
+    return onboardingService.completeTask(checklist.id, task.id, evidence, user.id, { acknowledged });
+  }
+
+  // The hire's onboarding as plain text, for the onboarding-scoped assistant
+  describe(portal) {
+    const { checklist } = portal;
+    const lines = [
+      `Name: ${checklist.employee_name}; role: ${checklist.role || 'not set'}; department: ${checklist.department || 'not set'}; location: ${checklist.location || 'not set'}`,
+      `Start date: ${checklist.start_date}; manager: ${checklist.manager_email || 'not set'}`,
+      `Progress: ${checklist.progress.done}/${checklist.progress.total} tasks done`,
+      `Their open tasks: ${portal.my_tasks.filter(t => t.status !== 'done').map(t => `${t.title} (due ${t.due_date})`).join('; ') || 'none'}`,
+      `First week: ${portal.schedule.map(day => `${day.weekday} ${day.date}: ${day.tasks.map(t => t.title).join(', ')}`).join(' | ') || 'nothing scheduled'}`
+    ];
+    return lines.join('\n');
+  }
+
+  /**
+   * Answers the portal assistant gives without the model: the hire's tasks,
+   * schedule, start date and welcome message. Null for anything else.
+   */
+  quickAnswer(portal, message) {
+    const text = String(message || '').toLowerCase();
+    const open = portal.my_tasks.filter(task => task.status !== 'done');
+    if (/\b(tasks?|to-?dos?|what (?:do i|should i) (?:do|need)|next)\b/.test(text)) {
+      if (!open.length) return 'You have no open onboarding tasks. 🎉';
+      return `Your open tasks:\n${open.map(task => `- ${task.title} (due ${task.due_date}${task.overdue ? ', overdue' : ''})`).join('\n')}`;
+    }
+    if (/\b(schedule|first week|monday|agenda|plans?)\b/.test(text)) {
+      if (!portal.schedule.length) return 'Nothing is scheduled for your first week yet.';
+      return `Your first week:\n${portal.schedule.map(day => `${day.weekday} ${day.date}: ${day.tasks.map(t => t.title).join(', ')}`).join('\n')}`;
+    }
+    if (/\b(start|first day|when do i)\b/.test(text)) {
+      const days = portal.days_until_start;
+      return days > 0
+        ? `You start on ${portal.checklist.start_date}, in ${days} day(s).`
+        : `Your start date was ${portal.checklist.start_date}.`;
+    }
+    if (/\bwelcome\b/.test(text) && portal.welcome_message) return portal.welcome_message;
+    return null;
+  }
+}
+
+module.exports = new PortalService();
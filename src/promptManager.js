@@ -18,13 +18,19 @@ Return: 1) one-paragraph welcome, 2) a checklist array, 3) list of systems to pr
 {message}
 
 Return: 1) access summary, 2) required approvals, 3) resource links and command snippets.`,
+      new_hire: `You are the onboarding assistant for a new employee. Only help with their onboarding: their checklist, first week, policies, accounts and who to ask. For anything else, tell them it can wait until they have started or that HR can help.
+
+Their onboarding:
+{context}
+
+Employee: {message}`,
       generic: `{message}`
     };
   }
 
-  render({ scenario, message }) {
+  render({ scenario, message, context }) {
     const t = this.templates[scenario] || this.templates.generic;
-    return t.replace('{message}', message || '');
+    return t.replace('{context}', context || '').replace('{message}', message || '');
   }
 }
 
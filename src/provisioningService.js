@@ -0,0 +1,193 @@
+const db = require('./database');
+const onboardingService = require('./onboardingService');
+const DirectoryConnector = require('./connectors/DirectoryConnector');
+const SaasConnector = require('./connectors/SaasConnector');
+const GitHostingConnector = require('./connectors/GitHostingConnector');
+const MockConnector = require('./connectors/MockConnector');
+
+const MAX_ATTEMPTS = parseInt(process.env.PROVISIONING_MAX_ATTEMPTS || '3', 10);
+const RETRY_DELAY_MINUTES = parseInt(process.env.PROVISIONING_RETRY_MINUTES || '15', 10);
+
+/**
+ * Provisioning Service - creates accounts for an onboarding checklist's
+ * systems_to_provision through pluggable connectors. Each system is a job
+ * that records its outcome; failures are retried with a growing delay and,
+ * after the last attempt or when no connector handles the system, handed to
+ * IT as a manual checklist task.
+ */
+class ProvisioningService {
+  constructor() {
+    this.connectors = [];
+    this.registerConnector(new DirectoryConnector());
+    SaasConnector.fromEnv().forEach(connector => this.registerConnector(connector));
+    this.registerConnector(new GitHostingConnector());
+    // Last, so real connectors win for the systems they handle
+    this.registerConnector(new MockConnector());
+    // Attempts cut short by a restart are retried
+    db.prepare(`UPDATE provisioning_jobs SET status = 'failed', next_attempt_at = ? WHERE status = 'running'`).run(new Date().toISOString());
+  }
+
+  // Connectors are tried in registration order
+  registerConnector(connector) {
+    this.connectors.push(connector);
+    return connector;
+  }
+
+  getConnectors() {
+    return this.connectors.map(connector => connector.describe());
+  }
+
+  findConnector(system) {
+    return this.connectors.find(connector => connector.isEnabled() && connector.handles(system)) || null;
+  }
+
+  getJob(id) {
+    return db.prepare('SELECT * FROM provisioning_jobs WHERE id = ?').get(id);
+  }
+
+  getJobs(checklistId) {
+    return db.prepare('SELECT * FROM provisioning_jobs WHERE checklist_id = ? ORDER BY id').all(checklistId);
+  }
+
+  // A job for each of the checklist's systems that does not have one yet
+  queueChecklist(checklistId) {
+    const checklist = onboardingService.getChecklist(checklistId);
+    if (!checklist || checklist.type !== 'onboarding') return [];
+    const insert = db.prepare(`
+      INSERT INTO provisioning_jobs (checklist_id, system)
+      SELECT @checklistId, @system WHERE NOT EXISTS (SELECT 1 FROM provisioning_jobs WHERE checklist_id = @checklistId AND system = @system)
+    `);
+    db.transaction(() => {
+      checklist.systems_to_provision
+        .map(system => String(system).trim())
+        .filter(Boolean)
+        .forEach(system => insert.run({ checklistId, system }));
+    })();
+    return this.getJobs(checklistId);
+  }
+
+  /**
+   * Queue and run the checklist's provisioning; retries failed jobs and,
+   * with `includeManual`, those already handed to IT. Returns the jobs.
+   */
+  async provisionChecklist(checklistId, { includeManual = false } = {}) {
+    const statuses = includeManual ? ['pending', 'failed', 'manual'] : ['pending', 'failed'];
+    for (const job of this.queueChecklist(checklistId).filter(job => statuses.includes(job.status))) {
+      await this.runJob(job.id);
+    }
+    return this.getJobs(checklistId);
+  }
+
+  /**
+   * Retry one job now, whatever its next attempt time. A job handed to IT
+   * can be retried until IT completes its task.
+   */
+  async retryJob(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) return { success: false, reason: 'not_found', error: 'Provisioning job not found' };
+    if (!['failed', 'manual'].includes(job.status)) {
+      return { success: false, reason: 'invalid_transition', error: `A ${job.status} job cannot be retried` };
+    }
+    if (job.status === 'manual' && this.manualTaskDone(job)) {
+      return { success: false, reason: 'invalid_transition', error: 'IT already created this account by hand' };
+    }
+    return { success: true, job: await this.runJob(job.id) };
+  }
+
+  // Retry failed jobs whose delay has passed; returns the jobs that were run
+  async retryDue() {
+    const due = db.prepare(`
+      SELECT id FROM provisioning_jobs WHERE status = 'failed' AND next_attempt_at <= ? ORDER BY id
+    `).all(new Date().toISOString());
+    const jobs = [];
+    for (const row of due) jobs.push(await this.runJob(row.id));
+    return jobs.filter(Boolean);
+  }
+
+  /**
+   * One provisioning attempt. The job is claimed first so a retry and the
+   * periodic run never create the same account twice.
+   */
+  async runJob(jobId) {
+    const claimed = db.prepare(`
+      UPDATE provisioning_jobs SET status = 'running', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN ('pending', 'failed', 'manual')
+    `).run(jobId);
+    if (!claimed.changes) return null;
+    const job = this.getJob(jobId);
+    const checklist = onboardingService.getChecklist(job.checklist_id);
+
+    if (!checklist.employee_email) return this.handToIt(job, 'The checklist has no employee email to create the account for');
+    const connector = this.findConnector(job.system);
+    if (!connector) return this.handToIt(job, `No provisioning connector handles ${job.system}`);
+
+    const attempts = job.attempts + 1;
+    try {
+      const { account_id } = await connector.createAccount(this.accountFor(checklist, job.system));
+      db.prepare(`
+        UPDATE provisioning_jobs SET status = 'provisioned', connector = ?, attempts = ?, account_id = ?, last_error = NULL,
+          next_attempt_at = NULL, provisioned_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(connector.name, attempts, account_id || null, new Date().toISOString(), job.id);
+      if (job.task_id && !this.manualTaskDone(job)) {
+        onboardingService.completeTask(job.checklist_id, job.task_id, `Provisioned automatically by ${connector.name}`, null);
+      }
+      console.log(`[PROVISIONING] ${job.system} account created for checklist #${job.checklist_id}`);
+    } catch (error) {
+      console.warn(`[PROVISIONING] ${job.system} failed for checklist #${job.checklist_id} (attempt ${attempts}):`, error.message);
+      db.prepare(`
+        UPDATE provisioning_jobs SET status = 'failed', connector = ?, attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(connector.name, attempts, error.message, new Date(Date.now() + RETRY_DELAY_MINUTES * attempts * 60000).toISOString(), job.id);
+      if (attempts >= MAX_ATTEMPTS) {
+        return this.handToIt(this.getJob(job.id), `Failed after ${attempts} attempt(s): ${error.message}`);
+      }
+    }
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Fall back to a manual IT task for the system; a job handed over before
+   * keeps its task.
+   */
+  handToIt(job, reason) {
+    let taskId = job.task_id;
+    if (!taskId) {
+      const result = onboardingService.addTask(job.checklist_id, {
+        title: `Create ${job.system} account`,
+        description: `Automatic provisioning did not create this account. ${reason}`,
+        owner: 'it'
+      });
+      taskId = result.success ? result.task.id : null;
+    }
+    db.prepare(`
+      UPDATE provisioning_jobs SET status = 'manual', last_error = ?, next_attempt_at = NULL, task_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(reason, taskId, job.id);
+    return this.getJob(job.id);
+  }
+
+  manualTaskDone(job) {
+    if (!job.task_id) return false;
+    const task = db.prepare('SELECT status FROM onboarding_tasks WHERE id = ?').get(job.task_id);
+    return !!task && task.status === 'done';
+  }
+
+  // What connectors are given for the hire
+  accountFor(checklist, system) {
+    const name = String(checklist.employee_name || '').trim();
+    const parts = name.split(/\s+/);
+    return {
+      system,
+      email: checklist.employee_email,
+      username: checklist.employee_email.split('@')[0],
+      name,
+      givenName: parts[0],
+      familyName: parts.length > 1 ? parts.slice(1).join(' ') : '',
+      role: checklist.role,
+      department: checklist.department
+    };
+  }
+}
+
+module.exports = new ProvisioningService();
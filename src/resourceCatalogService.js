@@ -0,0 +1,257 @@
+const db = require('./database');
+
+const RISK_TIERS = ['low', 'medium', 'high'];
+const ACCESS_TYPES = ['read', 'write', 'admin'];
+const APPROVAL_STAGES = ['manager', 'owner', 'security', 'finance'];
+
+// never: always goes through the approval chain
+// routine: auto-approved when the justification reads as routine team work
+// always: auto-approved on request
+const AUTO_APPROVAL_POLICIES = ['never', 'routine', 'always'];
+const ROUTINE_JUSTIFICATION = /routine|standard|daily|team|collaboration/i;
+
+const DEFAULT_CHAIN = ['manager'];
+
+// Seeded on first start; admins maintain the catalog through /api/resources afterwards
+const COLLABORATION_TOOL = { risk_tier: 'low', access_types: ['read', 'write'], auto_approval: 'routine', approval_chain: ['manager'] };
+const DEFAULT_RESOURCES = [
+  { name: 'Slack', ...COLLABORATION_TOOL, provisioning_instructions: 'You should receive a Slack invitation within 1 hour. Check your email and accept the invitation.' },
+  { name: 'Confluence', ...COLLABORATION_TOOL },
+  { name: 'Figma', ...COLLABORATION_TOOL, provisioning_instructions: 'You will receive an invitation email to join the Figma organization within 24 hours.' },
+  { name: 'Notion', ...COLLABORATION_TOOL },
+  { name: 'Jira', aliases: ['jira-viewer'], ...COLLABORATION_TOOL, provisioning_instructions: 'Your Jira account will be created within 4 hours. Login credentials will be sent separately.' },
+  { name: 'Zoom', ...COLLABORATION_TOOL },
+  { name: 'Microsoft Teams', aliases: ['ms teams'], ...COLLABORATION_TOOL },
+  { name: 'Office 365', aliases: ['office365', 'o365'], ...COLLABORATION_TOOL },
+  { name: 'Google Workspace', ...COLLABORATION_TOOL },
+  { name: 'Trello', ...COLLABORATION_TOOL },
+  { name: 'Asana', ...COLLABORATION_TOOL },
+  { name: 'Canva', ...COLLABORATION_TOOL },
+  { name: 'Monday.com', ...COLLABORATION_TOOL },
+  { name: 'GitHub', risk_tier: 'medium', access_types: ['read', 'write', 'admin'], auto_approval: 'never', approval_chain: ['manager'], provisioning_instructions: 'Your GitHub access will be provisioned within 2 hours. Check your email for the invitation.' },
+  { name: 'Salesforce', risk_tier: 'medium', access_types: ['read', 'write'], auto_approval: 'never', approval_chain: ['manager'] },
+  { name: 'VPN', risk_tier: 'medium', access_types: ['read'], auto_approval: 'never', approval_chain: ['manager'], provisioning_instructions: 'VPN setup instructions and credentials will be provided by the IT team within 24 hours.' },
+  { name: 'AWS', aliases: ['amazon web services'], risk_tier: 'high', access_types: ['read', 'write', 'admin'], auto_approval: 'never', approval_chain: ['manager', 'security'] },
+  { name: 'Azure', risk_tier: 'high', access_types: ['read', 'write', 'admin'], auto_approval: 'never', approval_chain: ['manager', 'security'] },
+  { name: 'GCP', aliases: ['google cloud'], risk_tier: 'high', access_types: ['read', 'write', 'admin'], auto_approval: 'never', approval_chain: ['manager', 'security'] },
+  { name: 'Production', risk_tier: 'high', access_types: ['read', 'write', 'admin'], auto_approval: 'never', approval_chain: ['manager', 'security'] },
+  { name: 'Database', risk_tier: 'high', access_types: ['read', 'write', 'admin'], auto_approval: 'never', approval_chain: ['manager', 'security'] },
+  { name: 'Admin Console', risk_tier: 'high', access_types: ['admin'], auto_approval: 'never', approval_chain: ['manager', 'security'] },
+  { name: 'Billing', risk_tier: 'high', access_types: ['read', 'write'], auto_approval: 'never', approval_chain: ['manager', 'finance'] },
+  { name: 'Payroll', risk_tier: 'high', access_types: ['read', 'write'], auto_approval: 'never', approval_chain: ['manager', 'finance'] },
+  { name: 'Financial Systems', risk_tier: 'high', access_types: ['read', 'write'], auto_approval: 'never', approval_chain: ['manager', 'finance'] },
+  { name: 'HR System', aliases: ['hris'], risk_tier: 'high', access_types: ['read', 'write'], auto_approval: 'never', approval_chain: ['manager', 'owner'] }
+];
+
+// Aliases earlier seeds shipped that are everyday words ("admin access to Slack",
+// "the finance team"); removed from existing catalogs on start
+const RETIRED_ALIASES = {
+  'Microsoft Teams': ['teams'],
+  'Office 365': ['office'],
+  'Production': ['prod'],
+  'Admin Console': ['admin', 'root'],
+  'Financial Systems': ['financial', 'finance']
+};
+
+const JSON_FIELDS = ['aliases', 'access_types', 'approval_chain'];
+const EDITABLE_FIELDS = ['name', 'aliases', 'owner_email', 'risk_tier', 'access_types', 'auto_approval', 'approval_chain', 'provisioning_instructions'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compareHits(a, b) {
+  return (b.byName - a.byName) || (a.index - b.index) || (b.length - a.length);
+}
+
+class ResourceCatalogService {
+  constructor() {
+    this.seedDefaults();
+    this.retireGenericAliases();
+  }
+
+  seedDefaults() {
+    const { cnt } = db.prepare('SELECT COUNT(*) AS cnt FROM resources').get();
+    if (cnt > 0) return;
+    db.transaction(() => {
+      DEFAULT_RESOURCES.forEach(resource => this.insertResource(resource));
+    })();
+  }
+
+  retireGenericAliases() {
+    const update = db.prepare('UPDATE resources SET aliases = ? WHERE id = ?');
+    db.transaction(() => {
+      for (const [name, retired] of Object.entries(RETIRED_ALIASES)) {
+        const row = db.prepare('SELECT id, aliases FROM resources WHERE name = ?').get(name);
+        if (!row) continue;
+        const aliases = JSON.parse(row.aliases || '[]');
+        const kept = aliases.filter(alias => !retired.includes(String(alias).toLowerCase()));
+        if (kept.length !== aliases.length) update.run(JSON.stringify(kept), row.id);
+      }
+    })();
+  }
+
+  insertResource(data) {
+    const stmt = db.prepare(`
+      INSERT INTO resources (name, aliases, owner_email, risk_tier, access_types, auto_approval, approval_chain, provisioning_instructions)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      data.name.trim(),
+      JSON.stringify(data.aliases || []),
+      data.owner_email || null,
+      data.risk_tier || 'medium',
+      JSON.stringify(data.access_types || ['read']),
+      data.auto_approval || 'never',
+      JSON.stringify(data.approval_chain || DEFAULT_CHAIN),
+      data.provisioning_instructions || null
+    );
+    return result.lastInsertRowid;
+  }
+
+  parseResource(row) {
+    if (!row) return null;
+    const resource = { ...row };
+    for (const field of JSON_FIELDS) {
+      try { resource[field] = JSON.parse(row[field] || '[]'); } catch (_) { resource[field] = []; }
+    }
+    return resource;
+  }
+
+  listResources() {
+    return db.prepare('SELECT * FROM resources ORDER BY name').all().map(row => this.parseResource(row));
+  }
+
+  getResourceById(id) {
+    return this.parseResource(db.prepare('SELECT * FROM resources WHERE id = ?').get(id));
+  }
+
+  // Returns an error message, or null when the fields are valid
+  validate(data, { partial = false } = {}) {
+    if (!partial || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) return 'Resource name required';
+    }
+    if (data.risk_tier !== undefined && !RISK_TIERS.includes(data.risk_tier)) {
+      return `Risk tier must be one of: ${RISK_TIERS.join(', ')}`;
+    }
+    if (data.auto_approval !== undefined && !AUTO_APPROVAL_POLICIES.includes(data.auto_approval)) {
+      return `Auto-approval policy must be one of: ${AUTO_APPROVAL_POLICIES.join(', ')}`;
+    }
+    if (data.access_types !== undefined) {
+      if (!Array.isArray(data.access_types) || !data.access_types.length || data.access_types.some(t => !ACCESS_TYPES.includes(t))) {
+        return `Access types must be a non-empty list of: ${ACCESS_TYPES.join(', ')}`;
+      }
+    }
+    if (data.approval_chain !== undefined) {
+      if (!Array.isArray(data.approval_chain) || !data.approval_chain.length || data.approval_chain.some(s => !APPROVAL_STAGES.includes(s))) {
+        return `Approval chain must be a non-empty list of: ${APPROVAL_STAGES.join(', ')}`;
+      }
+    }
+    if (data.aliases !== undefined && (!Array.isArray(data.aliases) || data.aliases.some(a => typeof a !== 'string'))) {
+      return 'Aliases must be a list of names';
+    }
+    return null;
+  }
+
+  createResource(data) {
+    const error = this.validate(data);
+    if (error) return { success: false, reason: 'invalid', error };
+    try {
+      const id = this.insertResource(data);
+      return { success: true, resource: this.getResourceById(id) };
+    } catch (err) {
+      if (String(err.message).includes('UNIQUE')) {
+        return { success: false, reason: 'duplicate', error: `Resource ${data.name} already exists` };
+      }
+      throw err;
+    }
+  }
+
+  updateResource(id, data) {
+    if (!this.getResourceById(id)) return { success: false, reason: 'not_found', error: 'Resource not found' };
+    const error = this.validate(data, { partial: true });
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const sets = [];
+    const values = [];
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] === undefined) continue;
+      sets.push(`${field} = ?`);
+      if (JSON_FIELDS.includes(field)) values.push(JSON.stringify(data[field]));
+      else if (field === 'name') values.push(String(data.name).trim());
+      else values.push(data[field]);
+    }
+    if (sets.length) {
+      try {
+        db.prepare(`UPDATE resources SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...values, id);
+      } catch (err) {
+        if (String(err.message).includes('UNIQUE')) {
+          return { success: false, reason: 'duplicate', error: `Resource ${data.name} already exists` };
+        }
+        throw err;
+      }
+    }
+    return { success: true, resource: this.getResourceById(id) };
+  }
+
+  deleteResource(id) {
+    const result = db.prepare('DELETE FROM resources WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  // Catalog entries whose name or an alias appears as a whole word in the text:
+  // name matches before alias matches, then the one mentioned first, then the
+  // most specific (longest)
+  matchResources(text) {
+    const haystack = String(text || '').toLowerCase();
+    if (!haystack) return [];
+    const matches = [];
+    for (const resource of this.listResources()) {
+      const names = [resource.name, ...resource.aliases].map(n => n.toLowerCase());
+      const hits = names.map((n, i) => {
+        const found = new RegExp(`(^|[^a-z0-9])${escapeRegExp(n)}($|[^a-z0-9])`).exec(haystack);
+        return found && { byName: i === 0, index: found.index + found[1].length, length: n.length };
+      }).filter(Boolean);
+      if (hits.length) {
+        hits.sort(compareHits);
+        matches.push({ resource, ...hits[0] });
+      }
+    }
+    return matches.sort(compareHits).map(m => m.resource);
+  }
+
+  // Resolve a requested resource name (e.g. "AWS Console") to its catalog entry
+  findResource(resourceName) {
+    return this.matchResources(resourceName)[0] || null;
+  }
+
+  // Pick the resource a chat message is about, e.g. "I need access to Figma please"
+  findResourceInText(text) {
+    return this.findResource(text);
+  }
+
+  // Uncatalogued resources are treated as medium risk
+  assessRisk(resourceName) {
+    const resource = this.findResource(resourceName);
+    return resource ? resource.risk_tier : 'medium';
+  }
+
+  getApprovalChain(resourceName) {
+    const resource = this.findResource(resourceName);
+    return resource && resource.approval_chain.length ? resource.approval_chain : DEFAULT_CHAIN;
+  }
+
+  isAccessTypeAllowed(resourceName, accessType) {
+    const resource = this.findResource(resourceName);
+    return !resource || resource.access_types.includes(accessType || 'read');
+  }
+
+  evaluateAutoApproval(resourceName, justification) {
+    const resource = this.findResource(resourceName);
+    const policy = resource ? resource.auto_approval : 'never';
+    const approve = policy === 'always' || (policy === 'routine' && ROUTINE_JUSTIFICATION.test(justification || ''));
+    return { approve, policy, resource };
+  }
+}
+
+module.exports = new ResourceCatalogService();
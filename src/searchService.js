@@ -1,3 +1,5 @@
+const { roleHasPermission } = require('./permissions');
+
 /**
  * Advanced Search and Filtering Service
  * Provides powerful search capabilities across tickets, access requests, and user data
@@ -53,7 +55,7 @@ class SearchService {
       }
 
       // Search users (admin/hr only)
-      if (entities.includes('users') && ['admin', 'hr'].includes(userRole)) {
+      if (entities.includes('users') && roleHasPermission(userRole, 'users.search')) {
         searchPromises.push(
           this.searchUsers(query, { limit, offset, sortBy, sortOrder })
             .then(data => results.users = data)
@@ -117,7 +119,7 @@ class SearchService {
     const params = [];
 
     // Role-based filtering
-    if (userRole === 'employee' && userId) {
+    if (userId && !roleHasPermission(userRole, 'tickets.read_all')) {
       conditions.push('user_id = ?');
       params.push(userId);
     }
@@ -159,7 +161,7 @@ class SearchService {
 
     // Assigned to filter
     if (assignedTo) {
-      conditions.push('assigned_to = ?');
+      conditions.push('assignee = ?');
       params.push(assignedTo);
     }
 
@@ -197,7 +199,7 @@ class SearchService {
       const query_sql = `
         SELECT 
           id, title, description, status, priority, category,
-          user_id, assigned_to, created_at, updated_at,
+          user_id, assignee, created_at, updated_at,
           CASE 
             WHEN ? != '' AND (title LIKE ? OR description LIKE ?) THEN 2
             WHEN ? != '' AND id LIKE ? THEN 1
@@ -259,7 +261,7 @@ class SearchService {
     const params = [];
 
     // Role-based filtering
-    if (userRole === 'employee' && userId) {
+    if (userId && !roleHasPermission(userRole, 'access.read_all')) {
       conditions.push('user_id = ?');
       params.push(userId);
     }
@@ -343,7 +345,7 @@ class SearchService {
   }
 
   /**
-   * User search (admin/hr only)
+   * User search (requires users.search)
    */
   async searchUsers(query, options = {}) {
     const {
@@ -424,7 +426,7 @@ class SearchService {
     const params = [];
 
     // Role-based filtering
-    if (userRole === 'employee' && userId) {
+    if (userId && !roleHasPermission(userRole, 'onboarding.read_all')) {
       conditions.push('user_id = ?');
       params.push(userId);
     }
@@ -499,8 +501,8 @@ class SearchService {
           options.priority = this.db.prepare('SELECT DISTINCT priority FROM tickets WHERE priority IS NOT NULL ORDER BY priority').all().map(r => r.priority);
           options.category = this.db.prepare('SELECT DISTINCT category FROM tickets WHERE category IS NOT NULL ORDER BY category').all().map(r => r.category);
           
-          if (['admin', 'it_staff'].includes(userRole)) {
-            options.assignedTo = this.db.prepare('SELECT DISTINCT assigned_to FROM tickets WHERE assigned_to IS NOT NULL ORDER BY assigned_to').all().map(r => r.assigned_to);
+          if (roleHasPermission(userRole, 'tickets.read_all')) {
+            options.assignedTo = this.db.prepare('SELECT DISTINCT assignee FROM tickets WHERE assignee IS NOT NULL ORDER BY assignee').all().map(r => r.assignee);
           }
           break;
 
@@ -511,7 +513,7 @@ class SearchService {
           break;
 
         case 'users':
-          if (['admin', 'hr'].includes(userRole)) {
+          if (roleHasPermission(userRole, 'users.search')) {
             options.role = this.db.prepare('SELECT DISTINCT role FROM users WHERE role IS NOT NULL ORDER BY role').all().map(r => r.role);
           }
           break;
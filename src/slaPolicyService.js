@@ -0,0 +1,324 @@
+const db = require('./database');
+const { isValidTimezone, parseClock, parseTimestamp, toIso, addBusinessMinutes, businessMinutesBetween } = require('./businessCalendar');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+// The clock is paused in these statuses and stopped in the final ones
+const PAUSE_STATUSES = ['waiting_on_customer'];
+const STOP_STATUSES = ['resolved', 'closed'];
+
+const DEFAULT_CALENDARS = [
+  { name: 'Business hours', timezone: process.env.SLA_TIMEZONE || 'UTC', work_days: [1, 2, 3, 4, 5], day_start: '09:00', day_end: '17:00' },
+  { name: '24x7', timezone: 'UTC', work_days: [0, 1, 2, 3, 4, 5, 6], day_start: '00:00', day_end: '24:00' }
+];
+
+// Urgent and high tickets run around the clock; medium and low get two and
+// three business days. The catch-all policy (no priority, no category) matches medium.
+const DEFAULT_POLICIES = [
+  { name: 'Urgent', priority: 'urgent', first_response_minutes: 30, resolution_minutes: 4 * 60, calendar: '24x7' },
+  { name: 'High', priority: 'high', first_response_minutes: 2 * 60, resolution_minutes: 24 * 60, calendar: '24x7' },
+  { name: 'Medium', priority: 'medium', first_response_minutes: 4 * 60, resolution_minutes: 16 * 60, calendar: 'Business hours' },
+  { name: 'Low', priority: 'low', first_response_minutes: 8 * 60, resolution_minutes: 24 * 60, calendar: 'Business hours' },
+  { name: 'Default', priority: null, category: null, first_response_minutes: 4 * 60, resolution_minutes: 16 * 60, calendar: 'Business hours' }
+];
+
+function normalize(value) {
+  return value == null || value === '' ? null : String(value).toLowerCase();
+}
+
+class SlaPolicyService {
+  constructor() {
+    this.config = {
+      // Share of the resolution target after which a ticket is flagged as at risk
+      warningRatio: 0.8
+    };
+    this.seedDefaults();
+  }
+
+  seedDefaults() {
+    const { cnt } = db.prepare('SELECT COUNT(*) AS cnt FROM sla_policies').get();
+    if (cnt > 0) return;
+    db.transaction(() => {
+      for (const calendar of DEFAULT_CALENDARS) {
+        if (!db.prepare('SELECT id FROM business_calendars WHERE name = ?').get(calendar.name)) {
+          this.insertCalendar(calendar);
+        }
+      }
+      for (const policy of DEFAULT_POLICIES) {
+        const calendar = db.prepare('SELECT id FROM business_calendars WHERE name = ?').get(policy.calendar);
+        this.insertPolicy({ ...policy, calendar_id: calendar.id });
+      }
+    })();
+  }
+
+  // ---- Calendars ----
+
+  insertCalendar(data) {
+    return db.prepare(`
+      INSERT INTO business_calendars (name, timezone, work_days, day_start, day_end) VALUES (?, ?, ?, ?, ?)
+    `).run(String(data.name).trim(), data.timezone || 'UTC', JSON.stringify(data.work_days || [1, 2, 3, 4, 5]),
+      data.day_start || '09:00', data.day_end || '17:00').lastInsertRowid;
+  }
+
+  parseCalendar(row) {
+    if (!row) return null;
+    let workDays = [];
+    try { workDays = JSON.parse(row.work_days || '[]'); } catch (_) {}
+    const holidays = db.prepare(`
+      SELECT id, holiday_date, name FROM business_holidays WHERE calendar_id = ? ORDER BY holiday_date
+    `).all(row.id);
+    return { ...row, work_days: workDays, holidays };
+  }
+
+  listCalendars() {
+    return db.prepare('SELECT * FROM business_calendars ORDER BY name').all().map(row => this.parseCalendar(row));
+  }
+
+  getCalendar(id) {
+    return this.parseCalendar(db.prepare('SELECT * FROM business_calendars WHERE id = ?').get(id));
+  }
+
+  validateCalendar(data, { partial = false } = {}) {
+    if ((!partial || data.name !== undefined) && (!data.name || !String(data.name).trim())) {
+      return 'Calendar name required';
+    }
+    if (data.timezone !== undefined && !isValidTimezone(data.timezone)) {
+      return `Unknown time zone: ${data.timezone}`;
+    }
+    if (data.work_days !== undefined) {
+      if (!Array.isArray(data.work_days) || data.work_days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        return 'work_days must be a list of weekday numbers (0 = Sunday ... 6 = Saturday)';
+      }
+    }
+    for (const field of ['day_start', 'day_end']) {
+      if (data[field] !== undefined && parseClock(data[field]) === null) return `${field} must be HH:MM`;
+    }
+    return null;
+  }
+
+  createCalendar(data) {
+    const error = this.validateCalendar(data);
+    if (error) return { success: false, reason: 'invalid', error };
+    const start = parseClock(data.day_start || '09:00');
+    const end = parseClock(data.day_end || '17:00');
+    if (end <= start) return { success: false, reason: 'invalid', error: 'day_end must be after day_start' };
+    try {
+      return { success: true, calendar: this.getCalendar(this.insertCalendar(data)) };
+    } catch (err) {
+      if (String(err.message).includes('UNIQUE')) {
+        return { success: false, reason: 'duplicate', error: `Calendar ${data.name} already exists` };
+      }
+      throw err;
+    }
+  }
+
+  updateCalendar(id, data) {
+    const calendar = this.getCalendar(id);
+    if (!calendar) return { success: false, reason: 'not_found', error: 'Calendar not found' };
+    const error = this.validateCalendar(data, { partial: true });
+    if (error) return { success: false, reason: 'invalid', error };
+    const merged = { ...calendar, ...data };
+    if (parseClock(merged.day_end) <= parseClock(merged.day_start)) {
+      return { success: false, reason: 'invalid', error: 'day_end must be after day_start' };
+    }
+    try {
+      db.prepare(`
+        UPDATE business_calendars SET name = ?, timezone = ?, work_days = ?, day_start = ?, day_end = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(String(merged.name).trim(), merged.timezone, JSON.stringify(merged.work_days), merged.day_start, merged.day_end, id);
+    } catch (err) {
+      if (String(err.message).includes('UNIQUE')) {
+        return { success: false, reason: 'duplicate', error: `Calendar ${data.name} already exists` };
+      }
+      throw err;
+    }
+    return { success: true, calendar: this.getCalendar(id) };
+  }
+
+  addHoliday(calendarId, { date, name } = {}) {
+    if (!this.getCalendar(calendarId)) return { success: false, reason: 'not_found', error: 'Calendar not found' };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) || Number.isNaN(Date.parse(date))) {
+      return { success: false, reason: 'invalid', error: 'date must be YYYY-MM-DD' };
+    }
+    try {
+      db.prepare('INSERT INTO business_holidays (calendar_id, holiday_date, name) VALUES (?, ?, ?)').run(calendarId, date, name || null);
+    } catch (err) {
+      if (String(err.message).includes('UNIQUE')) {
+        return { success: false, reason: 'duplicate', error: `${date} is already a holiday` };
+      }
+      throw err;
+    }
+    return { success: true, calendar: this.getCalendar(calendarId) };
+  }
+
+  removeHoliday(calendarId, holidayId) {
+    const result = db.prepare('DELETE FROM business_holidays WHERE id = ? AND calendar_id = ?').run(holidayId, calendarId);
+    return result.changes > 0;
+  }
+
+  // ---- Policies ----
+
+  insertPolicy(data) {
+    return db.prepare(`
+      INSERT INTO sla_policies (name, priority, category, first_response_minutes, resolution_minutes, calendar_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(String(data.name).trim(), normalize(data.priority), normalize(data.category),
+      data.first_response_minutes, data.resolution_minutes, data.calendar_id).lastInsertRowid;
+  }
+
+  listPolicies() {
+    return db.prepare(`
+      SELECT p.*, c.name AS calendar_name FROM sla_policies p JOIN business_calendars c ON p.calendar_id = c.id
+      ORDER BY p.priority IS NULL, p.category IS NULL, p.priority, p.category
+    `).all();
+  }
+
+  getPolicy(id) {
+    return db.prepare(`
+      SELECT p.*, c.name AS calendar_name FROM sla_policies p JOIN business_calendars c ON p.calendar_id = c.id
+      WHERE p.id = ?
+    `).get(id);
+  }
+
+  findPolicyFor(priority, category, excludeId = null) {
+    return db.prepare(`
+      SELECT * FROM sla_policies WHERE priority IS ? AND category IS ? AND id IS NOT ?
+    `).get(normalize(priority), normalize(category), excludeId);
+  }
+
+  validatePolicy(data, { partial = false } = {}) {
+    if ((!partial || data.name !== undefined) && (!data.name || !String(data.name).trim())) {
+      return 'Policy name required';
+    }
+    if (data.priority != null && data.priority !== '' && !PRIORITIES.includes(normalize(data.priority))) {
+      return `Priority must be one of: ${PRIORITIES.join(', ')}`;
+    }
+    for (const field of ['first_response_minutes', 'resolution_minutes']) {
+      if ((!partial || data[field] !== undefined) && !(Number.isInteger(data[field]) && data[field] > 0)) {
+        return `${field} must be a positive whole number of minutes`;
+      }
+    }
+    if ((!partial || data.calendar_id !== undefined) && !this.getCalendar(data.calendar_id)) {
+      return 'Calendar not found';
+    }
+    return null;
+  }
+
+  createPolicy(data) {
+    const error = this.validatePolicy(data);
+    if (error) return { success: false, reason: 'invalid', error };
+    if (this.findPolicyFor(data.priority, data.category)) {
+      return { success: false, reason: 'duplicate', error: 'A policy for this priority and category already exists' };
+    }
+    return { success: true, policy: this.getPolicy(this.insertPolicy(data)) };
+  }
+
+  updatePolicy(id, data) {
+    const policy = this.getPolicy(id);
+    if (!policy) return { success: false, reason: 'not_found', error: 'Policy not found' };
+    const error = this.validatePolicy(data, { partial: true });
+    if (error) return { success: false, reason: 'invalid', error };
+    const merged = { ...policy, ...data };
+    if (this.findPolicyFor(merged.priority, merged.category, id)) {
+      return { success: false, reason: 'duplicate', error: 'A policy for this priority and category already exists' };
+    }
+    db.prepare(`
+      UPDATE sla_policies
+      SET name = ?, priority = ?, category = ?, first_response_minutes = ?, resolution_minutes = ?, calendar_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(String(merged.name).trim(), normalize(merged.priority), normalize(merged.category),
+      merged.first_response_minutes, merged.resolution_minutes, merged.calendar_id, id);
+    return { success: true, policy: this.getPolicy(id) };
+  }
+
+  // The catch-all policy cannot be removed so every ticket always has a target
+  deletePolicy(id) {
+    const policy = this.getPolicy(id);
+    if (!policy) return { success: false, reason: 'not_found', error: 'Policy not found' };
+    if (policy.priority === null && policy.category === null) {
+      return { success: false, reason: 'invalid', error: 'The default policy cannot be deleted' };
+    }
+    db.prepare('DELETE FROM sla_policies WHERE id = ?').run(id);
+    return { success: true };
+  }
+
+  // Most specific match wins: priority + category, priority, category, then the default
+  resolvePolicy(priority, category) {
+    const p = normalize(priority);
+    const c = normalize(category);
+    return this.findPolicyFor(p, c) || this.findPolicyFor(p, null) || this.findPolicyFor(null, c) || this.findPolicyFor(null, null);
+  }
+
+  // ---- Clocks ----
+
+  getClockCalendar(policy) {
+    const calendar = this.getCalendar(policy.calendar_id);
+    return { ...calendar, holidays: calendar.holidays.map(h => h.holiday_date) };
+  }
+
+  // Statuses that hold the clock: waiting on the customer pauses it, resolved/closed stop it
+  isClockStopped(status) {
+    return PAUSE_STATUSES.includes(status) || STOP_STATUSES.includes(status);
+  }
+
+  // Target instants for a ticket that is created now (or at `createdAt`)
+  computeDueDates(priority, category, createdAt = Date.now()) {
+    const policy = this.resolvePolicy(priority, category);
+    const calendar = this.getClockCalendar(policy);
+    const start = typeof createdAt === 'number' ? createdAt : parseTimestamp(createdAt);
+    return {
+      policy_id: policy.id,
+      first_response_due_at: toIso(addBusinessMinutes(start, policy.first_response_minutes, calendar)),
+      resolution_due_at: toIso(addBusinessMinutes(start, policy.resolution_minutes, calendar))
+    };
+  }
+
+  /**
+   * Full SLA picture for a ticket. `clock` carries the recorded pause intervals
+   * ([startMs, endMs|null]) and first response instant. Due dates are null while
+   * the clock is paused (or stopped) short of the target; elapsed minutes count
+   * business time only.
+   */
+  computeTicketSla(ticket, { pauses = [], respondedAt = null } = {}, now = Date.now()) {
+    const policy = this.resolvePolicy(ticket.priority, ticket.category);
+    const calendar = this.getClockCalendar(policy);
+    const created = parseTimestamp(ticket.created_at) || now;
+    const paused = PAUSE_STATUSES.includes(ticket.status);
+    const stopped = STOP_STATUSES.includes(ticket.status);
+
+    const responseElapsed = businessMinutesBetween(created, respondedAt || now, calendar, pauses);
+    const resolutionElapsed = businessMinutesBetween(created, now, calendar, pauses);
+    const resolutionBreached = resolutionElapsed > policy.resolution_minutes;
+
+    let state = 'running';
+    if (stopped) state = resolutionBreached ? 'breached' : 'met';
+    else if (resolutionBreached) state = 'breached';
+    else if (paused) state = 'paused';
+    else if (resolutionElapsed >= policy.resolution_minutes * this.config.warningRatio) state = 'warning';
+
+    return {
+      ticket_id: ticket.id,
+      policy: { id: policy.id, name: policy.name },
+      calendar: { id: calendar.id, name: calendar.name, timezone: calendar.timezone },
+      paused,
+      first_response: {
+        target_minutes: policy.first_response_minutes,
+        due_at: toIso(addBusinessMinutes(created, policy.first_response_minutes, calendar, pauses)),
+        responded_at: toIso(respondedAt),
+        elapsed_minutes: Math.round(responseElapsed),
+        breached: responseElapsed > policy.first_response_minutes
+      },
+      resolution: {
+        target_minutes: policy.resolution_minutes,
+        due_at: toIso(addBusinessMinutes(created, policy.resolution_minutes, calendar, pauses)),
+        completed_at: stopped ? toIso(parseTimestamp(ticket.resolved_at || ticket.closed_at)) : null,
+        elapsed_minutes: Math.round(resolutionElapsed),
+        remaining_minutes: Math.round(policy.resolution_minutes - resolutionElapsed),
+        percent_used: Math.round((resolutionElapsed / policy.resolution_minutes) * 100),
+        breached: resolutionBreached,
+        state
+      }
+    };
+  }
+}
+
+module.exports = new SlaPolicyService();
@@ -0,0 +1,299 @@
+const db = require('./database');
+const slaPolicyService = require('./slaPolicyService');
+const { parseTimestamp, toIso } = require('./businessCalendar');
+
+const BREACH_PREDICTION_BASES = ['category_assignee', 'category', 'all'];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function isRequester(ticket, actor) {
+  return actor != null && String(actor) === String(ticket.user_id);
+}
+
+class SlaTimerService {
+  constructor() {
+    this.config = {
+      // Resolved tickets needed before a history bucket is trusted for predictions
+      minSamples: 3,
+      // Breach probability from which a ticket is flagged as likely to breach
+      breachProbability: 0.5
+    };
+  }
+
+  getTicket(ticketId) {
+    return db.prepare('SELECT * FROM tickets WHERE id = ?').get(ticketId);
+  }
+
+  getTimer(ticketId) {
+    return db.prepare('SELECT * FROM ticket_sla_timers WHERE ticket_id = ?').get(ticketId);
+  }
+
+  getPauses(ticketId) {
+    return db.prepare('SELECT * FROM ticket_sla_pauses WHERE ticket_id = ? ORDER BY started_at ASC, id ASC').all(ticketId);
+  }
+
+  // Recorded pauses as [startMs, endMs|null], including the current one when
+  // the ticket's status holds the clock but the timer has not caught up yet
+  getClock(ticket) {
+    const pauses = this.getPauses(ticket.id).map(p => [parseTimestamp(p.started_at), parseTimestamp(p.ended_at)]);
+    const openPause = pauses.some(([, end]) => end == null);
+    const stopped = slaPolicyService.isClockStopped(ticket.status);
+    if (stopped && !openPause) {
+      pauses.push([parseTimestamp(ticket.updated_at) || Date.now(), null]);
+    } else if (!stopped && openPause) {
+      pauses.forEach(p => { if (p[1] == null) p[1] = parseTimestamp(ticket.updated_at) || Date.now(); });
+    }
+    const timer = this.getTimer(ticket.id);
+    return { pauses, respondedAt: timer ? parseTimestamp(timer.first_response_at) : null };
+  }
+
+  // Live SLA picture from the recorded clock; reads only
+  getTicketSla(ticket, now = Date.now()) {
+    return slaPolicyService.computeTicketSla(ticket, this.getClock(ticket), now);
+  }
+
+  // Open or close the pause row so it matches the ticket's current status
+  reconcilePauses(ticket) {
+    const open = db.prepare('SELECT * FROM ticket_sla_pauses WHERE ticket_id = ? AND ended_at IS NULL ORDER BY id DESC LIMIT 1').get(ticket.id);
+    const stopped = slaPolicyService.isClockStopped(ticket.status);
+    const at = toIso(parseTimestamp(ticket.updated_at) || Date.now());
+    if (stopped && !open) {
+      db.prepare('INSERT INTO ticket_sla_pauses (ticket_id, status, started_at) VALUES (?, ?, ?)').run(ticket.id, ticket.status, at);
+    } else if (!stopped && open) {
+      db.prepare('UPDATE ticket_sla_pauses SET ended_at = ? WHERE id = ?').run(at, open.id);
+    }
+  }
+
+  /**
+   * Recompute and store a ticket's timer. Returns the stored row and whether
+   * this sync is the one that found the resolution target breached.
+   */
+  syncTicket(ticketOrId, now = Date.now()) {
+    const ticket = typeof ticketOrId === 'object' ? ticketOrId : this.getTicket(ticketOrId);
+    if (!ticket) return null;
+    this.reconcilePauses(ticket);
+    const previous = this.getTimer(ticket.id);
+    const sla = this.getTicketSla(ticket, now);
+    const { first_response: response, resolution } = sla;
+
+    const breachedAt = resolution.breached ? (previous && previous.breached_at) || resolution.due_at || toIso(now) : null;
+    const responseBreachedAt = response.breached
+      ? (previous && previous.first_response_breached_at) || response.due_at || toIso(now)
+      : null;
+
+    db.prepare(`
+      INSERT INTO ticket_sla_timers (ticket_id, policy_id, state, target_minutes, first_response_due_at, first_response_at,
+        first_response_breached_at, due_at, breached_at, completed_at, elapsed_minutes, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(ticket_id) DO UPDATE SET
+        policy_id = excluded.policy_id, state = excluded.state, target_minutes = excluded.target_minutes,
+        first_response_due_at = excluded.first_response_due_at, first_response_at = excluded.first_response_at,
+        first_response_breached_at = excluded.first_response_breached_at, due_at = excluded.due_at,
+        breached_at = excluded.breached_at, completed_at = excluded.completed_at,
+        elapsed_minutes = excluded.elapsed_minutes, updated_at = CURRENT_TIMESTAMP
+    `).run(
+      ticket.id, sla.policy.id, resolution.state, resolution.target_minutes,
+      response.due_at, response.responded_at, responseBreachedAt,
+      resolution.due_at, breachedAt, resolution.completed_at, resolution.elapsed_minutes
+    );
+    return { timer: this.getTimer(ticket.id), newlyBreached: Boolean(breachedAt && !(previous && previous.breached_at)) };
+  }
+
+  // Stamp the first response unless it came from the requester or one is already recorded
+  recordResponse(ticketId, actor, at = Date.now()) {
+    const ticket = this.getTicket(ticketId);
+    if (!ticket) return null;
+    if (!isRequester(ticket, actor)) {
+      db.prepare('INSERT OR IGNORE INTO ticket_sla_timers (ticket_id) VALUES (?)').run(ticket.id);
+      const when = toIso(typeof at === 'number' ? at : parseTimestamp(at)) || toIso(Date.now());
+      db.prepare('UPDATE ticket_sla_timers SET first_response_at = ? WHERE ticket_id = ? AND first_response_at IS NULL').run(when, ticket.id);
+    }
+    return this.syncTicket(ticket);
+  }
+
+  // Hook for ticket writes: a status change by anyone but the requester counts as a response
+  recordTicketChange(before, after, actor) {
+    if (!after) return null;
+    if (before && before.status !== after.status && after.status !== 'open') {
+      return this.recordResponse(after.id, actor, after.updated_at);
+    }
+    return this.syncTicket(after);
+  }
+
+  // Timers for tickets the clock still runs on (or that changed since their last sync)
+  refreshTimers(now = Date.now()) {
+    const tickets = db.prepare(`
+      SELECT t.* FROM tickets t LEFT JOIN ticket_sla_timers s ON s.ticket_id = t.id
+      WHERE s.ticket_id IS NULL OR s.completed_at IS NULL OR t.status NOT IN ('resolved', 'closed')
+    `).all();
+    const breached = [];
+    for (const ticket of tickets) {
+      const result = this.syncTicket(ticket, now);
+      if (result.newlyBreached) breached.push({ ...ticket, sla_timer: result.timer });
+    }
+    return { refreshed: tickets.length, breached };
+  }
+
+  /**
+   * Persisted timers joined with their tickets. Filters: state, ticketId,
+   * breached (true/false) and open (only tickets that are not resolved or closed).
+   */
+  listTimers({ state, ticketId, breached, open } = {}) {
+    let query = `
+      SELECT s.*, t.title, t.status, t.priority, t.category, t.assignee, t.user_id, t.escalated_at, t.escalation_level
+      FROM ticket_sla_timers s JOIN tickets t ON t.id = s.ticket_id WHERE 1=1
+    `;
+    const params = [];
+    if (state) {
+      query += ' AND s.state = ?';
+      params.push(state);
+    }
+    if (ticketId) {
+      query += ' AND s.ticket_id = ?';
+      params.push(ticketId);
+    }
+    if (breached === true) query += ' AND s.breached_at IS NOT NULL';
+    if (breached === false) query += ' AND s.breached_at IS NULL';
+    if (open) query += ` AND t.status NOT IN ('resolved', 'closed')`;
+    query += ' ORDER BY s.due_at IS NULL, s.due_at ASC, s.ticket_id ASC';
+    return db.prepare(query).all(...params);
+  }
+
+  // ---- Breach prediction ----
+
+  // Business minutes each resolved ticket took, with the fields predictions group by
+  getResolutionHistory() {
+    return db.prepare(`
+      SELECT t.category, t.assignee, s.elapsed_minutes
+      FROM ticket_sla_timers s JOIN tickets t ON t.id = s.ticket_id
+      WHERE s.completed_at IS NOT NULL AND t.status IN ('resolved', 'closed')
+    `).all();
+  }
+
+  /**
+   * Most specific history bucket (category + assignee, category, then everything)
+   * with enough resolved tickets that were still open at the timer's elapsed time
+   */
+  selectSamples(history, timer) {
+    const matchers = {
+      category_assignee: h => timer.assignee && h.assignee === timer.assignee && h.category === timer.category,
+      category: h => h.category === timer.category,
+      all: () => true
+    };
+    for (const basis of BREACH_PREDICTION_BASES) {
+      const samples = history.filter(matchers[basis]).map(h => h.elapsed_minutes);
+      if (samples.length < this.config.minSamples) continue;
+      const stillOpen = samples.filter(m => m > timer.elapsed_minutes);
+      if (stillOpen.length >= this.config.minSamples || basis === 'all') return { basis, samples, stillOpen };
+    }
+    return { basis: 'none', samples: [], stillOpen: [] };
+  }
+
+  /**
+   * Breach probability for one running timer: among comparable resolved tickets
+   * that were still open at this ticket's elapsed time, the share that went on
+   * past the target. A ticket already slower than all of history counts as certain.
+   */
+  predictTimer(timer, history) {
+    const { basis, samples, stillOpen } = this.selectSamples(history, timer);
+    const prediction = {
+      ticket_id: timer.ticket_id,
+      title: timer.title,
+      status: timer.status,
+      priority: timer.priority,
+      category: timer.category,
+      assignee: timer.assignee,
+      state: timer.state,
+      due_at: timer.due_at,
+      target_minutes: timer.target_minutes,
+      elapsed_minutes: timer.elapsed_minutes,
+      basis,
+      sample_size: samples.length,
+      predicted_minutes: null,
+      breach_probability: null,
+      likely_to_breach: false
+    };
+    if (!samples.length) return prediction;
+
+    const probability = stillOpen.length
+      ? stillOpen.filter(m => m > timer.target_minutes).length / stillOpen.length
+      : 1;
+    prediction.predicted_minutes = stillOpen.length ? Math.round(median(stillOpen)) : null;
+    prediction.breach_probability = Math.round(probability * 100) / 100;
+    prediction.likely_to_breach = probability >= this.config.breachProbability;
+    return prediction;
+  }
+
+  // Predictions for open tickets that have not breached yet, most at risk first
+  predictBreaches({ atRiskOnly = false } = {}) {
+    const history = this.getResolutionHistory();
+    const predictions = this.listTimers({ breached: false, open: true })
+      .map(timer => this.predictTimer(timer, history))
+      .filter(p => !atRiskOnly || p.likely_to_breach);
+    return predictions.sort((a, b) => (b.breach_probability || 0) - (a.breach_probability || 0));
+  }
+
+  // ---- Backfill ----
+
+  // Pause intervals rebuilt from the status changes in a ticket's audit history
+  rebuildPauses(ticket) {
+    const events = db.prepare(`
+      SELECT old_value, new_value, created_at FROM ticket_events
+      WHERE ticket_id = ? AND field = 'status' ORDER BY created_at ASC, id ASC
+    `).all(ticket.id);
+
+    let open = null;
+    let status = 'open';
+    const insert = db.prepare('INSERT INTO ticket_sla_pauses (ticket_id, status, started_at, ended_at) VALUES (?, ?, ?, ?)');
+    for (const event of events) {
+      const at = toIso(parseTimestamp(event.created_at));
+      const wasStopped = slaPolicyService.isClockStopped(status);
+      const isStopped = slaPolicyService.isClockStopped(event.new_value);
+      if (!wasStopped && isStopped) open = { status: event.new_value, started_at: at };
+      if (wasStopped && !isStopped && open) {
+        insert.run(ticket.id, open.status, open.started_at, at);
+        open = null;
+      }
+      status = event.new_value;
+    }
+    if (open) insert.run(ticket.id, open.status, open.started_at, null);
+  }
+
+  // First public reply or status change by someone other than the requester, from history
+  findFirstResponse(ticket) {
+    const comment = db.prepare(`
+      SELECT MIN(created_at) AS at FROM ticket_comments WHERE ticket_id = ? AND visibility = 'public' AND user_id != ?
+    `).get(ticket.id, ticket.user_id);
+    const change = db.prepare(`
+      SELECT MIN(created_at) AS at FROM ticket_events
+      WHERE ticket_id = ? AND field = 'status' AND new_value != 'open' AND (actor_user_id IS NULL OR actor_user_id != ?)
+    `).get(ticket.id, ticket.user_id);
+    const times = [comment.at, change.at].map(parseTimestamp).filter(t => t != null);
+    return times.length ? Math.min(...times) : null;
+  }
+
+  // Create timers for tickets that predate them; returns how many were created
+  backfill() {
+    const tickets = db.prepare(`
+      SELECT t.* FROM tickets t LEFT JOIN ticket_sla_timers s ON s.ticket_id = t.id WHERE s.ticket_id IS NULL
+    `).all();
+    if (!tickets.length) return 0;
+    db.transaction(() => {
+      for (const ticket of tickets) {
+        this.rebuildPauses(ticket);
+        const respondedAt = this.findFirstResponse(ticket);
+        if (respondedAt != null) {
+          db.prepare('INSERT INTO ticket_sla_timers (ticket_id, first_response_at) VALUES (?, ?)').run(ticket.id, toIso(respondedAt));
+        }
+        this.syncTicket(ticket);
+      }
+    })();
+    return tickets.length;
+  }
+}
+
+module.exports = new SlaTimerService();
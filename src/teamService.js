@@ -0,0 +1,235 @@
+const db = require('./database');
+
+const CLOSED_STATUSES = ['resolved', 'closed'];
+const MEMBER_ROLES = ['member', 'lead'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Seeded on first start with the queues tickets were routed to before teams existed;
+// each lists the ticket categories that land in its queue
+const DEFAULT_TEAMS = [
+  { name: 'network-team', categories: ['network'] },
+  { name: 'iam-team', categories: ['access', 'iam'] },
+  { name: 'app-support', categories: ['software'] },
+  { name: 'helpdesk', categories: ['hardware', 'general', 'email'] }
+];
+
+const EDITABLE_FIELDS = ['name', 'description', 'email', 'categories'];
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+class TeamService {
+  constructor() {
+    this.seedDefaults();
+    this.adoptQueueAssignees();
+  }
+
+  seedDefaults() {
+    const { cnt } = db.prepare('SELECT COUNT(*) AS cnt FROM teams').get();
+    if (cnt > 0) return;
+    db.transaction(() => {
+      DEFAULT_TEAMS.forEach(team => this.insertTeam(team));
+    })();
+  }
+
+  // Tickets whose assignee is a team name were sitting in that team's queue: move them onto the team
+  adoptQueueAssignees() {
+    db.prepare(`
+      UPDATE tickets SET team_id = (SELECT id FROM teams WHERE name = tickets.assignee), assignee = NULL
+      WHERE team_id IS NULL AND assignee IN (SELECT name FROM teams)
+    `).run();
+  }
+
+  insertTeam(data) {
+    const result = db.prepare(`
+      INSERT INTO teams (name, description, email, categories) VALUES (?, ?, ?, ?)
+    `).run(
+      String(data.name).trim(),
+      data.description || null,
+      data.email || null,
+      JSON.stringify((data.categories || []).map(normalize))
+    );
+    return result.lastInsertRowid;
+  }
+
+  // A name covers a category when it is the whole category or one of its words,
+  // so "access" covers both "access" and "Access & Authentication"
+  coversCategory(names, category) {
+    const key = normalize(category);
+    if (!key) return false;
+    const words = key.split(/[^a-z0-9]+/).filter(Boolean);
+    return names.some(name => name === key || words.includes(name));
+  }
+
+  parseTeam(row) {
+    if (!row) return null;
+    let categories = [];
+    try { categories = JSON.parse(row.categories || '[]'); } catch (_) { categories = []; }
+    const members = db.prepare(`
+      SELECT m.user_id, m.role, u.email, u.full_name
+      FROM team_members m JOIN users u ON u.id = m.user_id
+      WHERE m.team_id = ? ORDER BY m.role = 'lead' DESC, u.email
+    `).all(row.id);
+    return { ...row, categories, members, leads: members.filter(m => m.role === 'lead') };
+  }
+
+  listTeams() {
+    return db.prepare('SELECT * FROM teams ORDER BY name').all().map(row => this.parseTeam(row));
+  }
+
+  getTeam(id) {
+    return this.parseTeam(db.prepare('SELECT * FROM teams WHERE id = ?').get(id));
+  }
+
+  // The team whose queue tickets of a category are routed to
+  findTeamForCategory(category) {
+    const rows = db.prepare('SELECT * FROM teams ORDER BY id').all();
+    const row = rows.find(r => {
+      try { return this.coversCategory(JSON.parse(r.categories || '[]'), category); } catch (_) { return false; }
+    });
+    return row ? this.parseTeam(row) : null;
+  }
+
+  getTeamsForUser(userId) {
+    return db.prepare(`
+      SELECT t.id, t.name, m.role FROM team_members m JOIN teams t ON t.id = m.team_id
+      WHERE m.user_id = ? ORDER BY t.name
+    `).all(userId);
+  }
+
+  isLead(teamId, userId) {
+    return !!db.prepare("SELECT 1 FROM team_members WHERE team_id = ? AND user_id = ? AND role = 'lead'").get(teamId, userId);
+  }
+
+  getLeadEmails(teamId) {
+    return db.prepare(`
+      SELECT u.email FROM team_members m JOIN users u ON u.id = m.user_id
+      WHERE m.team_id = ? AND m.role = 'lead' ORDER BY u.email
+    `).all(teamId).map(r => r.email);
+  }
+
+  // Returns an error message, or null when the fields are valid
+  validateTeam(data, { partial = false } = {}) {
+    if (!partial || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) return 'Team name required';
+    }
+    if (data.email !== undefined && data.email !== null && !EMAIL_PATTERN.test(String(data.email))) {
+      return 'Team email must be an email address';
+    }
+    if (data.categories !== undefined && (!Array.isArray(data.categories) || data.categories.some(c => typeof c !== 'string' || !c.trim()))) {
+      return 'Categories must be a list of names';
+    }
+    return null;
+  }
+
+  createTeam(data) {
+    const error = this.validateTeam(data);
+    if (error) return { success: false, reason: 'invalid', error };
+    try {
+      return { success: true, team: this.getTeam(this.insertTeam(data)) };
+    } catch (err) {
+      if (String(err.message).includes('UNIQUE')) {
+        return { success: false, reason: 'duplicate', error: `Team ${data.name} already exists` };
+      }
+      throw err;
+    }
+  }
+
+  updateTeam(id, data) {
+    if (!this.getTeam(id)) return { success: false, reason: 'not_found', error: 'Team not found' };
+    const error = this.validateTeam(data, { partial: true });
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const sets = [];
+    const values = [];
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] === undefined) continue;
+      sets.push(`${field} = ?`);
+      if (field === 'categories') values.push(JSON.stringify(data.categories.map(normalize)));
+      else if (field === 'name') values.push(String(data.name).trim());
+      else values.push(data[field]);
+    }
+    if (sets.length) {
+      try {
+        db.prepare(`UPDATE teams SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...values, id);
+      } catch (err) {
+        if (String(err.message).includes('UNIQUE')) {
+          return { success: false, reason: 'duplicate', error: `Team ${data.name} already exists` };
+        }
+        throw err;
+      }
+    }
+    return { success: true, team: this.getTeam(id) };
+  }
+
+  // Teams with open tickets or escalation levels pointing at them must be emptied first
+  deleteTeam(id) {
+    if (!this.getTeam(id)) return { success: false, reason: 'not_found', error: 'Team not found' };
+    const { open } = db.prepare(`
+      SELECT COUNT(*) AS open FROM tickets WHERE team_id = ? AND status NOT IN (${CLOSED_STATUSES.map(() => '?').join(', ')})
+    `).get(id, ...CLOSED_STATUSES);
+    if (open > 0) return { success: false, reason: 'in_use', error: `Team still has ${open} open ticket(s) in its queue` };
+    const { levels } = db.prepare('SELECT COUNT(*) AS levels FROM escalation_levels WHERE team_id = ?').get(id);
+    if (levels > 0) return { success: false, reason: 'in_use', error: 'Team is used by the escalation matrix' };
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM team_members WHERE team_id = ?').run(id);
+      db.prepare('DELETE FROM teams WHERE id = ?').run(id);
+    })();
+    return { success: true };
+  }
+
+  // Add a user to a team, or change their role when they are already a member
+  setMember(teamId, user, role = 'member') {
+    if (!this.getTeam(teamId)) return { success: false, reason: 'not_found', error: 'Team not found' };
+    if (!user) return { success: false, reason: 'not_found', error: 'User not found' };
+    if (!MEMBER_ROLES.includes(role)) {
+      return { success: false, reason: 'invalid', error: `Role must be one of: ${MEMBER_ROLES.join(', ')}` };
+    }
+    db.prepare(`
+      INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, ?)
+      ON CONFLICT (team_id, user_id) DO UPDATE SET role = excluded.role
+    `).run(teamId, user.id, role);
+    return { success: true, team: this.getTeam(teamId) };
+  }
+
+  removeMember(teamId, userId) {
+    const result = db.prepare('DELETE FROM team_members WHERE team_id = ? AND user_id = ?').run(teamId, userId);
+    return result.changes > 0;
+  }
+
+  /**
+   * A team's work queue: its open tickets, soonest SLA due first.
+   * `unassigned` limits it to tickets nobody has picked up yet.
+   */
+  getQueue(teamId, { status = null, unassigned = false } = {}) {
+    const conditions = ['t.team_id = ?'];
+    const params = [teamId];
+    if (status) {
+      conditions.push('t.status = ?');
+      params.push(status);
+    } else {
+      conditions.push(`t.status NOT IN (${CLOSED_STATUSES.map(() => '?').join(', ')})`);
+      params.push(...CLOSED_STATUSES);
+    }
+    if (unassigned) conditions.push('t.assignee IS NULL');
+
+    const tickets = db.prepare(`
+      SELECT t.*, s.state AS sla_state, s.due_at AS sla_due_at
+      FROM tickets t LEFT JOIN ticket_sla_timers s ON s.ticket_id = t.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY s.due_at IS NULL, s.due_at ASC, t.created_at ASC, t.id ASC
+    `).all(...params);
+    return {
+      tickets,
+      summary: {
+        total: tickets.length,
+        unassigned: tickets.filter(t => !t.assignee).length,
+        breached: tickets.filter(t => t.sla_state === 'breached').length
+      }
+    };
+  }
+}
+
+module.exports = new TeamService();
@@ -0,0 +1,48 @@
+const db = require('./database');
+const slaTimerService = require('./slaTimerService');
+
+const COMMENT_VISIBILITIES = ['public', 'internal'];
+
+class TicketCommentService {
+  addComment(ticketId, userId, body, visibility = 'public') {
+    if (!COMMENT_VISIBILITIES.includes(visibility)) {
+      throw new Error(`Invalid comment visibility: ${visibility}`);
+    }
+    const stmt = db.prepare(`
+      INSERT INTO ticket_comments (ticket_id, user_id, body, visibility)
+      VALUES (?, ?, ?, ?)
+    `);
+    const result = stmt.run(ticketId, userId, body, visibility);
+    const comment = this.getCommentById(result.lastInsertRowid);
+    // A public reply from anyone but the requester is the ticket's first response
+    if (visibility === 'public') {
+      slaTimerService.recordResponse(ticketId, userId, comment.created_at);
+    }
+    return comment;
+  }
+
+  getCommentById(commentId) {
+    const stmt = db.prepare(`
+      SELECT c.*, u.email AS author_email, u.full_name AS author_name, u.role AS author_role
+      FROM ticket_comments c JOIN users u ON c.user_id = u.id
+      WHERE c.id = ?
+    `);
+    return stmt.get(commentId);
+  }
+
+  // Comments in posting order; requesters only get the public thread
+  getCommentsForTicket(ticketId, { includeInternal = false } = {}) {
+    let query = `
+      SELECT c.*, u.email AS author_email, u.full_name AS author_name, u.role AS author_role
+      FROM ticket_comments c JOIN users u ON c.user_id = u.id
+      WHERE c.ticket_id = ?
+    `;
+    if (!includeInternal) {
+      query += ` AND c.visibility = 'public'`;
+    }
+    query += ' ORDER BY c.created_at ASC, c.id ASC';
+    return db.prepare(query).all(ticketId);
+  }
+}
+
+module.exports = new TicketCommentService();
@@ -0,0 +1,56 @@
+const db = require('./database');
+
+// Ticket columns whose changes are recorded in the audit history
+const TRACKED_FIELDS = [
+  'title', 'description', 'priority', 'status', 'category', 'assignee', 'team_id', 'tags',
+  'escalation_level', 'resolution'
+];
+
+class TicketHistoryService {
+  /**
+   * Record one event. `actor` is a user id, or a system actor name such as
+   * 'auto-agent' or 'sla-monitor' for background loops.
+   */
+  recordEvent(ticketId, actor, field, oldValue, newValue) {
+    const isUser = typeof actor === 'number' || /^\d+$/.test(String(actor));
+    const stmt = db.prepare(`
+      INSERT INTO ticket_events (ticket_id, actor, actor_user_id, field, old_value, new_value)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(
+      ticketId,
+      String(actor || 'system'),
+      isUser ? Number(actor) : null,
+      field,
+      oldValue === undefined || oldValue === null ? null : String(oldValue),
+      newValue === undefined || newValue === null ? null : String(newValue)
+    );
+  }
+
+  // Diff two snapshots of the same ticket row and record each changed field
+  recordChanges(ticketId, actor, before, after) {
+    if (!before || !after) return 0;
+    let recorded = 0;
+    for (const field of TRACKED_FIELDS) {
+      const oldValue = before[field] === undefined ? null : before[field];
+      const newValue = after[field] === undefined ? null : after[field];
+      if (String(oldValue) !== String(newValue)) {
+        this.recordEvent(ticketId, actor, field, oldValue, newValue);
+        recorded++;
+      }
+    }
+    return recorded;
+  }
+
+  getHistory(ticketId) {
+    const stmt = db.prepare(`
+      SELECT e.*, u.email AS actor_email, u.full_name AS actor_name
+      FROM ticket_events e LEFT JOIN users u ON e.actor_user_id = u.id
+      WHERE e.ticket_id = ?
+      ORDER BY e.created_at ASC, e.id ASC
+    `);
+    return stmt.all(ticketId);
+  }
+}
+
+module.exports = new TicketHistoryService();
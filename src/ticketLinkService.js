@@ -0,0 +1,212 @@
+const db = require('./database');
+const ticketService = require('./ticketService');
+const ticketHistoryService = require('./ticketHistoryService');
+const ticketWatcherService = require('./ticketWatcherService');
+const { parseTimestamp } = require('./businessCalendar');
+
+const LINK_TYPES = ['duplicate_of', 'related'];
+const CLOSED_STATUSES = ['resolved', 'closed'];
+
+// Filler and generic complaint words that say nothing about which system is affected
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be', 'been', 'am',
+  'i', 'me', 'my', 'we', 'our', 'you', 'it', 'its', 'this', 'that', 'there',
+  'to', 'for', 'of', 'on', 'in', 'at', 'with', 'from', 'by', 'as', 'again',
+  'not', 'no', 'cannot', 'cant', 'can', 'dont', 'doesnt', 'isnt', 'wont', 'does', 'do', 'did',
+  'please', 'help', 'need', 'urgent', 'asap', 'issue', 'problem', 'error',
+  'working', 'work', 'works', 'broken', 'down', 'failing', 'failed', 'fails', 'stopped',
+  'auto', 'generated'
+]);
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/'/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+// Term weights with title words counting double
+function termVector(ticket) {
+  const vector = new Map();
+  const add = (words, weight) => words.forEach(w => vector.set(w, (vector.get(w) || 0) + weight));
+  add(tokenize(ticket.title), 2);
+  add(tokenize(ticket.description), 1);
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  a.forEach((weight, word) => { if (b.has(word)) dot += weight * b.get(word); });
+  if (!dot) return 0;
+  const norm = v => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+/**
+ * Ticket Link Service - duplicate detection, ticket links and merging
+ * duplicates into a primary ticket
+ */
+class TicketLinkService {
+  constructor(options = {}) {
+    this.config = {
+      windowHours: parseInt(process.env.DUPLICATE_WINDOW_HOURS) || 24,
+      minScore: 0.5,
+      crossCategoryFactor: 0.8,
+      limit: 5,
+      ...options
+    };
+  }
+
+  similarity(a, b) {
+    const score = cosine(termVector(a), termVector(b));
+    const sameCategory = String(a.category || '').toLowerCase() === String(b.category || '').toLowerCase();
+    return sameCategory ? score : score * this.config.crossCategoryFactor;
+  }
+
+  /**
+   * Open tickets created within windowHours of `ticket` that read like the same
+   * problem, best match first. Scores are text similarity (0-1), reduced when
+   * the categories differ.
+   */
+  findDuplicates(ticket) {
+    const at = parseTimestamp(ticket.created_at) || Date.now();
+    const windowMs = this.config.windowHours * 60 * 60 * 1000;
+    const candidates = db.prepare(`
+      SELECT id, title, description, category, status, created_at FROM tickets
+      WHERE id IS NOT ? AND merged_into IS NULL
+      AND status NOT IN (${CLOSED_STATUSES.map(() => '?').join(', ')})
+    `).all(ticket.id || null, ...CLOSED_STATUSES);
+
+    return candidates
+      .filter(c => Math.abs(parseTimestamp(c.created_at) - at) <= windowMs)
+      .map(c => ({ candidate: c, score: this.similarity(ticket, c) }))
+      .filter(({ score }) => score >= this.config.minScore)
+      .sort((a, b) => b.score - a.score || a.candidate.id - b.candidate.id)
+      .slice(0, this.config.limit)
+      .map(({ candidate, score }) => ({
+        ticket_id: candidate.id,
+        title: candidate.title,
+        status: candidate.status,
+        category: candidate.category,
+        created_at: candidate.created_at,
+        score: Math.round(score * 100) / 100
+      }));
+  }
+
+  getLinks(ticketId) {
+    const rows = db.prepare(`
+      SELECT l.*, t.id AS other_id, t.title AS other_title, t.status AS other_status
+      FROM ticket_links l
+      JOIN tickets t ON t.id = CASE WHEN l.ticket_id = ? THEN l.related_ticket_id ELSE l.ticket_id END
+      WHERE l.ticket_id = ? OR l.related_ticket_id = ?
+      ORDER BY l.created_at ASC, l.id ASC
+    `).all(ticketId, ticketId, ticketId);
+    return rows.map(row => ({
+      id: row.id,
+      link_type: row.link_type,
+      direction: row.ticket_id === ticketId ? 'outgoing' : 'incoming',
+      score: row.score,
+      created_by: row.created_by,
+      created_at: row.created_at,
+      ticket: { id: row.other_id, title: row.other_title, status: row.other_status }
+    }));
+  }
+
+  /**
+   * Link a ticket to another. A duplicate_of link also makes the ticket's
+   * requester a watcher of the original so they follow its progress.
+   */
+  linkTickets(ticketId, relatedTicketId, linkType = 'duplicate_of', actor = 'system') {
+    if (!LINK_TYPES.includes(linkType)) {
+      return { success: false, reason: 'invalid', error: `Link type must be one of: ${LINK_TYPES.join(', ')}` };
+    }
+    if (ticketId === relatedTicketId) return { success: false, reason: 'invalid', error: 'A ticket cannot be linked to itself' };
+    const ticket = ticketService.getTicketById(ticketId);
+    const related = ticketService.getTicketById(relatedTicketId);
+    if (!ticket || !related) return { success: false, reason: 'not_found', error: 'Ticket not found' };
+    const existing = db.prepare(`
+      SELECT 1 FROM ticket_links WHERE (ticket_id = ? AND related_ticket_id = ?) OR (ticket_id = ? AND related_ticket_id = ?)
+    `).get(ticketId, relatedTicketId, relatedTicketId, ticketId);
+    if (existing) return { success: false, reason: 'duplicate', error: `Tickets #${ticketId} and #${relatedTicketId} are already linked` };
+    if (linkType === 'duplicate_of') {
+      const original = db.prepare("SELECT related_ticket_id FROM ticket_links WHERE ticket_id = ? AND link_type = 'duplicate_of'").get(ticketId);
+      if (original) return { success: false, reason: 'duplicate', error: `Ticket #${ticketId} is already a duplicate of #${original.related_ticket_id}` };
+    }
+
+    db.prepare(`
+      INSERT INTO ticket_links (ticket_id, related_ticket_id, link_type, score, created_by) VALUES (?, ?, ?, ?, ?)
+    `).run(ticketId, relatedTicketId, linkType, Math.round(this.similarity(ticket, related) * 100) / 100, String(actor));
+    ticketHistoryService.recordEvent(ticketId, actor, 'linked', null, `${linkType} #${relatedTicketId}`);
+    if (linkType === 'duplicate_of' && ticket.user_id !== related.user_id) {
+      ticketWatcherService.addWatcher(relatedTicketId, ticket.user_id);
+    }
+    return { success: true, links: this.getLinks(ticketId) };
+  }
+
+  unlinkTickets(ticketId, linkId) {
+    const result = db.prepare('DELETE FROM ticket_links WHERE id = ? AND (ticket_id = ? OR related_ticket_id = ?)').run(linkId, ticketId, ticketId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Fold duplicate tickets into a primary: their comments, attachments and
+   * watchers move over, their requesters become watchers of the primary, and
+   * each duplicate is closed as merged.
+   */
+  mergeTickets(primaryId, sourceIds, actor = 'system') {
+    const primary = ticketService.getTicketById(primaryId);
+    if (!primary) return { success: false, reason: 'not_found', error: 'Ticket not found' };
+    if (CLOSED_STATUSES.includes(primary.status)) {
+      return { success: false, reason: 'invalid_transition', error: `Cannot merge into a ${primary.status} ticket` };
+    }
+    const ids = [...new Set(sourceIds)];
+    if (!ids.length) return { success: false, reason: 'invalid', error: 'ticket_ids must list the tickets to merge' };
+    if (ids.includes(primaryId)) return { success: false, reason: 'invalid', error: 'A ticket cannot be merged into itself' };
+    const sources = ids.map(id => ticketService.getTicketById(id));
+    const missing = ids.filter((id, i) => !sources[i]);
+    if (missing.length) return { success: false, reason: 'not_found', error: `Ticket not found: #${missing.join(', #')}` };
+    const closed = sources.filter(s => s.status === 'closed');
+    if (closed.length) {
+      return { success: false, reason: 'invalid_transition', error: `Closed tickets cannot be merged: #${closed.map(s => s.id).join(', #')}` };
+    }
+
+    const moved = { comments: 0, attachments: 0, watchers: 0 };
+    db.transaction(() => {
+      for (const source of sources) {
+        moved.comments += db.prepare('UPDATE ticket_comments SET ticket_id = ? WHERE ticket_id = ?').run(primaryId, source.id).changes;
+        moved.attachments += db.prepare('UPDATE ticket_attachments SET ticket_id = ? WHERE ticket_id = ?').run(primaryId, source.id).changes;
+
+        const watcherIds = [source.user_id, ...ticketWatcherService.getWatcherIds(source.id)];
+        watcherIds
+          .filter(userId => userId !== primary.user_id)
+          .forEach(userId => { if (ticketWatcherService.addWatcher(primaryId, userId)) moved.watchers++; });
+        db.prepare('DELETE FROM ticket_watchers WHERE ticket_id = ?').run(source.id);
+
+        // Links to the duplicate, and its related links, follow it to the primary
+        db.prepare(`
+          UPDATE OR IGNORE ticket_links SET related_ticket_id = ? WHERE related_ticket_id = ? AND ticket_id != ?
+        `).run(primaryId, source.id, primaryId);
+        db.prepare(`
+          UPDATE OR IGNORE ticket_links SET ticket_id = ? WHERE ticket_id = ? AND link_type = 'related' AND related_ticket_id != ?
+        `).run(primaryId, source.id, primaryId);
+        db.prepare('DELETE FROM ticket_links WHERE ticket_id = ? OR related_ticket_id = ?').run(source.id, source.id);
+        db.prepare(`
+          INSERT INTO ticket_links (ticket_id, related_ticket_id, link_type, score, created_by) VALUES (?, ?, 'duplicate_of', ?, ?)
+        `).run(source.id, primaryId, Math.round(this.similarity(source, primary) * 100) / 100, String(actor));
+
+        ticketService.setTicketStatus(source.id, 'closed', {
+          resolution: `Merged into #${primaryId}`,
+          merged_into: primaryId
+        }, actor);
+        ticketHistoryService.recordEvent(source.id, actor, 'merged_into', null, `#${primaryId}`);
+        ticketHistoryService.recordEvent(primaryId, actor, 'merged', null, `#${source.id}`);
+      }
+    })();
+
+    return { success: true, ticket: ticketService.getTicketById(primaryId), merged: ids, moved };
+  }
+}
+
+module.exports = new TicketLinkService();
@@ -1,10 +1,42 @@
 const db = require('./database');
+const ticketHistoryService = require('./ticketHistoryService');
+const slaTimerService = require('./slaTimerService');
+const teamService = require('./teamService');
+const csatService = require('./csatService');
+
+// Ticket lifecycle: which statuses each status may move to
+// (waiting_on_customer pauses the SLA clock)
+const STATUS_TRANSITIONS = {
+  open: ['in_progress', 'waiting_on_customer', 'resolved', 'closed'],
+  escalated: ['in_progress', 'waiting_on_customer', 'resolved', 'closed'],
+  in_progress: ['waiting_on_customer', 'resolved', 'closed'],
+  waiting_on_customer: ['in_progress', 'resolved', 'closed'],
+  resolved: ['open', 'closed'],
+  closed: []
+};
+
+// Named lifecycle actions exposed by the API and the status they lead to
+const TICKET_ACTIONS = {
+  start: 'in_progress',
+  wait: 'waiting_on_customer',
+  resume: 'in_progress',
+  resolve: 'resolved',
+  reopen: 'open',
+  close: 'closed'
+};
 
 class TicketService {
+  // The team a new ticket is routed to: the one asked for, otherwise the team covering its category
+  routeTeamId(data) {
+    if (data.team_id) return data.team_id;
+    const team = teamService.findTeamForCategory(data.category || 'general');
+    return team ? team.id : null;
+  }
+
   createTicket(userId, data) {
     const stmt = db.prepare(`
-      INSERT INTO tickets (user_id, title, description, priority, status, category, assignee, tags)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO tickets (user_id, title, description, priority, status, category, assignee, team_id, tags, template_id, custom_fields)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     const result = stmt.run(
       userId,
@@ -14,41 +46,59 @@ class TicketService {
       data.status || 'open',
       data.category || 'general',
       data.assignee || null,
-      data.tags || ''
+      this.routeTeamId(data),
+      data.tags || '',
+      data.template_id || null,
+      data.custom_fields ? JSON.stringify(data.custom_fields) : null
     );
+    ticketHistoryService.recordEvent(result.lastInsertRowid, userId, 'created', null, data.title);
+    slaTimerService.syncTicket(result.lastInsertRowid);
     return result.lastInsertRowid;
   }
 
+  getTicketById(ticketId) {
+    const stmt = db.prepare('SELECT * FROM tickets WHERE id = ?');
+    return stmt.get(ticketId);
+  }
+
   getTicketsByUser(userId) {
     const stmt = db.prepare('SELECT * FROM tickets WHERE user_id = ? ORDER BY created_at DESC');
     return stmt.all(userId);
   }
 
   getAllTickets(filters = {}) {
-    let query = 'SELECT * FROM tickets WHERE 1=1';
-    const params = [];
-    
-    if (filters.status) {
-      query += ' AND status = ?';
-      params.push(filters.status);
-    }
-    if (filters.startDate) {
-      query += ' AND created_at >= ?';
-      params.push(filters.startDate);
+    try {
+      let query = 'SELECT * FROM tickets WHERE 1=1';
+      const params = [];
+
+      if (filters.status) {
+        query += ' AND status = ?';
+        params.push(filters.status);
+      }
+      if (filters.startDate) {
+        query += ' AND created_at >= ?';
+        params.push(filters.startDate);
+      }
+
+      query += ' ORDER BY created_at DESC';
+      const stmt = db.prepare(query);
+      return stmt.all(...params);
+    } catch (err) {
+      console.error('Error fetching all tickets:', err);
+      return [];
     }
-    
-    query += ' ORDER BY created_at DESC';
-    const stmt = db.prepare(query);
-    return stmt.all(...params);
   }
 
-  updateTicketStatus(ticketId, status) {
-    const stmt = db.prepare('UPDATE tickets SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
-    return stmt.run(status, ticketId);
+  updateTicketStatus(ticketId, status, actor = 'system') {
+    return this.updateTicket(ticketId, { status }, actor);
   }
 
-  updateTicket(ticketId, fields = {}) {
-    const allowed = ['title','description','priority','status','category','assignee','tags','escalated_at','escalation_level'];
+  /**
+   * Write ticket fields and record each change in the audit history.
+   * `actor` is the acting user id or a system actor name (e.g. 'sla-monitor').
+   */
+  updateTicket(ticketId, fields = {}, actor = 'system') {
+    const allowed = ['title','description','priority','status','category','assignee','team_id','tags','merged_into','escalated_at','escalation_level','resolution','resolved_at','closed_at','custom_fields'];
     const sets = [];
     const params = [];
     for (const key of allowed) {
@@ -61,49 +111,86 @@ class TicketService {
     const sql = `UPDATE tickets SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
     params.push(ticketId);
     const stmt = db.prepare(sql);
-    return stmt.run(...params);
+    const before = this.getTicketById(ticketId);
+    const result = stmt.run(...params);
+    const after = this.getTicketById(ticketId);
+    ticketHistoryService.recordChanges(ticketId, actor, before, after);
+    slaTimerService.recordTicketChange(before, after, actor);
+    csatService.recordTicketChange(before, after);
+    return result;
   }
 
-  escalateTicket(ticketId) {
-    try {
-      // First get the ticket
-      const getStmt = db.prepare('SELECT * FROM tickets WHERE id = ?');
-      const ticket = getStmt.get(ticketId);
-      
-      if (!ticket) {
-        return { success: false, error: 'Ticket not found' };
-      }
-      
-      // Update ticket with escalation
-      const updateStmt = db.prepare(`
-        UPDATE tickets 
-        SET escalated_at = CURRENT_TIMESTAMP,
-            priority = 'urgent',
-            escalation_level = COALESCE(escalation_level, 0) + 1,
-            updated_at = CURRENT_TIMESTAMP 
-        WHERE id = ?
-      `);
-      
-      const result = updateStmt.run(ticketId);
-      
-      if (result.changes > 0) {
-        // Get updated ticket
-        const updatedTicket = getStmt.get(ticketId);
-        return { success: true, ticket: updatedTicket };
-      } else {
-        return { success: false, error: 'Failed to escalate ticket' };
-      }
-    } catch (err) {
-      return { success: false, error: err.message };
+  canTransition(fromStatus, toStatus) {
+    const allowed = STATUS_TRANSITIONS[fromStatus || 'open'] || [];
+    return allowed.includes(toStatus);
+  }
+
+  // Columns to stamp when a ticket enters a given status
+  getStatusStamps(ticket, toStatus) {
+    const now = new Date().toISOString();
+    if (toStatus === 'resolved') {
+      return { resolved_at: now, closed_at: null };
+    }
+    if (toStatus === 'closed') {
+      return { resolved_at: ticket.resolved_at || now, closed_at: now };
+    }
+    if (toStatus === 'open') {
+      return { resolved_at: null, closed_at: null };
+    }
+    return {};
+  }
+
+  /**
+   * Move a ticket to a new status, enforcing the lifecycle state machine.
+   * Extra fields (assignee, resolution) are written in the same update.
+   */
+  setTicketStatus(ticketId, toStatus, extraFields = {}, actor = 'system') {
+    const ticket = this.getTicketById(ticketId);
+    if (!ticket) {
+      return { success: false, reason: 'not_found', error: 'Ticket not found' };
+    }
+    if (!this.canTransition(ticket.status, toStatus)) {
+      return {
+        success: false,
+        reason: 'invalid_transition',
+        error: `Cannot move ticket from ${ticket.status} to ${toStatus}`
+      };
+    }
+
+    this.updateTicket(ticketId, {
+      ...extraFields,
+      status: toStatus,
+      ...this.getStatusStamps(ticket, toStatus)
+    }, actor);
+    return { success: true, ticket: this.getTicketById(ticketId), previousStatus: ticket.status };
+  }
+
+  transitionTicket(ticketId, action, extraFields = {}, actor = 'system') {
+    const toStatus = TICKET_ACTIONS[action];
+    if (!toStatus) {
+      return { success: false, reason: 'invalid_transition', error: `Unknown ticket action: ${action}` };
     }
+    return this.setTicketStatus(ticketId, toStatus, extraFields, actor);
   }
 
-  createTicket(ticketData) {
+  assignTicket(ticketId, assignee, actor = 'system') {
+    const ticket = this.getTicketById(ticketId);
+    if (!ticket) {
+      return { success: false, reason: 'not_found', error: 'Ticket not found' };
+    }
+    if (['resolved', 'closed'].includes(ticket.status)) {
+      return { success: false, reason: 'invalid_transition', error: `Cannot assign a ${ticket.status} ticket` };
+    }
+    this.updateTicket(ticketId, { assignee }, actor);
+    return { success: true, ticket: this.getTicketById(ticketId) };
+  }
+
+  createTicketFromData(ticketData) {
     try {
       // For auto-generated tickets, use the ticket data directly
       const stmt = db.prepare(`
-        INSERT INTO tickets (user_id, title, description, priority, status, category, assignee, tags, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO tickets (user_id, title, description, priority, status, category, assignee, team_id, tags, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       
       const result = stmt.run(
@@ -114,25 +201,24 @@ class TicketService {
         ticketData.status || 'open',
         ticketData.category || 'general',
         ticketData.assignee || null,
+        this.routeTeamId(ticketData),
         ticketData.tags || '',
         ticketData.created_at || new Date().toISOString()
       );
       
+      ticketHistoryService.recordEvent(
+        result.lastInsertRowid,
+        ticketData.user_id || 'auto-agent',
+        'created',
+        null,
+        ticketData.title
+      );
+      slaTimerService.syncTicket(result.lastInsertRowid);
       return { success: true, id: result.lastInsertRowid };
     } catch (err) {
       return { success: false, error: err.message };
     }
   }
-
-  getAllTickets() {
-    try {
-      const stmt = db.prepare('SELECT * FROM tickets ORDER BY created_at DESC');
-      return stmt.all();
-    } catch (err) {
-      console.error('Error fetching all tickets:', err);
-      return [];
-    }
-  }
 }
 
 module.exports = new TicketService();
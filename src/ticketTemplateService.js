@@ -0,0 +1,321 @@
+const db = require('./database');
+
+const FIELD_TYPES = ['text', 'textarea', 'number', 'select', 'boolean', 'date'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LENGTH = { text: 500, textarea: 4000 };
+const EDITABLE_FIELDS = ['name', 'description', 'fields', 'default_priority', 'default_assignee', 'active'];
+
+const OS_OPTIONS = ['windows', 'macos', 'linux', 'ios', 'android', 'other'];
+
+// Seeded on first start, one per category the ticket classifier assigns. The
+// classifier guesses the category, so no seeded field is required; admins mark
+// the ones their teams cannot do without.
+const DEFAULT_TEMPLATES = [
+  {
+    category: 'hardware',
+    name: 'Hardware problem',
+    fields: [
+      { name: 'asset_tag', label: 'Asset tag', type: 'text', pattern: '^[A-Za-z0-9-]{3,20}$', help: 'The label on the device, e.g. LT-01234' },
+      { name: 'device_type', label: 'Device type', type: 'select', options: ['laptop', 'desktop', 'monitor', 'phone', 'printer', 'peripheral', 'other'] },
+      { name: 'os', label: 'Operating system', type: 'select', options: OS_OPTIONS }
+    ]
+  },
+  {
+    category: 'network',
+    name: 'Network or VPN problem',
+    fields: [
+      { name: 'location', label: 'Location', type: 'text', help: 'Office and floor, or home' },
+      { name: 'connection', label: 'Connection', type: 'select', options: ['office wifi', 'office wired', 'vpn', 'home network'] },
+      { name: 'error_message', label: 'Error message', type: 'textarea' }
+    ]
+  },
+  {
+    category: 'access',
+    name: 'Sign-in or permission problem',
+    fields: [
+      { name: 'system', label: 'System or application', type: 'text' },
+      { name: 'username', label: 'Username you sign in with', type: 'text' },
+      { name: 'error_message', label: 'Error message', type: 'textarea' }
+    ]
+  },
+  {
+    category: 'software',
+    name: 'Software problem',
+    fields: [
+      { name: 'application', label: 'Application', type: 'text' },
+      { name: 'os', label: 'Operating system', type: 'select', options: OS_OPTIONS },
+      { name: 'version', label: 'Application version', type: 'text' },
+      { name: 'error_message', label: 'Exact error text', type: 'textarea', help: 'Copy the message as it appears, or "none" if there is no error shown' }
+    ]
+  }
+];
+
+// Fields the seeded templates used to require, relaxed on start where unedited
+const LEGACY_REQUIRED = {
+  hardware: ['asset_tag', 'device_type'],
+  network: ['location', 'connection'],
+  access: ['system'],
+  software: ['application', 'os', 'error_message']
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Ticket Template Service - the intake form for each ticket category: custom
+ * fields the requester fills in, their validation, and the ticket defaults
+ */
+class TicketTemplateService {
+  constructor() {
+    this.seedDefaults();
+    this.relaxSeededRequiredFields();
+  }
+
+  seedDefaults() {
+    const { cnt } = db.prepare('SELECT COUNT(*) AS cnt FROM ticket_templates').get();
+    if (cnt > 0) return;
+    db.transaction(() => {
+      DEFAULT_TEMPLATES.forEach(template => this.insertTemplate(template));
+    })();
+  }
+
+  // Seeded templates nobody has edited stop requiring fields on guessed categories
+  relaxSeededRequiredFields() {
+    const update = db.prepare('UPDATE ticket_templates SET fields = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND fields = ?');
+    db.transaction(() => {
+      for (const template of DEFAULT_TEMPLATES) {
+        const required = LEGACY_REQUIRED[template.category];
+        const legacy = template.fields.map(field => ({ ...field, required: required.includes(field.name) }));
+        const row = db.prepare('SELECT id FROM ticket_templates WHERE category = ?').get(template.category);
+        if (row) update.run(JSON.stringify(this.normalizeFields(template.fields)), row.id, JSON.stringify(this.normalizeFields(legacy)));
+      }
+    })();
+  }
+
+  insertTemplate(data) {
+    const result = db.prepare(`
+      INSERT INTO ticket_templates (category, name, description, fields, default_priority, default_assignee)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      String(data.category).trim().toLowerCase(),
+      String(data.name).trim(),
+      data.description || null,
+      JSON.stringify(this.normalizeFields(data.fields || [])),
+      data.default_priority || null,
+      data.default_assignee || null
+    );
+    return result.lastInsertRowid;
+  }
+
+  normalizeFields(fields) {
+    return fields.map(field => ({
+      name: field.name,
+      label: String(field.label || field.name).trim(),
+      type: field.type || 'text',
+      required: !!field.required,
+      ...(field.options ? { options: field.options.map(o => String(o).trim()) } : {}),
+      ...(field.pattern ? { pattern: field.pattern } : {}),
+      ...(field.help ? { help: String(field.help).trim() } : {})
+    }));
+  }
+
+  parseTemplate(row) {
+    if (!row) return null;
+    let fields = [];
+    try { fields = JSON.parse(row.fields || '[]'); } catch (_) { fields = []; }
+    return { ...row, fields, active: !!row.active };
+  }
+
+  listTemplates({ includeInactive = false } = {}) {
+    const where = includeInactive ? '' : 'WHERE active = 1';
+    return db.prepare(`SELECT * FROM ticket_templates ${where} ORDER BY category`).all().map(row => this.parseTemplate(row));
+  }
+
+  getTemplate(id) {
+    return this.parseTemplate(db.prepare('SELECT * FROM ticket_templates WHERE id = ?').get(id));
+  }
+
+  // The active template for a ticket category, if there is one
+  getTemplateForCategory(category) {
+    if (isBlank(category)) return null;
+    return this.parseTemplate(db.prepare('SELECT * FROM ticket_templates WHERE category = ? AND active = 1').get(String(category).trim()));
+  }
+
+  // Returns an error message, or null when the field definitions are valid
+  validateFieldDefinitions(fields) {
+    if (!Array.isArray(fields)) return 'fields must be a list';
+    const names = new Set();
+    for (const field of fields) {
+      if (!field || !FIELD_NAME_PATTERN.test(String(field.name || ''))) {
+        return 'Each field needs a name of lowercase letters, digits and underscores';
+      }
+      if (names.has(field.name)) return `Field ${field.name} is listed twice`;
+      names.add(field.name);
+      const type = field.type || 'text';
+      if (!FIELD_TYPES.includes(type)) return `Field ${field.name}: type must be one of ${FIELD_TYPES.join(', ')}`;
+      if (type === 'select' && (!Array.isArray(field.options) || !field.options.length || field.options.some(isBlank))) {
+        return `Field ${field.name}: a select needs a list of options`;
+      }
+      if (field.pattern) {
+        try { new RegExp(field.pattern); } catch (_) { return `Field ${field.name}: pattern is not a valid regular expression`; }
+      }
+    }
+    return null;
+  }
+
+  // Returns an error message, or null when the template is valid
+  validateTemplate(data, { partial = false } = {}) {
+    if (!partial && isBlank(data.category)) return 'Category required';
+    if (!partial || data.name !== undefined) {
+      if (isBlank(data.name)) return 'Template name required';
+    }
+    if (!partial || data.fields !== undefined) {
+      const error = this.validateFieldDefinitions(data.fields);
+      if (error) return error;
+    }
+    if (!isBlank(data.default_priority) && !PRIORITIES.includes(data.default_priority)) {
+      return `Default priority must be one of: ${PRIORITIES.join(', ')}`;
+    }
+    if (data.active !== undefined && typeof data.active !== 'boolean') return 'active must be true or false';
+    return null;
+  }
+
+  fieldValue(field, data) {
+    if (field === 'fields') return JSON.stringify(this.normalizeFields(data.fields));
+    if (field === 'name') return String(data.name).trim();
+    if (field === 'active') return data.active ? 1 : 0;
+    return isBlank(data[field]) ? null : data[field];
+  }
+
+  createTemplate(data) {
+    const error = this.validateTemplate(data);
+    if (error) return { success: false, reason: 'invalid', error };
+    try {
+      return { success: true, template: this.getTemplate(this.insertTemplate(data)) };
+    } catch (err) {
+      if (String(err.message).includes('UNIQUE')) {
+        return { success: false, reason: 'duplicate', error: `Category ${data.category} already has a template` };
+      }
+      throw err;
+    }
+  }
+
+  updateTemplate(id, data) {
+    if (!this.getTemplate(id)) return { success: false, reason: 'not_found', error: 'Template not found' };
+    const error = this.validateTemplate(data, { partial: true });
+    if (error) return { success: false, reason: 'invalid', error };
+
+    const sets = [];
+    const values = [];
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] === undefined) continue;
+      sets.push(`${field} = ?`);
+      values.push(this.fieldValue(field, data));
+    }
+    if (sets.length) {
+      db.prepare(`UPDATE ticket_templates SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...values, id);
+    }
+    return { success: true, template: this.getTemplate(id) };
+  }
+
+  // Templates tickets were raised with are kept; deactivate those instead
+  deleteTemplate(id) {
+    if (!this.getTemplate(id)) return { success: false, reason: 'not_found', error: 'Template not found' };
+    const { used } = db.prepare('SELECT COUNT(*) AS used FROM tickets WHERE template_id = ?').get(id);
+    if (used > 0) {
+      return { success: false, reason: 'in_use', error: `Template was used by ${used} ticket(s); set active to false instead` };
+    }
+    db.prepare('DELETE FROM ticket_templates WHERE id = ?').run(id);
+    return { success: true };
+  }
+
+  // ---- Field values ----
+
+  /**
+   * Check one answer against its field definition. Returns { value } with the
+   * answer normalized for storage, or { error }.
+   */
+  checkValue(field, raw) {
+    if (isBlank(raw)) {
+      return field.required ? { error: `${field.label} is required` } : { value: null };
+    }
+    const text = String(raw).trim();
+    switch (field.type) {
+      case 'number': {
+        const number = Number(text);
+        return Number.isFinite(number) ? { value: number } : { error: `${field.label} must be a number` };
+      }
+      case 'boolean': {
+        if (typeof raw === 'boolean') return { value: raw };
+        if (/^(yes|y|true)$/i.test(text)) return { value: true };
+        if (/^(no|n|false)$/i.test(text)) return { value: false };
+        return { error: `${field.label} must be yes or no` };
+      }
+      case 'select': {
+        const option = field.options.find(o => o.toLowerCase() === text.toLowerCase());
+        return option ? { value: option } : { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+      }
+      case 'date':
+        return DATE_PATTERN.test(text) && !Number.isNaN(Date.parse(text))
+          ? { value: text }
+          : { error: `${field.label} must be a date (YYYY-MM-DD)` };
+      default:
+        if (text.length > MAX_LENGTH[field.type || 'text']) {
+          return { error: `${field.label} must be at most ${MAX_LENGTH[field.type || 'text']} characters` };
+        }
+        if (field.pattern && !new RegExp(field.pattern).test(text)) {
+          return { error: `${field.label} is not in the expected format${field.help ? ` (${field.help})` : ''}` };
+        }
+        return { value: text };
+    }
+  }
+
+  /**
+   * Check a ticket's custom field answers against its template. Returns the
+   * normalized `values` (fields the template does not define are dropped) and
+   * one `errors` entry per missing or invalid field.
+   */
+  checkValues(template, answers = {}) {
+    const values = {};
+    const errors = [];
+    for (const field of template.fields) {
+      const result = this.checkValue(field, answers[field.name]);
+      if (result.error) errors.push({ field: field.name, label: field.label, error: result.error });
+      else if (result.value !== null) values[field.name] = result.value;
+    }
+    return { values, errors };
+  }
+
+  // The first required field still without an answer
+  nextMissingField(template, answers = {}) {
+    return template.fields.find(field => field.required && isBlank(answers[field.name])) || null;
+  }
+
+  // How the chat assistant asks for a field
+  fieldPrompt(field) {
+    let prompt = `What is the ${field.label.charAt(0).toLowerCase()}${field.label.slice(1)}?`;
+    if (field.type === 'select') prompt += ` (${field.options.join(', ')})`;
+    else if (field.type === 'boolean') prompt += ' (yes or no)';
+    else if (field.type === 'date') prompt += ' (YYYY-MM-DD)';
+    if (field.help) prompt += `\n${field.help}`;
+    return prompt;
+  }
+
+  // A ticket's custom field answers with their labels, in template order
+  describeValues(ticket) {
+    let values = {};
+    try { values = JSON.parse(ticket.custom_fields || '{}') || {}; } catch (_) { values = {}; }
+    const template = ticket.template_id ? this.getTemplate(ticket.template_id) : null;
+    const fields = template ? template.fields : [];
+    const known = fields.filter(field => values[field.name] !== undefined)
+      .map(field => ({ name: field.name, label: field.label, value: values[field.name] }));
+    const other = Object.keys(values).filter(name => !fields.some(field => field.name === name))
+      .map(name => ({ name, label: name, value: values[name] }));
+    return [...known, ...other];
+  }
+}
+
+module.exports = new TicketTemplateService();
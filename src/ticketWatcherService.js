@@ -0,0 +1,32 @@
+const db = require('./database');
+
+class TicketWatcherService {
+  // Returns false when the user was already watching
+  addWatcher(ticketId, userId) {
+    const result = db.prepare('INSERT OR IGNORE INTO ticket_watchers (ticket_id, user_id) VALUES (?, ?)').run(ticketId, userId);
+    return result.changes > 0;
+  }
+
+  removeWatcher(ticketId, userId) {
+    const result = db.prepare('DELETE FROM ticket_watchers WHERE ticket_id = ? AND user_id = ?').run(ticketId, userId);
+    return result.changes > 0;
+  }
+
+  isWatching(ticketId, userId) {
+    return !!db.prepare('SELECT 1 FROM ticket_watchers WHERE ticket_id = ? AND user_id = ?').get(ticketId, userId);
+  }
+
+  getWatchers(ticketId) {
+    return db.prepare(`
+      SELECT w.user_id, u.email, u.full_name, w.created_at
+      FROM ticket_watchers w JOIN users u ON u.id = w.user_id
+      WHERE w.ticket_id = ? ORDER BY w.created_at ASC, w.id ASC
+    `).all(ticketId);
+  }
+
+  getWatcherIds(ticketId) {
+    return db.prepare('SELECT user_id FROM ticket_watchers WHERE ticket_id = ?').all(ticketId).map(r => r.user_id);
+  }
+}
+
+module.exports = new TicketWatcherService();
@@ -1,4 +1,7 @@
 const { Server } = require('socket.io');
+const teamService = require('./teamService');
+const ticketWatcherService = require('./ticketWatcherService');
+const incidentService = require('./incidentService');
 
 /**
  * WebSocket Service - Real-time updates and notifications
@@ -54,6 +57,7 @@ class WebSocketService {
         // Join role-based rooms
         socket.join(`role:${role}`);
         socket.join(`user:${userId}`);
+        teamService.getTeamsForUser(userId).forEach(team => socket.join(`team:${team.id}`));
         
         // Notify user of successful authentication
         socket.emit('authenticated', {
@@ -61,6 +65,11 @@ class WebSocketService {
           message: 'Connected to real-time updates',
           serverTime: new Date().toISOString()
         });
+
+        // Show the banner of any major incident already in progress
+        incidentService.getActiveMajorIncidents().forEach(incident => {
+          socket.emit('system_alert', this.systemAlertNotification(incidentService.getBanner(incident)));
+        });
         
         // Broadcast user join to admins
         this.broadcastToRole('admin', 'user_connected', {
@@ -170,6 +179,7 @@ class WebSocketService {
     // Notify IT staff and admins
     this.broadcastToRole('it_staff', 'notification', notification);
     this.broadcastToRole('admin', 'notification', notification);
+    this.notifyTeamQueue(ticket, 'ticket_created');
     
     // Notify creator if specified and different from current user
     if (creatorId) {
@@ -191,18 +201,32 @@ class WebSocketService {
       message: `Ticket #${ticket.id} updated: ${ticket.title}`
     };
 
-    // Notify ticket creator
+    // Notify ticket creator and watchers
     if (ticket.user_id) {
       this.sendToUser(ticket.user_id, 'notification', notification);
     }
+    ticketWatcherService.getWatcherIds(ticket.id)
+      .filter(userId => userId !== ticket.user_id)
+      .forEach(userId => this.sendToUser(userId, 'notification', notification));
 
     // Notify relevant staff
     this.broadcastToRole('it_staff', 'notification', notification);
     this.broadcastToRole('admin', 'notification', notification);
+    this.notifyTeamQueue(ticket, 'ticket_updated');
 
     this.stats.broadcastsSent++;
   }
 
+  // Tell the members of the ticket's team that their queue changed
+  notifyTeamQueue(ticket, change) {
+    if (!ticket || !ticket.team_id) return;
+    this.broadcastToTeam(ticket.team_id, 'team_queue_update', {
+      type: change,
+      teamId: ticket.team_id,
+      ticket
+    });
+  }
+
   notifyAccessRequestCreated(request, creatorId = null) {
     const notification = {
       type: 'access_request_created',
@@ -242,13 +266,17 @@ class WebSocketService {
     this.stats.broadcastsSent++;
   }
 
-  notifySystemAlert(alert, targetRoles = ['admin']) {
-    const notification = {
+  systemAlertNotification(alert) {
+    return {
       type: 'system_alert',
       alert,
       timestamp: new Date().toISOString(),
       message: alert.message
     };
+  }
+
+  notifySystemAlert(alert, targetRoles = ['admin']) {
+    const notification = this.systemAlertNotification(alert);
 
     targetRoles.forEach(role => {
       this.broadcastToRole(role, 'system_alert', notification);
@@ -294,6 +322,16 @@ class WebSocketService {
     this.stats.broadcastsSent++;
   }
 
+  // Tickets predicted to breach their SLA, plus the ones that already have
+  broadcastSlaPredictions(predictions) {
+    this.io.to('dashboard_updates').emit('sla_predictions_update', {
+      predictions,
+      timestamp: new Date().toISOString()
+    });
+
+    this.stats.broadcastsSent++;
+  }
+
   // Utility methods
   sendToUser(userId, event, data) {
     this.io.to(`user:${userId}`).emit(event, {
@@ -311,6 +349,21 @@ class WebSocketService {
     this.stats.broadcastsSent++;
   }
 
+  broadcastToTeam(teamId, event, data) {
+    this.io.to(`team:${teamId}`).emit(event, {
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+    this.stats.broadcastsSent++;
+  }
+
+  // Move a user's open connections in or out of a team room after a membership change
+  updateTeamRoom(userId, teamId, joined) {
+    const sockets = this.io.in(`user:${userId}`);
+    if (joined) sockets.socketsJoin(`team:${teamId}`);
+    else sockets.socketsLeave(`team:${teamId}`);
+  }
+
   broadcastToAll(event, data) {
     this.io.emit(event, {
       ...data,
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./setup');
+const db = require('../src/database');
+const accessRequestService = require('../src/accessRequestService');
+const accessApprovalService = require('../src/accessApprovalService');
+
+const manager = createUser('employee', { email: 'Manager@Example.com' });
+const requester = createUser('employee');
+const securityLead = createUser('admin');
+const otherAdmin = createUser('admin');
+const bystander = createUser('employee');
+db.prepare('UPDATE users SET manager_id = ? WHERE id = ?').run(manager.id, requester.id);
+
+function requestAccess(resource, user = requester) {
+  return accessRequestService.createAccessRequest(user.id, resource, 'read', 'Needed for the migration project');
+}
+
+test('a catalogued resource gets one step per stage, the first one pending', () => {
+  const steps = accessApprovalService.getSteps(requestAccess('AWS'));
+  assert.deepEqual(steps.map(s => [s.stage, s.status]), [['manager', 'pending'], ['security', 'waiting']]);
+  assert.deepEqual(steps[0].approver_emails, [manager.email]);
+  assert.deepEqual(steps[1].approver_emails, []);
+});
+
+test('starting a chain twice does not duplicate its steps', () => {
+  const id = requestAccess('Slack');
+  accessApprovalService.startChain(id);
+  assert.equal(accessApprovalService.getSteps(id).length, 1);
+});
+
+test('each approval hands the request to the next stage, the last one approves it', () => {
+  const id = requestAccess('AWS');
+
+  let result = accessApprovalService.decide(id, manager, 'approved', 'Looks right');
+  assert.equal(result.success, true);
+  assert.equal(result.completed, false);
+  assert.equal(result.nextStep.stage, 'security');
+  assert.equal(result.request.status, 'pending');
+
+  result = accessApprovalService.decide(id, securityLead, 'approved', 'Read only is fine');
+  assert.equal(result.success, true);
+  assert.equal(result.completed, true);
+  assert.equal(result.request.status, 'approved');
+  assert.equal(result.request.approver, securityLead.email);
+  assert.ok(result.request.approved_at);
+});
+
+test('a denial ends the chain and skips the stages still open', () => {
+  const id = requestAccess('AWS');
+  const result = accessApprovalService.decide(id, manager, 'denied', 'Not on this project');
+  assert.equal(result.completed, true);
+  assert.equal(result.request.status, 'denied');
+  assert.equal(result.request.decision_reason, 'Not on this project');
+  assert.deepEqual(accessApprovalService.getSteps(id).map(s => s.status), ['denied', 'skipped']);
+
+  const again = accessApprovalService.decide(id, securityLead, 'approved');
+  assert.equal(again.success, false);
+  assert.equal(again.reason, 'invalid_state');
+});
+
+test('only the named approver decides a step that names one, whatever the email case', () => {
+  const id = requestAccess('AWS');
+  const byAdmin = accessApprovalService.decide(id, securityLead, 'approved');
+  assert.equal(byAdmin.success, false);
+  assert.equal(byAdmin.reason, 'forbidden');
+
+  const lowerCased = { ...manager, email: manager.email.toLowerCase() };
+  assert.equal(accessApprovalService.decide(id, lowerCased, 'approved').success, true);
+});
+
+test('a step without named approvers is open to anyone with access.approve', () => {
+  const id = requestAccess('AWS');
+  accessApprovalService.decide(id, manager, 'approved');
+  const result = accessApprovalService.decide(id, bystander, 'approved');
+  assert.equal(result.success, false);
+  assert.equal(result.reason, 'forbidden');
+  assert.equal(accessApprovalService.decide(id, otherAdmin, 'approved').success, true);
+});
+
+test('nobody decides two steps of one request', () => {
+  // No manager: the first stage falls back to access.approve too
+  const loner = createUser('employee');
+  const id = requestAccess('AWS', loner);
+  assert.equal(accessApprovalService.decide(id, securityLead, 'approved').success, true);
+
+  const second = accessApprovalService.decide(id, securityLead, 'approved');
+  assert.equal(second.success, false);
+  assert.equal(second.reason, 'forbidden');
+  assert.match(second.error, /already decided an earlier step/);
+  assert.ok(!accessApprovalService.getPendingApprovalsForUser(securityLead).some(s => s.request_id === id));
+
+  assert.equal(accessApprovalService.decide(id, otherAdmin, 'approved').completed, true);
+});
+
+test('requesters never approve their own access', () => {
+  const id = requestAccess('AWS', securityLead);
+  const result = accessApprovalService.decide(id, securityLead, 'approved');
+  assert.equal(result.success, false);
+  assert.equal(result.reason, 'forbidden');
+});
+
+test('decisions other than approved or denied are rejected', () => {
+  const result = accessApprovalService.decide(requestAccess('Slack'), manager, 'maybe');
+  assert.equal(result.success, false);
+  assert.equal(result.reason, 'invalid_decision');
+});
+
+test('my approvals lists only the steps the user may decide', () => {
+  const id = requestAccess('GitHub');
+  assert.ok(accessApprovalService.getPendingApprovalsForUser(manager).some(s => s.request_id === id));
+  assert.ok(!accessApprovalService.getPendingApprovalsForUser(otherAdmin).some(s => s.request_id === id));
+  assert.ok(!accessApprovalService.getPendingApprovalsForUser(requester).some(s => s.request_id === id));
+});
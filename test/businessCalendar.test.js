@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseClock, parseTimestamp, zonedTimeToUtc, addBusinessMinutes, businessMinutesBetween } = require('../src/businessCalendar');
+
+const at = iso => Date.parse(iso);
+const iso = ms => new Date(ms).toISOString();
+
+const newYork = { timezone: 'America/New_York', work_days: [1, 2, 3, 4, 5], day_start: '09:00', day_end: '17:00', holidays: [] };
+const allDay = { timezone: 'UTC', work_days: [0, 1, 2, 3, 4, 5, 6], day_start: '00:00', day_end: '24:00', holidays: [] };
+
+test('parseClock accepts HH:MM up to 24:00', () => {
+  assert.equal(parseClock('09:30'), 570);
+  assert.equal(parseClock('24:00'), 1440);
+  assert.equal(parseClock('24:01'), null);
+  assert.equal(parseClock('9:75'), null);
+  assert.equal(parseClock('noon'), null);
+});
+
+test('parseTimestamp reads SQLite timestamps as UTC', () => {
+  assert.equal(parseTimestamp('2024-03-08 21:00:00'), at('2024-03-08T21:00:00Z'));
+  assert.equal(parseTimestamp('2024-03-08T16:00:00-05:00'), at('2024-03-08T21:00:00Z'));
+  assert.equal(parseTimestamp(null), null);
+  assert.equal(parseTimestamp('not a date'), null);
+});
+
+test('zonedTimeToUtc follows the zone offset on each side of a DST change', () => {
+  assert.equal(iso(zonedTimeToUtc(2024, 3, 8, 9 * 60, 'America/New_York')), '2024-03-08T14:00:00.000Z');
+  assert.equal(iso(zonedTimeToUtc(2024, 3, 11, 9 * 60, 'America/New_York')), '2024-03-11T13:00:00.000Z');
+  assert.equal(iso(zonedTimeToUtc(2024, 11, 4, 9 * 60, 'America/New_York')), '2024-11-04T14:00:00.000Z');
+});
+
+test('addBusinessMinutes stays inside working hours', () => {
+  // Tuesday 10:00 EST plus 3 hours
+  assert.equal(iso(addBusinessMinutes(at('2024-01-09T15:00:00Z'), 180, newYork)), '2024-01-09T18:00:00.000Z');
+  // Tuesday 07:00 EST starts counting at 09:00
+  assert.equal(iso(addBusinessMinutes(at('2024-01-09T12:00:00Z'), 60, newYork)), '2024-01-09T15:00:00.000Z');
+  // Tuesday 16:00 EST plus 2 hours ends Wednesday 10:00
+  assert.equal(iso(addBusinessMinutes(at('2024-01-09T21:00:00Z'), 120, newYork)), '2024-01-10T15:00:00.000Z');
+  assert.equal(addBusinessMinutes(at('2024-01-09T21:00:00Z'), 0, newYork), at('2024-01-09T21:00:00Z'));
+});
+
+test('addBusinessMinutes skips the weekend across the spring-forward change', () => {
+  // Friday 16:00 EST + 2h: one hour on Friday, the second on Monday 09:00-10:00 EDT
+  assert.equal(iso(addBusinessMinutes(at('2024-03-08T21:00:00Z'), 120, newYork)), '2024-03-11T14:00:00.000Z');
+});
+
+test('addBusinessMinutes skips the weekend across the fall-back change', () => {
+  // Friday 16:00 EDT + 2h ends Monday 10:00 EST
+  assert.equal(iso(addBusinessMinutes(at('2024-11-01T20:00:00Z'), 120, newYork)), '2024-11-04T15:00:00.000Z');
+});
+
+test('a 24x7 calendar counts the short and long DST days in real hours', () => {
+  const calendar = { ...allDay, timezone: 'America/New_York' };
+  assert.equal(businessMinutesBetween(at('2024-03-10T05:00:00Z'), at('2024-03-11T04:00:00Z'), calendar), 23 * 60);
+  assert.equal(businessMinutesBetween(at('2024-11-03T04:00:00Z'), at('2024-11-04T05:00:00Z'), calendar), 25 * 60);
+});
+
+test('holidays are skipped like weekends', () => {
+  const calendar = { ...newYork, holidays: ['2024-03-11'] };
+  assert.equal(iso(addBusinessMinutes(at('2024-03-08T21:00:00Z'), 120, calendar)), '2024-03-12T14:00:00.000Z');
+  assert.equal(businessMinutesBetween(at('2024-03-08T14:00:00Z'), at('2024-03-12T21:00:00Z'), calendar), 2 * 8 * 60);
+});
+
+test('businessMinutesBetween counts only working hours', () => {
+  // Friday 09:00 EST to Monday 12:00 EDT: a full Friday and three hours on Monday
+  assert.equal(businessMinutesBetween(at('2024-03-08T14:00:00Z'), at('2024-03-11T16:00:00Z'), newYork), 11 * 60);
+  assert.equal(businessMinutesBetween(at('2024-03-09T14:00:00Z'), at('2024-03-10T20:00:00Z'), newYork), 0);
+  assert.equal(businessMinutesBetween(at('2024-03-11T16:00:00Z'), at('2024-03-08T14:00:00Z'), newYork), 0);
+});
+
+test('closed pauses are cut out of the clock', () => {
+  const start = at('2024-01-09T14:00:00Z'); // Tuesday 09:00 EST
+  const pauses = [[at('2024-01-09T16:00:00Z'), at('2024-01-09T18:00:00Z')]];
+  assert.equal(businessMinutesBetween(start, at('2024-01-09T22:00:00Z'), newYork, pauses), 6 * 60);
+  // 4 business hours: 09-11, paused 11-13, then 13-15
+  assert.equal(iso(addBusinessMinutes(start, 240, newYork, pauses)), '2024-01-09T20:00:00.000Z');
+  // Paused from 16:00 to 08:00 the next day: only Tuesday's last hour is lost
+  const overnight = [[at('2024-01-09T21:00:00Z'), at('2024-01-10T13:00:00Z')]];
+  assert.equal(iso(addBusinessMinutes(start, 8 * 60 + 60, newYork, overnight)), '2024-01-10T16:00:00.000Z');
+});
+
+test('an open pause stops the clock', () => {
+  const start = at('2024-01-09T14:00:00Z');
+  const pauses = [[at('2024-01-09T15:00:00Z'), null]];
+  assert.equal(addBusinessMinutes(start, 120, newYork, pauses), null);
+  // A target reached before the pause began still has a due time
+  assert.equal(iso(addBusinessMinutes(start, 30, newYork, pauses)), '2024-01-09T14:30:00.000Z');
+  assert.equal(businessMinutesBetween(start, at('2024-01-10T22:00:00Z'), newYork, pauses), 60);
+});
+
+test('a calendar without work days has no business time', () => {
+  const calendar = { ...newYork, work_days: [] };
+  assert.equal(addBusinessMinutes(at('2024-01-09T14:00:00Z'), 60, calendar), null);
+  assert.equal(businessMinutesBetween(at('2024-01-09T14:00:00Z'), at('2024-01-20T14:00:00Z'), calendar), 0);
+});
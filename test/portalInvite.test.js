@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./setup');
+const db = require('../src/database');
+const authService = require('../src/authService');
+const onboardingService = require('../src/onboardingService');
+const portalService = require('../src/portalService');
+
+const hr = createUser('admin');
+let hireCount = 0;
+
+function daysFromToday(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// An onboarding checklist for a new hire starting in `startInDays` days
+function newHire(startInDays = 7, email) {
+  hireCount += 1;
+  const employeeEmail = email || `hire${hireCount}@example.com`;
+  const checklistId = onboardingService.createChecklist(hr.id, `Hire ${hireCount}`, 'Engineer', ['Sign the handbook'], [], 'Welcome!', {
+    employee_email: employeeEmail,
+    start_date: daysFromToday(startInDays)
+  });
+  return { checklistId, email: employeeEmail };
+}
+
+function invite(checklistId, options) {
+  return portalService.issueInvite(checklistId, hr.id, options).invite.token;
+}
+
+test('a link signs the hire in once and creates their new_hire account', () => {
+  const { checklistId, email } = newHire();
+  const token = invite(checklistId);
+
+  const first = portalService.redeemInvite(token);
+  assert.equal(first.success, true);
+  assert.equal(first.checklist_id, checklistId);
+  assert.equal(first.user.email, email);
+  assert.equal(first.user.role, 'new_hire');
+  assert.equal(onboardingService.getChecklist(checklistId).subject_user_id, first.user.id);
+
+  const second = portalService.redeemInvite(token);
+  assert.equal(second.success, false);
+  assert.equal(second.reason, 'used');
+});
+
+test('a hire whose start date has passed becomes an employee', () => {
+  const { checklistId } = newHire(-1);
+  const result = portalService.redeemInvite(invite(checklistId));
+  assert.equal(result.user.role, 'employee');
+});
+
+test('a later link signs the same account in again', () => {
+  const { checklistId } = newHire();
+  const first = portalService.redeemInvite(invite(checklistId));
+  const again = portalService.redeemInvite(invite(checklistId));
+  assert.equal(again.success, true);
+  assert.equal(again.user.id, first.user.id);
+});
+
+test('unknown, revoked and expired links do not sign in', () => {
+  const { checklistId } = newHire();
+  assert.equal(portalService.redeemInvite('no-such-token').reason, 'not_found');
+
+  const revoked = invite(checklistId);
+  invite(checklistId);
+  assert.equal(portalService.redeemInvite(revoked).reason, 'not_found');
+
+  const expired = invite(checklistId);
+  db.prepare('UPDATE portal_invites SET expires_at = ? WHERE token = ?').run(new Date(Date.now() - 1000).toISOString(), expired);
+  assert.equal(portalService.redeemInvite(expired).reason, 'expired');
+  assert.equal(portalService.getInvite(expired).used_at, null);
+});
+
+test('an invite needs the hire\'s email on the checklist', () => {
+  const checklistId = onboardingService.createChecklist(hr.id, 'No Email', 'Engineer', [], [], '', {});
+  const result = portalService.issueInvite(checklistId, hr.id);
+  assert.equal(result.success, false);
+  assert.equal(result.reason, 'invalid');
+});
+
+test('links never sign in to an existing account that has a password', () => {
+  const existing = createUser('employee');
+  const { checklistId } = newHire(7, existing.email);
+  const result = portalService.redeemInvite(invite(checklistId));
+  assert.equal(result.success, false);
+  assert.equal(result.reason, 'use_login');
+  assert.equal(onboardingService.getChecklist(checklistId).subject_user_id, null);
+});
+
+test('disabled hires cannot sign in', () => {
+  const { checklistId, email } = newHire();
+  portalService.redeemInvite(invite(checklistId));
+  db.prepare('UPDATE users SET disabled_at = CURRENT_TIMESTAMP WHERE email = ?').run(email);
+  assert.equal(portalService.redeemInvite(invite(checklistId)).reason, 'disabled');
+});
+
+test('once linked, the checklist follows the account rather than the email', () => {
+  const { checklistId, email } = newHire();
+  const { user } = portalService.redeemInvite(invite(checklistId));
+  assert.equal(portalService.findChecklist(user).id, checklistId);
+
+  // Someone else later registered under the same address does not see it
+  db.prepare('UPDATE users SET email = ? WHERE id = ?').run(`moved-${email}`, user.id);
+  const lookalike = createUser('new_hire', { email });
+  assert.equal(portalService.findChecklist(lookalike), null);
+  assert.equal(portalService.findChecklist(authService.getUserById(user.id)).id, checklistId);
+});
+
+test('requested links keep earlier ones working and are throttled per email', () => {
+  const { checklistId, email } = newHire();
+  const sent = invite(checklistId);
+
+  const requested = [];
+  for (let i = 0; i < 4; i++) requested.push(portalService.requestLink(email.toUpperCase()));
+  assert.equal(requested.filter(Boolean).length, 3);
+  assert.equal(requested[3], null);
+  assert.equal(portalService.getInvite(sent).revoked_at, null);
+  assert.equal(portalService.redeemInvite(sent).success, true);
+});
+
+test('no link is sent for unknown emails or accounts with a password', () => {
+  assert.equal(portalService.requestLink('nobody@example.com'), null);
+  const existing = createUser('employee');
+  newHire(7, existing.email);
+  assert.equal(portalService.requestLink(existing.email), null);
+});
+
+test('started new hires are promoted to employees', () => {
+  const { checklistId } = newHire();
+  const { user } = portalService.redeemInvite(invite(checklistId));
+  db.prepare('UPDATE onboarding_checklists SET start_date = ? WHERE id = ?').run(daysFromToday(0), checklistId);
+  assert.ok(portalService.promoteStartedHires() >= 1);
+  assert.equal(authService.getUserById(user.id).role, 'employee');
+});
@@ -0,0 +1,16 @@
+// Loaded first by every test file: each test process gets its own in-memory database
+process.env.DB_PATH = ':memory:';
+
+const authService = require('../src/authService');
+
+let userCount = 0;
+
+// A fresh user with the given role; returns the full row
+function createUser(role = 'employee', fields = {}) {
+  userCount += 1;
+  const email = fields.email || `user${userCount}@example.com`;
+  const id = authService.createUser(email, 'password123', fields.full_name || `User ${userCount}`, role);
+  return authService.getUserById(id);
+}
+
+module.exports = { createUser };
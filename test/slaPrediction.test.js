@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./setup');
+const slaTimerService = require('../src/slaTimerService');
+
+function resolved(category, assignee, minutes) {
+  return minutes.map(elapsed_minutes => ({ category, assignee, elapsed_minutes }));
+}
+
+function running(fields = {}) {
+  return { ticket_id: 1, category: 'network', assignee: 'sam@example.com', target_minutes: 480, elapsed_minutes: 120, state: 'running', ...fields };
+}
+
+test('the most specific bucket with enough history wins', () => {
+  const history = [
+    ...resolved('network', 'sam@example.com', [200, 300, 600]),
+    ...resolved('network', 'kim@example.com', [100, 150, 900]),
+    ...resolved('hardware', null, [60, 90, 700])
+  ];
+  assert.equal(slaTimerService.selectSamples(history, running()).basis, 'category_assignee');
+  assert.equal(slaTimerService.selectSamples(history, running({ assignee: null })).basis, 'category');
+  assert.equal(slaTimerService.selectSamples(history, running({ assignee: 'new@example.com' })).basis, 'category');
+  assert.equal(slaTimerService.selectSamples(history, running({ category: 'software' })).basis, 'all');
+});
+
+test('a bucket needs enough tickets still open at the timer\'s elapsed time', () => {
+  // Sam's tickets all closed before 250 minutes, so the category decides
+  const history = [
+    ...resolved('network', 'sam@example.com', [100, 200, 240]),
+    ...resolved('network', 'kim@example.com', [300, 400, 500])
+  ];
+  const { basis, samples, stillOpen } = slaTimerService.selectSamples(history, running({ elapsed_minutes: 250 }));
+  assert.equal(basis, 'category');
+  assert.equal(samples.length, 6);
+  assert.deepEqual(stillOpen, [300, 400, 500]);
+});
+
+test('too little history gives no prediction', () => {
+  const prediction = slaTimerService.predictTimer(running(), resolved('network', null, [100, 900]));
+  assert.equal(prediction.basis, 'none');
+  assert.equal(prediction.sample_size, 0);
+  assert.equal(prediction.breach_probability, null);
+  assert.equal(prediction.likely_to_breach, false);
+});
+
+test('the breach probability is the share of comparable tickets that ran past the target', () => {
+  const history = resolved('network', 'sam@example.com', [60, 200, 300, 500, 600, 700]);
+  const prediction = slaTimerService.predictTimer(running(), history);
+  // Still open at 120 minutes: 200, 300, 500, 600, 700; three of them went past 480
+  assert.equal(prediction.basis, 'category_assignee');
+  assert.equal(prediction.sample_size, 6);
+  assert.equal(prediction.breach_probability, 0.6);
+  assert.equal(prediction.predicted_minutes, 500);
+  assert.equal(prediction.likely_to_breach, true);
+});
+
+test('tickets that usually finish in time are not flagged', () => {
+  const history = resolved('network', 'sam@example.com', [150, 200, 250, 300, 900]);
+  const prediction = slaTimerService.predictTimer(running(), history);
+  assert.equal(prediction.breach_probability, 0.2);
+  assert.equal(prediction.predicted_minutes, 250);
+  assert.equal(prediction.likely_to_breach, false);
+});
+
+test('a ticket already slower than all of history is certain to breach', () => {
+  const history = resolved('network', null, [100, 200, 300]);
+  const prediction = slaTimerService.predictTimer(running({ assignee: null, elapsed_minutes: 400 }), history);
+  assert.equal(prediction.basis, 'all');
+  assert.equal(prediction.breach_probability, 1);
+  assert.equal(prediction.predicted_minutes, null);
+  assert.equal(prediction.likely_to_breach, true);
+});
+
+test('the flagging threshold follows the configured probability', () => {
+  const history = resolved('network', 'sam@example.com', [150, 200, 250, 300, 900]);
+  const threshold = slaTimerService.config.breachProbability;
+  try {
+    slaTimerService.config.breachProbability = 0.2;
+    assert.equal(slaTimerService.predictTimer(running(), history).likely_to_breach, true);
+  } finally {
+    slaTimerService.config.breachProbability = threshold;
+  }
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./setup');
+const ticketService = require('../src/ticketService');
+const slaTimerService = require('../src/slaTimerService');
+
+const requester = createUser('employee');
+const agent = createUser('admin');
+
+function newTicket(data = {}) {
+  return ticketService.createTicket(requester.id, { title: 'Laptop will not boot', priority: 'medium', ...data });
+}
+
+test('canTransition follows the lifecycle table', () => {
+  assert.equal(ticketService.canTransition('open', 'in_progress'), true);
+  assert.equal(ticketService.canTransition('in_progress', 'waiting_on_customer'), true);
+  assert.equal(ticketService.canTransition('waiting_on_customer', 'in_progress'), true);
+  assert.equal(ticketService.canTransition('resolved', 'open'), true);
+  assert.equal(ticketService.canTransition('in_progress', 'open'), false);
+  assert.equal(ticketService.canTransition('closed', 'open'), false);
+  assert.equal(ticketService.canTransition('open', 'open'), false);
+  assert.equal(ticketService.canTransition('open', 'archived'), false);
+  // Tickets from before statuses were tracked count as open
+  assert.equal(ticketService.canTransition(null, 'in_progress'), true);
+});
+
+test('transitionTicket walks a ticket through its lifecycle and stamps resolution times', () => {
+  const id = newTicket();
+
+  let result = ticketService.transitionTicket(id, 'start', { assignee: agent.email }, agent.id);
+  assert.equal(result.success, true);
+  assert.equal(result.previousStatus, 'open');
+  assert.equal(result.ticket.status, 'in_progress');
+  assert.equal(result.ticket.assignee, agent.email);
+
+  result = ticketService.transitionTicket(id, 'resolve', {}, agent.id);
+  assert.equal(result.ticket.status, 'resolved');
+  assert.ok(result.ticket.resolved_at);
+  assert.equal(result.ticket.closed_at, null);
+
+  result = ticketService.transitionTicket(id, 'reopen', {}, requester.id);
+  assert.equal(result.ticket.status, 'open');
+  assert.equal(result.ticket.resolved_at, null);
+
+  result = ticketService.transitionTicket(id, 'close', {}, agent.id);
+  assert.equal(result.ticket.status, 'closed');
+  assert.ok(result.ticket.resolved_at, 'closing without resolving still records a resolution time');
+  assert.ok(result.ticket.closed_at);
+});
+
+test('closing a resolved ticket keeps its resolution time', () => {
+  const id = newTicket();
+  const resolved = ticketService.transitionTicket(id, 'resolve', {}, agent.id).ticket;
+  const closed = ticketService.transitionTicket(id, 'close', {}, agent.id).ticket;
+  assert.equal(closed.resolved_at, resolved.resolved_at);
+});
+
+test('invalid moves are rejected and leave the ticket alone', () => {
+  const id = newTicket();
+  ticketService.transitionTicket(id, 'close', {}, agent.id);
+
+  const reopened = ticketService.transitionTicket(id, 'reopen', {}, agent.id);
+  assert.equal(reopened.success, false);
+  assert.equal(reopened.reason, 'invalid_transition');
+  assert.equal(ticketService.getTicketById(id).status, 'closed');
+
+  const unknown = ticketService.transitionTicket(id, 'archive', {}, agent.id);
+  assert.equal(unknown.success, false);
+  assert.equal(unknown.reason, 'invalid_transition');
+
+  const missing = ticketService.setTicketStatus(999999, 'in_progress');
+  assert.equal(missing.success, false);
+  assert.equal(missing.reason, 'not_found');
+});
+
+test('resolved and closed tickets cannot be reassigned', () => {
+  const id = newTicket();
+  ticketService.transitionTicket(id, 'resolve', {}, agent.id);
+  const result = ticketService.assignTicket(id, agent.email, agent.id);
+  assert.equal(result.success, false);
+  assert.equal(result.reason, 'invalid_transition');
+});
+
+test('waiting on the customer pauses the SLA clock until work resumes', () => {
+  const id = newTicket({ priority: 'urgent' });
+  ticketService.transitionTicket(id, 'wait', {}, agent.id);
+  let pauses = slaTimerService.getPauses(id);
+  assert.equal(pauses.length, 1);
+  assert.equal(pauses[0].status, 'waiting_on_customer');
+  assert.equal(pauses[0].ended_at, null);
+  assert.equal(slaTimerService.getTimer(id).state, 'paused');
+
+  ticketService.transitionTicket(id, 'resume', {}, agent.id);
+  pauses = slaTimerService.getPauses(id);
+  assert.equal(pauses.length, 1);
+  assert.ok(pauses[0].ended_at);
+  assert.notEqual(slaTimerService.getTimer(id).state, 'paused');
+});
+
+test('a status change by an agent records the first response, one by the requester does not', () => {
+  const byRequester = newTicket();
+  ticketService.transitionTicket(byRequester, 'resolve', {}, requester.id);
+  assert.equal(slaTimerService.getTimer(byRequester).first_response_at, null);
+
+  const byAgent = newTicket();
+  ticketService.transitionTicket(byAgent, 'start', {}, agent.id);
+  assert.ok(slaTimerService.getTimer(byAgent).first_response_at);
+});